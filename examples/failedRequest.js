@@ -14,7 +14,11 @@ var api = new mangopay({
 var INVALID_UID = '11510910021zx';
 
 api.Users.getNatural(INVALID_UID)
-    .catch(function(data) {
+    .catch(function(error) {
         // Catch the failure
-        console.error(data.Message);
+        if (error instanceof mangopay.NotFoundError) {
+            console.error('User not found', error.id);
+        } else {
+            console.error(error.status, error.message);
+        }
     });
\ No newline at end of file
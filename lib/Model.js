@@ -1,8 +1,10 @@
 var _ = require('underscore');
+var validation = require('./validation');
 
 function Model(data) {
     var nonNullDefaults = _.omit(this.defaults, _.isEmpty);
     _.extend(this, nonNullDefaults, data);
+    this.parseSubObjects();
     this.initialize(data);
 }
 
@@ -48,11 +50,110 @@ Model.prototype = {
         return [];
     },
 
+    /**
+     * Get object with key as property name and value the model class of the property
+     * @return {Object} Mapping of sub-objects
+     */
+    getSubObjects: function() {
+        return {};
+    },
+
+    /**
+     * Instantiates the sub-objects declared by getSubObjects (recursively, since their own
+     * sub-objects are instantiated by their constructor). Arrays are mapped item by item.
+     */
+    parseSubObjects: function() {
+        var self = this;
+
+        _.each(this.getSubObjects(), function(SubObjectClass, propertyName) {
+            var value = self[propertyName];
+            // Classes required in a circular way are not available yet
+            if (!_.isFunction(SubObjectClass) || !value || !_.isObject(value)) {
+                return;
+            }
+
+            self[propertyName] = _.isArray(value) ?
+                _.map(value, function(item) {
+                    return toSubObject(SubObjectClass, item);
+                }) :
+                toSubObject(SubObjectClass, value);
+        });
+    },
+
+    /**
+     * Get object with key as property name and value the validation rule of the property (see lib/validation.js)
+     * @return {Object} Mapping of validation rules
+     */
+    getValidationRules: function() {
+        return {};
+    },
+
+    /**
+     * Checks the properties against the validation rules, then the sub-objects (errors prefixed
+     * with their property name, as they are sent nested) and the details depending on a type
+     * (PaymentDetails, Details...), which are flattened in the requests
+     * @param {Object}  options     Hash of creation: whether the resource is created, required rules only apply then
+     * @return {Object} Hash of field => error message, empty when the model is valid
+     */
+    validate: function(options) {
+        var self = this;
+        var creation = !!(options && options.creation);
+        var errors = {};
+
+        _.each(this.getValidationRules(), function(rule, field) {
+            var message = validation.checkField(field, self[field], rule, self, creation);
+            if (message) {
+                errors[field] = message;
+            }
+        });
+
+        _.each(this.getSubObjects(), function(SubObjectClass, field) {
+            var value = self[field];
+
+            _.each(_.isArray(value) ? value : [value], function(item, index) {
+                if (!(item instanceof Model) || errors[field]) {
+                    return;
+                }
+
+                var prefix = _.isArray(value) ? field + '[' + index + '].' : field + '.';
+                _.each(item.validate(options), function(message, itemField) {
+                    errors[prefix + itemField] = message;
+                });
+            });
+        });
+
+        _.each(this.getDependsObjects(), function(dependsObject) {
+            var value = self[dependsObject.propertyName];
+            var DetailsClass = dependsObject.propertyValueMapping[self[dependsObject.dependsPropertyName]];
+
+            // Details can also be given flat, at the root of the model, as they are sent
+            if (_.isFunction(DetailsClass)) {
+                value = new DetailsClass(_.extend({}, _.omit(self, dependsObject.propertyName), _.omit(value, _.isNull)));
+            }
+
+            if (value instanceof Model) {
+                _.defaults(errors, value.validate(options));
+            }
+        });
+
+        return errors;
+    },
+
     parse: function() {
         return;
     }
 };
 
+/**
+ * Wraps plain data in the model class, leaving models and scalar values untouched
+ */
+function toSubObject(SubObjectClass, value) {
+    if (!_.isObject(value) || value instanceof Model) {
+        return value;
+    }
+    return new SubObjectClass(value);
+}
+
 Model.extend = require('./utils').extend;
 
 module.exports = Model;
\ No newline at end of file
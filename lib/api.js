@@ -5,6 +5,23 @@ var querystring = require('querystring');
 var apiMethods = require('./apiMethods');
 var apiModels = require('./models');
 var apiServices = require('./services');
+var Paginator = require('./paginator');
+var retry = require('./retry');
+var errors = require('./errors');
+var Model = require('./Model');
+var WebhookHandler = require('./webhooks');
+var PayoutBatch = require('./payoutBatch');
+var ThreeDSecure = require('./threeDSecure');
+var PayInReturnHandler = require('./payInReturn');
+var RecurringPayInEngine = require('./recurringPayIns');
+var KycOnboarding = require('./kycOnboarding');
+var UboDeclarationBuilder = require('./uboDeclarationBuilder');
+var RecipientBuilder = require('./recipientBuilder');
+var ScaHandler = require('./sca');
+var TokenManager = require('./tokenManager');
+var middlewares = require('./middlewares');
+var rateLimits = require('./rateLimits');
+var Logger = require('./logger');
 
 var axios = require('axios');
 
@@ -22,17 +39,29 @@ function _getBasicAuthHash(username, apiKey) {
 var Api = function (config) {
     var defaultConfig = require('./config');
     config = this.config = _.extend({}, defaultConfig, config);
-
-    axios.defaults.baseURL = config.baseUrl;
-    // response timeout
-    axios.defaults.timeout = config.responseTimeout;
+    config.retry = _.extend({}, defaultConfig.retry, config.retry);
+    config.idempotency = _.extend({}, defaultConfig.idempotency, config.idempotency);
+
+    // Each instance owns its HTTP client, so several configurations (sandbox, production, uk...)
+    // can live side by side in the same process without overriding each other
+    this.client = axios.create({
+        baseURL: config.baseUrl,
+        // response timeout
+        timeout: config.responseTimeout
+    });
 
     this.errorHandler = config.errorHandler;
 
     this.rateLimits = [];
 
+    // Structured logs of the requests, see lib/logger.js
+    this.logger = new Logger(config);
+
+    // Ordered request middlewares, see use()
+    this.middlewares = (config.middlewares || []).slice();
+
     // Add default request configuration options
-    _.extend(this.requestOptions, {
+    this.requestOptions = {
         // Path options are replacing the ${placeholders} from apiMethods
         path: {
             clientId: config.clientId,
@@ -42,7 +71,10 @@ var Api = function (config) {
             'Content-Type': 'application/json',
             'User-Agent': 'Mangopay-SDK/' + require('../package.json').version + ` (Nodejs/${process.version})`
         }
-    });
+    };
+
+    // Handles the OAuth token: shared token requests, token store and background refresh
+    this.tokenManager = new TokenManager(this);
 
     // Adds the services to API object
     this._servicesLoader();
@@ -53,10 +85,6 @@ var Api = function (config) {
 Api.prototype = {
     config: require('./config'),
 
-    requestOptions: {
-        headers: {}
-    },
-
     /**
      * Checks if callback is a function or not, and passes the options
      * @param {Object, Function}    callback
@@ -82,8 +110,13 @@ Api.prototype = {
     method: function (method, callback, options) {
         options = this._getOptions(callback, options);
 
-        if (this.config.debugMode) {
-            this.config.logClass(method, options);
+        var validationError = this._validateRequest(method, options);
+        if (validationError) {
+            if (_.isFunction(callback)) {
+                callback(validationError, null);
+            }
+            this.errorHandler(validationError.message, validationError);
+            return Promise.reject(validationError);
         }
 
         // If data has parse method, call it before passing data
@@ -94,17 +127,17 @@ Api.prototype = {
         }
         var self = this;
 
-        // If there's no OAuthKey, request one
-        if (!this.requestOptions.headers.Authorization || this.isExpired()) {
+        // If there's no valid OAuth token, get one
+        if (!this.tokenManager.isValid()) {
             return new Promise(function (resolve, reject) {
-                self.authorize()
+                self.tokenManager.getToken()
                     .then(function () {
                         self.method.call(self, method, function (data, response) {
                             // Check if we have to wrap data into a model
                             if (_.isFunction(callback)) {
                                 callback(data, response);
                             }
-                        }, options)
+                        }, _.extend({}, options, {validate: false}))
                             .then(resolve)
                             .catch(reject);
                     })
@@ -116,22 +149,185 @@ Api.prototype = {
         var requestOptions = _.extend({}, this.requestOptions, options);
 
         // If we have custom headers and they don't contain Content-Type, we have to prevent them to override Authentication header
+        // Headers and path are always copied, so a request never alters the instance defaults or the caller's options
         if (options && options.headers && options.headers['Content-Type'] === undefined) {
-            _.extend(requestOptions.headers, this.requestOptions.headers, options.headers);
+            requestOptions.headers = _.extend({}, this.requestOptions.headers, options.headers);
+        } else {
+            requestOptions.headers = _.extend({}, requestOptions.headers);
         }
 
         // Append the path placeholders in order to build the proper url for the request
-        if (options && options.path) {
-            _.extend(requestOptions.path, this.requestOptions.path, options.path);
-        }
+        requestOptions.path = _.extend({}, this.requestOptions.path, options && options.path);
 
         if (this.config.ukHeaderFlag) {
             requestOptions.headers['x-tentant-id'] = 'uk';
         }
 
+        // Generated once per call: the retries and the replays after a token renewal send the same key
+        if (this.config.idempotency.autoKeys && requestOptions.headers['Idempotency-Key'] === undefined &&
+            apiMethods[method] && apiMethods[method][1] === 'POST') {
+            requestOptions.headers['Idempotency-Key'] = this.config.idempotency.generateKey(method, options);
+        }
+
         return this._requestApi(requestOptions, method, callback);
     },
 
+    /**
+     * Checks the request data against the validation rules of its model (see Model.validate), when
+     * options.validate, or else config.validate, is set. Plain data is checked through options.requestClass,
+     * or else options.dataClass. The required fields are only checked by the POST requests.
+     * @param {string}      method      Mangopay API method to be called
+     * @param {object}      options     Hash of configuration to be passed to request
+     * @returns {ValidationError|null}  Error listing all the invalid fields
+     * @private
+     */
+    _validateRequest: function (method, options) {
+        var validate = options.validate !== undefined ? options.validate : this.config.validate;
+        var RequestClass = options.requestClass || options.dataClass;
+
+        if (!validate || !options.data || !apiMethods[method]) {
+            return null;
+        }
+
+        var entity = options.data;
+        if (!(entity instanceof Model)) {
+            if (!_.isFunction(RequestClass) || !(RequestClass.prototype instanceof Model)) {
+                return null;
+            }
+            entity = new RequestClass(options.data);
+        }
+
+        var fieldErrors = entity.validate({creation: apiMethods[method][1] === 'POST'});
+        if (_.isEmpty(fieldErrors)) {
+            return null;
+        }
+
+        var error = new errors.ValidationError('One or several required parameters are missing or incorrect', {
+            method: apiMethods[method][1],
+            errors: fieldErrors
+        });
+        // Same Type as the errors of the API
+        error.Type = 'param_error';
+        return error;
+    },
+
+    /**
+     * Adds a middleware around the requests of this instance, after the ones already added.
+     * See lib/middlewares.js for the middleware signature and context.
+     * @param {Function}    middleware  function(context, next), returning the response or a promise of it
+     * @returns {Api}
+     */
+    use: function (middleware) {
+        if (!_.isFunction(middleware)) {
+            throw new TypeError('A middleware must be a function(context, next)');
+        }
+        this.middlewares.push(middleware);
+        return this;
+    },
+
+    /**
+     * Walks all the pages of a list API method
+     * @param {string}      method      Mangopay API method to be called, ex: 'users_all'
+     * @param {object}      options     Hash of configuration to be passed to request, plus per_page, page and maxPages
+     * @returns {Paginator} Async iterable over the items
+     */
+    paginate: function (method, options) {
+        var self = this;
+
+        return new Paginator(function (pageOptions) {
+            var headers;
+
+            return self.method(method, function (data, response) {
+                headers = response && response.headers;
+            }, pageOptions)
+                .then(function (data) {
+                    return {data: data, headers: headers};
+                });
+        }, options);
+    },
+
+    /**
+     * Creates a receiver for the notifications sent to the hooks Url
+     * @param {object}      options     Hash of configuration, see WebhookHandler
+     * @returns {WebhookHandler}
+     */
+    createWebhookHandler: function (options) {
+        return new WebhookHandler(this, options);
+    },
+
+    /**
+     * Creates a settlement run of transfers and payouts
+     * @param {object}      options     Hash of configuration, see PayoutBatch
+     * @returns {PayoutBatch}
+     */
+    createPayoutBatch: function (options) {
+        return new PayoutBatch(this, options);
+    },
+
+    /**
+     * Creates the 3-D Secure helper of the card transactions
+     * @param {object}      options     Hash of configuration, see ThreeDSecure
+     * @returns {ThreeDSecure}
+     */
+    createThreeDSecure: function (options) {
+        return new ThreeDSecure(this, options);
+    },
+
+    /**
+     * Creates the route handler of the shoppers returning from a web pay-in
+     * @param {object}      options     Hash of configuration, see PayInReturnHandler
+     * @returns {PayInReturnHandler}
+     */
+    createPayInReturnHandler: function (options) {
+        return new PayInReturnHandler(this, options);
+    },
+
+    /**
+     * Creates the engine running the MIT pay-ins of the recurring pay-in registrations
+     * @param {object}      options     Hash of configuration, see RecurringPayInEngine
+     * @returns {RecurringPayInEngine}
+     */
+    createRecurringPayInEngine: function (options) {
+        return new RecurringPayInEngine(this, options);
+    },
+
+    /**
+     * Creates the helper taking the users to the REGULAR KYC level
+     * @param {object}      options     Hash of configuration, see KycOnboarding
+     * @returns {KycOnboarding}
+     */
+    createKycOnboarding: function (options) {
+        return new KycOnboarding(this, options);
+    },
+
+    /**
+     * Creates the builder of the UBO declaration of a LEGAL user
+     * @param {string}      userId      Id of the LEGAL user
+     * @param {object}      options     Hash of configuration, see UboDeclarationBuilder
+     * @returns {UboDeclarationBuilder}
+     */
+    createUboDeclarationBuilder: function (userId, options) {
+        return new UboDeclarationBuilder(this, userId, options);
+    },
+
+    /**
+     * Creates the builder checking the recipients against their cached schema before creating them
+     * @param {object}      options     Hash of configuration, see RecipientBuilder
+     * @returns {RecipientBuilder}
+     */
+    createRecipientBuilder: function (options) {
+        return new RecipientBuilder(this, options);
+    },
+
+    /**
+     * Creates the helper redirecting the users to their SCA sessions, and resuming the operations once they are back
+     * @param {object}      options     Hash of configuration, see ScaHandler
+     * @returns {ScaHandler}
+     */
+    createScaHandler: function (options) {
+        return new ScaHandler(this, options);
+    },
+
     _requestApi: function (requestOptions, method, callback) {
         var self = this;
 
@@ -163,16 +359,89 @@ Api.prototype = {
             }
 
             var resolveWithFullResponse = requestOptions.resolveWithFullResponse || false;
-            var abortSignal = AbortSignal.timeout(self.config.connectionTimeout)
-
-            axios({
-                method: methodType,
+            var retryPolicy = self.config.retry;
+            var reauthenticated = false;
+            var context = {
+                api: self,
+                method: method,
+                httpMethod: methodType.toUpperCase(),
                 url: url,
-                data: requestOptions.data,
-                headers: requestOptions.headers,
-                params: requestOptions.parameters,
-                signal: abortSignal
+                options: requestOptions,
+                response: undefined,
+                state: {}
+            };
+
+            // Sends the request, replaying it after a delay on transient failures as long as the retry policy allows it
+            function send(attempt) {
+                var abortSignal = AbortSignal.timeout(self.config.connectionTimeout);
+
+                return self.client({
+                    method: methodType,
+                    url: context.url,
+                    data: requestOptions.data,
+                    headers: requestOptions.headers,
+                    params: requestOptions.parameters,
+                    signal: abortSignal
+                })
+                    .catch(function (error) {
+                        var timedOut = error.code === "ERR_CANCELED" && abortSignal.aborted;
+                        var delay = null;
+
+                        // The token has been revoked or has expired earlier than announced: get a new one and try once again
+                        if (error.response && error.response.status === 401 && !reauthenticated && requestOptions.headers.Authorization) {
+                            reauthenticated = true;
+                            return self.tokenManager.refresh(requestOptions.headers.Authorization).then(function () {
+                                requestOptions.headers.Authorization = self.tokenManager.getAuthorization();
+                                return send(attempt);
+                            });
+                        }
+
+                        if (attempt < retryPolicy.maxRetries && retry.isReplayable(methodType, requestOptions.headers) &&
+                            retry.isTransient(retryPolicy, error, timedOut)) {
+                            delay = retry.getDelay(retryPolicy, attempt, error.response);
+                        }
+
+                        if (delay === null) {
+                            // The request timed out, failed without response, or the server responded with a status code
+                            // that falls out of the range of 2xx
+                            throw errors.fromHttpError(error, {
+                                method: methodType,
+                                url: self.config.baseUrl + context.url,
+                                timedOut: timedOut
+                            });
+                        }
+
+                        self.logger.warn('Mangopay request retried', {
+                            method: method,
+                            httpMethod: context.httpMethod,
+                            url: context.url,
+                            attempt: attempt + 1,
+                            status: (error.response && error.response.status) || null,
+                            delayMs: delay
+                        });
+
+                        return new Promise(function (resolveDelay) {
+                            setTimeout(resolveDelay, delay);
+                        }).then(function () {
+                            return send(attempt + 1);
+                        });
+                    });
+            }
+
+            // The logs come last, to show what is actually sent and received
+            var requestMiddlewares = self.logger.isEnabled() ? self.middlewares.concat(function (ctx, next) {
+                return self.logger.logRequest(ctx, next);
+            }) : self.middlewares;
+
+            middlewares.run(requestMiddlewares, context, function () {
+                return send(0);
             })
+                .then(function (response) {
+                    if (!response) {
+                        throw new Error('No response returned by the middlewares of ' + method);
+                    }
+                    return response;
+                })
                 .then(function (response) {
                     var resolveArgument = (resolveWithFullResponse) ?
                         _.extend(response, {body: response.data}) : response.data;
@@ -196,34 +465,24 @@ Api.prototype = {
                         }
                     }
 
+                    exposeIdempotencyKey(resolveArgument, context.options.headers);
+
                     if (_.isFunction(callback)) {
                         callback(resolveArgument, response);
                     }
 
                     resolve(resolveArgument);
-                })
-                // The request was made and the server responded with a status code
-                // that falls out of the range of 2xx
-                .catch(function (error) {
-                    if (error.code === "ERR_CANCELED" && abortSignal.aborted) {
-                        var err = {
-                            Message: "Request timed out",
-                            Code: 408
-                        };
-                        self.errorHandler(err.Message, err);
-                        reject(err);
-                    } else {
-                        var resolveArgument = (resolveWithFullResponse) ?
-                            _.extend(error.response, {body: error.response.data}) : error.response.data;
-
-                        if (_.isFunction(callback)) {
-                            callback(resolveArgument, error.response);
-                        }
+                }, function (err) {
+                    exposeIdempotencyKey(err, context.options.headers);
 
-                        self.errorHandler(error.message, error.response.data);
-                        reject(resolveArgument);
+                    if (_.isFunction(callback)) {
+                        callback(err, err && err.response);
                     }
-                });
+
+                    self.errorHandler(err && err.message, err);
+                    reject(err);
+                })
+                .catch(reject);
         });
     },
 
@@ -261,10 +520,25 @@ Api.prototype = {
 
     /**
      * OAuth2 authorization mechanism. After authorization request, calls the callback with returned authorization data
+     * Concurrent calls share the same token request
      * @param {function}    callback
      * @returns {object} request promise
      */
     authorize: function (callback) {
+        return this.tokenManager.authorize().then(function (token) {
+            if (_.isFunction(callback)) {
+                callback(token);
+            }
+            return token;
+        });
+    },
+
+    /**
+     * Requests a new OAuth token
+     * @returns {object} request promise, resolved with the OAuth response data
+     * @private
+     */
+    _requestToken: function () {
         var self = this;
 
         var auth_post_data = querystring.stringify({
@@ -277,7 +551,7 @@ Api.prototype = {
             var url = apiMethods.authentication_oauth[0];
             var methodType = apiMethods.authentication_oauth[1];
 
-            axios({
+            self.client({
                 method: methodType,
                 url: url,
                 data: auth_post_data,
@@ -289,29 +563,32 @@ Api.prototype = {
                 .then(function (response) {
                     // Authorization succeeded
                     if (response.data.token_type && response.data.access_token) {
-                        _.extend(self.requestOptions.headers, {
-                            'Authorization': response.data.token_type + ' ' + response.data.access_token
-                        });
-                        // Multiplying expires_in (seconds) by 1000 since JS getTime() is expressed in ms
-                        self.authorizationExpireTime = new Date().getTime() + (response.data.expires_in * 1000);
                         resolve(response.data);
-                        if (_.isFunction(callback)) {
-                            callback(response.data);
-                        }
                     } else {
-                        reject(response.data);
+                        reject(new errors.AuthenticationError('Invalid authorization response', {
+                            method: methodType,
+                            url: self.config.baseUrl + url,
+                            response: response
+                        }));
                     }
+                }, function (error) {
+                    var request = {method: methodType, url: self.config.baseUrl + url};
+
+                    // Any response refusing the token request means the credentials are wrong
+                    reject(error.response ?
+                        new errors.AuthenticationError(null, _.extend(request, {response: error.response})) :
+                        errors.fromHttpError(error, request));
                 })
-                .catch(function (error) {
-                    reject(error.response ? error.response.data : error.message);
-                });
+                .catch(reject);
         });
     },
 
+    /**
+     * Checks whether the current token is missing or expires within config.tokenRefreshThreshold
+     * @returns {boolean}
+     */
     isExpired: function () {
-        // Expressed in ms ( 10 seconds )
-        var THRESHOLD = 60000;
-        return new Date().getTime() > (this.authorizationExpireTime - THRESHOLD);
+        return !this.tokenManager.isValid();
     },
 
     /**
@@ -337,43 +614,29 @@ Api.prototype = {
 };
 
 function setRateLimits(self, headers) {
-    self.rateLimits = [];
-    if (headers !== undefined) {
-        let rateLimitReset = headers['x-ratelimit-reset'];
-        let rateLimitRemaining = headers['x-ratelimit-remaining'];
-        let rateLimitMade = headers['x-ratelimit'];
-
-        if (rateLimitReset !== undefined && rateLimitRemaining !== undefined && rateLimitMade !== undefined) {
-            rateLimitReset = rateLimitReset.split(",");
-            rateLimitRemaining = rateLimitRemaining.split(",");
-            rateLimitMade = rateLimitMade.split(",");
-
-            if (rateLimitReset.length === rateLimitRemaining.length && rateLimitReset.length === rateLimitMade.length) {
-                const currentTime = Math.floor(Date.now() / 1000);
-                for (let i = 0; i < rateLimitReset.length; i++) {
-                    const numberOfMinutes = (parseInt(rateLimitReset[i]) - currentTime) / 60;
-                    const rateLimit = {
-                        resetTimeMillis: parseInt(rateLimitReset[i]),
-                        callsRemaining: parseInt(rateLimitRemaining[i]),
-                        callsMade: parseInt(rateLimitMade[i])
-                    };
-
-                    if (numberOfMinutes <= 15) {
-                        rateLimit.minutesInterval = 15;
-                    } else if (numberOfMinutes <= 30) {
-                        rateLimit.minutesInterval = 30;
-                    } else if (numberOfMinutes <= 60) {
-                        rateLimit.minutesInterval = 60;
-                    } else if (numberOfMinutes <= 60 * 24) {
-                        rateLimit.minutesInterval = 60 * 24;
-                    }
+    var parsed = rateLimits.parse(headers);
 
-                    self.rateLimits.push(rateLimit);
-                }
-            } else {
-                console.log("Could not set rate limits: headers length should be the same");
-            }
+    if (parsed === null) {
+        if (self.logger.isEnabled()) {
+            self.logger.warn('Could not set rate limits: headers length should be the same');
+        } else {
+            console.log("Could not set rate limits: headers length should be the same");
         }
+        parsed = [];
+    }
+
+    self.rateLimits = parsed;
+}
+
+/**
+ * Sets the Idempotency-Key of the request as idempotencyKey on its result or error, not enumerable
+ * so that it is not sent back with the resource
+ */
+function exposeIdempotencyKey(target, headers) {
+    var idempotencyKey = headers && headers['Idempotency-Key'];
+
+    if (idempotencyKey && _.isObject(target) && Object.isExtensible(target)) {
+        Object.defineProperty(target, 'idempotencyKey', {value: idempotencyKey, writable: true, configurable: true});
     }
 }
 
@@ -22,10 +22,22 @@ module.exports = {
     debugMode: false,
 
     /**
-     * Set the logging class if DebugMode is enabled
+     * Set the logging class if DebugMode is enabled: function(message, fields)
      */
     logClass: require('./log'),
 
+    /**
+     * Structured logger receiving the requests, responses, latencies and rate limits, ex: a pino or winston logger.
+     * Debug entries hold the headers and bodies, failures are logged as warn (4xx) or error. See lib/logger.js
+     */
+    logger: null,
+
+    /**
+     * Fields replaced by '[REDACTED]' in the logs, at any depth (case insensitive).
+     * Defaults to mangopay.Logger.DEFAULT_REDACTED_FIELDS: credentials, card data, bank details and KYC data
+     */
+    logRedact: null,
+
     /**
      * Set the connection timeout limit (in milliseconds)
      */
@@ -46,6 +58,91 @@ module.exports = {
      */
     ukHeaderFlag: false,
 
+    /**
+     * Where to keep the OAuth tokens, to share them between instances or processes.
+     * Defaults to an in-memory store per instance. See lib/tokenStores.js for the file and Redis stores
+     * and the interface of custom stores.
+     */
+    tokenStore: null,
+
+    /**
+     * Tokens are considered expired that long before their actual expiry (in milliseconds)
+     */
+    tokenRefreshThreshold: 60000,
+
+    /**
+     * Refresh the token in the background before it expires, so that requests never wait for a new one
+     */
+    proactiveTokenRefresh: true,
+
+    /**
+     * Retry policy for transient failures: network errors, timeouts, 429 and 5xx responses.
+     * POST requests are only retried when they carry an Idempotency-Key header (see idempotency.autoKeys).
+     * Waits for Retry-After (or x-ratelimit-reset on 429) when present, otherwise backs off exponentially with jitter.
+     */
+    retry: {
+        /**
+         * Maximum number of retries after the first attempt (0 disables retries)
+         */
+        maxRetries: 0,
+
+        /**
+         * Base delay of the exponential backoff (in milliseconds)
+         */
+        baseDelay: 500,
+
+        /**
+         * Maximum delay between two attempts (in milliseconds).
+         * When the server asks to wait longer, the request is not retried.
+         */
+        maxDelay: 30000,
+
+        /**
+         * HTTP statuses considered transient
+         */
+        retryOnStatus: [429, 500, 502, 503, 504],
+
+        /**
+         * Retry requests aborted by the connection timeout
+         */
+        retryOnTimeout: true,
+
+        /**
+         * Retry requests that failed without a response (connection reset, DNS failure...)
+         */
+        retryOnNetworkError: true
+    },
+
+    /**
+     * Check the request data against the validation rules of the models before sending it, and reject
+     * with a ValidationError listing all the invalid fields. Can also be set per request: options.validate
+     */
+    validate: false,
+
+    /**
+     * Idempotency keys of the POST requests sent by the services (PayIns.create, Transfers.create...)
+     */
+    idempotency: {
+        /**
+         * Send a generated Idempotency-Key header with every POST request that has none.
+         * The key is kept across retries, and exposed as idempotencyKey on the result or the error.
+         */
+        autoKeys: false,
+
+        /**
+         * Generates the keys (16 to 36 characters): function(method, options)
+         */
+        generateKey: function () {
+            return require('crypto').randomUUID();
+        }
+    },
+
+    /**
+     * Middlewares wrapping the requests, in order: function(context, next).
+     * More can be added with api.use(), see lib/middlewares.js
+     */
+    middlewares: null,
+
     /**
      * Custom error handler
      */
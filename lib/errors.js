@@ -0,0 +1,209 @@
+var _ = require('underscore');
+
+/**
+ * Properties set by the error constructors, that the response body must not override
+ */
+var RESERVED_PROPERTIES = ['name', 'message', 'stack', 'status', 'id', 'resourceId', 'method', 'url', 'response', 'headers', 'body'];
+
+/**
+ * Base class of all the errors returned by the API
+ * The fields of the response body (Message, Type, Id, Date, errors...) are also copied on the error,
+ * so code reading them on the previously returned plain objects keeps working.
+ *
+ * @param {string}  message     Error message
+ * @param {Object}  details     Hash of:
+ *                              - status: HTTP status
+ *                              - method: HTTP method of the request
+ *                              - url: URL of the request
+ *                              - response: original HTTP response, if any
+ * @constructor
+ */
+function MangopayApiError(message, details) {
+    details = details || {};
+    var response = details.response;
+    var body = response && _.isObject(response.data) ? response.data : {};
+
+    _.extend(this, _.omit(body, RESERVED_PROPERTIES));
+
+    this.name = this.constructor.name;
+    this.message = message || body.Message || body.error_description || body.error || 'Mangopay API error';
+    this.status = details.status || (response && response.status) || null;
+    // Correlation identifiers to give to the Mangopay support
+    this.id = body.Id || null;
+    this.resourceId = body.ResourceId || null;
+    this.method = details.method ? String(details.method).toUpperCase() : null;
+    this.url = details.url || null;
+    this.response = response || null;
+    this.headers = (response && response.headers) || {};
+    this.body = response ? response.data : null;
+
+    if (Error.captureStackTrace) {
+        Error.captureStackTrace(this, this.constructor);
+    } else {
+        this.stack = (new Error(this.message)).stack;
+    }
+}
+
+/**
+ * Sets up the prototype chain of an error class
+ * @param {Function}    parent      Parent error class
+ * @param {Function}    child       Constructor of the subclass
+ * @returns {Function}  The subclass
+ */
+function inherits(parent, child) {
+    child.prototype = Object.create(parent.prototype, {
+        constructor: {value: child, writable: true, configurable: true}
+    });
+    return child;
+}
+
+inherits(Error, MangopayApiError);
+
+/**
+ * The request parameters are invalid (HTTP 400)
+ * errors holds one message per invalid field, ex: {CreditedWalletId: 'The CreditedWalletId field is required.'}
+ */
+var ValidationError = inherits(MangopayApiError, function ValidationError(message, details) {
+    MangopayApiError.call(this, message, details);
+    this.errors = (details && details.errors) || this.errors || {};
+});
+
+/**
+ * The credentials or the token are refused (HTTP 401 and 403)
+ */
+var AuthenticationError = inherits(MangopayApiError, function AuthenticationError(message, details) {
+    MangopayApiError.call(this, message, details);
+});
+
+/**
+ * The requested resource does not exist (HTTP 404)
+ */
+var NotFoundError = inherits(MangopayApiError, function NotFoundError(message, details) {
+    MangopayApiError.call(this, message, details);
+});
+
+/**
+ * The rate limit has been reached (HTTP 429)
+ * retryAfter is the delay in milliseconds requested by the API, if any
+ */
+var RateLimitError = inherits(MangopayApiError, function RateLimitError(message, details) {
+    MangopayApiError.call(this, message, details);
+    var retryAfter = Number(this.headers['retry-after']);
+    this.retryAfter = isNaN(retryAfter) || this.headers['retry-after'] === undefined ? null : retryAfter * 1000;
+});
+
+/**
+ * The request has been aborted by the connection timeout
+ */
+var TimeoutError = inherits(MangopayApiError, function TimeoutError(message, details) {
+    MangopayApiError.call(this, message || 'Request timed out', _.extend({status: 408}, details));
+    // Kept for code reading the previously returned {Message, Code} object
+    this.Message = this.message;
+    this.Code = 408;
+});
+
+/**
+ * The request failed without any response (connection refused or reset, DNS failure...)
+ * code holds the system error code, ex: ECONNRESET
+ */
+var NetworkError = inherits(MangopayApiError, function NetworkError(message, details) {
+    MangopayApiError.call(this, message || 'Network error', details);
+    this.code = (details && details.code) || null;
+});
+
+/**
+ * Result codes of the card registrations, with their reason and message
+ */
+var CARD_REGISTRATION_ERRORS = {
+    '02101': ['TECHNICAL', 'Internal error'],
+    '02625': ['CARD_NUMBER', 'Invalid card number'],
+    '02626': ['EXPIRATION_DATE', 'Invalid expiration date, use the MMYY format'],
+    '02627': ['CVX', 'Invalid CVV number'],
+    '02628': ['REFUSED', 'Transaction refused'],
+    '02631': ['EXPIRED', 'Delay exceeded, the card registration has expired'],
+    '02632': ['TECHNICAL', 'Method GET is not allowed'],
+    '09101': ['TECHNICAL', 'Username or password is incorrect'],
+    '09102': ['TECHNICAL', 'Account is locked or inactive'],
+    '01902': ['REFUSED', 'This card is inactive'],
+    '105202': ['CARD_NUMBER', 'Card number: invalid format'],
+    '105203': ['EXPIRATION_DATE', 'Expiry date: missing or invalid format'],
+    '105204': ['CVX', 'CVV: missing or invalid format'],
+    '105299': ['TECHNICAL', 'Token input error']
+};
+
+/**
+ * The card could not be registered, refused by the tokenization server (errorCode=... response) or by the API
+ * errorCode is the result code, ex: 02625, reason its category: CARD_NUMBER, EXPIRATION_DATE, CVX, REFUSED,
+ * EXPIRED or TECHNICAL, and cardRegistration the card registration as last known
+ */
+var CardRegistrationError = inherits(MangopayApiError, function CardRegistrationError(message, details) {
+    details = details || {};
+    var known = CARD_REGISTRATION_ERRORS[details.errorCode];
+
+    MangopayApiError.call(this, message || (known ? known[1] : 'Card registration failed (' + details.errorCode + ')'), details);
+    this.errorCode = details.errorCode || null;
+    this.reason = known ? known[0] : 'TECHNICAL';
+    this.cardRegistration = details.cardRegistration || null;
+});
+
+/**
+ * Builds the error matching a failed request
+ * @param {Object}  error       Error raised by the HTTP client
+ * @param {Object}  request     Hash of method and url of the request, and timedOut when it has been aborted by the timeout
+ * @returns {MangopayApiError}
+ */
+function fromHttpError(error, request) {
+    var details = {
+        method: request.method,
+        url: request.url,
+        response: error.response
+    };
+
+    if (request.timedOut) {
+        return new TimeoutError(null, details);
+    }
+
+    if (!error.response) {
+        return new NetworkError(error.message, _.extend(details, {code: error.code}));
+    }
+
+    var body = _.isObject(error.response.data) ? error.response.data : {};
+    var message = body.Message || body.error_description || body.error || error.message;
+
+    switch (error.response.status) {
+        case 400:
+            return new ValidationError(message, details);
+        case 401:
+        case 403:
+            return new AuthenticationError(message, details);
+        case 404:
+            return new NotFoundError(message, details);
+        case 429:
+            return new RateLimitError(message, details);
+        default:
+            return new MangopayApiError(message, details);
+    }
+}
+
+/**
+ * Whether a failed request may have been processed anyway: timeouts, network errors and server errors
+ * @param {Error}   err
+ * @returns {boolean}
+ */
+function isAmbiguous(err) {
+    return err instanceof TimeoutError || err instanceof NetworkError ||
+        (err instanceof MangopayApiError && err.status >= 500);
+}
+
+module.exports = {
+    MangopayApiError: MangopayApiError,
+    ValidationError: ValidationError,
+    AuthenticationError: AuthenticationError,
+    NotFoundError: NotFoundError,
+    RateLimitError: RateLimitError,
+    TimeoutError: TimeoutError,
+    NetworkError: NetworkError,
+    CardRegistrationError: CardRegistrationError,
+    fromHttpError: fromHttpError,
+    isAmbiguous: isAmbiguous
+};
@@ -0,0 +1,228 @@
+var _ = require('underscore');
+var Promise = require('promise');
+var errors = require('./errors');
+var KycDocumentStatus = require('./models/KycDocumentStatus');
+
+/**
+ * KYC documents required for the REGULAR level, in the order they are submitted.
+ * The LEGAL users of the UBO declaration (BUSINESS and PARTNERSHIP) declare it apart, see UboDeclarations.
+ */
+var REQUIRED_DOCUMENTS = {
+    NATURAL: ['IDENTITY_PROOF'],
+    BUSINESS: ['IDENTITY_PROOF', 'REGISTRATION_PROOF', 'ARTICLES_OF_ASSOCIATION'],
+    PARTNERSHIP: ['IDENTITY_PROOF', 'REGISTRATION_PROOF', 'ARTICLES_OF_ASSOCIATION'],
+    ORGANIZATION: ['IDENTITY_PROOF', 'REGISTRATION_PROOF', 'ARTICLES_OF_ASSOCIATION'],
+    SOLETRADER: ['IDENTITY_PROOF', 'REGISTRATION_PROOF']
+};
+
+/**
+ * What the user has to do about each RefusedReasonType of the KYC documents
+ */
+var REFUSED_REASONS = {
+    DOCUMENT_UNREADABLE: 'The document is blurry, cropped or too dark: upload a clearer copy',
+    DOCUMENT_NOT_ACCEPTED: 'This kind of document is not accepted: upload another one',
+    DOCUMENT_HAS_EXPIRED: 'The document has expired: upload a valid one',
+    DOCUMENT_INCOMPLETE: 'Pages are missing: upload all the pages (front and back)',
+    DOCUMENT_MISSING: 'The document is missing: upload it',
+    DOCUMENT_DO_NOT_MATCH_USER_DATA: 'The document does not match the details of the user: fix them, or upload the right document',
+    DOCUMENT_DO_NOT_MATCH_ACCOUNT_DATA: 'The document does not match the details of the account: upload the right document',
+    DOCUMENT_FALSIFIED: 'The document has been falsified',
+    UNDERAGE_PERSON: 'The person is under age',
+    SPECIFIC_CASE: 'The document needs a manual review: see RefusedReasonMessage'
+};
+
+/**
+ * Statuses of the documents that have to be uploaded (again)
+ */
+var TO_UPLOAD = [null, KycDocumentStatus.Created, KycDocumentStatus.Refused, KycDocumentStatus.OutOfDate];
+
+/**
+ * Takes users to the REGULAR KYC level: tells which KycDocumentTypes they need (per PersonType and LegalPersonType),
+ * which ones are missing, pending or refused, and uploads and submits the missing ones, in order.
+ *
+ * Each document goes through Users.createKycDocument, one Users.createKycPage per page, then
+ * Users.updateKycDocument with Status VALIDATION_ASKED. The KYC_SUCCEEDED, KYC_FAILED and KYC_OUTDATED webhooks
+ * tell when to look at the status again.
+ *
+ * @param {Object}  api         SDK instance
+ * @param {Object}  options     Hash of:
+ *                              - requiredDocuments: KycDocumentTypes required per PersonType NATURAL and per
+ *                                LegalPersonType, merged over REQUIRED_DOCUMENTS
+ *                              - regulatory: also read Users.getRegulatory and Users.getBlockStatus in status()
+ *                                (default true)
+ *                              - tag: Tag of the created documents
+ * @constructor
+ */
+var KycOnboarding = function (api, options) {
+    this._api = api;
+    this.options = _.extend({regulatory: true, tag: null}, options);
+    this.options.requiredDocuments = _.extend({}, REQUIRED_DOCUMENTS, this.options.requiredDocuments);
+};
+
+KycOnboarding.prototype = {
+    /**
+     * KYC documents required by a user
+     * @param {Object}  user    User, or hash of PersonType and LegalPersonType
+     * @returns {Array}         KycDocumentTypes, in submission order
+     */
+    requiredDocuments: function (user) {
+        var key = user.PersonType === 'LEGAL' ? user.LegalPersonType : user.PersonType;
+        var required = this.options.requiredDocuments[key];
+
+        if (!required) {
+            throw new TypeError('No KYC documents known for the ' + [user.PersonType, user.LegalPersonType].join(' ') + ' users');
+        }
+        return required.slice();
+    },
+
+    /**
+     * Reads the KYC progress of a user
+     * @param {Object|string}   user    User or its Id
+     * @returns {Promise}   Resolves with {user, kycLevel, required, documents, missing, pending, refused, complete,
+     *                      regulatory, blockStatus}: documents maps each required type to its last document (null if
+     *                      none), missing lists the types to upload (again), refused the {type, document, reasonType,
+     *                      reasonMessage, hint} of the refused ones
+     */
+    status: function (user) {
+        var self = this;
+        var api = this._api;
+        var userId = _.isObject(user) ? user.Id : user;
+
+        return Promise.all([
+            _.isObject(user) && user.PersonType ? user : api.Users.get(userId),
+            api.Users.paginate('getKycDocuments', [userId]).toArray(),
+            this.options.regulatory ? api.Users.getRegulatory(userId) : null,
+            this.options.regulatory ? api.Users.getBlockStatus(userId) : null
+        ]).then(function (results) {
+            return self._report(results[0], results[1], results[2], results[3]);
+        });
+    },
+
+    /**
+     * Uploads a KYC document and asks for its validation
+     * @param {string}  userId  User identifier
+     * @param {string}  type    KycDocumentType
+     * @param {Array}   pages   Pages of the document: file paths, Buffers, streams or KycPages (base64 File),
+     *                          see Users.createKycPageFromFile
+     * @returns {Promise}       Resolves with the submitted document
+     */
+    submit: function (userId, type, pages) {
+        var api = this._api;
+        pages = _.isArray(pages) ? pages : [pages];
+
+        if (!pages.length || _.some(pages, _.isEmpty)) {
+            return Promise.reject(new errors.ValidationError('Invalid KYC document', {
+                errors: {pages: 'The ' + type + ' document needs at least one page, and no empty page'}
+            }));
+        }
+
+        return api.Users.createKycDocument(userId, _.pick({Type: type, Tag: this.options.tag}, _.identity)).then(function (document) {
+            // The pages are uploaded one after the other, in order
+            return _.reduce(pages, function (previous, page) {
+                return previous.then(function () {
+                    return createPage(api, userId, document.Id, page);
+                });
+            }, Promise.resolve()).then(function () {
+                return api.Users.updateKycDocument(userId, {Id: document.Id, Status: KycDocumentStatus.ValidationAsked});
+            });
+        });
+    },
+
+    /**
+     * Creates the user if needed, then submits its missing documents, in order
+     * @param {Object|string}   user    User or its Id, created with Users.create when it has no Id
+     * @param {Object}          files   Pages per KycDocumentType, see submit(). The missing types without pages are
+     *                                  left missing, the ones already pending or validated are not sent again
+     * @returns {Promise}       Resolves with the status() after the submissions, plus submitted: the sent documents
+     */
+    onboard: function (user, files) {
+        var self = this;
+        var api = this._api;
+        files = files || {};
+
+        var created = _.isObject(user) && !user.Id ? api.Users.create(user) : Promise.resolve(user);
+
+        return created.then(function (user) {
+            return self.status(user);
+        }).then(function (status) {
+            var submitted = [];
+            var types = _.filter(status.missing, function (type) {
+                return files[type];
+            });
+
+            return _.reduce(types, function (previous, type) {
+                return previous.then(function () {
+                    return self.submit(status.user.Id, type, files[type]).then(function (document) {
+                        submitted.push(document);
+                    });
+                });
+            }, Promise.resolve()).then(function () {
+                return submitted.length ? self.status(status.user) : status;
+            }).then(function (status) {
+                return _.extend(status, {submitted: submitted});
+            });
+        });
+    },
+
+    /**
+     * @private
+     */
+    _report: function (user, documents, regulatory, blockStatus) {
+        var required = this.requiredDocuments(user);
+        var latest = {};
+
+        _.each(documents, function (document) {
+            var current = latest[document.Type];
+            if (!current || document.CreationDate >= current.CreationDate) {
+                latest[document.Type] = document;
+            }
+        });
+
+        var byType = _.object(required, _.map(required, function (type) {
+            return latest[type] || null;
+        }));
+
+        var withStatus = function (statuses) {
+            return _.filter(required, function (type) {
+                return _.contains(statuses, byType[type] ? byType[type].Status : null);
+            });
+        };
+
+        return {
+            user: user,
+            kycLevel: user.KYCLevel,
+            required: required,
+            documents: byType,
+            missing: withStatus(TO_UPLOAD),
+            pending: withStatus([KycDocumentStatus.ValidationAsked]),
+            refused: _.map(withStatus([KycDocumentStatus.Refused]), function (type) {
+                var document = byType[type];
+                return {
+                    type: type,
+                    document: document,
+                    reasonType: document.RefusedReasonType,
+                    reasonMessage: document.RefusedReasonMessage,
+                    hint: REFUSED_REASONS[document.RefusedReasonType] || null
+                };
+            }),
+            complete: withStatus([KycDocumentStatus.Validated]).length === required.length,
+            regulatory: regulatory,
+            blockStatus: blockStatus
+        };
+    }
+};
+
+/**
+ * Uploads a page given as a file path, a Buffer, a stream or a KycPage
+ */
+function createPage(api, userId, documentId, page) {
+    if (_.isObject(page) && !Buffer.isBuffer(page) && !_.isFunction(page.pipe)) {
+        return api.Users.createKycPage(userId, documentId, page);
+    }
+    return api.Users.createKycPageFromFile(userId, documentId, page);
+}
+
+KycOnboarding.REQUIRED_DOCUMENTS = REQUIRED_DOCUMENTS;
+KycOnboarding.REFUSED_REASONS = REFUSED_REASONS;
+
+module.exports = KycOnboarding;
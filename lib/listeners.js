@@ -0,0 +1,36 @@
+var Promise = require('promise');
+var errors = require('./errors');
+
+/**
+ * Helpers shared by the request listeners of the SDK (webhooks and pay-in returns)
+ */
+module.exports = {
+    /**
+     * Reads the query parameters of an incoming request, req.query when parsed by the framework (express...)
+     * @param {Object}  req     Incoming request
+     * @returns {Promise}       Resolves with the hash of the parameters, rejects with a ValidationError when the
+     *                          url is malformed (ex: '//'), never throws
+     */
+    readQuery: function (req) {
+        return new Promise(function (resolve) {
+            resolve(req.query || Object.fromEntries(new URL(req.url, 'http://localhost').searchParams));
+        }).then(null, function (err) {
+            throw new errors.ValidationError('Invalid request url', {errors: {url: err.message}});
+        });
+    },
+
+    /**
+     * HTTP status answering a failure: 400 for a ValidationError, 404 for a NotFoundError
+     * @param {Error}   err
+     * @returns {number|null}   Null for the other failures
+     */
+    getStatusCode: function (err) {
+        if (err instanceof errors.ValidationError) {
+            return 400;
+        }
+        if (err instanceof errors.NotFoundError) {
+            return 404;
+        }
+        return null;
+    }
+};
@@ -1,9 +1,22 @@
+var _ = require('underscore');
+var apiMethods = require('./apiMethods');
+
 /**
  * Manage debug logs in MangoPay SDK
+ * Receives the entries of debugMode, already redacted (see lib/logger.js)
+ * The former calls, log(method, options) with the apiMethods key and the request options, are still accepted:
+ * they are logged as a 'Mangopay request' entry whose method field is the key.
+ * @param {string}  message     Entry message, ex: 'Mangopay response'
+ * @param {Object}  fields      Structured data of the entry: method, url, status, durationMs, data...
  */
-var Log = function() {
-    console.log(arguments);
+var Log = function(message, fields) {
+    if (_.has(apiMethods, message)) {
+        fields = _.extend({method: message}, fields);
+        message = 'Mangopay request';
+    }
+
+    console.log(message, fields);
 };
 
 
-module.exports = Log;
\ No newline at end of file
+module.exports = Log;
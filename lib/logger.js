@@ -0,0 +1,198 @@
+var _ = require('underscore');
+var rateLimits = require('./rateLimits');
+
+/**
+ * Fields never written to the logs, whatever their depth in the headers, parameters or bodies:
+ * credentials, card data (PCI DSS), bank details and the personal data collected for KYC
+ */
+var DEFAULT_REDACTED_FIELDS = [
+    // Credentials
+    'Authorization', 'Cookie', 'access_token', 'AccessKey', 'accessKeyRef', 'clientApiKey',
+    // Card data
+    'RegistrationData', 'PreregistrationData', 'cardNumber', 'cardExpirationDate', 'cardCvx', 'CardNumber',
+    'Cvx', 'ExpirationDate', 'CardHolderName', 'PaymentData', 'TokenData',
+    // Bank details
+    'IBAN', 'AccountNumber', 'BankingAliasIBAN',
+    // KYC
+    'FirstName', 'LastName', 'Email', 'Birthday', 'Birthplace', 'AddressLine1', 'AddressLine2', 'Phone',
+    'PhoneNumber', 'OwnerName', 'IpAddress', 'TaxNumber', 'File',
+    'LegalRepresentativeFirstName', 'LegalRepresentativeLastName', 'LegalRepresentativeEmail',
+    'LegalRepresentativeBirthday', 'HeadquartersPhoneNumber'
+];
+
+var REDACTED = '[REDACTED]';
+
+var LEVELS = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * Structured logs of the API requests: one entry per request, response, failure and retry.
+ *
+ * Entries are written to config.logger, any logger with debug, info, warn and error methods:
+ *  - pino, bunyan or console style loggers are called with logger[level](fields, message)
+ *  - winston loggers (detected by their transports) are called with logger.log({level, message, ...fields})
+ * Without config.logger, debugMode writes the entries to config.logClass(message, fields): custom logClass functions
+ * are no longer called with the former (method, options) arguments.
+ *
+ * Headers, parameters and bodies go through redact() first: the fields of config.logRedact
+ * (DEFAULT_REDACTED_FIELDS by default), matched case insensitively, are replaced by '[REDACTED]'.
+ *
+ * @param {Object}  config  SDK configuration
+ * @constructor
+ */
+var Logger = function (config) {
+    this.target = config.logger || (config.debugMode ? consoleTarget(config.logClass) : null);
+
+    this.redactedFields = {};
+    _.each(config.logRedact || DEFAULT_REDACTED_FIELDS, function (field) {
+        this.redactedFields[field.toLowerCase()] = true;
+    }, this);
+};
+
+Logger.prototype = {
+    /**
+     * Whether entries are written somewhere
+     * @returns {boolean}
+     */
+    isEnabled: function () {
+        return !!this.target;
+    },
+
+    /**
+     * Writes an entry
+     * @param {string}  level       debug, info, warn or error
+     * @param {string}  message     Entry message
+     * @param {Object}  fields      Structured data of the entry, already redacted
+     */
+    log: function (level, message, fields) {
+        if (!this.target) {
+            return;
+        }
+
+        fields = fields || {};
+
+        try {
+            // winston
+            if (this.target.transports && _.isFunction(this.target.log)) {
+                this.target.log(_.extend({}, fields, {level: level, message: message}));
+            } else {
+                this.target[level](fields, message);
+            }
+        } catch (err) {
+            // A failing logger must not fail the requests
+        }
+    },
+
+    /**
+     * Returns a deep copy of the value, without the redacted fields
+     * @param {*}   value   Headers, parameters or body
+     * @returns {*}
+     */
+    redact: function (value) {
+        var self = this;
+
+        if (_.isArray(value)) {
+            return _.map(value, function (item) {
+                return self.redact(item);
+            });
+        }
+
+        if (!_.isObject(value) || _.isFunction(value) || _.isDate(value) || Buffer.isBuffer(value)) {
+            return value;
+        }
+
+        var redacted = {};
+        _.each(_.keys(value), function (key) {
+            redacted[key] = self.redactedFields[key.toLowerCase()] ? REDACTED : self.redact(value[key]);
+        });
+        return redacted;
+    },
+
+    /**
+     * Middleware logging the request sent, then its response or failure, with the latency and the rate limits.
+     * It runs after the configured middlewares, so the entries show what is actually sent and received.
+     * @param {Object}      context     Request context, see lib/middlewares.js
+     * @param {Function}    next        Sends the request
+     * @returns {Promise}   The response
+     */
+    logRequest: function (context, next) {
+        var self = this;
+        var startTime = Date.now();
+        var request = {
+            method: context.method,
+            httpMethod: context.httpMethod,
+            url: context.url
+        };
+
+        self.log('debug', 'Mangopay request', _.extend({}, request, {
+            headers: self.redact(context.options.headers),
+            parameters: self.redact(context.options.parameters),
+            data: self.redact(context.options.data)
+        }));
+
+        return next().then(function (response) {
+            self.log('debug', 'Mangopay response', _.extend({}, request, {
+                status: response.status,
+                durationMs: Date.now() - startTime,
+                rateLimits: rateLimitsOf(response.headers),
+                data: self.redact(response.data)
+            }));
+            return response;
+        }, function (err) {
+            var status = err && err.status;
+
+            self.log(status && status < 500 ? 'warn' : 'error', 'Mangopay request failed', _.extend({}, request, {
+                status: status || null,
+                durationMs: Date.now() - startTime,
+                rateLimits: rateLimitsOf(err && err.headers),
+                error: {
+                    name: err && err.name,
+                    message: err && err.message,
+                    type: (err && err.Type) || null,
+                    id: (err && err.id) || null
+                },
+                data: self.redact(err && err.body)
+            }));
+            throw err;
+        });
+    }
+};
+
+_.each(LEVELS, function (level) {
+    /**
+     * Writes an entry at this level
+     * @param {string}  message
+     * @param {Object}  fields
+     */
+    Logger.prototype[level] = function (message, fields) {
+        this.log(level, message, fields);
+    };
+});
+
+Logger.DEFAULT_REDACTED_FIELDS = DEFAULT_REDACTED_FIELDS;
+
+/**
+ * Logger writing every level to the logClass of the configuration
+ * @param {Function}    logClass    function(message, fields)
+ * @returns {Object}
+ */
+function consoleTarget(logClass) {
+    var target = {};
+    _.each(LEVELS, function (level) {
+        target[level] = function (fields, message) {
+            logClass(message, fields);
+        };
+    });
+    return target;
+}
+
+/**
+ * Rate limit state of a response, as logged
+ * @param {Object}  headers     Response headers
+ * @returns {Array|null}
+ */
+function rateLimitsOf(headers) {
+    var parsed = rateLimits.parse(headers);
+    return parsed && parsed.length ? parsed : null;
+}
+
+module.exports = Logger;
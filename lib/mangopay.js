@@ -1,8 +1,29 @@
 var _ = require('underscore');
 var api = require('./api');
+var errors = require('./errors');
 
 _.extend(api.prototype, {
     Log: require('./log')
 });
 
+// Error classes, ex: mangopay.ValidationError
+_.extend(api, _.omit(errors, 'fromHttpError'));
+
+api.WebhookHandler = require('./webhooks');
+api.MockServer = require('./mockServer');
+api.Logger = require('./logger');
+api.PayoutBatch = require('./payoutBatch');
+api.ThreeDSecure = require('./threeDSecure');
+api.PayInReturnHandler = require('./payInReturn');
+api.RecurringPayInEngine = require('./recurringPayIns');
+api.KycOnboarding = require('./kycOnboarding');
+api.UboDeclarationBuilder = require('./uboDeclarationBuilder');
+api.RecipientBuilder = require('./recipientBuilder');
+api.ScaHandler = require('./sca');
+api.WaitTimeoutError = require('./polling').WaitTimeoutError;
+api.ReportDownload = require('./reportDownload');
+
+// Token stores, ex: new mangopay.FileTokenStore('/tmp/mangopay-token.json')
+_.extend(api, require('./tokenStores'));
+
 module.exports = api;
\ No newline at end of file
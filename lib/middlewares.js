@@ -0,0 +1,63 @@
+var Promise = require('promise');
+
+/**
+ * Middlewares wrap the requests sent by an SDK instance, in the order they were added:
+ * the first one added is the outermost.
+ *
+ * A middleware is a function(context, next):
+ *  - before calling next(), it can inspect and alter the outgoing request: context.url and
+ *    context.options (headers, data, parameters)
+ *  - next() sends the request (through the next middlewares) and returns a promise of the HTTP response
+ *    ({status, headers, data}), rejected with a MangopayApiError when the request fails
+ *  - it returns the response, a promise of it, or a replacement response. Resolving with undefined keeps
+ *    the response of next(). Throwing, or returning a rejected promise, fails the request with that error.
+ *
+ * The context holds:
+ *  - api: the SDK instance
+ *  - method: apiMethods key of the request (ex: 'payins_card-direct_create'), or the HTTP method of manual requests
+ *  - httpMethod: GET, POST, PUT or DELETE
+ *  - url: url of the request, relative to the baseUrl
+ *  - options: request options (headers, data, parameters, path, dataClass...)
+ *  - response: HTTP response, once received
+ *  - state: free storage shared by the middlewares of a request
+ *
+ * OAuth token requests don't go through the middlewares. Retries happen within next(): a request
+ * replayed after a transient failure goes through the middlewares once.
+ *
+ * @param {Array}       middlewares     List of function(context, next)
+ * @param {Object}      context         Request context
+ * @param {Function}    send            Sends the request, returns a promise of the response
+ * @returns {Promise}                   Resolves with the response of the outermost middleware
+ */
+function run(middlewares, context, send) {
+    function dispatch(index) {
+        if (index === middlewares.length) {
+            return Promise.resolve().then(send).then(keepResponse);
+        }
+
+        var nextCalled = false;
+
+        return new Promise(function (resolve) {
+            resolve(middlewares[index](context, function next() {
+                if (nextCalled) {
+                    return Promise.reject(new Error('next() called multiple times by the same middleware'));
+                }
+                nextCalled = true;
+                return dispatch(index + 1);
+            }));
+        }).then(keepResponse);
+    }
+
+    function keepResponse(response) {
+        if (response !== undefined) {
+            context.response = response;
+        }
+        return context.response;
+    }
+
+    return dispatch(0);
+}
+
+module.exports = {
+    run: run
+};
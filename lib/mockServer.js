@@ -0,0 +1,1238 @@
+var http = require('http');
+var querystring = require('querystring');
+var _ = require('underscore');
+var Promise = require('promise');
+var apiMethods = require('./apiMethods');
+
+/**
+ * Rate limit windows reported in the x-ratelimit headers, in minutes
+ */
+var RATE_LIMIT_WINDOWS = [15, 30, 60, 60 * 24];
+
+/**
+ * PaymentType and ExecutionType of the pay-ins, per apiMethods key
+ */
+var PAYIN_TYPES = {
+    'payins_card-web_create': ['CARD', 'WEB'],
+    'payins_card-direct_create': ['CARD', 'DIRECT'],
+    'payins_preauthorized-direct_create': ['PREAUTHORIZED', 'DIRECT'],
+    'payins_bankwire-direct_create': ['BANK_WIRE', 'DIRECT'],
+    'payins_directdebit-web_create': ['DIRECT_DEBIT', 'WEB'],
+    'payins_directdebit-direct_create': ['DIRECT_DEBIT', 'DIRECT'],
+    'payins_paypal-web_create': ['PAYPAL', 'WEB'],
+    'payins_paypal-web_create_v2': ['PAYPAL', 'WEB'],
+    'payins_applepay-direct_create': ['APPLEPAY', 'DIRECT'],
+    'payins_googlepay-direct_create': ['GOOGLE_PAY', 'DIRECT'],
+    'payins_googlepay-direct_create_v2': ['GOOGLE_PAY', 'DIRECT'],
+    'payins_create_recurring_card_direct': ['CARD', 'DIRECT'],
+    'payins_create_recurring_paypal': ['PAYPAL', 'WEB'],
+    'payins_payconiq-web_create': ['PAYCONIQ', 'WEB'],
+    'payins_payconiqv2-web_create': ['PAYCONIQ', 'WEB'],
+    'payins_create_card_pre_authorized_deposit': ['CARD', 'DIRECT'],
+    'payins_deposit_preauthorized_prior_to_complement': ['CARD', 'DIRECT'],
+    'payins_deposit_preauthorized_complement': ['CARD', 'DIRECT'],
+    'payins_mbway-web_create': ['MBWAY', 'WEB'],
+    'payins_multibanco-web_create': ['MULTIBANCO', 'WEB'],
+    'payins_satispay-web_create': ['SATISPAY', 'WEB'],
+    'payins_blik-web_create': ['BLIK', 'WEB'],
+    'payins_klarna-web_create': ['KLARNA', 'WEB'],
+    'payins_ideal-web_create': ['IDEAL', 'WEB'],
+    'payins_giropay-web_create': ['GIROPAY', 'WEB'],
+    'payins_bcmc-web_create': ['BCMC', 'WEB'],
+    'payins_swish-web_create': ['SWISH', 'WEB'],
+    'payins_twint-web_create': ['TWINT', 'WEB'],
+    'payins_paybybank-web_create': ['PAY_BY_BANK', 'WEB']
+};
+
+/**
+ * Query parameters driving the lists, not used as filters
+ */
+var LIST_PARAMETERS = ['page', 'per_page', 'Sort', 'BeforeDate', 'AfterDate'];
+
+/**
+ * In-process Mangopay API, keeping users, wallets, bank accounts, pay-ins, transfers, payouts, refunds
+ * and disputes in memory, so that the SDK can be tested without network:
+ *
+ *     var server = new mangopay.MockServer();
+ *     server.start().then(function (baseUrl) {
+ *         var api = new mangopay({clientId: 'my-client', clientApiKey: 'my-key', baseUrl: baseUrl});
+ *     });
+ *
+ * Every route of apiMethods is served: the resources above behave like the API (balances, statuses,
+ * validation errors), the other routes keep what is posted to them and return it by id.
+ * Responses carry the x-ratelimit headers, requests beyond the limits are answered with 429.
+ *
+ * @param {Object}  options     Hash of:
+ *                              - clientId, clientApiKey: credentials accepted by /oauth/token (any when not set)
+ *                              - tokenLifetime: lifetime of the OAuth tokens (in seconds, default 3600)
+ *                              - rateLimits: calls allowed per 15 minutes, 30 minutes, hour and day
+ *                              - perPage: default page size of the lists (default 10)
+ * @constructor
+ */
+var MockServer = function (options) {
+    this.options = _.extend({
+        clientId: null,
+        clientApiKey: null,
+        tokenLifetime: 3600,
+        rateLimits: [2300, 4500, 8800, 105600],
+        perPage: 10
+    }, options);
+    this.baseUrl = null;
+    this._server = null;
+    this._routes = buildRoutes();
+    this.reset();
+};
+
+MockServer.prototype = {
+    /**
+     * Starts listening on localhost
+     * @param {number}  port    Port to listen to, a free one by default
+     * @returns {Promise}       Resolves with the baseUrl to give to the SDK
+     */
+    start: function (port) {
+        var self = this;
+
+        return new Promise(function (resolve, reject) {
+            self._server = http.createServer(self.listener());
+            self._server.on('error', reject);
+            self._server.listen(port || 0, '127.0.0.1', function () {
+                self.baseUrl = 'http://127.0.0.1:' + self._server.address().port;
+                resolve(self.baseUrl);
+            });
+        });
+    },
+
+    /**
+     * Stops listening
+     * @returns {Promise}
+     */
+    stop: function () {
+        var server = this._server;
+        this._server = null;
+
+        return new Promise(function (resolve) {
+            if (!server) {
+                return resolve();
+            }
+            server.close(function () {
+                resolve();
+            });
+            // Keep-alive connections would delay the close
+            if (server.closeAllConnections) {
+                server.closeAllConnections();
+            }
+        });
+    },
+
+    /**
+     * Forgets all the resources, tokens and calls
+     */
+    reset: function () {
+        this.store = {
+            users: {},
+            wallets: {},
+            bankAccounts: {},
+            transactions: {},
+            disputes: {},
+            resources: {}
+        };
+        this.requests = [];
+        this._tokens = {};
+        this._calls = [];
+        this._idempotency = {};
+        this._sequence = 100000;
+    },
+
+    /**
+     * Plain node http request listener, to mount the mock in an existing server
+     * @returns {Function}  function(req, res)
+     */
+    listener: function () {
+        var self = this;
+
+        return function (req, res) {
+            var chunks = [];
+            req.on('data', function (chunk) {
+                chunks.push(chunk);
+            });
+            req.on('end', function () {
+                self._dispatch(req, Buffer.concat(chunks).toString('utf8'), res);
+            });
+        };
+    },
+
+    /**
+     * Opens a dispute on a pay-in, like a cardholder would, and debits the disputed funds (repudiation)
+     * @param {string}  payInId     Id of the disputed pay-in
+     * @param {Object}  dispute     Dispute properties overriding the defaults (DisputeType, DisputeReason...)
+     * @returns {Object}            The dispute
+     */
+    createDispute: function (payInId, dispute) {
+        var payIn = this._findTransaction(payInId, {Type: 'PAYIN'});
+        var wallet = this.store.wallets[payIn.CreditedWalletId];
+        var now = timestamp();
+
+        var repudiation = this._addTransaction({
+            AuthorId: payIn.AuthorId,
+            DebitedWalletId: wallet.Id,
+            DebitedFunds: _.clone(payIn.DebitedFunds),
+            CreditedFunds: _.clone(payIn.DebitedFunds),
+            Fees: money(payIn.DebitedFunds.Currency, 0),
+            Status: 'SUCCEEDED',
+            ExecutionDate: now,
+            Type: 'PAYOUT',
+            Nature: 'REPUDIATION',
+            InitialTransactionId: payIn.Id,
+            InitialTransactionType: 'PAYIN'
+        });
+        // Repudiations are debited even when the balance becomes negative
+        wallet.Balance.Amount -= payIn.DebitedFunds.Amount;
+
+        var created = _.extend({
+            Id: this._nextId(),
+            Tag: null,
+            CreationDate: now,
+            InitialTransactionId: payIn.Id,
+            InitialTransactionType: 'PAYIN',
+            InitialTransactionNature: 'REGULAR',
+            DisputeType: 'CONTESTABLE',
+            DisputeReason: {DisputeReasonType: 'FRAUD', DisputeReasonMessage: null},
+            DisputedFunds: _.clone(payIn.DebitedFunds),
+            ContestedFunds: null,
+            Status: 'PENDING_CLIENT_ACTION',
+            StatusMessage: null,
+            ResultCode: null,
+            ResultMessage: null,
+            ContestDeadlineDate: now + 7 * 24 * 3600,
+            RepudiationId: repudiation.Id
+        }, dispute);
+
+        repudiation.DisputeId = created.Id;
+        this.store.disputes[created.Id] = created;
+        return created;
+    },
+
+    /**
+     * Completes a pending pay-in or payout, like the payment network would.
+     * A succeeded pay-in credits its wallet, a failed payout gives the funds back.
+     * @param {string}  transactionId   Id of the transaction
+     * @param {string}  status          SUCCEEDED or FAILED
+     * @param {string}  resultCode      Result code of a failure (default 001999, generic error)
+     * @returns {Object}                The transaction
+     */
+    setTransactionStatus: function (transactionId, status, resultCode) {
+        var transaction = this._findTransaction(transactionId, {});
+
+        if (transaction.Status !== 'CREATED') {
+            throw new Error('Transaction ' + transactionId + ' is already ' + transaction.Status);
+        }
+
+        setResult(transaction, status, resultCode || '001999', 'Generic Operation error');
+
+        if (transaction.Type === 'PAYIN' && status === 'SUCCEEDED') {
+            this.store.wallets[transaction.CreditedWalletId].Balance.Amount += transaction.CreditedFunds.Amount;
+        }
+        if (transaction.Type === 'PAYOUT' && status === 'FAILED') {
+            this.store.wallets[transaction.DebitedWalletId].Balance.Amount += transaction.DebitedFunds.Amount;
+        }
+
+        return transaction;
+    },
+
+    /**
+     * Routes a request and writes the response
+     * @private
+     */
+    _dispatch: function (req, rawBody, res) {
+        var url;
+
+        try {
+            url = new URL(req.url, 'http://localhost');
+        } catch (err) {
+            var error = invalid({url: 'The request url is invalid.'});
+            return writeJson(res, error.status, error.toJSON(), error.headers);
+        }
+
+        var path = url.pathname.replace(/\/+$/, '');
+        var request = {
+            method: req.method,
+            path: path,
+            query: Object.fromEntries(url.searchParams),
+            headers: req.headers,
+            body: parseBody(rawBody, req.headers['content-type'])
+        };
+        var headers = {};
+        var status = 200;
+        var idempotencyKey = req.method === 'POST' && req.headers['idempotency-key'];
+        var handled = false;
+        var body;
+
+        // Payment page of the web pay-ins: completes the pay-in and redirects to its ReturnURL
+        var redirect = /^\/redirect\/payins\/([^/]+)$/.exec(path);
+        if (redirect && req.method === 'GET') {
+            return this._completeWebPayIn(redirect[1], request.query.status, res);
+        }
+
+        var route = _.find(this._routes, function (candidate) {
+            return candidate.method === req.method && candidate.pattern.test(path);
+        });
+        request.key = route ? route.key : null;
+        this.requests.push(_.pick(request, 'method', 'path', 'query', 'headers', 'body', 'key'));
+
+        try {
+            if (!route) {
+                throw new MockError(404, 'The requested route does not exist', 'ressource_not_found');
+            }
+
+            request.route = route;
+            request.params = _.object(route.names, _.map(route.pattern.exec(path).slice(1), decodeURIComponent));
+
+            if (route.key === 'authentication_oauth') {
+                body = this._issueToken(request);
+            } else {
+                this._authenticate(request);
+                _.extend(headers, this._countCall());
+
+                // Requests sent again with the same Idempotency-Key get the first response
+                var replay = idempotencyKey && this._idempotency[idempotencyKey];
+                if (replay) {
+                    status = replay.StatusCode;
+                    body = replay.Resource;
+                } else {
+                    handled = true;
+                    body = this._handle(request);
+                }
+
+                if (_.isArray(body)) {
+                    var page = paginate(body, request.query, this.options.perPage);
+                    body = page.items;
+                    _.extend(headers, page.headers);
+                }
+            }
+        } catch (err) {
+            if (!(err instanceof MockError)) {
+                err = new MockError(500, err.message, 'internal_error');
+            }
+            status = err.status;
+            body = err.toJSON();
+            _.extend(headers, err.headers);
+        }
+
+        if (idempotencyKey && handled) {
+            this._idempotency[idempotencyKey] = {
+                StatusCode: status,
+                Date: timestamp(),
+                RequestURL: this.baseUrl + req.url,
+                // Snapshot, the resource may change afterwards
+                Resource: body === undefined ? undefined : JSON.parse(JSON.stringify(body))
+            };
+        }
+
+        if (body === undefined) {
+            res.writeHead(204, headers);
+            return res.end();
+        }
+
+        writeJson(res, status, body, headers);
+    },
+
+    /**
+     * Runs the handler of a route, or the generic one
+     * @private
+     */
+    _handle: function (request) {
+        var handler = HANDLERS[request.key];
+        if (!handler && PAYIN_TYPES[request.key]) {
+            handler = createPayIn;
+        }
+        return (handler || genericHandler).call(this, request);
+    },
+
+    /**
+     * POST /oauth/token
+     * @private
+     */
+    _issueToken: function (request) {
+        var credentials = Buffer.from(String(request.headers.authorization || '').replace(/^Basic /, ''), 'base64')
+            .toString('utf8').split(':');
+        var options = this.options;
+
+        if (credentials.length !== 2 || !credentials[0] ||
+            (options.clientId && credentials[0] !== options.clientId) ||
+            (options.clientApiKey && credentials[1] !== options.clientApiKey)) {
+            throw new MockError(401, null, null, null, {error: 'invalid_client', error_description: 'Client authentication failed'});
+        }
+
+        var accessToken = 'mock' + this._nextId() + Math.random().toString(36).slice(2);
+        this._tokens[accessToken] = {
+            clientId: credentials[0],
+            expiresAt: Date.now() + options.tokenLifetime * 1000
+        };
+
+        return {access_token: accessToken, token_type: 'Bearer', expires_in: options.tokenLifetime};
+    },
+
+    /**
+     * Checks the Bearer token of a request
+     * @private
+     */
+    _authenticate: function (request) {
+        var accessToken = String(request.headers.authorization || '').replace(/^Bearer /, '');
+        var token = this._tokens[accessToken];
+
+        if (!token || token.expiresAt < Date.now() ||
+            (request.params.clientId && request.params.clientId !== token.clientId)) {
+            throw new MockError(401, 'Authorization has been denied for this request.', 'forbidden_ressource');
+        }
+    },
+
+    /**
+     * Counts a call in every rate limit window
+     * @private
+     * @returns {Object}    The x-ratelimit headers
+     */
+    _countCall: function () {
+        var now = Date.now();
+        var limits = this.options.rateLimits;
+        var calls = this._calls = _.filter(this._calls, function (time) {
+            return time > now - RATE_LIMIT_WINDOWS[RATE_LIMIT_WINDOWS.length - 1] * 60000;
+        });
+
+        var windows = _.map(RATE_LIMIT_WINDOWS, function (minutes, i) {
+            var inWindow = _.filter(calls, function (time) {
+                return time > now - minutes * 60000;
+            });
+            return {
+                made: inWindow.length,
+                limit: limits[i],
+                // The window frees a call when its oldest call expires
+                reset: Math.floor(((inWindow.length ? inWindow[0] : now) + minutes * 60000) / 1000)
+            };
+        });
+
+        var exhausted = _.some(windows, function (window) {
+            return window.made >= window.limit;
+        });
+        if (!exhausted) {
+            calls.push(now);
+            _.each(windows, function (window) {
+                window.made++;
+            });
+        }
+
+        var headers = {
+            'x-ratelimit': _.pluck(windows, 'made').join(','),
+            'x-ratelimit-remaining': _.map(windows, function (window) {
+                return Math.max(0, window.limit - window.made);
+            }).join(','),
+            'x-ratelimit-reset': _.pluck(windows, 'reset').join(',')
+        };
+
+        if (exhausted) {
+            throw new MockError(429, 'Too many requests', 'too_many_requests', null, null, headers);
+        }
+
+        return headers;
+    },
+
+    /**
+     * GET /redirect/payins/{id}?status=FAILED
+     * @private
+     */
+    _completeWebPayIn: function (payInId, status, res) {
+        var payIn = this.store.transactions[payInId];
+
+        if (!payIn || payIn.Type !== 'PAYIN') {
+            res.writeHead(404);
+            return res.end();
+        }
+        // The payment page itself is no place to return the user to
+        if (!payIn.ReturnURL) {
+            var error = invalid({ReturnURL: 'The ReturnURL field is required.'});
+            return writeJson(res, error.status, error.toJSON(), error.headers);
+        }
+        if (payIn.Status === 'CREATED') {
+            this.setTransactionStatus(payIn.Id, status === 'FAILED' ? 'FAILED' : 'SUCCEEDED', '101001');
+        }
+
+        var returnUrl = payIn.ReturnURL;
+        res.writeHead(302, {Location: returnUrl + (returnUrl.indexOf('?') === -1 ? '?' : '&') + 'transactionId=' + payIn.Id});
+        res.end();
+    },
+
+    /**
+     * @private
+     */
+    _nextId: function () {
+        return String(++this._sequence);
+    },
+
+    /**
+     * Saves a transaction, with the common properties
+     * @private
+     */
+    _addTransaction: function (transaction) {
+        var now = timestamp();
+        transaction = _.extend({
+            Id: this._nextId(),
+            Tag: null,
+            CreationDate: now,
+            AuthorId: null,
+            CreditedUserId: null,
+            DebitedFunds: null,
+            CreditedFunds: null,
+            Fees: null,
+            Status: 'SUCCEEDED',
+            ResultCode: null,
+            ResultMessage: null,
+            ExecutionDate: null,
+            Type: null,
+            Nature: 'REGULAR',
+            CreditedWalletId: null,
+            DebitedWalletId: null
+        }, transaction);
+
+        this.store.transactions[transaction.Id] = transaction;
+        return transaction;
+    },
+
+    /**
+     * Returns a transaction matching the given properties, throws a 404 otherwise
+     * @private
+     */
+    _findTransaction: function (id, properties) {
+        var transaction = this.store.transactions[id];
+        if (!transaction || !_.isMatch(transaction, properties)) {
+            throw notFound(id);
+        }
+        return transaction;
+    },
+
+    /**
+     * @private
+     */
+    _findUser: function (id, personType) {
+        var user = this.store.users[id];
+        if (!user || (personType && user.PersonType !== personType)) {
+            throw notFound(id);
+        }
+        return user;
+    },
+
+    /**
+     * @private
+     */
+    _findWallet: function (id) {
+        var wallet = this.store.wallets[id];
+        if (!wallet) {
+            throw notFound(id);
+        }
+        return wallet;
+    },
+
+    /**
+     * Returns a wallet referenced by a request body, throws a 400 when it doesn't exist or doesn't match the currency
+     * @private
+     */
+    _getBodyWallet: function (body, field, currency) {
+        var wallet = this.store.wallets[body[field]];
+        var fieldErrors = {};
+
+        if (!wallet) {
+            fieldErrors[field] = 'The wallet does not exist';
+        } else if (currency && wallet.Currency !== currency) {
+            fieldErrors[field] = 'The currency of the wallet is not ' + currency;
+        }
+        if (!_.isEmpty(fieldErrors)) {
+            throw invalid(fieldErrors);
+        }
+        return wallet;
+    },
+
+    /**
+     * Refunds a pay-in or a transfer: the credited wallet gives the funds back, the fees being reimbursed
+     * from the platform when Fees is negative
+     * @private
+     */
+    _refund: function (initial, body) {
+        var debitedFunds = body.DebitedFunds || _.clone(initial.DebitedFunds);
+        var fees = body.Fees || money(initial.Fees.Currency, -initial.Fees.Amount);
+
+        validateMoney(debitedFunds, 'DebitedFunds');
+        validateMoney(fees, 'Fees');
+
+        if (initial.Status !== 'SUCCEEDED') {
+            throw invalid({InitialTransactionId: 'The initial transaction is not successful'});
+        }
+
+        var source = this.store.wallets[initial.CreditedWalletId];
+        var destination = initial.Type === 'TRANSFER' ? this.store.wallets[initial.DebitedWalletId] : null;
+        var refund = this._addTransaction({
+            AuthorId: body.AuthorId || initial.AuthorId,
+            CreditedUserId: initial.Type === 'TRANSFER' ? initial.AuthorId : null,
+            DebitedFunds: debitedFunds,
+            CreditedFunds: _.clone(debitedFunds),
+            Fees: fees,
+            Tag: body.Tag || null,
+            Type: initial.Type === 'TRANSFER' ? 'TRANSFER' : 'PAYOUT',
+            Nature: 'REFUND',
+            DebitedWalletId: source.Id,
+            CreditedWalletId: destination ? destination.Id : null,
+            InitialTransactionId: initial.Id,
+            InitialTransactionType: initial.Type,
+            RefundReason: {RefundReasonType: 'INITIALIZED_BY_CLIENT', RefundReasonMessage: null}
+        });
+
+        var amount = debitedFunds.Amount + fees.Amount;
+        if (source.Balance.Amount < amount) {
+            setResult(refund, 'FAILED', '001001', 'Unsufficient wallet balance');
+            return refund;
+        }
+
+        source.Balance.Amount -= amount;
+        if (destination) {
+            destination.Balance.Amount += debitedFunds.Amount;
+        }
+        setResult(refund, 'SUCCEEDED');
+        return refund;
+    }
+};
+
+/**
+ * Route handlers, per apiMethods key. They are called with the server as this and the request
+ * ({method, path, params, query, headers, body}), and return the response body:
+ * arrays are filtered and paginated from the query parameters, undefined is answered with 204.
+ */
+var HANDLERS = {
+    'users_createnaturals': createUser('NATURAL', ['FirstName', 'LastName', 'Email']),
+    'users_createnaturals_sca': createUser('NATURAL', ['FirstName', 'LastName', 'Email']),
+    'users_createlegals': createUser('LEGAL', ['Name', 'LegalPersonType', 'Email']),
+    'users_createlegals_sca': createUser('LEGAL', ['Name', 'LegalPersonType', 'Email']),
+
+    'users_get': function (request) {
+        return this._findUser(request.params.id);
+    },
+    'users_get_sca': function (request) {
+        return this._findUser(request.params.id);
+    },
+    'users_getnaturals': function (request) {
+        return this._findUser(request.params.id, 'NATURAL');
+    },
+    'users_getnaturals_sca': function (request) {
+        return this._findUser(request.params.id, 'NATURAL');
+    },
+    'users_getlegals': function (request) {
+        return this._findUser(request.params.id, 'LEGAL');
+    },
+    'users_getlegals_sca': function (request) {
+        return this._findUser(request.params.id, 'LEGAL');
+    },
+
+    'users_savenaturals': saveUser('NATURAL'),
+    'users_savenaturals_sca': saveUser('NATURAL'),
+    'users_savelegals': saveUser('LEGAL'),
+    'users_savelegals_sca': saveUser('LEGAL'),
+
+    'users_close_natural': closeUser('NATURAL'),
+    'users_close_legal': closeUser('LEGAL'),
+
+    'users_all': function () {
+        return _.values(this.store.users);
+    },
+
+    'users_allwallets': function (request) {
+        var userId = this._findUser(request.params.id).Id;
+        return _.filter(this.store.wallets, function (wallet) {
+            return _.contains(wallet.Owners, userId);
+        });
+    },
+
+    'users_alltransactions': function (request) {
+        var userId = this._findUser(request.params.id).Id;
+        return _.filter(this.store.transactions, function (transaction) {
+            return transaction.AuthorId === userId || transaction.CreditedUserId === userId;
+        });
+    },
+
+    'users_createbankaccounts_iban': createBankAccount('IBAN', ['IBAN']),
+    'users_createbankaccounts_gb': createBankAccount('GB', ['AccountNumber', 'SortCode']),
+    'users_createbankaccounts_us': createBankAccount('US', ['AccountNumber', 'ABA']),
+    'users_createbankaccounts_ca': createBankAccount('CA', ['BankName', 'InstitutionNumber', 'BranchCode', 'AccountNumber']),
+    'users_createbankaccounts_other': createBankAccount('OTHER', ['Country', 'BIC', 'AccountNumber']),
+
+    'users_allbankaccount': function (request) {
+        var userId = this._findUser(request.params.id).Id;
+        return _.where(_.values(this.store.bankAccounts), {UserId: userId});
+    },
+
+    'users_getbankaccount': function (request) {
+        return findBankAccount(this, request.params.id, request.params.bankAccountId);
+    },
+
+    'users_deactivate_bankaccount': function (request) {
+        var bankAccount = findBankAccount(this, request.params.id, request.params.bankAccountId);
+        if (request.body.Active === false) {
+            bankAccount.Active = false;
+        }
+        return bankAccount;
+    },
+
+    'wallets_create': function (request) {
+        var body = request.body;
+        var self = this;
+
+        validateRequired(body, ['Owners', 'Currency', 'Description']);
+        var unknownOwners = _.reject(body.Owners, function (ownerId) {
+            return self.store.users[ownerId];
+        });
+        if (unknownOwners.length) {
+            throw invalid({Owners: 'The user ' + unknownOwners[0] + ' does not exist'});
+        }
+
+        var wallet = _.extend(_.pick(body, 'Owners', 'Currency', 'Description', 'Tag'), {
+            Id: this._nextId(),
+            CreationDate: timestamp(),
+            Balance: money(body.Currency, 0),
+            FundsType: 'DEFAULT'
+        });
+        this.store.wallets[wallet.Id] = wallet;
+        return wallet;
+    },
+
+    'wallets_get': function (request) {
+        return this._findWallet(request.params.id);
+    },
+
+    'wallets_save': function (request) {
+        return _.extend(this._findWallet(request.params.id), _.pick(request.body, 'Description', 'Tag'));
+    },
+
+    'wallets_alltransactions': function (request) {
+        var walletId = this._findWallet(request.params.id).Id;
+        return _.filter(this.store.transactions, function (transaction) {
+            return transaction.CreditedWalletId === walletId || transaction.DebitedWalletId === walletId;
+        });
+    },
+
+    'payins_get': function (request) {
+        return this._findTransaction(request.params.id, {Type: 'PAYIN', Nature: 'REGULAR'});
+    },
+
+    'payins_createrefunds': function (request) {
+        return this._refund(this._findTransaction(request.params.id, {Type: 'PAYIN', Nature: 'REGULAR'}), request.body);
+    },
+
+    'transfers_create': function (request) {
+        var body = request.body;
+
+        validateRequired(body, ['AuthorId', 'DebitedFunds', 'Fees', 'DebitedWalletId', 'CreditedWalletId']);
+        validateMoney(body.DebitedFunds, 'DebitedFunds');
+        validateMoney(body.Fees, 'Fees');
+
+        var debitedWallet = this._getBodyWallet(body, 'DebitedWalletId', body.DebitedFunds.Currency);
+        var creditedWallet = this._getBodyWallet(body, 'CreditedWalletId', body.DebitedFunds.Currency);
+
+        var transfer = this._addTransaction({
+            AuthorId: body.AuthorId,
+            CreditedUserId: body.CreditedUserId || creditedWallet.Owners[0],
+            DebitedFunds: body.DebitedFunds,
+            CreditedFunds: money(body.DebitedFunds.Currency, body.DebitedFunds.Amount - body.Fees.Amount),
+            Fees: body.Fees,
+            Tag: body.Tag || null,
+            Type: 'TRANSFER',
+            DebitedWalletId: debitedWallet.Id,
+            CreditedWalletId: creditedWallet.Id
+        });
+
+        if (debitedWallet.Balance.Amount < body.DebitedFunds.Amount) {
+            setResult(transfer, 'FAILED', '001001', 'Unsufficient wallet balance');
+            return transfer;
+        }
+
+        debitedWallet.Balance.Amount -= body.DebitedFunds.Amount;
+        creditedWallet.Balance.Amount += transfer.CreditedFunds.Amount;
+        setResult(transfer, 'SUCCEEDED');
+        return transfer;
+    },
+
+    'transfers_get': function (request) {
+        return this._findTransaction(request.params.id, {Type: 'TRANSFER', Nature: 'REGULAR'});
+    },
+
+    'transfers_createrefunds': function (request) {
+        return this._refund(this._findTransaction(request.params.id, {Type: 'TRANSFER', Nature: 'REGULAR'}), request.body);
+    },
+
+    'payouts_bankwire_create': function (request) {
+        var body = request.body;
+
+        validateRequired(body, ['AuthorId', 'DebitedFunds', 'Fees', 'DebitedWalletId', 'BankAccountId']);
+        validateMoney(body.DebitedFunds, 'DebitedFunds');
+        validateMoney(body.Fees, 'Fees');
+
+        var wallet = this._getBodyWallet(body, 'DebitedWalletId', body.DebitedFunds.Currency);
+        var bankAccount = this.store.bankAccounts[body.BankAccountId];
+        if (!bankAccount || !bankAccount.Active) {
+            throw invalid({BankAccountId: 'The bank account does not exist or is inactive'});
+        }
+
+        var payOut = this._addTransaction({
+            AuthorId: body.AuthorId,
+            DebitedFunds: body.DebitedFunds,
+            CreditedFunds: money(body.DebitedFunds.Currency, body.DebitedFunds.Amount - body.Fees.Amount),
+            Fees: body.Fees,
+            Tag: body.Tag || null,
+            Status: 'CREATED',
+            Type: 'PAYOUT',
+            DebitedWalletId: wallet.Id,
+            BankAccountId: bankAccount.Id,
+            BankWireRef: body.BankWireRef || null,
+            PaymentType: 'BANK_WIRE',
+            PayoutModeRequested: body.PayoutModeRequested || 'STANDARD'
+        });
+
+        if (wallet.Balance.Amount < body.DebitedFunds.Amount) {
+            setResult(payOut, 'FAILED', '001001', 'Unsufficient wallet balance');
+            return payOut;
+        }
+
+        // The funds leave the wallet when the payout is created
+        wallet.Balance.Amount -= body.DebitedFunds.Amount;
+        return payOut;
+    },
+
+    'payouts_bankwire_get': function (request) {
+        return this._findTransaction(request.params.id, {Type: 'PAYOUT', Nature: 'REGULAR'});
+    },
+
+    'payouts_get': function (request) {
+        return this._findTransaction(request.params.id, {Type: 'PAYOUT', Nature: 'REGULAR'});
+    },
+
+    'refunds_get': function (request) {
+        return this._findTransaction(request.params.id, {Nature: 'REFUND'});
+    },
+    'refunds_get_for_payin': listRefunds,
+    'refunds_get_for_transfer': listRefunds,
+    'refunds_get_for_payout': listRefunds,
+    'refunds_get_for_repudiation': listRefunds,
+
+    'disputes_get': function (request) {
+        return findDispute(this, request.params.id);
+    },
+
+    'disputes_all': function () {
+        return _.values(this.store.disputes);
+    },
+
+    'disputes_get_for_wallet': function (request) {
+        var self = this;
+        return _.filter(this.store.disputes, function (dispute) {
+            return self.store.transactions[dispute.InitialTransactionId].CreditedWalletId === request.params.id;
+        });
+    },
+
+    'disputes_get_for_user': function (request) {
+        var self = this;
+        return _.filter(this.store.disputes, function (dispute) {
+            var initial = self.store.transactions[dispute.InitialTransactionId];
+            return initial.AuthorId === request.params.id || initial.CreditedUserId === request.params.id;
+        });
+    },
+
+    'disputes_get_for_payin': function (request) {
+        return _.where(_.values(this.store.disputes), {InitialTransactionId: request.params.id});
+    },
+
+    'disputes_save_tag': function (request) {
+        return _.extend(findDispute(this, request.params.id), _.pick(request.body, 'Tag'));
+    },
+
+    'disputes_save_contest_funds': function (request) {
+        var dispute = findDispute(this, request.params.id);
+
+        if (!/PENDING_CLIENT_ACTION$/.test(dispute.Status)) {
+            throw invalid({Status: 'The dispute cannot be contested in status ' + dispute.Status});
+        }
+        if (dispute.DisputeType !== 'NOT_CONTESTABLE' && dispute.DisputeType !== 'RETRIEVAL') {
+            validateRequired(request.body, ['ContestedFunds']);
+            validateMoney(request.body.ContestedFunds, 'ContestedFunds');
+        }
+
+        return _.extend(dispute, {
+            ContestedFunds: request.body.ContestedFunds || null,
+            Status: 'SUBMITTED'
+        });
+    },
+
+    'dispute_save_close': function (request) {
+        var dispute = findDispute(this, request.params.id);
+
+        if (!/PENDING_CLIENT_ACTION$/.test(dispute.Status)) {
+            throw invalid({Status: 'The dispute cannot be closed in status ' + dispute.Status});
+        }
+
+        return _.extend(dispute, {Status: 'CLOSED', ResultCode: 'CLOSED_BY_CLIENT'});
+    },
+
+    'disputes_get_transactions': function (request) {
+        var disputeId = findDispute(this, request.params.id).Id;
+        return _.where(_.values(this.store.transactions), {DisputeId: disputeId});
+    },
+
+    'disputes_repudiation_get': function (request) {
+        return this._findTransaction(request.params.id, {Nature: 'REPUDIATION'});
+    },
+
+    'responses_get': getIdempotencyResponse,
+    'idempotency_response_get': getIdempotencyResponse,
+
+    'clients_get': function (request) {
+        return {
+            ClientId: request.params.clientId,
+            Name: 'Mock client',
+            PlatformType: null,
+            HeadquartersAddress: null,
+            TechEmails: [],
+            AdminEmails: [],
+            FraudEmails: [],
+            BillingEmails: []
+        };
+    }
+};
+
+/**
+ * Handler of the routes without dedicated handler: resources are kept as posted, fetched and updated
+ * by their id, and listed by the url they were posted to
+ */
+function genericHandler(request) {
+    var resources = this.store.resources;
+    var id = _.last(_.values(_.omit(request.params, 'apiVersion', 'clientId')));
+    var resource;
+
+    switch (request.method) {
+        case 'POST':
+            resource = _.extend({Id: this._nextId(), CreationDate: timestamp()}, request.body);
+            resources[resource.Id] = {path: request.path, data: resource};
+            return resource;
+        case 'GET':
+            if (!request.route.item) {
+                return listResources(resources, request.path);
+            }
+            if (!resources[id]) {
+                throw notFound(id);
+            }
+            return resources[id].data;
+        case 'PUT':
+            if (!id || !resources[id]) {
+                throw notFound(id);
+            }
+            return _.extend(resources[id].data, request.body);
+        case 'DELETE':
+            delete resources[id];
+            return undefined;
+    }
+}
+
+function listResources(resources, path) {
+    return _.pluck(_.where(_.values(resources), {path: path}), 'data');
+}
+
+function createUser(personType, requiredFields) {
+    return function (request) {
+        var body = request.body;
+
+        validateRequired(body, requiredFields);
+
+        var user = _.extend({}, _.omit(body, 'Id', 'CreationDate'), {
+            Id: this._nextId(),
+            CreationDate: timestamp(),
+            PersonType: personType,
+            KYCLevel: 'LIGHT',
+            UserCategory: body.UserCategory || 'PAYER',
+            UserStatus: 'ACTIVE'
+        });
+        this.store.users[user.Id] = user;
+        return user;
+    };
+}
+
+function saveUser(personType) {
+    return function (request) {
+        var user = this._findUser(request.params.id, personType);
+        return _.extend(user, _.omit(request.body, 'Id', 'CreationDate', 'PersonType', 'KYCLevel'));
+    };
+}
+
+function closeUser(personType) {
+    return function (request) {
+        var user = this._findUser(request.params.id, personType);
+        user.UserStatus = 'CLOSED';
+        return undefined;
+    };
+}
+
+function createBankAccount(type, requiredFields) {
+    return function (request) {
+        var userId = this._findUser(request.params.id).Id;
+
+        validateRequired(request.body, ['OwnerName', 'OwnerAddress'].concat(requiredFields));
+
+        var bankAccount = _.extend({}, request.body, {
+            Id: this._nextId(),
+            CreationDate: timestamp(),
+            UserId: userId,
+            Type: type,
+            Active: true
+        });
+        this.store.bankAccounts[bankAccount.Id] = bankAccount;
+        return bankAccount;
+    };
+}
+
+function findBankAccount(server, userId, bankAccountId) {
+    var bankAccount = server.store.bankAccounts[bankAccountId];
+    if (!bankAccount || bankAccount.UserId !== userId) {
+        throw notFound(bankAccountId);
+    }
+    return bankAccount;
+}
+
+function findDispute(server, disputeId) {
+    var dispute = server.store.disputes[disputeId];
+    if (!dispute) {
+        throw notFound(disputeId);
+    }
+    return dispute;
+}
+
+/**
+ * Handler of all the pay-in creation routes: direct pay-ins succeed at once, web pay-ins wait for the payment
+ * page (RedirectURL), bank wires and direct debits wait for setTransactionStatus
+ */
+function createPayIn(request) {
+    var body = request.body;
+    var types = PAYIN_TYPES[request.key];
+    var debitedFunds = body.DebitedFunds || body.DeclaredDebitedFunds;
+    var fees = body.Fees || body.DeclaredFees;
+
+    validateRequired(_.extend({DebitedFunds: debitedFunds, Fees: fees}, body), ['AuthorId', 'CreditedWalletId', 'DebitedFunds', 'Fees']);
+    validateMoney(debitedFunds, 'DebitedFunds');
+    validateMoney(fees, 'Fees');
+
+    var wallet = this._getBodyWallet(body, 'CreditedWalletId', debitedFunds.Currency);
+    var pending = types[1] === 'WEB' || types[0] === 'BANK_WIRE' || types[0] === 'DIRECT_DEBIT';
+
+    var payIn = this._addTransaction(_.extend({}, _.omit(body, 'Id', 'CreationDate', 'Status'), {
+        CreditedUserId: body.CreditedUserId || wallet.Owners[0],
+        DebitedFunds: debitedFunds,
+        CreditedFunds: money(debitedFunds.Currency, debitedFunds.Amount - fees.Amount),
+        Fees: fees,
+        Status: pending ? 'CREATED' : 'SUCCEEDED',
+        ExecutionDate: pending ? null : timestamp(),
+        Type: 'PAYIN',
+        CreditedWalletId: wallet.Id,
+        PaymentType: types[0],
+        ExecutionType: types[1]
+    }));
+
+    if (types[1] === 'WEB') {
+        payIn.RedirectURL = this.baseUrl + '/redirect/payins/' + payIn.Id;
+    }
+    if (!pending) {
+        wallet.Balance.Amount += payIn.CreditedFunds.Amount;
+    }
+
+    return payIn;
+}
+
+function listRefunds(request) {
+    return _.where(_.values(this.store.transactions), {Nature: 'REFUND', InitialTransactionId: request.params.id});
+}
+
+function getIdempotencyResponse(request) {
+    var response = this._idempotency[request.params.id || request.params.idempotencyKey];
+    if (!response) {
+        throw notFound(request.params.id || request.params.idempotencyKey);
+    }
+    return _.extend({ContentType: 'application/json; charset=utf-8'}, response, {
+        ContentLength: String(Buffer.byteLength(JSON.stringify(response.Resource || '')))
+    });
+}
+
+/**
+ * Error answered by the mock, with the body format of the API
+ * @param {number}  status      HTTP status
+ * @param {string}  message     Message of the body
+ * @param {string}  type        Type of the body
+ * @param {Object}  fieldErrors Hash of field => message
+ * @param {Object}  body        Body replacing the default one
+ * @param {Object}  headers     Response headers
+ */
+function MockError(status, message, type, fieldErrors, body, headers) {
+    this.status = status;
+    this.message = message;
+    this.type = type;
+    this.errors = fieldErrors || null;
+    this.body = body || null;
+    this.headers = headers || {};
+}
+
+MockError.prototype.toJSON = function () {
+    return this.body || {
+        Message: this.message,
+        Type: this.type,
+        Id: Math.random().toString(16).slice(2),
+        Date: timestamp(),
+        errors: this.errors
+    };
+};
+
+/**
+ * Writes a JSON response
+ */
+function writeJson(res, status, body, headers) {
+    var json = JSON.stringify(body);
+    res.writeHead(status, _.extend({}, headers, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(json)
+    }));
+    res.end(json);
+}
+
+function notFound(id) {
+    return new MockError(404, 'The ressource does not exist', 'ressource_not_found', {
+        RessourceNotFound: 'Cannot found the ressource with the id=' + id
+    });
+}
+
+function invalid(fieldErrors) {
+    return new MockError(400, 'One or several required parameters are missing or incorrect. An incorrect resource ID also raises this kind of error.', 'param_error', fieldErrors);
+}
+
+function validateRequired(body, fields) {
+    var fieldErrors = {};
+
+    _.each(fields, function (field) {
+        if (body[field] === undefined || body[field] === null || body[field] === '') {
+            fieldErrors[field] = 'The ' + field + ' field is required.';
+        }
+    });
+
+    if (!_.isEmpty(fieldErrors)) {
+        throw invalid(fieldErrors);
+    }
+}
+
+function validateMoney(value, field) {
+    var fieldErrors = {};
+
+    if (!value || !/^[A-Z]{3}$/.test(value.Currency)) {
+        fieldErrors[field + '.Currency'] = 'The Currency field must be an ISO 4217 code.';
+    }
+    if (!value || !_.isNumber(value.Amount) || value.Amount % 1 !== 0) {
+        fieldErrors[field + '.Amount'] = 'The Amount field must be an integer, in cents.';
+    }
+
+    if (!_.isEmpty(fieldErrors)) {
+        throw invalid(fieldErrors);
+    }
+}
+
+function setResult(transaction, status, resultCode, resultMessage) {
+    transaction.Status = status;
+    transaction.ResultCode = status === 'SUCCEEDED' ? '000000' : resultCode;
+    transaction.ResultMessage = status === 'SUCCEEDED' ? 'Success' : resultMessage;
+    transaction.ExecutionDate = timestamp();
+}
+
+function money(currency, amount) {
+    return {Currency: currency, Amount: amount};
+}
+
+function timestamp() {
+    return Math.floor(Date.now() / 1000);
+}
+
+function parseBody(rawBody, contentType) {
+    if (!rawBody) {
+        return {};
+    }
+    if (/x-www-form-urlencoded/.test(contentType)) {
+        return querystring.parse(rawBody);
+    }
+    try {
+        return JSON.parse(rawBody);
+    } catch (err) {
+        return {};
+    }
+}
+
+/**
+ * Filters, sorts and paginates a list like the API does
+ */
+function paginate(items, query, defaultPerPage) {
+    var filters = _.omit(query, LIST_PARAMETERS);
+
+    items = _.filter(items, function (item) {
+        var matchesFilters = _.every(filters, function (value, field) {
+            // Unknown fields are ignored, lists of values are comma separated
+            return !_.has(item, field) || _.contains(String(value).split(','), String(item[field]));
+        });
+        return matchesFilters &&
+            (!query.BeforeDate || item.CreationDate < parseInt(query.BeforeDate, 10)) &&
+            (!query.AfterDate || item.CreationDate > parseInt(query.AfterDate, 10));
+    });
+
+    if (query.Sort) {
+        var sort = query.Sort.split(':');
+        items = _.sortBy(items, sort[0]);
+        if (/^desc$/i.test(sort[1])) {
+            items.reverse();
+        }
+    }
+
+    var perPage = Math.max(1, parseInt(query.per_page, 10) || defaultPerPage);
+    var page = Math.max(1, parseInt(query.page, 10) || 1);
+
+    return {
+        items: items.slice((page - 1) * perPage, page * perPage),
+        headers: {
+            'x-number-of-items': String(items.length),
+            'x-number-of-pages': String(Math.ceil(items.length / perPage))
+        }
+    };
+}
+
+/**
+ * Builds the route patterns of apiMethods. Routes with fewer placeholders are tried first,
+ * so that /disputes/pendingsettlement isn't taken for /disputes/${id}
+ */
+function buildRoutes() {
+    var routes = _.map(apiMethods, function (method, key) {
+        var names = [];
+        var template = method[0].split('?')[0].replace(/\/+$/, '');
+        var source = template.split(/\$\{(\w+)\}/).map(function (part, i) {
+            if (i % 2) {
+                names.push(part);
+                return '([^/]+)';
+            }
+            return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        }).join('');
+
+        return {
+            key: key,
+            method: method[1],
+            names: names,
+            pattern: new RegExp('^' + source + '$'),
+            // Urls ending with a placeholder address a single resource, the others a list
+            item: /\}$/.test(template)
+        };
+    });
+
+    return _.sortBy(routes, function (route) {
+        return route.names.length;
+    });
+}
+
+module.exports = MockServer;
@@ -1,5 +1,5 @@
+var _ = require('underscore');
 var EntityBase = require('./EntityBase');
-var Address = require('./Address');
 
 module.exports = EntityBase.extend({
     defaults: {
@@ -24,9 +24,13 @@ module.exports = EntityBase.extend({
         return address.join(', ');
     },
 
-    getSubObjects: function() {
-        return {
-            'OwnerAddress': Address
-        };
+    /**
+     * Get object with key as property name and value the validation rule of the property
+     * @return {Object} Mapping of validation rules
+     */
+    getValidationRules: function() {
+        return _.extend({}, EntityBase.prototype.getValidationRules(), {
+            Country: {format: 'country'}
+        });
     }
 });
\ No newline at end of file
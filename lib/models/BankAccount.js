@@ -1,4 +1,6 @@
+var _ = require('underscore');
 var EntityBase = require('./EntityBase');
+var Address = require('./Address');
 
 var BankAccount = EntityBase.extend({
     defaults: {
@@ -15,6 +17,16 @@ var BankAccount = EntityBase.extend({
         Active: null
     },
 
+    /**
+     * Get object with key as object type and value the object class
+     * @return {Object} Mapping of sub-objects
+     */
+    getSubObjects: function() {
+        return {
+            'OwnerAddress': Address
+        };
+    },
+
     getDependsObjects: function() {
         return [
             {
@@ -39,6 +51,17 @@ var BankAccount = EntityBase.extend({
         var properties = EntityBase.prototype.getReadOnlyProperties();
         properties.push('UserId', 'Type');
         return properties;
+    },
+
+    /**
+     * Get object with key as property name and value the validation rule of the property
+     * @return {Object} Mapping of validation rules
+     */
+    getValidationRules: function() {
+        return _.extend({}, EntityBase.prototype.getValidationRules(), {
+            OwnerName: {required: true, type: 'string'},
+            OwnerAddress: {required: true}
+        });
     }
 });
 
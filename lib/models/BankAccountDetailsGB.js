@@ -1,9 +1,21 @@
+var _ = require('underscore');
 var BankAccountDetails = require('./BankAccountDetails');
 
 var BankAccountDetailsGB = BankAccountDetails.extend({
     defaults: {
         AccountNumber: null,
         SortCode: null
+    },
+
+    /**
+     * Get object with key as property name and value the validation rule of the property
+     * @return {Object} Mapping of validation rules
+     */
+    getValidationRules: function() {
+        return _.extend({}, BankAccountDetails.prototype.getValidationRules(), {
+            AccountNumber: {required: true, pattern: /^\d{8}$/},
+            SortCode: {required: true, pattern: /^\d{6}$/}
+        });
     }
 });
 
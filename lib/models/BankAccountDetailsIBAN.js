@@ -1,9 +1,21 @@
+var _ = require('underscore');
 var BankAccountDetails = require('./BankAccountDetails');
 
 var BankAccountDetailsIBAN = BankAccountDetails.extend({
     defaults: {
         IBAN: null,
         BIC: null
+    },
+
+    /**
+     * Get object with key as property name and value the validation rule of the property
+     * @return {Object} Mapping of validation rules
+     */
+    getValidationRules: function() {
+        return _.extend({}, BankAccountDetails.prototype.getValidationRules(), {
+            IBAN: {required: true, format: 'iban'},
+            BIC: {format: 'bic'}
+        });
     }
 });
 
@@ -1,10 +1,22 @@
+var _ = require('underscore');
 var Model = require('./../Model');
 
 var Birthplace = Model.extend({
     defaults: {
-        City: String,
-        Country: String
+        City: null,
+        Country: null
+    },
+
+    /**
+     * Get object with key as property name and value the validation rule of the property
+     * @return {Object} Mapping of validation rules
+     */
+    getValidationRules: function() {
+        return _.extend({}, Model.prototype.getValidationRules(), {
+            City: {type: 'string'},
+            Country: {format: 'country'}
+        });
     }
 });
 
-module.exports = Birthplace;
\ No newline at end of file
+module.exports = Birthplace;
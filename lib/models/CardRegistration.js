@@ -23,6 +23,18 @@ var CardRegistration = Model.extend({
             'ResultMessage', 'Status');
 
         return properties;
+    },
+
+    /**
+     * Get object with key as property name and value the validation rule of the property
+     * @return {Object} Mapping of validation rules
+     */
+    getValidationRules: function() {
+        return _.extend({}, Model.prototype.getValidationRules(), {
+            UserId: {required: true, type: 'string'},
+            Currency: {required: true, format: 'currency'},
+            CardType: {type: 'string'}
+        });
     }
 });
 
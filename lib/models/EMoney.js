@@ -18,7 +18,7 @@ var EMoney = Model.extend({
      * @return {Object} Sub-objects mapping
      */
     getSubObjects: function () {
-        var subObjects = User.prototype.getSubObjects();
+        var subObjects = Model.prototype.getSubObjects();
 
         return _.extend({}, subObjects, {
             CreditedEMoney: Money,
@@ -14,17 +14,28 @@ var EntityBase = Model.extend({
         return properties;
     },
 
+    /**
+     * Get object with key as property name and value the validation rule of the property
+     * @return {Object} Mapping of validation rules
+     */
+    getValidationRules: function() {
+        return _.extend({}, Model.prototype.getValidationRules(), {
+            Tag: {type: 'string', maxLength: 255}
+        });
+    },
+
     /**
      * Casting the entity to JSON data that will be passed to the server
      */
     toJSON: function() {
         var self = this;
+        var subObjects = this.getSubObjects();
 
         /**
-         * Flatten object model structure
+         * Flatten object model structure, sub-objects stay nested
          */
-        _.each(this, function(dataValue){
-            if (dataValue instanceof Model) {
+        _.each(this, function(dataValue, propertyName){
+            if (dataValue instanceof Model && !_.has(subObjects, propertyName)) {
                 _.extendOwn(self, dataValue);
             }
         });
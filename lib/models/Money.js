@@ -1,5 +1,27 @@
+var _ = require('underscore');
 var EntityBase = require('./EntityBase');
 
+/**
+ * ISO 4217 exponents (number of decimals of the minor unit) of the currencies that don't have 2 decimals
+ */
+var EXPONENTS = {
+    BIF: 0, CLP: 0, DJF: 0, GNF: 0, ISK: 0, JPY: 0, KMF: 0, KRW: 0, PYG: 0, RWF: 0, UGX: 0, UYI: 0,
+    VND: 0, VUV: 0, XAF: 0, XOF: 0, XPF: 0,
+    BHD: 3, IQD: 3, JOD: 3, KWD: 3, LYD: 3, OMR: 3, TND: 3,
+    CLF: 4, UYW: 4
+};
+
+var DEFAULT_EXPONENT = 2;
+
+/**
+ * Rounding modes of multiply() and percentage()
+ *  - HALF_UP: to the nearest, halves away from zero
+ *  - HALF_EVEN: to the nearest, halves to the even neighbour (banker's rounding)
+ *  - UP: away from zero
+ *  - DOWN: towards zero
+ */
+var ROUNDING_MODES = ['HALF_UP', 'HALF_EVEN', 'UP', 'DOWN'];
+
 var Money = EntityBase.extend({
     defaults: {
         /**
@@ -7,10 +29,402 @@ var Money = EntityBase.extend({
          */
         Currency: null,
         /**
-         * The amount of money in cents, e.g. 12.60€ would be represented as 1260
+         * The amount of money in the smallest sub-division of the currency,
+         * e.g. 12.60€ would be represented as 1260 whereas 12 JPY would be represented as just 12
          */
         Amount: null
+    },
+
+    /**
+     * Number of decimals of the currency
+     * @returns {number}
+     */
+    getExponent: function() {
+        return Money.getExponent(this.Currency);
+    },
+
+    /**
+     * @param {Money|Object|number} other   Money of the same currency, or an amount in minor units
+     * @returns {Money}
+     */
+    add: function(other) {
+        return this._create(checkAmount(this._minorUnits() + this._amountOf(other)));
+    },
+
+    /**
+     * @param {Money|Object|number} other   Money of the same currency, or an amount in minor units
+     * @returns {Money}
+     */
+    subtract: function(other) {
+        return this._create(checkAmount(this._minorUnits() - this._amountOf(other)));
+    },
+
+    /**
+     * @param {number|string}   factor      Decimal factor, ex: 1.5 or '0.015'
+     * @param {string}          rounding    Rounding mode, HALF_UP by default
+     * @returns {Money}
+     */
+    multiply: function(factor, rounding) {
+        var fraction = toFraction(factor);
+        return this._create(divide(BigInt(this._minorUnits()) * fraction.numerator, fraction.denominator, rounding));
+    },
+
+    /**
+     * Percentage of the amount, ex: the fees of a pay-in
+     * @param {number|string}   percent     Percentage, ex: 1.8 for 1.8%
+     * @param {string}          rounding    Rounding mode, HALF_UP by default
+     * @returns {Money}
+     */
+    percentage: function(percent, rounding) {
+        var fraction = toFraction(percent);
+        return this._create(divide(BigInt(this._minorUnits()) * fraction.numerator, fraction.denominator * 100n, rounding));
+    },
+
+    /**
+     * Splits the amount according to ratios, without losing nor creating any minor unit:
+     * the units left over by the rounding go to the shares with the largest remainders (the first ones on ties)
+     * @param {Array}   ratios  Non-negative numbers, ex: [70, 30] or [1, 1, 1]
+     * @returns {Array} List of Money, one per ratio
+     */
+    allocate: function(ratios) {
+        var self = this;
+
+        if (!_.isArray(ratios) || !ratios.length) {
+            throw new TypeError('Ratios must be a non-empty array');
+        }
+
+        var fractions = _.map(ratios, function(ratio) {
+            var fraction = toFraction(ratio);
+            if (fraction.numerator < 0n) {
+                throw new RangeError('Ratios must not be negative');
+            }
+            return fraction;
+        });
+
+        // Same denominator for all the ratios
+        var denominator = _.reduce(fractions, function(memo, fraction) {
+            return memo * fraction.denominator / gcd(memo, fraction.denominator);
+        }, 1n);
+        var weights = _.map(fractions, function(fraction) {
+            return fraction.numerator * (denominator / fraction.denominator);
+        });
+        var total = _.reduce(weights, function(memo, weight) {
+            return memo + weight;
+        }, 0n);
+
+        if (total === 0n) {
+            throw new RangeError('At least one ratio must be positive');
+        }
+
+        var amount = BigInt(this._minorUnits());
+        var sign = amount < 0n ? -1n : 1n;
+        var absolute = amount * sign;
+        var shares = _.map(weights, function(weight) {
+            return absolute * weight / total;
+        });
+        var remainders = _.map(weights, function(weight, index) {
+            return {index: index, remainder: absolute * weight % total};
+        });
+        var left = absolute - _.reduce(shares, function(memo, share) {
+            return memo + share;
+        }, 0n);
+
+        remainders.sort(function(a, b) {
+            if (a.remainder === b.remainder) {
+                return a.index - b.index;
+            }
+            return a.remainder > b.remainder ? -1 : 1;
+        });
+        for (var i = 0; left > 0n; i++, left--) {
+            shares[remainders[i].index] += 1n;
+        }
+
+        return _.map(shares, function(share) {
+            return self._create(Number(share * sign));
+        });
+    },
+
+    /**
+     * Splits the amount in equal parts, the first ones getting the units left over
+     * @param {number}  parts   Number of parts
+     * @returns {Array} List of Money
+     */
+    split: function(parts) {
+        if (!_.isNumber(parts) || parts < 1 || parts % 1 !== 0) {
+            throw new RangeError('The number of parts must be a positive integer');
+        }
+        return this.allocate(_.times(parts, _.constant(1)));
+    },
+
+    /**
+     * @param {Money|Object|number} other   Money of the same currency, or an amount in minor units
+     * @returns {number} -1, 0 or 1
+     */
+    compare: function(other) {
+        var amount = this._minorUnits();
+        var otherAmount = this._amountOf(other);
+        return amount === otherAmount ? 0 : (amount < otherAmount ? -1 : 1);
+    },
+
+    equals: function(other) {
+        return this.compare(other) === 0;
+    },
+
+    greaterThan: function(other) {
+        return this.compare(other) > 0;
+    },
+
+    lessThan: function(other) {
+        return this.compare(other) < 0;
+    },
+
+    isZero: function() {
+        return this._minorUnits() === 0;
+    },
+
+    isNegative: function() {
+        return this._minorUnits() < 0;
+    },
+
+    isPositive: function() {
+        return this._minorUnits() > 0;
+    },
+
+    /**
+     * Amount in major units, with the decimals of the currency, ex: '12.60' or '1200' for JPY
+     * @returns {string}
+     */
+    toDecimal: function() {
+        var exponent = this.getExponent();
+        var amount = this._minorUnits();
+        var digits = String(Math.abs(amount));
+
+        if (exponent > 0) {
+            digits = _.times(Math.max(0, exponent + 1 - digits.length), _.constant('0')).join('') + digits;
+            digits = digits.slice(0, -exponent) + '.' + digits.slice(-exponent);
+        }
+
+        return (amount < 0 ? '-' : '') + digits;
+    },
+
+    /**
+     * Localized amount, ex: '12,60 €' for fr-FR
+     * @param {string}  locale      BCP 47 locale, the default locale of the runtime if omitted
+     * @param {Object}  options     Intl.NumberFormat options
+     * @returns {string}
+     */
+    format: function(locale, options) {
+        var exponent = this.getExponent();
+
+        return new Intl.NumberFormat(locale, _.extend({
+            style: 'currency',
+            currency: this.Currency,
+            minimumFractionDigits: exponent,
+            maximumFractionDigits: exponent
+        }, options)).format(Number(this.toDecimal()));
+    },
+
+    /**
+     * @returns {string} ex: '12.60 EUR'
+     */
+    toString: function() {
+        return this.toDecimal() + ' ' + this.Currency;
+    },
+
+    /**
+     * Get object with key as property name and value the validation rule of the property
+     * @return {Object} Mapping of validation rules
+     */
+    getValidationRules: function() {
+        return _.extend({}, EntityBase.prototype.getValidationRules(), {
+            Amount: {required: true, type: 'integer'},
+            Currency: {required: true, format: 'currency'}
+        });
+    },
+
+    /**
+     * Amount checked for arithmetic
+     * @private
+     */
+    _minorUnits: function() {
+        return checkAmount(this.Amount);
+    },
+
+    /**
+     * Amount of an operand, checked against the currency
+     * @private
+     */
+    _amountOf: function(other) {
+        if (_.isNumber(other)) {
+            return checkAmount(other);
+        }
+
+        if (!other || other.Currency !== this.Currency) {
+            throw new TypeError('Cannot combine ' + this.Currency + ' with ' + (other && other.Currency));
+        }
+
+        return checkAmount(other.Amount);
+    },
+
+    /**
+     * Money of the same currency
+     * @private
+     */
+    _create: function(amount) {
+        return new Money({Amount: checkAmount(Number(amount)), Currency: this.Currency});
+    }
+}, {
+    EXPONENTS: EXPONENTS,
+
+    ROUNDING_MODES: ROUNDING_MODES,
+
+    /**
+     * Number of decimals of a currency, 2 for the currencies missing from EXPONENTS
+     * @param {string}  currency    ISO 4217 code
+     * @returns {number}
+     */
+    getExponent: function(currency) {
+        return _.has(EXPONENTS, currency) ? EXPONENTS[currency] : DEFAULT_EXPONENT;
+    },
+
+    /**
+     * @param {number}  amount      Amount in minor units, ex: 1260 for 12.60 EUR
+     * @param {string}  currency    ISO 4217 code
+     * @returns {Money}
+     */
+    of: function(amount, currency) {
+        return new Money({Amount: checkAmount(amount), Currency: currency});
+    },
+
+    /**
+     * @param {string}  currency    ISO 4217 code
+     * @returns {Money}
+     */
+    zero: function(currency) {
+        return new Money({Amount: 0, Currency: currency});
+    },
+
+    /**
+     * Parses an amount in major units. Decimals beyond the ones of the currency are refused rather than rounded.
+     * @param {string|number}   value       ex: '12.60 EUR', 'EUR 12.60', '-5', or 12.6 with the currency
+     * @param {string}          currency    ISO 4217 code, when the value doesn't hold one
+     * @returns {Money}
+     */
+    parse: function(value, currency) {
+        var match = /^\s*(?:([A-Z]{3})\s*)?([+-]?)(\d+)(?:\.(\d+))?\s*(?:([A-Z]{3}))?\s*$/.exec(String(value));
+
+        if (!match || (match[1] && match[5])) {
+            throw new TypeError('Invalid amount: ' + value);
+        }
+
+        var parsedCurrency = match[1] || match[5];
+        if (parsedCurrency && currency && parsedCurrency !== currency) {
+            throw new TypeError('Amount in ' + parsedCurrency + ' instead of ' + currency + ': ' + value);
+        }
+        currency = parsedCurrency || currency;
+        if (!currency) {
+            throw new TypeError('Missing currency: ' + value);
+        }
+
+        var exponent = Money.getExponent(currency);
+        var decimals = (match[4] || '').replace(/0+$/, '');
+        if (decimals.length > exponent) {
+            throw new RangeError(currency + ' amounts have ' + exponent + ' decimals: ' + value);
+        }
+
+        while (decimals.length < exponent) {
+            decimals += '0';
+        }
+
+        var amount = Number(match[3] + decimals);
+        return Money.of(match[2] === '-' ? -amount : amount, currency);
+    },
+
+    /**
+     * Sum of amounts of the same currency
+     * @param {Array}   amounts     List of Money
+     * @param {string}  currency    Currency of the result when the list is empty
+     * @returns {Money}
+     */
+    sum: function(amounts, currency) {
+        return _.reduce(amounts, function(memo, amount) {
+            return memo.add(amount);
+        }, Money.zero(amounts && amounts.length ? amounts[0].Currency : currency));
     }
 });
 
-module.exports = Money;
\ No newline at end of file
+/**
+ * @param {*}   amount
+ * @returns {number} The amount, when it's a safe integer
+ */
+function checkAmount(amount) {
+    if (!Number.isSafeInteger(amount)) {
+        throw new RangeError('Amounts must be safe integers in minor units, got ' + amount);
+    }
+    return amount;
+}
+
+/**
+ * Exact fraction of a decimal number, ex: '1.25' => 125/100
+ * @param {number|string}   value
+ * @returns {{numerator: bigint, denominator: bigint}}
+ */
+function toFraction(value) {
+    var match = /^([+-]?)(\d+)(?:\.(\d+))?$/.exec(_.isNumber(value) ? String(value) : String(value).trim());
+
+    if (!match || (_.isNumber(value) && !isFinite(value))) {
+        throw new TypeError('Invalid decimal number: ' + value);
+    }
+
+    var decimals = match[3] || '';
+    var numerator = BigInt(match[2] + decimals);
+
+    return {
+        numerator: match[1] === '-' ? -numerator : numerator,
+        denominator: 10n ** BigInt(decimals.length)
+    };
+}
+
+/**
+ * Rounded integer division
+ * @param {bigint}  numerator
+ * @param {bigint}  denominator     Positive
+ * @param {string}  rounding        Rounding mode, HALF_UP by default
+ * @returns {bigint}
+ */
+function divide(numerator, denominator, rounding) {
+    rounding = rounding || 'HALF_UP';
+    if (ROUNDING_MODES.indexOf(rounding) === -1) {
+        throw new TypeError('Unknown rounding mode: ' + rounding);
+    }
+
+    var sign = numerator < 0n ? -1n : 1n;
+    var absolute = numerator * sign;
+    var quotient = absolute / denominator;
+    var remainder = absolute % denominator;
+
+    if (remainder !== 0n) {
+        var twice = remainder * 2n;
+        if (rounding === 'UP' ||
+            (rounding === 'HALF_UP' && twice >= denominator) ||
+            (rounding === 'HALF_EVEN' && (twice > denominator || (twice === denominator && quotient % 2n === 1n)))) {
+            quotient += 1n;
+        }
+    }
+
+    return quotient * sign;
+}
+
+/**
+ * Greatest common divisor
+ */
+function gcd(a, b) {
+    while (b) {
+        var t = b;
+        b = a % b;
+        a = t;
+    }
+    return a;
+}
+
+module.exports = Money;
@@ -26,6 +26,17 @@ var PayIn = Transaction.extend({
         var properties = Transaction.prototype.getReadOnlyProperties();
         properties.push('PaymentType', 'ExecutionType');
         return properties;
+    },
+
+    /**
+     * Get object with key as property name and value the validation rule of the property
+     * @return {Object} Mapping of validation rules
+     */
+    getValidationRules: function() {
+        return _.extend({}, Transaction.prototype.getValidationRules(), {
+            AuthorId: {required: true, type: 'string'},
+            CreditedWalletId: {required: true, type: 'string'}
+        });
     }
 });
 
@@ -11,13 +11,30 @@ var PayOut = Transaction.extend({
         /**
          * One of PayOutPaymentDetails implementations, depending on PaymentType
          */
-        MeanOfPaymentDetails: null
+        MeanOfPaymentDetails: null,
+        /**
+         * Set when the pay-out waits for the strong customer authentication of the user
+         */
+        PendingUserAction: null
     }),
 
     getReadOnlyProperties: function() {
         var properties = Transaction.prototype.getReadOnlyProperties();
         properties.push('PaymentType');
         return properties;
+    },
+
+    /**
+     * Get object with key as property name and value the validation rule of the property
+     * @return {Object} Mapping of validation rules
+     */
+    getValidationRules: function() {
+        return _.extend({}, Transaction.prototype.getValidationRules(), {
+            AuthorId: {required: true, type: 'string'},
+            DebitedFunds: {required: true},
+            Fees: {required: true, sameCurrencyAs: 'DebitedFunds'},
+            DebitedWalletId: {required: true, type: 'string'}
+        });
     }
 });
 
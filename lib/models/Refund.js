@@ -20,6 +20,16 @@ var Refund = Transaction.extend({
         return {
             'RefundReason': RefundReasonDetails
         };
+    },
+
+    /**
+     * Get object with key as property name and value the validation rule of the property
+     * @return {Object} Mapping of validation rules
+     */
+    getValidationRules: function() {
+        return _.extend({}, Transaction.prototype.getValidationRules(), {
+            AuthorId: {required: true, type: 'string'}
+        });
     }
 });
 
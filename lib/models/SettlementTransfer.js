@@ -31,6 +31,18 @@ var SettlementTransfer = Model.extend({
             'DebitedFunds': Money,
             'Fees': Money
         }
+    },
+
+    /**
+     * Get object with key as property name and value the validation rule of the property
+     * @return {Object} Mapping of validation rules
+     */
+    getValidationRules: function() {
+        return _.extend({}, Model.prototype.getValidationRules(), {
+            AuthorId: {required: true, type: 'string'},
+            DebitedFunds: {required: true},
+            Fees: {required: true, sameCurrencyAs: 'DebitedFunds'}
+        });
     }
 });
 
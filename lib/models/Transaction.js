@@ -1,3 +1,4 @@
+var _ = require('underscore');
 var EntityBase = require('./EntityBase');
 var Money = require('./Money');
 
@@ -44,6 +45,17 @@ var Wallet = EntityBase.extend({
         var properties = EntityBase.prototype.getReadOnlyProperties();
         properties.push('Status', 'ResultCode', 'ExecutionDate');
         return properties;
+    },
+
+    /**
+     * Get object with key as property name and value the validation rule of the property
+     * @return {Object} Mapping of validation rules
+     */
+    getValidationRules: function() {
+        return _.extend({}, EntityBase.prototype.getValidationRules(), {
+            AuthorId: {type: 'string'},
+            Fees: {sameCurrencyAs: 'DebitedFunds'}
+        });
     }
 });
 
@@ -7,7 +7,21 @@ var Transfer = Transaction.extend({
         CreditedWalletId: null,
         ScaContext: null,
         PendingUserAction: null
-    })
+    }),
+
+    /**
+     * Get object with key as property name and value the validation rule of the property
+     * @return {Object} Mapping of validation rules
+     */
+    getValidationRules: function() {
+        return _.extend({}, Transaction.prototype.getValidationRules(), {
+            AuthorId: {required: true, type: 'string'},
+            DebitedFunds: {required: true},
+            Fees: {required: true, sameCurrencyAs: 'DebitedFunds'},
+            DebitedWalletId: {required: true, type: 'string'},
+            CreditedWalletId: {required: true, type: 'string'}
+        });
+    }
 });
 
 module.exports = Transfer;
\ No newline at end of file
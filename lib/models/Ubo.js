@@ -1,3 +1,4 @@
+var _ = require('underscore');
 var EntityBase = require('./EntityBase');
 var Address = require('./Address');
 var Birthplace = require('./Birthplace');
@@ -7,13 +8,58 @@ var Birthplace = require('./Birthplace');
  */
 var Ubo = EntityBase.extend({
     defaults: {
-        FirstName: String,
-        LastName: String,
-        Address: Address,
-        Nationality: String,
+        FirstName: null,
+        LastName: null,
+        Address: null,
+        Nationality: null,
         Birthday: null,
-        Birthplace: Birthplace
+        Birthplace: null,
+        /**
+         * False once the UBO is removed from the declaration
+         */
+        IsActive: null
+    },
+
+    /**
+     * Get object with key as property name and value the model class of the property
+     * @return {Object} Mapping of sub-objects
+     */
+    getSubObjects: function() {
+        return _.extend({}, EntityBase.prototype.getSubObjects(), {
+            Address: Address,
+            Birthplace: Birthplace
+        });
+    },
+
+    /**
+     * Get object with key as property name and value the validation rule of the property
+     * @return {Object} Mapping of validation rules
+     */
+    getValidationRules: function() {
+        return _.extend({}, EntityBase.prototype.getValidationRules(), {
+            FirstName: {required: true, type: 'string'},
+            LastName: {required: true, type: 'string'},
+            Address: {required: true, type: 'object', validate: requireFields('Address', ['AddressLine1', 'City', 'PostalCode', 'Country'])},
+            Nationality: {required: true, format: 'country'},
+            Birthday: {required: true, type: 'timestamp', validate: function(value) {
+                return value * 1000 > Date.now() ? 'The Birthday field must be in the past.' : null;
+            }},
+            Birthplace: {required: true, type: 'object', validate: requireFields('Birthplace', ['City', 'Country'])},
+            IsActive: {type: 'boolean'}
+        });
     }
 });
 
-module.exports = Ubo;
\ No newline at end of file
+/**
+ * Rule checking that the fields of a sub-object are set
+ */
+function requireFields(field, subFields) {
+    return function(value) {
+        var missing = _.filter(subFields, function(subField) {
+            return !value[subField];
+        });
+        return missing.length ? 'The ' + field + ' field needs ' + missing.join(', ') + '.' : null;
+    };
+}
+
+module.exports = Ubo;
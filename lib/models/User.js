@@ -60,6 +60,19 @@ var User = EntityBase.extend({
     parse: function() {
         var parsedValues = EntityBase.prototype.parse.call(this, arguments);
         return _.omit(parsedValues, 'CreationDate');
+    },
+
+    /**
+     * Get object with key as property name and value the validation rule of the property
+     * @return {Object} Mapping of validation rules
+     */
+    getValidationRules: function() {
+        return _.extend({}, EntityBase.prototype.getValidationRules(), {
+            PersonType: {enum: ['NATURAL', 'LEGAL']},
+            Email: {required: true, format: 'email'},
+            TermsAndConditionsAccepted: {type: 'boolean'},
+            UserCategory: {enum: ['PAYER', 'OWNER', 'PLATFORM']}
+        });
     }
 });
 
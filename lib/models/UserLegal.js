@@ -59,6 +59,23 @@ var UserLegal = User.extend({
         var properties = User.prototype.getReadOnlyProperties();
         properties.push('Statute', 'ProofOfRegistration', 'ShareholderDeclaration');
         return properties;
+    },
+
+    /**
+     * Get object with key as property name and value the validation rule of the property
+     * @return {Object} Mapping of validation rules
+     */
+    getValidationRules: function() {
+        return _.extend({}, User.prototype.getValidationRules(), {
+            Name: {required: true, type: 'string'},
+            LegalPersonType: {required: true, enum: ['BUSINESS', 'ORGANIZATION', 'SOLETRADER']},
+            LegalRepresentativeFirstName: {required: true, type: 'string'},
+            LegalRepresentativeLastName: {required: true, type: 'string'},
+            LegalRepresentativeEmail: {format: 'email'},
+            LegalRepresentativeBirthday: {type: 'timestamp'},
+            LegalRepresentativeNationality: {format: 'country'},
+            LegalRepresentativeCountryOfResidence: {format: 'country'}
+        });
     }
 });
 
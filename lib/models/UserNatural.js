@@ -45,6 +45,20 @@ var UserNatural = User.extend({
         var properties = User.prototype.getReadOnlyProperties();
         properties.push('PersonType', 'ProofOfIdentity', 'ProofOfAddress');
         return properties;
+    },
+
+    /**
+     * Get object with key as property name and value the validation rule of the property
+     * @return {Object} Mapping of validation rules
+     */
+    getValidationRules: function() {
+        return _.extend({}, User.prototype.getValidationRules(), {
+            FirstName: {required: true, type: 'string'},
+            LastName: {required: true, type: 'string'},
+            Birthday: {type: 'timestamp'},
+            Nationality: {format: 'country'},
+            CountryOfResidence: {format: 'country'}
+        });
     }
 });
 
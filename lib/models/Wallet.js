@@ -1,3 +1,4 @@
+var _ = require('underscore');
 var EntityBase = require('./EntityBase');
 var Money = require('./Money');
 
@@ -26,6 +27,18 @@ var Wallet = EntityBase.extend({
         var properties = EntityBase.prototype.getReadOnlyProperties();
         properties.push('Balance');
         return properties;
+    },
+
+    /**
+     * Get object with key as property name and value the validation rule of the property
+     * @return {Object} Mapping of validation rules
+     */
+    getValidationRules: function() {
+        return _.extend({}, EntityBase.prototype.getValidationRules(), {
+            Owners: {required: true, type: 'array'},
+            Description: {required: true, type: 'string', maxLength: 255},
+            Currency: {required: true, format: 'currency'}
+        });
     }
 });
 
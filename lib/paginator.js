@@ -0,0 +1,210 @@
+var _ = require('underscore');
+var Promise = require('promise');
+
+/**
+ * Maximum number of items the API returns in a single page
+ */
+var MAX_PER_PAGE = 100;
+
+/**
+ * Lazily walks the pages of a Mangopay list endpoint.
+ * Pages are only requested when they are consumed, either item by item (for await...of),
+ * page by page (pages()) or all at once (toArray()).
+ *
+ * @param {Function}    fetchPage   Called with the request options of a page, resolves with {data, headers}
+ * @param {Object}      options     Request options, plus:
+ *                                  - per_page: number of items per page (max 100, default 100)
+ *                                  - page: first page to fetch (default 1)
+ *                                  - maxPages: stop after that many pages
+ *                                  Filters go under options.parameters, as for the list methods
+ */
+var Paginator = function (fetchPage, options) {
+    options = _.extend({}, options);
+    var parameters = _.extend({}, options.parameters);
+
+    this.perPage = Math.min(options.per_page || parameters.per_page || MAX_PER_PAGE, MAX_PER_PAGE);
+    this.page = (options.page || parameters.page || 1) - 1;
+    this.maxPages = options.maxPages || Infinity;
+
+    /**
+     * Total number of items, read from the x-number-of-items header once the first page is fetched
+     * @type {number|null}
+     */
+    this.totalItems = null;
+
+    /**
+     * Total number of pages, read from the x-number-of-pages header once the first page is fetched
+     * @type {number|null}
+     */
+    this.totalPages = null;
+
+    this._fetchPage = fetchPage;
+    this._options = _.omit(options, 'per_page', 'page', 'maxPages');
+    this._parameters = _.omit(parameters, 'per_page', 'page');
+    this._pagesFetched = 0;
+    this._done = false;
+    // Promise of the page fetched by getTotals, not read yet
+    this._peeked = null;
+};
+
+Paginator.MAX_PER_PAGE = MAX_PER_PAGE;
+
+Paginator.prototype = {
+    /**
+     * Fetches the next page
+     * @returns {Promise}   Resolves with the items of the page, or null once all pages have been read
+     */
+    nextPage: function () {
+        var self = this;
+
+        if (this._done || this._pagesFetched >= this.maxPages) {
+            this._done = true;
+            return Promise.resolve(null);
+        }
+
+        // The page only counts as read once fetched, so that a failed page is requested again
+        var page = this.page + 1;
+        var pageOptions = _.extend({}, this._options, {
+            parameters: _.extend({}, this._parameters, {
+                page: page,
+                per_page: this.perPage
+            })
+        });
+
+        return Promise.resolve(this._fetchPage(pageOptions)).then(function (result) {
+            var items = result.data || [];
+            var headers = result.headers || {};
+
+            self.page = page;
+            self._pagesFetched++;
+
+            if (headers['x-number-of-items'] !== undefined) {
+                self.totalItems = parseInt(headers['x-number-of-items'], 10);
+            }
+            if (headers['x-number-of-pages'] !== undefined) {
+                self.totalPages = parseInt(headers['x-number-of-pages'], 10);
+            }
+
+            // Without the pagination headers, a short page is the last one
+            if (self.totalPages !== null ? self.page >= self.totalPages : items.length < self.perPage) {
+                self._done = true;
+            }
+
+            if (!items.length) {
+                self._done = true;
+                return null;
+            }
+
+            return items;
+        });
+    },
+
+    /**
+     * Resolves with the totals, fetching the first page if needed
+     * @returns {Promise}   Resolves with {totalItems, totalPages}
+     */
+    getTotals: function () {
+        var self = this;
+        var ready = this._pagesFetched ? Promise.resolve() : this._peek();
+
+        return ready.then(function () {
+            return {
+                totalItems: self.totalItems,
+                totalPages: self.totalPages
+            };
+        });
+    },
+
+    /**
+     * Iterates over the pages (arrays of items)
+     * @returns {Object}    Async iterator
+     */
+    pages: function () {
+        var self = this;
+        var iterator = {
+            next: function () {
+                return self._shift().then(function (items) {
+                    return items ? {value: items, done: false} : {value: undefined, done: true};
+                });
+            }
+        };
+        iterator[Symbol.asyncIterator] = function () {
+            return iterator;
+        };
+
+        return iterator;
+    },
+
+    /**
+     * Reads all the remaining pages
+     * @returns {Promise}   Resolves with the array of all items
+     */
+    toArray: function () {
+        var self = this;
+        var items = [];
+
+        function read() {
+            return self._shift().then(function (page) {
+                if (!page) {
+                    return items;
+                }
+                items.push.apply(items, page);
+                return read();
+            });
+        }
+
+        return read();
+    },
+
+    /**
+     * Returns the page fetched by getTotals first, if any
+     * @private
+     */
+    _shift: function () {
+        if (this._peeked) {
+            var peeked = this._peeked;
+            this._peeked = null;
+            return peeked;
+        }
+        return this.nextPage();
+    },
+
+    /**
+     * Fetches the next page and keeps it for the next read
+     * @private
+     */
+    _peek: function () {
+        this._peeked = this.nextPage();
+        return this._peeked;
+    }
+};
+
+/**
+ * Iterates over the items of every page
+ */
+Paginator.prototype[Symbol.asyncIterator] = function () {
+    var self = this;
+    var pages = this.pages();
+    var buffer = [];
+
+    return {
+        next: function () {
+            if (buffer.length) {
+                return Promise.resolve({value: buffer.shift(), done: false});
+            }
+            return pages.next().then(function (result) {
+                if (result.done) {
+                    return result;
+                }
+                buffer = result.value.slice(1);
+                return {value: result.value[0], done: false};
+            });
+        },
+        return: function () {
+            self._done = true;
+            return Promise.resolve({value: undefined, done: true});
+        }
+    };
+};
+
+module.exports = Paginator;
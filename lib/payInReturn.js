@@ -0,0 +1,139 @@
+var _ = require('underscore');
+var Promise = require('promise');
+var errors = require('./errors');
+var listeners = require('./listeners');
+var ThreeDSecure = require('./threeDSecure');
+
+/**
+ * Ids of the resources, anything else in the query string is forged
+ */
+var ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Handles the return of the shopper on the ReturnURL of the web pay-ins (card web, PayPal, iDEAL, Klarna...)
+ * or on the SecureModeReturnURL of the card direct pay-ins: the pay-in named by the transactionId query parameter
+ * is fetched, then the callback matching its status is called.
+ *
+ * The status is always read from the API, never from the query string: reloading the page shows the same outcome,
+ * and the callbacks are called on each visit, so they must not fulfil an order twice (the webhooks are the place
+ * for that). A missing or malformed transactionId is answered with a 400, an unknown pay-in or a pay-in refused by
+ * verify with a 404, so that the pay-ins of other shoppers can't be told from the unknown ones.
+ *
+ * @param {Object}  api         SDK instance
+ * @param {Object}  options     Hash of:
+ *                              - onSucceeded, onFailed, onPending: function(req, res, outcome) answering the shopper,
+ *                                outcome being {transaction, status, succeeded, resultCode, resultMessage}
+ *                                (see ThreeDSecure.outcome), required by express() and listener()
+ *                              - onInvalid: function(req, res, err) answering a missing, malformed, unknown or refused
+ *                                transactionId (default: empty 400 or 404 response)
+ *                              - verify: function(payIn, req) returning (a promise of) whether the pay-in belongs to the
+ *                                shopper, ex: its AuthorId or Tag matches the session
+ *                              - interval, backoff, maxInterval, timeout: pace of the wait for the final status of the
+ *                                pay-in (see Service.waitFor), timeout defaults to 5 seconds
+ */
+var PayInReturnHandler = function (api, options) {
+    this._api = api;
+    this.options = _.extend({timeout: 5000, interval: 500, verify: null}, options);
+    this._threeDSecure = new ThreeDSecure(api, _.pick(this.options, 'interval', 'backoff', 'maxInterval', 'timeout'));
+};
+
+PayInReturnHandler.prototype = {
+    /**
+     * Fetches the pay-in of a return
+     * @param {Object}  query   Query parameters of the return URL
+     * @param {Object}  req     Incoming request, given to verify
+     * @returns {Promise}       Resolves with the outcome of the pay-in, rejects with a ValidationError
+     *                          (missing or malformed transactionId) or a NotFoundError (unknown or refused pay-in)
+     */
+    handle: function (query, req) {
+        var self = this;
+        var transactionId = query && query.transactionId;
+
+        if (!_.isString(transactionId) || !ID_PATTERN.test(transactionId)) {
+            return Promise.reject(new errors.ValidationError('Invalid pay-in return', {
+                errors: {transactionId: 'The transactionId parameter is missing or invalid'}
+            }));
+        }
+
+        return this._threeDSecure.complete(transactionId, 'PAYIN').then(function (outcome) {
+            if (!self.options.verify) {
+                return outcome;
+            }
+            return Promise.resolve(self.options.verify(outcome.transaction, req)).then(function (verified) {
+                if (!verified) {
+                    throw new errors.NotFoundError('The pay-in ' + transactionId + ' does not belong to this shopper', {status: 404});
+                }
+                return outcome;
+            });
+        });
+    },
+
+    /**
+     * Plain node http request listener: http.createServer(handler.listener())
+     * Failures of the API and of the callbacks are answered with 500
+     * @returns {Function}  function(req, res), returning a promise resolved once answered
+     */
+    listener: function () {
+        var respond = this._responder();
+
+        return function (req, res) {
+            return respond(req, res).then(null, function () {
+                res.statusCode = 500;
+                res.end();
+            });
+        };
+    },
+
+    /**
+     * Express/Connect route handler: app.get('/checkout/return', handler.express())
+     * Failures of the API and of the callbacks are passed to next()
+     * @returns {Function}  function(req, res, next), returning a promise resolved once answered
+     */
+    express: function () {
+        var respond = this._responder();
+
+        return function (req, res, next) {
+            return respond(req, res).then(null, next);
+        };
+    },
+
+    /**
+     * Answers a return with the callbacks of the options
+     * @private
+     */
+    _responder: function () {
+        var self = this;
+        var callbacks = {
+            SUCCEEDED: this.options.onSucceeded,
+            FAILED: this.options.onFailed,
+            PENDING: this.options.onPending
+        };
+
+        _.each(['onSucceeded', 'onFailed', 'onPending'], function (name) {
+            if (!_.isFunction(self.options[name])) {
+                throw new TypeError('The ' + name + ' option of the pay-in return handler is required');
+            }
+        });
+
+        return function (req, res) {
+            // A malformed url is answered like a malformed transactionId
+            return listeners.readQuery(req).then(function (query) {
+                return self.handle(query, req);
+            }).then(function (outcome) {
+                return callbacks[outcome.status](req, res, outcome);
+            }, function (err) {
+                var status = listeners.getStatusCode(err);
+                if (!status) {
+                    throw err;
+                }
+                if (self.options.onInvalid) {
+                    return self.options.onInvalid(req, res, err);
+                }
+                res.statusCode = status;
+                res.end();
+            });
+        };
+    }
+};
+
+module.exports = PayInReturnHandler;
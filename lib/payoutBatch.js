@@ -0,0 +1,432 @@
+var _ = require('underscore');
+var Promise = require('promise');
+var crypto = require('crypto');
+var errors = require('./errors');
+var Idempotency = require('./services/Idempotency');
+var Transfer = require('./models/Transfer');
+var PayOut = require('./models/PayOut');
+
+/**
+ * Outcomes of the instructions
+ */
+var SUCCEEDED = 'SUCCEEDED';
+var FAILED = 'FAILED';
+var SKIPPED = 'SKIPPED';
+
+/**
+ * Status of the checkpoint records that have to be run (again)
+ */
+var PENDING = 'PENDING';
+
+/**
+ * Derives the idempotency key of a step from the batch id and the instruction id, so that a resumed run
+ * sends the same keys: the API answers the requests it already received with their original response.
+ * @param {string}  batchId     Id of the batch
+ * @param {string}  itemId      Id of the instruction
+ * @param {string}  step        'transfer' or 'payout'
+ * @returns {string}            36 characters key
+ */
+function generateKey(batchId, itemId, step) {
+    return Idempotency.deriveKey(batchId, itemId, step);
+}
+
+/**
+ * Runs a settlement: for each instruction, an optional transfer (ex: from the escrow wallet to the seller wallet),
+ * then a bank wire payout. Instructions run with a bounded concurrency, slowing down when api.rateLimits runs low.
+ *
+ * Every request is sent with an idempotency key derived from the batch id and the instruction id. The progress
+ * is kept in a checkpoint (given to onCheckpoint after each step), from which a crashed run can be resumed:
+ * finished instructions are reported as is, the other ones continue where they stopped, re-sending the same keys.
+ *
+ * @param {Object}  api         SDK instance
+ * @param {Object}  options     Hash of:
+ *                              - id: id of the batch, part of the idempotency keys (taken from the checkpoint, or random)
+ *                              - concurrency: number of instructions run at once (default 4)
+ *                              - checkEligibility: check the instant payouts with PayOuts.checkEligibility (default false)
+ *                              - ineligible: 'skip' the unreachable instant payouts (default), or send them as 'standard'
+ *                              - rateLimitReserve: calls kept for the rest of the platform in each rate limit
+ *                                interval, the batch waits for the reset below it (default 10)
+ *                              - maxRateLimitWait: longest wait for a rate limit reset (in milliseconds, default 60000),
+ *                                the batch stops beyond it and the remaining instructions are skipped
+ *                              - checkpoint: checkpoint of a previous run to resume
+ *                              - onCheckpoint: function(checkpoint) saving the progress, can return a promise
+ *                              - generateKey: function(batchId, itemId, step) returning the idempotency keys
+ * @constructor
+ */
+var PayoutBatch = function (api, options) {
+    this._api = api;
+    this.options = _.extend({
+        id: null,
+        concurrency: 4,
+        checkEligibility: false,
+        ineligible: 'skip',
+        rateLimitReserve: 10,
+        maxRateLimitWait: 60000,
+        checkpoint: null,
+        onCheckpoint: null,
+        generateKey: generateKey
+    }, options);
+
+    var checkpoint = this.options.checkpoint;
+
+    /**
+     * Progress of the batch: {batchId, items: {itemId: {status, transferId, payOutId, payoutModeRequested, reason, error}}}
+     * @type {Object}
+     */
+    this.checkpoint = {
+        batchId: this.options.id || (checkpoint && checkpoint.batchId) || crypto.randomUUID(),
+        items: _.extend({}, checkpoint && checkpoint.items)
+    };
+    this._saving = Promise.resolve();
+};
+
+PayoutBatch.SUCCEEDED = SUCCEEDED;
+PayoutBatch.FAILED = FAILED;
+PayoutBatch.SKIPPED = SKIPPED;
+PayoutBatch.generateKey = generateKey;
+
+PayoutBatch.prototype = {
+    /**
+     * Runs the instructions
+     * @param {Array}   instructions    List of {id, transfer, payOut}:
+     *                                  - id: unique id of the instruction within the batch, ex: the seller id
+     *                                  - transfer: Transfer to create before the payout (optional)
+     *                                  - payOut: bank wire PayOut to create
+     * @returns {Promise}   Resolves with the report: {batchId, items, succeeded, failed, skipped, complete, checkpoint}.
+     *                      items holds one {id, status, reason, transferId, payOutId, transfer, payOut, error, resumed}
+     *                      per instruction, in order. A payout that is created is SUCCEEDED, its bank wire then
+     *                      follows (PAYOUT_NORMAL_* hooks). complete is false when the batch stopped on the rate
+     *                      limits: resuming from the checkpoint runs the skipped instructions.
+     *                      Rejects when the checkpoint can't be saved.
+     */
+    run: function (instructions) {
+        var self = this;
+        var results = new Array(instructions.length);
+        var seen = {};
+        var next = 0;
+
+        this._stopped = false;
+        this._fatal = null;
+
+        for (var i = 0; i < instructions.length; i++) {
+            var instruction = instructions[i];
+            if (!instruction || (!_.isString(instruction.id) && !_.isNumber(instruction.id)) || !_.isObject(instruction.payOut)) {
+                return Promise.reject(new TypeError('Instruction ' + i + ' needs an id and a payOut'));
+            }
+        }
+
+        function worker() {
+            if (next >= instructions.length) {
+                return Promise.resolve();
+            }
+
+            var index = next++;
+            var instruction = instructions[index];
+            var id = String(instruction.id);
+            var outcome;
+
+            if (seen[id]) {
+                outcome = Promise.resolve(self._result(id, {status: SKIPPED, reason: 'DUPLICATE_INSTRUCTION'}));
+            } else {
+                seen[id] = true;
+                outcome = self._runItem(id, instruction);
+            }
+
+            return outcome.then(function (result) {
+                results[index] = result;
+            }, function (err) {
+                // The checkpoint could not be saved: the progress would be lost, stop there
+                self._fatal = self._fatal || err;
+                self._stopped = true;
+                results[index] = self._result(id, {status: FAILED, reason: err.message, error: err});
+            }).then(worker);
+        }
+
+        var workers = [];
+        for (var j = 0; j < Math.max(1, Math.min(this.options.concurrency, instructions.length)); j++) {
+            workers.push(worker());
+        }
+
+        return Promise.all(workers).then(function () {
+            return self._saving;
+        }).then(function () {
+            if (self._fatal) {
+                throw self._fatal;
+            }
+
+            var counts = _.countBy(results, 'status');
+            return {
+                batchId: self.checkpoint.batchId,
+                items: results,
+                succeeded: counts[SUCCEEDED] || 0,
+                failed: counts[FAILED] || 0,
+                skipped: counts[SKIPPED] || 0,
+                complete: !self._stopped,
+                checkpoint: self.checkpoint
+            };
+        });
+    },
+
+    /**
+     * Runs the steps of an instruction that are not done yet
+     * @param {string}  id              Id of the instruction
+     * @param {Object}  instruction     {id, transfer, payOut}
+     * @returns {Promise}   Resolves with the result of the instruction
+     * @private
+     */
+    _runItem: function (id, instruction) {
+        var self = this;
+        var record = this.checkpoint.items[id];
+        var resources = {transfer: null, payOut: null};
+
+        if (record && record.status !== PENDING) {
+            return Promise.resolve(this._result(id, _.extend({resumed: true}, record)));
+        }
+        if (this._stopped) {
+            return Promise.resolve(this._result(id, _.extend({}, record, {status: SKIPPED, reason: 'RATE_LIMITED'})));
+        }
+
+        record = _.extend({status: PENDING, transferId: null, payOutId: null, payoutModeRequested: null}, record);
+        var payOut = _.extend({}, instruction.payOut);
+        if (!payOut.PaymentType && !payOut.MeanOfPaymentDetails) {
+            payOut.PaymentType = 'BANK_WIRE';
+        }
+        payOut.PayoutModeRequested = record.payoutModeRequested || payOut.PayoutModeRequested;
+
+        function finish(status, reason, error) {
+            var finished = _.extend({}, record, {status: status, reason: reason || null, error: serializeError(error)});
+            return self._save(id, finished).then(function () {
+                return self._result(id, _.extend(finished, resources, {error: error || null}));
+            });
+        }
+
+        return this._checkEligibility(record, payOut)
+            .then(function (reason) {
+                if (reason) {
+                    return finish(SKIPPED, reason);
+                }
+
+                return self._createTransfer(id, record, instruction.transfer, resources).then(function (failure) {
+                    if (failure) {
+                        return finish(FAILED, failure);
+                    }
+                    return self._createPayOut(id, record, payOut, resources).then(function (failure) {
+                        return failure ? finish(FAILED, failure) : finish(SUCCEEDED);
+                    });
+                });
+            })
+            .then(null, function (err) {
+                if (err instanceof errors.RateLimitError) {
+                    self._stopped = true;
+                    return self._result(id, _.extend({}, record, resources, {status: SKIPPED, reason: 'RATE_LIMITED', error: err}));
+                }
+                if (!(err instanceof errors.MangopayApiError)) {
+                    throw err;
+                }
+                // Failures that may be transient stay pending in the checkpoint, to be retried with the same keys
+                if (errors.isAmbiguous(err)) {
+                    return self._save(id, record).then(function () {
+                        return self._result(id, _.extend({}, record, resources, {status: FAILED, reason: err.message, error: err}));
+                    });
+                }
+                return finish(FAILED, err.message, err);
+            });
+    },
+
+    /**
+     * Checks that an instant payout can reach the bank account
+     * @returns {Promise}   Resolves with the reason to skip the instruction, if any
+     * @private
+     */
+    _checkEligibility: function (record, payOut) {
+        var self = this;
+
+        if (!this.options.checkEligibility || record.payoutModeRequested || record.transferId ||
+            !/^INSTANT_PAYMENT/.test(payOut.PayoutModeRequested || '')) {
+            return Promise.resolve(null);
+        }
+
+        return this._call(function () {
+            return self._api.PayOuts.checkEligibility(payOut);
+        }).then(function (eligibility) {
+            var instantPayout = eligibility && eligibility.InstantPayout;
+            if (!instantPayout || instantPayout.IsReachable) {
+                return null;
+            }
+            if (self.options.ineligible === 'standard' && payOut.PayoutModeRequested !== 'INSTANT_PAYMENT_ONLY') {
+                payOut.PayoutModeRequested = record.payoutModeRequested = 'STANDARD';
+                return null;
+            }
+
+            var unreachableReason = instantPayout.UnreachableReason;
+            return 'NOT_ELIGIBLE' + (unreachableReason && unreachableReason.Message ? ': ' + unreachableReason.Message : '');
+        });
+    },
+
+    /**
+     * Creates the transfer of an instruction, unless it is done already
+     * @returns {Promise}   Resolves with the reason of the failure, if the transfer failed
+     * @private
+     */
+    _createTransfer: function (id, record, transfer, resources) {
+        var self = this;
+
+        if (!transfer || record.transferId) {
+            return Promise.resolve(null);
+        }
+
+        var key = this.options.generateKey(this.checkpoint.batchId, id, 'transfer');
+        return this._call(function () {
+            return self._api.Transfers.create(transfer, self._api.OptionsHelper.withIdempotency({}, key));
+        }, Transfer).then(function (data) {
+            resources.transfer = data;
+            if (data.Status === 'FAILED') {
+                return failureReason(data);
+            }
+            record.transferId = data.Id;
+            return self._save(id, record);
+        });
+    },
+
+    /**
+     * Creates the payout of an instruction
+     * @returns {Promise}   Resolves with the reason of the failure, if the payout failed
+     * @private
+     */
+    _createPayOut: function (id, record, payOut, resources) {
+        var self = this;
+        var key = this.options.generateKey(this.checkpoint.batchId, id, 'payout');
+
+        return this._call(function () {
+            return self._api.PayOuts.create(payOut, self._api.OptionsHelper.withIdempotency({}, key));
+        }, PayOut).then(function (data) {
+            resources.payOut = data;
+            record.payOutId = data.Id;
+            return data.Status === 'FAILED' ? failureReason(data) : null;
+        });
+    },
+
+    /**
+     * Sends a request once the rate limits allow it. When its outcome is unknown (timeout, network error, 5xx),
+     * the response kept by the API for its idempotency key is used instead.
+     * @param {Function}    request     Sends the request, returns a promise
+     * @param {Function}    dataClass   Model of the created resource
+     * @returns {Promise}
+     * @private
+     */
+    _call: function (request, dataClass) {
+        var api = this._api;
+
+        return this._waitForRateLimits().then(request).then(null, function (err) {
+            if (!dataClass || !errors.isAmbiguous(err) || !err.idempotencyKey) {
+                throw err;
+            }
+            return api.Idempotency.resolveOutcome(err, {dataClass: dataClass}).then(function (data) {
+                if (data === null) {
+                    throw err;
+                }
+                return data;
+            });
+        });
+    },
+
+    /**
+     * Waits until every rate limit interval has more calls remaining than the reserve
+     * @returns {Promise}   Rejected with a RateLimitError when the wait would exceed maxRateLimitWait
+     * @private
+     */
+    _waitForRateLimits: function () {
+        var reserve = this.options.rateLimitReserve;
+        var now = Date.now();
+        var wait = 0;
+
+        if (this._stopped) {
+            return Promise.reject(new errors.RateLimitError('Payout batch stopped on the rate limits'));
+        }
+
+        _.each(this._api.rateLimits, function (rateLimit) {
+            // resetTimeMillis holds a unix timestamp (in seconds)
+            if (rateLimit.callsRemaining <= reserve) {
+                wait = Math.max(wait, rateLimit.resetTimeMillis * 1000 - now);
+            }
+        });
+
+        if (wait <= 0) {
+            return Promise.resolve();
+        }
+        if (wait > this.options.maxRateLimitWait) {
+            var error = new errors.RateLimitError('Rate limit reserve reached until ' + new Date(now + wait).toISOString());
+            error.retryAfter = wait;
+            return Promise.reject(error);
+        }
+
+        return new Promise(function (resolve) {
+            setTimeout(resolve, wait);
+        });
+    },
+
+    /**
+     * Records the progress of an instruction and hands the checkpoint to onCheckpoint
+     * @returns {Promise}   Resolves once the checkpoint is saved
+     * @private
+     */
+    _save: function (id, record) {
+        var onCheckpoint = this.options.onCheckpoint;
+
+        this.checkpoint.items[id] = _.extend({}, record);
+        if (!_.isFunction(onCheckpoint)) {
+            return Promise.resolve(null);
+        }
+
+        // Saved one after the other, so that the last saved checkpoint is the latest one
+        var snapshot = JSON.parse(JSON.stringify(this.checkpoint));
+        this._saving = this._saving.then(function () {
+            return onCheckpoint(snapshot);
+        });
+        return this._saving.then(function () {
+            return null;
+        });
+    },
+
+    /**
+     * Builds the report entry of an instruction
+     * @private
+     */
+    _result: function (id, properties) {
+        return _.extend({
+            id: id,
+            status: null,
+            reason: null,
+            transferId: null,
+            payOutId: null,
+            transfer: null,
+            payOut: null,
+            error: null,
+            resumed: false
+        }, _.omit(properties, 'payoutModeRequested'));
+    }
+};
+
+/**
+ * Reason of a failed transaction, ex: '001001 Unsufficient wallet balance'
+ */
+function failureReason(transaction) {
+    return _.compact([transaction.ResultCode, transaction.ResultMessage]).join(' ') || 'FAILED';
+}
+
+/**
+ * Keeps what can be saved in the checkpoint of an error
+ */
+function serializeError(error) {
+    if (!error) {
+        return null;
+    }
+    return {
+        name: error.name,
+        message: error.message,
+        status: error.status || null,
+        type: error.Type || null
+    };
+}
+
+module.exports = PayoutBatch;
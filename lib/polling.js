@@ -0,0 +1,134 @@
+var _ = require('underscore');
+var Promise = require('promise');
+
+/**
+ * Default pace of waitFor
+ */
+var DEFAULT_OPTIONS = {
+    interval: 1000,
+    backoff: 1.5,
+    maxInterval: 30000,
+    timeout: 300000,
+    signal: null
+};
+
+/**
+ * The resource did not reach the expected state within the timeout
+ * lastValue holds the resource as last fetched
+ *
+ * @param {string}  message     Error message
+ * @param {*}       lastValue   Last fetched resource, if any
+ * @constructor
+ */
+function WaitTimeoutError(message, lastValue) {
+    this.name = 'WaitTimeoutError';
+    this.message = message || 'Timed out waiting for the resource';
+    this.lastValue = lastValue === undefined ? null : lastValue;
+
+    if (Error.captureStackTrace) {
+        Error.captureStackTrace(this, WaitTimeoutError);
+    } else {
+        this.stack = (new Error(this.message)).stack;
+    }
+}
+
+WaitTimeoutError.prototype = Object.create(Error.prototype, {
+    constructor: {value: WaitTimeoutError, writable: true, configurable: true}
+});
+
+/**
+ * Error of an aborted wait: the reason of the signal, or an AbortError
+ */
+function abortError(signal) {
+    if (signal.reason !== undefined) {
+        return signal.reason;
+    }
+    var error = new Error('The wait was aborted');
+    error.name = 'AbortError';
+    return error;
+}
+
+/**
+ * Fetches a resource until it matches a predicate. The first fetch is immediate, the next ones are spaced by
+ * interval, multiplied by backoff after each attempt, up to maxInterval.
+ *
+ * @param {Function}    fetch       Returns a promise of the resource
+ * @param {Function}    predicate   Called with the resource, returns (a promise of) whether it is the one expected
+ * @param {Object}      options     Hash of:
+ *                                  - interval: delay before the second fetch (in milliseconds, default 1000)
+ *                                  - backoff: factor applied to the delay after each fetch (default 1.5, 1 for a fixed pace)
+ *                                  - maxInterval: longest delay between two fetches (in milliseconds, default 30000)
+ *                                  - timeout: rejects with a WaitTimeoutError after that long (in milliseconds,
+ *                                    default 300000, 0 to wait forever)
+ *                                  - signal: AbortSignal stopping the wait, rejects with its reason
+ * @returns {Promise}   Resolves with the resource matching the predicate, rejects with the errors of fetch
+ */
+function waitFor(fetch, predicate, options) {
+    options = _.extend({}, DEFAULT_OPTIONS, options);
+    var signal = options.signal;
+
+    return new Promise(function (resolve, reject) {
+        var done = false;
+        var timer = null;
+        var deadline = null;
+        var delay = options.interval;
+        var lastValue;
+
+        function finish(err, value) {
+            if (done) {
+                return;
+            }
+            done = true;
+            clearTimeout(timer);
+            clearTimeout(deadline);
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+            if (err) {
+                reject(err);
+            } else {
+                resolve(value);
+            }
+        }
+
+        function onAbort() {
+            finish(abortError(signal));
+        }
+
+        function attempt() {
+            Promise.resolve().then(fetch).then(function (value) {
+                lastValue = value;
+                return predicate(value);
+            }).then(function (matched) {
+                if (done) {
+                    return;
+                }
+                if (matched) {
+                    return finish(null, lastValue);
+                }
+                timer = setTimeout(attempt, delay);
+                delay = Math.min(delay * options.backoff, options.maxInterval);
+            }, finish);
+        }
+
+        if (signal) {
+            if (signal.aborted) {
+                return onAbort();
+            }
+            signal.addEventListener('abort', onAbort);
+        }
+        if (options.timeout && isFinite(options.timeout)) {
+            deadline = setTimeout(function () {
+                finish(new WaitTimeoutError('Timed out after ' + options.timeout + 'ms waiting for the resource', lastValue));
+            }, options.timeout);
+        }
+
+        attempt();
+    });
+}
+
+module.exports = {
+    DEFAULT_OPTIONS: DEFAULT_OPTIONS,
+    WaitTimeoutError: WaitTimeoutError,
+    waitFor: waitFor
+};
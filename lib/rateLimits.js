@@ -0,0 +1,58 @@
+/**
+ * Reads the rate limits sent by the API in the x-ratelimit, x-ratelimit-remaining and x-ratelimit-reset headers,
+ * which hold one comma separated value per interval (15 minutes, 30 minutes, 1 hour, 24 hours)
+ * @param {Object}  headers     Response headers
+ * @returns {Array|null}        List of {minutesInterval, callsMade, callsRemaining, resetTimeMillis},
+ *                              empty without rate limit headers, null when the headers are inconsistent
+ */
+function parse(headers) {
+    var rateLimits = [];
+
+    if (!headers) {
+        return rateLimits;
+    }
+
+    var rateLimitReset = headers['x-ratelimit-reset'];
+    var rateLimitRemaining = headers['x-ratelimit-remaining'];
+    var rateLimitMade = headers['x-ratelimit'];
+
+    if (rateLimitReset === undefined || rateLimitRemaining === undefined || rateLimitMade === undefined) {
+        return rateLimits;
+    }
+
+    rateLimitReset = String(rateLimitReset).split(",");
+    rateLimitRemaining = String(rateLimitRemaining).split(",");
+    rateLimitMade = String(rateLimitMade).split(",");
+
+    if (rateLimitReset.length !== rateLimitRemaining.length || rateLimitReset.length !== rateLimitMade.length) {
+        return null;
+    }
+
+    var currentTime = Math.floor(Date.now() / 1000);
+    for (var i = 0; i < rateLimitReset.length; i++) {
+        var numberOfMinutes = (parseInt(rateLimitReset[i]) - currentTime) / 60;
+        var rateLimit = {
+            resetTimeMillis: parseInt(rateLimitReset[i]),
+            callsRemaining: parseInt(rateLimitRemaining[i]),
+            callsMade: parseInt(rateLimitMade[i])
+        };
+
+        if (numberOfMinutes <= 15) {
+            rateLimit.minutesInterval = 15;
+        } else if (numberOfMinutes <= 30) {
+            rateLimit.minutesInterval = 30;
+        } else if (numberOfMinutes <= 60) {
+            rateLimit.minutesInterval = 60;
+        } else if (numberOfMinutes <= 60 * 24) {
+            rateLimit.minutesInterval = 60 * 24;
+        }
+
+        rateLimits.push(rateLimit);
+    }
+
+    return rateLimits;
+}
+
+module.exports = {
+    parse: parse
+};
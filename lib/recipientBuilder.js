@@ -0,0 +1,238 @@
+var _ = require('underscore');
+var Promise = require('promise');
+var errors = require('./errors');
+var validation = require('./validation');
+
+/**
+ * Fields of a recipient picking its schema
+ */
+var SCHEMA_FIELDS = ['PayoutMethodType', 'RecipientType', 'Currency', 'Country'];
+
+/**
+ * Keys of the schemas of the fields, telling them from the groups of fields (ex: IndividualRecipient.Address)
+ */
+var PROPERTY_SCHEMA_KEYS = ['Required', 'MaxLength', 'MinLength', 'Pattern', 'AllowedValues', 'Label', 'EndUserDisplay'];
+
+/**
+ * Creates the recipients from the schemas of Recipients.getSchema: the schema of each payout method type, recipient
+ * type, currency and country is fetched once and cached, the recipients are checked against it (required fields,
+ * patterns, lengths and allowed values) before Recipients.validate confirms them server-side, and fields() describes
+ * the fields to drive a form from.
+ *
+ * @param {Object}  api         SDK instance
+ * @param {Object}  options     Hash of:
+ *                              - ttl: how long a schema is cached, in milliseconds (1 hour by default, 0 to disable)
+ *                              - now: function returning the current time in milliseconds, Date.now by default
+ * @constructor
+ */
+var RecipientBuilder = function (api, options) {
+    this._api = api;
+    this.options = _.extend({ttl: 60 * 60 * 1000, now: Date.now}, options);
+    this._schemas = {};
+};
+
+RecipientBuilder.prototype = {
+    /**
+     * Schema of the recipients, from the cache when fetched less than ttl ago
+     * @param {string}  payoutMethodType    LocalBankTransfer or InternationalBankTransfer
+     * @param {string}  recipientType       Individual or Business
+     * @param {string}  currency
+     * @param {string}  country
+     * @returns {Promise}   Resolves with the RecipientSchema
+     */
+    getSchema: function (payoutMethodType, recipientType, currency, country) {
+        var self = this;
+        var key = [payoutMethodType, recipientType, currency, country].join(':');
+        var cached = this._schemas[key];
+        var now = this.options.now();
+
+        if (cached && cached.expiresAt > now) {
+            return cached.promise;
+        }
+
+        // Concurrent calls share the same request, a failed one is not cached
+        var promise = this._api.Recipients.getSchema(payoutMethodType, recipientType, currency, country);
+        this._schemas[key] = {promise: promise, expiresAt: now + this.options.ttl};
+
+        return promise.then(null, function (err) {
+            if (self._schemas[key] && self._schemas[key].promise === promise) {
+                delete self._schemas[key];
+            }
+            throw err;
+        });
+    },
+
+    /**
+     * Forgets the cached schemas
+     */
+    clear: function () {
+        this._schemas = {};
+    },
+
+    /**
+     * Describes the fields of a schema, see RecipientBuilder.fields()
+     * @returns {Promise}   Resolves with the fields
+     */
+    fields: function (payoutMethodType, recipientType, currency, country) {
+        return this.getSchema(payoutMethodType, recipientType, currency, country).then(RecipientBuilder.fields);
+    },
+
+    /**
+     * Checks a recipient against the schema of its PayoutMethodType, RecipientType, Currency and Country
+     * @param {Object}  recipient   Recipient, or hash of its fields
+     * @returns {Promise}   Resolves with a hash of field => error message (ex: 'LocalBankTransfer.GBP.SortCode'),
+     *                      empty when valid
+     */
+    validate: function (recipient) {
+        var missing = {};
+
+        _.each(SCHEMA_FIELDS, function (field) {
+            var message = validation.checkField(field, recipient[field], {required: true}, recipient, true);
+            if (message) {
+                missing[field] = message;
+            }
+        });
+
+        if (!_.isEmpty(missing)) {
+            return Promise.resolve(missing);
+        }
+
+        return this.getSchema(recipient.PayoutMethodType, recipient.RecipientType, recipient.Currency, recipient.Country).then(function (schema) {
+            return RecipientBuilder.check(schema, recipient);
+        });
+    },
+
+    /**
+     * Checks a recipient locally, then server-side with Recipients.validate
+     * @param {Object}  recipient   Recipient, or hash of its fields
+     * @param {string}  userId      Id of the user owning the recipient
+     * @returns {Promise}   Rejects with a ValidationError without any call when invalid locally
+     */
+    confirm: function (recipient, userId) {
+        var api = this._api;
+
+        return this.validate(recipient).then(function (invalid) {
+            if (!_.isEmpty(invalid)) {
+                throw new errors.ValidationError('Invalid recipient', {errors: invalid});
+            }
+            return api.Recipients.validate(recipient, userId);
+        });
+    },
+
+    /**
+     * Creates a recipient once confirmed
+     * @param {Object}  recipient   Recipient, or hash of its fields
+     * @param {string}  userId      Id of the user owning the recipient
+     * @returns {Promise}   Resolves with the created Recipient, its PendingUserAction holding the SCA redirection
+     */
+    create: function (recipient, userId) {
+        var api = this._api;
+
+        return this.confirm(recipient, userId).then(function () {
+            return api.Recipients.create(recipient, userId);
+        });
+    }
+};
+
+/**
+ * Fields of a schema, in its order
+ * @param {Object}  schema  RecipientSchema
+ * @returns {Array}     [{path, name, label, required, minLength, maxLength, pattern, allowedValues, endUserDisplay}],
+ *                      path being the dotted path of the field in the recipient, ex: 'IndividualRecipient.Address.City'
+ */
+RecipientBuilder.fields = function (schema) {
+    var fields = [];
+
+    (function walk(node, path) {
+        _.each(_.keys(node), function (name) {
+            var property = node[name];
+            var propertyPath = path.concat(name);
+
+            if (!_.isObject(property)) {
+                return;
+            }
+            if (!isPropertySchema(property)) {
+                walk(property, propertyPath);
+                return;
+            }
+            fields.push({
+                path: propertyPath.join('.'),
+                name: name,
+                label: property.Label || name,
+                required: property.Required === true,
+                minLength: _.isNumber(property.MinLength) ? property.MinLength : null,
+                maxLength: _.isNumber(property.MaxLength) ? property.MaxLength : null,
+                pattern: property.Pattern || null,
+                allowedValues: _.isEmpty(property.AllowedValues) ? null : property.AllowedValues,
+                endUserDisplay: property.EndUserDisplay || null
+            });
+        });
+    })(schema, []);
+
+    return fields;
+};
+
+/**
+ * Checks a recipient against a schema, the first failing check of each field wins
+ * @param {Object}  schema      RecipientSchema
+ * @param {Object}  recipient   Recipient, or hash of its fields
+ * @returns {Object}    Hash of field path => error message, empty when valid
+ */
+RecipientBuilder.check = function (schema, recipient) {
+    var invalid = {};
+
+    _.each(RecipientBuilder.fields(schema), function (field) {
+        var value = _.reduce(field.path.split('.'), function (parent, name) {
+            return parent === undefined || parent === null ? undefined : parent[name];
+        }, recipient);
+        var message = validation.checkField(field.path, value, toRule(field), recipient, true);
+
+        if (message) {
+            invalid[field.path] = message;
+        }
+    });
+
+    return invalid;
+};
+
+/**
+ * Whether a node of a schema describes a field, rather than a group of fields
+ */
+function isPropertySchema(node) {
+    return _.some(PROPERTY_SCHEMA_KEYS, function (key) {
+        return _.has(node, key);
+    });
+}
+
+/**
+ * Validation rule of a field, see validation.checkField()
+ */
+function toRule(field) {
+    var rule = {required: field.required, type: 'string'};
+
+    if (field.allowedValues) {
+        rule.enum = field.allowedValues;
+    }
+    if (field.pattern) {
+        try {
+            rule.pattern = new RegExp(field.pattern);
+        } catch (e) {
+            // A pattern JavaScript cannot read is left to Recipients.validate
+        }
+    }
+    if (field.maxLength !== null) {
+        rule.maxLength = field.maxLength;
+    }
+    if (field.minLength !== null) {
+        rule.validate = function (value) {
+            return value.length < field.minLength ?
+                'The ' + field.path + ' field must be at least ' + field.minLength + ' characters.' : null;
+        };
+    }
+
+    return rule;
+}
+
+RecipientBuilder.SCHEMA_FIELDS = SCHEMA_FIELDS;
+
+module.exports = RecipientBuilder;
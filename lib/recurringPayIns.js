@@ -0,0 +1,379 @@
+var _ = require('underscore');
+var errors = require('./errors');
+var Money = require('./models/Money');
+var Idempotency = require('./services/Idempotency');
+
+var DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Length of the cycles, per Frequency of the registrations
+ */
+var FREQUENCIES = {
+    Daily: {days: 1},
+    Weekly: {days: 7},
+    // The day of the first payment, then 15 days later, every month
+    TwiceAMonth: {halfMonths: 1},
+    Monthly: {months: 1},
+    Bimonthly: {months: 2},
+    Quarterly: {months: 3},
+    Semiannual: {months: 6},
+    Annual: {months: 12},
+    Biannual: {months: 24}
+};
+
+/**
+ * Decisions returned by run()
+ */
+var DECISIONS = {
+    // The next cycle is not due yet, or its retry is scheduled later
+    NOT_DUE: 'NOT_DUE',
+    // The pay-in of the cycle succeeded
+    CHARGED: 'CHARGED',
+    // The pay-in of the cycle is still processing, it is checked again on the next run
+    PENDING: 'PENDING',
+    // The pay-in failed, or its outcome is unknown: it is attempted again at state.nextAttemptAt
+    RETRY: 'RETRY',
+    // The pay-in failed for good, or the retries are exhausted: the subscription is suspended (dunning)
+    GIVE_UP: 'GIVE_UP',
+    // The bank requires the shopper to authenticate: a new CIT is needed
+    AUTHENTICATION_NEEDED: 'AUTHENTICATION_NEEDED',
+    // The first CIT pay-in of the registration has not been made
+    CIT_REQUIRED: 'CIT_REQUIRED',
+    // The registration is ended, or all its cycles are paid
+    ENDED: 'ENDED'
+};
+
+/**
+ * Result codes of the failed pay-ins that no retry will fix: expired or inactive card
+ */
+var HARD_DECLINES = ['101105', '101106'];
+
+/**
+ * Runs the merchant initiated (MIT) pay-ins of the recurring pay-in registrations, whatever the scheduler: call
+ * run() with the registration and its last state, from a cron, a queue or the RECURRING_REGISTRATION_* webhooks,
+ * then store the returned state for the next call.
+ *
+ * The first cycle is the customer initiated (CIT) pay-in, with its 3-D Secure authentication. The next cycles are
+ * due every Frequency after the creation of the registration; the first FreeCycles ones are not charged; the last
+ * one is the CycleNumber-th, or the last one before EndDate. Each cycle is charged with the NextTransaction amounts
+ * (the FirstTransaction ones by default), the last installment of a FractionedPayment with the rest of TotalAmount,
+ * and the registrations without FixedNextAmount with the amount option.
+ *
+ * Every pay-in is sent with an idempotency key derived from the registration, the cycle and the attempt: a run
+ * crashed before its state was stored can be run again without charging twice.
+ *
+ * @param {Object}  api         SDK instance
+ * @param {Object}  options     Hash of:
+ *                              - retrySchedule: delays (in milliseconds) before each retry of a failed pay-in
+ *                                (default 1, 3 and 7 days), the subscription is given up after the last one
+ *                              - errorDelay: delay before checking again a pending pay-in, or sending again a
+ *                                pay-in whose outcome is unknown (timeout, network error, 5xx), default 5 minutes
+ *                              - amount: function(registration, due) returning {DebitedFunds, Fees} of a cycle,
+ *                                required by the registrations without FixedNextAmount nor FractionedPayment
+ *                              - statementDescriptor: StatementDescriptor of the pay-ins
+ *                              - isRetryable: function(payIn) telling whether a failed pay-in is worth a retry
+ *                                (default: all but the expired and inactive cards)
+ *                              - generateKey: function(registrationId, cycle, attempt) returning the idempotency keys
+ *                              - now: function returning the current time in milliseconds (default Date.now)
+ * @constructor
+ */
+var RecurringPayInEngine = function (api, options) {
+    this._api = api;
+    this.options = _.extend({
+        retrySchedule: [DAY, 3 * DAY, 7 * DAY],
+        errorDelay: 5 * 60 * 1000,
+        amount: null,
+        statementDescriptor: null,
+        isRetryable: isRetryable,
+        generateKey: function (registrationId, cycle, attempt) {
+            return Idempotency.deriveKey(registrationId, 'cycle-' + cycle, 'attempt-' + attempt);
+        },
+        now: Date.now
+    }, options);
+};
+
+RecurringPayInEngine.prototype = {
+    /**
+     * State of a registration not run yet by the engine, from its CurrentState
+     * @param {Object}  registration    Recurring pay-in registration
+     * @returns {Object}                Hash of registrationId, cycle (next cycle to charge), attempt, status (ACTIVE,
+     *                                  PAST_DUE, SUSPENDED or ENDED), nextAttemptAt, pendingPayInId and lastPayInId
+     */
+    initialState: function (registration) {
+        var currentState = registration.CurrentState || {};
+        var payIns = currentState.PayinsLinked || 0;
+
+        return {
+            registrationId: registration.Id,
+            // The first pay-in is the CIT, the free cycles come right after it
+            cycle: payIns ? payIns + (registration.FreeCycles || 0) : 0,
+            attempt: 0,
+            status: 'ACTIVE',
+            nextAttemptAt: null,
+            pendingPayInId: null,
+            lastPayInId: currentState.LastPayinId || null
+        };
+    },
+
+    /**
+     * Next MIT pay-in of a registration
+     * @param {Object}  registration    Recurring pay-in registration
+     * @param {Object}  state           State returned by the last run, see initialState
+     * @returns {Object|null}           Hash of cycle, dueDate (Date), DebitedFunds, Fees and last, null when the
+     *                                  CIT is not made yet or all the cycles are paid
+     */
+    nextDue: function (registration, state) {
+        state = state || this.initialState(registration);
+        var cycle = state.cycle;
+
+        if (!cycle || registration.Status === 'ENDED' || (registration.CycleNumber && cycle >= registration.CycleNumber)) {
+            return null;
+        }
+
+        var dueDate = addCycles(registration.CreationDate * 1000, registration.Frequency, cycle);
+        if (registration.EndDate && dueDate > registration.EndDate * 1000) {
+            return null;
+        }
+
+        var due = {
+            cycle: cycle,
+            dueDate: new Date(dueDate),
+            last: registration.CycleNumber ? cycle === registration.CycleNumber - 1 :
+                !!registration.EndDate && addCycles(registration.CreationDate * 1000, registration.Frequency, cycle + 1) > registration.EndDate * 1000
+        };
+
+        return _.extend(due, this._getAmounts(registration, due));
+    },
+
+    /**
+     * Charges the next cycle of a registration when it is due, and decides what comes next
+     * @param {Object|string}   registration    Recurring pay-in registration or its Id, fetched again in any case
+     * @param {Object}          state           State returned by the last run, from the CurrentState of the
+     *                                          registration when not set
+     * @returns {Promise}   Resolves with {decision, state, registration, payIn, due, error}: state is to be stored
+     *                      for the next run, decision is one of RecurringPayInEngine.DECISIONS
+     */
+    run: function (registration, state) {
+        var self = this;
+        var api = this._api;
+
+        return api.PayIns.getRecurringPayin(_.isObject(registration) ? registration.Id : registration).then(function (fetched) {
+            var context = {
+                registration: fetched,
+                state: _.extend(self.initialState(fetched), state),
+                payIn: null,
+                due: null
+            };
+
+            if (context.state.pendingPayInId) {
+                return api.PayIns.get(context.state.pendingPayInId).then(function (payIn) {
+                    return self._settle(context, payIn);
+                });
+            }
+
+            return self._charge(context);
+        });
+    },
+
+    /**
+     * Sends the pay-in of the next cycle, when it is due
+     * @private
+     */
+    _charge: function (context) {
+        var self = this;
+        var registration = context.registration;
+        var state = context.state;
+        var now = this.options.now();
+
+        switch (registration.Status) {
+            case 'ENDED':
+                return this._decide(context, DECISIONS.ENDED, {status: 'ENDED', nextAttemptAt: null});
+            case 'CREATED':
+                return this._decide(context, DECISIONS.CIT_REQUIRED);
+            case 'AUTHENTICATION_NEEDED':
+                return this._decide(context, DECISIONS.AUTHENTICATION_NEEDED, {status: 'SUSPENDED', nextAttemptAt: null});
+        }
+
+        var lastPayInId = registration.CurrentState && registration.CurrentState.LastPayinId;
+        if (state.status === 'SUSPENDED') {
+            // A new CIT paid the overdue cycle
+            if (!lastPayInId || String(lastPayInId) === String(state.lastPayInId)) {
+                return this._decide(context, DECISIONS.GIVE_UP);
+            }
+            _.extend(state, {cycle: state.cycle + 1, attempt: 0, status: 'ACTIVE', lastPayInId: lastPayInId});
+        }
+        if (!state.cycle) {
+            state.cycle = 1 + (registration.FreeCycles || 0);
+        }
+
+        var due = context.due = this.nextDue(registration, state);
+        if (!due) {
+            return this._decide(context, DECISIONS.ENDED, {status: 'ENDED', nextAttemptAt: null});
+        }
+
+        var nextAttemptAt = Math.max(due.dueDate.getTime(), state.nextAttemptAt || 0);
+        if (now < nextAttemptAt) {
+            return this._decide(context, DECISIONS.NOT_DUE, {nextAttemptAt: nextAttemptAt});
+        }
+
+        var payIn = {
+            RecurringPayinRegistrationId: registration.Id,
+            DebitedFunds: due.DebitedFunds,
+            Fees: due.Fees,
+            StatementDescriptor: this.options.statementDescriptor || undefined
+        };
+        var key = this.options.generateKey(registration.Id, due.cycle, state.attempt);
+
+        return this._api.PayIns.createRecurringPayInRegistrationMIT(payIn, this._api.OptionsHelper.withIdempotency({}, key))
+            .then(function (created) {
+                return self._settle(context, created);
+            }, function (err) {
+                if (!errors.isAmbiguous(err)) {
+                    throw err;
+                }
+                // Sent again with the same key: the API answers with the pay-in if it has been created
+                context.error = err;
+                return self._decide(context, DECISIONS.RETRY, {nextAttemptAt: now + self.options.errorDelay});
+            });
+    },
+
+    /**
+     * Decides from the status of the pay-in of the cycle
+     * @private
+     */
+    _settle: function (context, payIn) {
+        var registration = context.registration;
+        var state = context.state;
+        var now = this.options.now();
+        var attempt = state.attempt;
+
+        context.payIn = payIn;
+
+        if (payIn.Status === 'SUCCEEDED') {
+            _.extend(state, {
+                cycle: state.cycle + 1,
+                attempt: 0,
+                status: 'ACTIVE',
+                pendingPayInId: null,
+                lastPayInId: payIn.Id
+            });
+            var next = this.nextDue(registration, state);
+            return this._decide(context, DECISIONS.CHARGED, {
+                status: next ? 'ACTIVE' : 'ENDED',
+                nextAttemptAt: next ? next.dueDate.getTime() : null
+            });
+        }
+
+        if (payIn.Status !== 'FAILED') {
+            return this._decide(context, DECISIONS.PENDING, {
+                pendingPayInId: payIn.Id,
+                nextAttemptAt: now + this.options.errorDelay
+            });
+        }
+
+        state.pendingPayInId = null;
+        state.lastPayInId = payIn.Id;
+
+        if (this.options.isRetryable(payIn) && attempt < this.options.retrySchedule.length) {
+            return this._decide(context, DECISIONS.RETRY, {
+                attempt: attempt + 1,
+                status: 'PAST_DUE',
+                nextAttemptAt: now + this.options.retrySchedule[attempt]
+            });
+        }
+
+        return this._decide(context, DECISIONS.GIVE_UP, {status: 'SUSPENDED', nextAttemptAt: null});
+    },
+
+    /**
+     * @private
+     */
+    _decide: function (context, decision, stateChanges) {
+        var state = _.extend(context.state, stateChanges);
+
+        return {
+            decision: decision,
+            state: state,
+            registration: context.registration,
+            payIn: context.payIn,
+            due: context.due,
+            error: context.error || null
+        };
+    },
+
+    /**
+     * Amounts of a cycle
+     * @private
+     */
+    _getAmounts: function (registration, due) {
+        if (this.options.amount) {
+            return _.pick(this.options.amount(registration, due), 'DebitedFunds', 'Fees');
+        }
+
+        var debitedFunds = registration.NextTransactionDebitedFunds || registration.FirstTransactionDebitedFunds;
+        var fees = registration.NextTransactionFees || registration.FirstTransactionFees;
+
+        if (!debitedFunds || (!registration.FixedNextAmount && !registration.FractionedPayment && !registration.NextTransactionDebitedFunds)) {
+            throw new TypeError('The amount option is required by the registrations without FixedNextAmount nor FractionedPayment');
+        }
+
+        var currency = debitedFunds.Currency;
+        debitedFunds = Money.of(debitedFunds.Amount, currency);
+        fees = fees ? Money.of(fees.Amount, fees.Currency) : Money.zero(currency);
+
+        // The last installment takes the rest of the total amount
+        if (registration.FractionedPayment && due.last && _.isNumber(registration.TotalAmount)) {
+            var paid = registration.CurrentState && registration.CurrentState.CumulatedDebitedAmount;
+            debitedFunds = Money.of(registration.TotalAmount - ((paid && paid.Amount) || 0), currency);
+        }
+
+        return {DebitedFunds: debitedFunds, Fees: fees};
+    }
+};
+
+/**
+ * Adds cycles of a frequency to a date
+ * @param {number}  date        Timestamp in milliseconds
+ * @param {string}  frequency   Frequency of the registration
+ * @param {number}  cycles
+ * @returns {number}            Timestamp in milliseconds
+ */
+function addCycles(date, frequency, cycles) {
+    var length = FREQUENCIES[frequency];
+
+    if (!length) {
+        throw new TypeError('Unknown Frequency ' + frequency + ', expected one of ' + _.keys(FREQUENCIES).join(', '));
+    }
+    if (length.days) {
+        return date + cycles * length.days * DAY;
+    }
+    if (length.halfMonths) {
+        return addMonths(date, Math.floor(cycles / 2)) + (cycles % 2) * 15 * DAY;
+    }
+    return addMonths(date, cycles * length.months);
+}
+
+/**
+ * Adds months to a date, the 31st of January plus one month being the last day of February
+ */
+function addMonths(date, months) {
+    var result = new Date(date);
+    var day = result.getUTCDate();
+
+    result.setUTCDate(1);
+    result.setUTCMonth(result.getUTCMonth() + months);
+    var lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+    result.setUTCDate(Math.min(day, lastDay));
+
+    return result.getTime();
+}
+
+function isRetryable(payIn) {
+    return HARD_DECLINES.indexOf(payIn.ResultCode) === -1;
+}
+
+RecurringPayInEngine.DECISIONS = DECISIONS;
+RecurringPayInEngine.FREQUENCIES = FREQUENCIES;
+RecurringPayInEngine.addCycles = addCycles;
+
+module.exports = RecurringPayInEngine;
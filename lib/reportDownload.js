@@ -0,0 +1,405 @@
+var _ = require('underscore');
+var Promise = require('promise');
+var StringDecoder = require('string_decoder').StringDecoder;
+var errors = require('./errors');
+var Money = require('./models/Money');
+
+/**
+ * Parsers of the column types
+ */
+var TYPES = {
+    string: function (value) {
+        return value;
+    },
+    integer: function (value) {
+        var number = Number(value);
+        return isNaN(number) ? value : Math.trunc(number);
+    },
+    number: function (value) {
+        var number = Number(value);
+        return isNaN(number) ? value : number;
+    },
+    boolean: function (value) {
+        return /^(true|1)$/i.test(value);
+    },
+    date: function (value) {
+        // Unix timestamps (in seconds), or ISO 8601 dates
+        var date = /^-?\d+$/.test(value) ? new Date(parseInt(value, 10) * 1000) : new Date(value);
+        return isNaN(date.getTime()) ? value : date;
+    }
+};
+
+/**
+ * Type of a column from its name: DebitedFundsAmount is an amount, CreationDate a date...
+ */
+function columnType(name) {
+    if (/Amount$/.test(name)) {
+        return 'amount';
+    }
+    if (/Date$/.test(name)) {
+        return 'date';
+    }
+    return 'string';
+}
+
+/**
+ * Incremental CSV parser (RFC 4180): fields can be quoted, with "" for a quote, and span several lines
+ * @param {string}  delimiter   Field delimiter
+ * @constructor
+ */
+function CsvParser(delimiter) {
+    this.delimiter = delimiter;
+    this.field = '';
+    this.record = [];
+    this.quoted = false;
+    this.quotePending = false;
+    this.started = false;
+}
+
+CsvParser.prototype = {
+    /**
+     * Parses a chunk of text
+     * @param {string}  text
+     * @returns {Array}     Records completed by the chunk
+     */
+    push: function (text) {
+        var records = [];
+
+        if (!this.started && text.length) {
+            this.started = true;
+            text = text.replace(/^\uFEFF/, '');
+        }
+
+        for (var i = 0; i < text.length; i++) {
+            var char = text[i];
+
+            if (this.quotePending) {
+                this.quotePending = false;
+                if (char === '"') {
+                    this.field += '"';
+                    continue;
+                }
+                this.quoted = false;
+            }
+
+            if (this.quoted) {
+                if (char === '"') {
+                    this.quotePending = true;
+                } else {
+                    this.field += char;
+                }
+            } else if (char === '"' && this.field === '') {
+                this.quoted = true;
+            } else if (char === this.delimiter) {
+                this.record.push(this.field);
+                this.field = '';
+            } else if (char === '\n') {
+                this._endRecord(records);
+            } else if (char !== '\r') {
+                this.field += char;
+            }
+        }
+
+        return records;
+    },
+
+    /**
+     * Ends the parsing
+     * @returns {Array}     Last record, if the text does not end with a new line
+     */
+    end: function () {
+        var records = [];
+        this.quotePending = false;
+        this.quoted = false;
+        this._endRecord(records);
+        return records;
+    },
+
+    _endRecord: function (records) {
+        this.record.push(this.field);
+        // Blank lines are skipped
+        if (this.record.length > 1 || this.record[0] !== '') {
+            records.push(this.record);
+        }
+        this.field = '';
+        this.record = [];
+    }
+};
+
+/**
+ * Downloads a report once it is ready, and reads its CSV rows as typed records, one at a time: the file is
+ * streamed, only the rows being read are kept in memory.
+ *
+ *     for await (const row of api.Reports.download(reportId)) {
+ *         console.log(row.Id, row.DebitedFundsAmount, row.CreationDate);
+ *     }
+ *
+ * Records are keyed by the Columns of the report (or the header row of the file). Empty cells are null,
+ * amount columns (...Amount) are integers in minor units, date columns (...Date) are Dates.
+ *
+ * @param {Object}          service     Reports or ReportsV2 service
+ * @param {string|Object}   report      Id of the report, or the report itself
+ * @param {Object}          options     Hash of:
+ *                                      - interval, backoff, maxInterval, timeout: pace of the wait for the report
+ *                                        (see Service.waitFor), timeout defaults to 30 minutes
+ *                                      - signal: AbortSignal stopping the wait and the download
+ *                                      - types: hash of column => 'string', 'integer', 'number', 'amount', 'date',
+ *                                        'boolean' or function(value, record) overriding the default types
+ *                                      - delimiter: field delimiter (default ',')
+ * @constructor
+ */
+var ReportDownload = function (service, report, options) {
+    this._service = service;
+    this._reportId = report;
+    this.options = _.extend({timeout: 30 * 60 * 1000, types: {}, delimiter: ','}, options);
+
+    /**
+     * The report, once ready for download
+     * @type {Object|null}
+     */
+    this.report = null;
+
+    /**
+     * Names of the columns, once the download started
+     * @type {Array|null}
+     */
+    this.columns = null;
+
+    this._ready = null;
+};
+
+ReportDownload.prototype = {
+    /**
+     * Waits for the report to be READY_FOR_DOWNLOAD
+     * @returns {Promise}   Resolves with the report, rejects when it FAILED or EXPIRED
+     */
+    ready: function () {
+        var self = this;
+
+        if (!this._ready) {
+            var waitOptions = _.pick(this.options, 'interval', 'backoff', 'maxInterval', 'timeout', 'signal');
+            this._ready = this._service.waitForFinalStatus(this._reportId, waitOptions).then(function (report) {
+                if (report.Status !== 'READY_FOR_DOWNLOAD' || !report.DownloadURL) {
+                    var error = new Error('Report ' + report.Id + ' is ' + report.Status +
+                        (report.ResultMessage ? ': ' + report.ResultMessage : ''));
+                    error.report = report;
+                    throw error;
+                }
+                self.report = report;
+                return report;
+            });
+        }
+
+        return this._ready;
+    },
+
+    /**
+     * Opens the file of the report
+     * @returns {Promise}   Resolves with the readable stream of the CSV file
+     */
+    stream: function () {
+        var self = this;
+        var signal = this.options.signal;
+
+        return this.ready().then(function (report) {
+            var url = report.DownloadURL;
+
+            // The DownloadURL is signed: it is fetched without the API credentials nor middlewares
+            return Promise.resolve(self._service._api.client({
+                url: url,
+                method: 'get',
+                responseType: 'stream',
+                signal: signal || undefined
+            })).then(function (response) {
+                return response.data;
+            }, function (err) {
+                throw errors.fromHttpError(err, {method: 'GET', url: url, timedOut: err.code === 'ECONNABORTED'});
+            });
+        });
+    },
+
+    /**
+     * Iterates over the records of the report
+     * @returns {Object}    Async iterator
+     */
+    rows: function () {
+        var self = this;
+        var parser = new CsvParser(this.options.delimiter);
+        var decoder = new StringDecoder('utf8');
+        var chunks = null;
+        var queue = [];
+        var finished = false;
+
+        function enqueue(records) {
+            _.each(records, function (fields) {
+                if (!self.columns) {
+                    self._setColumns(fields);
+                    if (self._isHeader(fields)) {
+                        return;
+                    }
+                }
+                queue.push(self._toRecord(fields));
+            });
+        }
+
+        var iterator = {
+            next: function () {
+                if (queue.length) {
+                    return Promise.resolve({value: queue.shift(), done: false});
+                }
+                if (finished) {
+                    return Promise.resolve({value: undefined, done: true});
+                }
+
+                chunks = chunks || self.stream().then(function (stream) {
+                    return stream[Symbol.asyncIterator]();
+                });
+
+                return chunks.then(function (source) {
+                    return source.next();
+                }).then(function (chunk) {
+                    if (chunk.done) {
+                        finished = true;
+                        enqueue(parser.push(decoder.end()));
+                        enqueue(parser.end());
+                    } else {
+                        enqueue(parser.push(_.isString(chunk.value) ? chunk.value : decoder.write(chunk.value)));
+                    }
+                    return iterator.next();
+                });
+            },
+            return: function () {
+                finished = true;
+                queue = [];
+                // Closes the download when the loop is left early
+                var closed = chunks ? chunks.then(function (source) {
+                    return source.return && source.return();
+                }) : Promise.resolve();
+
+                return closed.then(function () {
+                    return {value: undefined, done: true};
+                });
+            }
+        };
+        iterator[Symbol.asyncIterator] = function () {
+            return iterator;
+        };
+
+        return iterator;
+    },
+
+    /**
+     * Reads all the records, for the reports small enough to be kept in memory
+     * @returns {Promise}   Resolves with the array of the records
+     */
+    toArray: function () {
+        var iterator = this.rows();
+        var records = [];
+
+        function read() {
+            return iterator.next().then(function (result) {
+                if (result.done) {
+                    return records;
+                }
+                records.push(result.value);
+                return read();
+            });
+        }
+
+        return read();
+    },
+
+    /**
+     * Names the columns from the report, or from the header row of the file
+     * @private
+     */
+    _setColumns: function (fields) {
+        var columns = this.report && this.report.Columns;
+
+        this.columns = _.isArray(columns) && columns.length ? _.map(columns, function (column) {
+            // ReportsV2 returns the columns as {Name, IsDefault}
+            return _.isObject(column) ? column.Name : column;
+        }) : fields;
+    },
+
+    /**
+     * Whether the first row holds the names of the columns
+     * @private
+     */
+    _isHeader: function (fields) {
+        var columns = _.map(this.columns, function (column) {
+            return String(column).toLowerCase();
+        });
+        return _.every(fields, function (field, index) {
+            return field.toLowerCase() === columns[index];
+        });
+    },
+
+    /**
+     * Converts the fields of a row to a record
+     * @private
+     */
+    _toRecord: function (fields) {
+        var self = this;
+        var record = {};
+
+        _.each(this.columns, function (column, index) {
+            record[column] = fields[index] === undefined || fields[index] === '' ? null : fields[index];
+        });
+
+        _.each(this.columns, function (column) {
+            if (record[column] !== null) {
+                record[column] = self._parse(column, record[column], record);
+            }
+        });
+
+        return record;
+    },
+
+    /**
+     * Parses a value according to the type of its column
+     * @private
+     */
+    _parse: function (column, value, record) {
+        var type = this.options.types[column] || columnType(column);
+
+        if (_.isFunction(type)) {
+            return type(value, record);
+        }
+        if (type === 'amount') {
+            return parseAmount(value, record[column.replace(/Amount$/, 'Currency')]);
+        }
+        if (!TYPES[type]) {
+            throw new TypeError('Unknown type of the column ' + column + ': ' + type);
+        }
+        return TYPES[type](value);
+    }
+};
+
+ReportDownload.prototype[Symbol.asyncIterator] = function () {
+    return this.rows();
+};
+
+/**
+ * Parses an amount in minor units. Decimal amounts are converted with the decimals of their currency.
+ * @param {string}  value       Amount
+ * @param {string}  currency    Value of the matching currency column, if any
+ * @returns {number|string}     Integer amount, the value itself when it is not a number
+ */
+function parseAmount(value, currency) {
+    if (/^-?\d+$/.test(value)) {
+        return parseInt(value, 10);
+    }
+    if (currency && /^-?\d+\.\d+$/.test(value)) {
+        try {
+            return Money.parse(value, currency).Amount;
+        } catch (err) {
+            // More decimals than the currency has, or an unknown currency
+        }
+    }
+    return TYPES.number(value);
+}
+
+ReportDownload.CsvParser = CsvParser;
+
+module.exports = ReportDownload;
@@ -0,0 +1,126 @@
+var _ = require('underscore');
+
+/**
+ * HTTP methods that can be replayed without side effects
+ */
+var IDEMPOTENT_METHODS = ['GET', 'PUT', 'DELETE', 'HEAD', 'OPTIONS'];
+
+/**
+ * Parses the Retry-After header, expressed in seconds or as an HTTP date
+ * @param {string}  value   Header value
+ * @returns {number|null}   Delay in milliseconds
+ */
+function parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+
+    var seconds = Number(value);
+    if (!isNaN(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+
+    var date = Date.parse(value);
+    if (!isNaN(date)) {
+        return Math.max(0, date - Date.now());
+    }
+
+    return null;
+}
+
+/**
+ * Parses the x-ratelimit-reset header, a list of unix timestamps (one per rate limit interval).
+ * When x-ratelimit-remaining tells which limits are exhausted, only those are taken into account.
+ * @param {Object}  headers     Response headers
+ * @returns {number|null}       Delay in milliseconds until the first relevant reset
+ */
+function parseRateLimitReset(headers) {
+    if (!headers || !headers['x-ratelimit-reset']) {
+        return null;
+    }
+
+    var resets = String(headers['x-ratelimit-reset']).split(',').map(function (reset) {
+        return parseInt(reset, 10);
+    });
+    var remaining = headers['x-ratelimit-remaining'] ?
+        String(headers['x-ratelimit-remaining']).split(',').map(function (calls) {
+            return parseInt(calls, 10);
+        }) : [];
+
+    var exhausted = _.filter(resets, function (reset, index) {
+        return remaining[index] === 0;
+    });
+    var candidates = _.filter(exhausted.length ? exhausted : resets, function (reset) {
+        return !isNaN(reset);
+    });
+
+    if (!candidates.length) {
+        return null;
+    }
+
+    return Math.max(0, _.min(candidates) * 1000 - Date.now());
+}
+
+module.exports = {
+    /**
+     * Checks whether a request can be replayed: idempotent methods always can,
+     * POST requests only when they carry an Idempotency-Key header
+     * @param {string}  methodType  HTTP method
+     * @param {Object}  headers     Request headers
+     * @returns {boolean}
+     */
+    isReplayable: function (methodType, headers) {
+        if (IDEMPOTENT_METHODS.indexOf(String(methodType).toUpperCase()) !== -1) {
+            return true;
+        }
+
+        return !!(headers && headers['Idempotency-Key']);
+    },
+
+    /**
+     * Checks whether a failure is transient: network error, timeout, or a status listed in the policy
+     * @param {Object}  policy      Retry configuration
+     * @param {Object}  error       Axios error
+     * @param {boolean} timedOut    Whether the request was aborted by the connection timeout
+     * @returns {boolean}
+     */
+    isTransient: function (policy, error, timedOut) {
+        if (timedOut) {
+            return policy.retryOnTimeout;
+        }
+
+        if (!error.response) {
+            return policy.retryOnNetworkError;
+        }
+
+        return policy.retryOnStatus.indexOf(error.response.status) !== -1;
+    },
+
+    /**
+     * Computes the delay before the next attempt.
+     * Server hints (Retry-After, then x-ratelimit-reset for 429 responses) win over the exponential backoff,
+     * which uses "full jitter": a random delay between 0 and baseDelay * 2^attempt, capped by maxDelay
+     * @param {Object}  policy      Retry configuration
+     * @param {number}  attempt     Number of the failed attempt, starting at 0
+     * @param {Object}  response    Axios response of the failed attempt, if any
+     * @returns {number|null}       Delay in milliseconds, or null when the server asks to wait longer than maxDelay
+     */
+    getDelay: function (policy, attempt, response) {
+        var headers = response && response.headers;
+        var hint = parseRetryAfter(headers && headers['retry-after']);
+
+        if (hint === null && response && response.status === 429) {
+            hint = parseRateLimitReset(headers);
+        }
+
+        if (hint !== null) {
+            return hint <= policy.maxDelay ? hint : null;
+        }
+
+        var ceiling = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, attempt));
+        return Math.floor(Math.random() * ceiling);
+    },
+
+    parseRetryAfter: parseRetryAfter,
+    parseRateLimitReset: parseRateLimitReset
+};
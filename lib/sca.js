@@ -0,0 +1,251 @@
+var _ = require('underscore');
+var Promise = require('promise');
+var errors = require('./errors');
+var WaitTimeoutError = require('./polling').WaitTimeoutError;
+
+/**
+ * Resources that can wait for the strong customer authentication (SCA) of the user: service re-fetching them, whether
+ * they wait for the SCA (users and recipients) or are still processed (transfers and pay-outs), and whether the SCA
+ * or the operation failed
+ */
+var RESOURCE_TYPES = {
+    USER: {
+        service: 'Users',
+        waitsForSca: function (user) {
+            return user.UserStatus === 'PENDING_USER_ACTION';
+        }
+    },
+    RECIPIENT: {
+        service: 'Recipients',
+        waitsForSca: function (recipient) {
+            return recipient.Status === 'PENDING';
+        },
+        // CANCELED or DEACTIVATED when the SCA failed
+        failed: function (recipient) {
+            return recipient.Status !== 'ACTIVE';
+        }
+    },
+    TRANSFER: {service: 'Transfers', processed: true, failed: isFailed},
+    PAYOUT: {service: 'PayOuts', processed: true, failed: isFailed}
+};
+
+/**
+ * Query parameters added to the return URL, naming the resource waiting for the SCA
+ */
+var RETURN_PARAMETERS = {type: 'scaType', id: 'scaId'};
+
+/**
+ * Strong customer authentication of the users, for any response holding a PendingUserAction (Users.enroll,
+ * Users.categorize, UserNaturalSca and UserLegalSca, recipients, transfers and pay-outs):
+ * - handle and outcome tell whether the user must be redirected, and build the redirection
+ * - complete re-fetches the resource when the user is back on the return URL, then resumes the operation
+ *
+ * @param {Object}  api         SDK instance
+ * @param {Object}  options     Hash of:
+ *                              - returnUrl: URL the SCA session returns the user to, the scaType and scaId query
+ *                                parameters naming the resource are added to it
+ *                              - interval, backoff, maxInterval, timeout: pace of the wait for the final status of
+ *                                the transfers and pay-outs (see Service.waitFor), timeout defaults to 10 seconds
+ */
+var ScaHandler = function (api, options) {
+    this._api = api;
+    this.options = _.extend({returnUrl: null, timeout: 10000, interval: 500}, options);
+};
+
+ScaHandler.prototype = {
+    /**
+     * Action required from the user
+     * @param {Object}  resource    Response of the API
+     * @returns {Object|null}       The PendingUserAction, null when the response holds no RedirectUrl
+     */
+    pendingUserAction: function (resource) {
+        var action = resource && resource.PendingUserAction;
+        return action && action.RedirectUrl ? action : null;
+    },
+
+    /**
+     * URL the user must be redirected to for the SCA session, with the ReturnUrl query parameter
+     * @param {Object}  resource    Response of the API
+     * @param {string}  type        USER, RECIPIENT, TRANSFER or PAYOUT, found from the resource when not set
+     * @param {string}  id          Id of the resource, resource.Id when not set
+     * @returns {string|null}       Null when no SCA is needed; the RedirectUrl alone without the returnUrl option
+     */
+    redirectUrl: function (resource, type, id) {
+        var action = this.pendingUserAction(resource);
+
+        if (!action) {
+            return null;
+        }
+        if (!this.options.returnUrl) {
+            return action.RedirectUrl;
+        }
+
+        var url = new URL(action.RedirectUrl);
+        url.searchParams.set('ReturnUrl', this.returnUrl(type || detectType(resource), id || resource.Id));
+        return url.toString();
+    },
+
+    /**
+     * Return URL of the options, naming the resource waiting for the SCA
+     * @param {string}  type    Type of the resource
+     * @param {string}  id      Id of the resource
+     * @returns {string}
+     */
+    returnUrl: function (type, id) {
+        var url = new URL(this.options.returnUrl);
+
+        if (type) {
+            url.searchParams.set(RETURN_PARAMETERS.type, type);
+        }
+        if (id) {
+            url.searchParams.set(RETURN_PARAMETERS.id, id);
+        }
+        return url.toString();
+    },
+
+    /**
+     * Outcome of an operation, ex: sca.handle(api.Users.enroll(userId), 'USER', userId)
+     * @param {Object}  operation   Promise of the response, or the response
+     * @param {string}  type        Type of the resource, found from the response when not set
+     * @param {string}  id          Id of the resource, the Id of the response when not set
+     * @returns {Promise}           Resolves with the outcome, see outcome()
+     */
+    handle: function (operation, type, id) {
+        var self = this;
+
+        return Promise.resolve(operation).then(function (resource) {
+            return self.outcome(resource, type, id);
+        });
+    },
+
+    /**
+     * Returns the outcome of an operation once the user is back on the return URL: the resource is re-fetched
+     * (until the final status of the transfers and pay-outs, or the timeout of the options), then the operation is
+     * resumed when the SCA is completed, never when it failed
+     * @param {Object}      query   Query parameters of the return URL (scaType and scaId), or hash of type and id
+     * @param {Function}    resume  function(resource) returning (a promise of) the result of the operation,
+     *                              called once the SCA is completed, ex: creating the pay-out to the recipient
+     * @returns {Promise}           Resolves with the outcome, its result being the one of resume
+     */
+    complete: function (query, resume) {
+        var self = this;
+        var found;
+
+        try {
+            found = findResource(query);
+        } catch (err) {
+            return Promise.reject(err);
+        }
+
+        var resourceType = RESOURCE_TYPES[found.type];
+        var service = this._api[resourceType.service];
+        var fetched;
+
+        if (resourceType.processed) {
+            fetched = service.waitForFinalStatus(found.id, _.pick(this.options, 'interval', 'backoff', 'maxInterval', 'timeout', 'signal')).then(null, function (err) {
+                // Still processing: the outcome will come with the webhooks
+                if (err instanceof WaitTimeoutError && err.lastValue) {
+                    return err.lastValue;
+                }
+                throw err;
+            });
+        } else {
+            fetched = service.get(found.id);
+        }
+
+        return fetched.then(function (resource) {
+            var outcome = self.outcome(resource, found.type, found.id);
+
+            if (outcome.status !== 'COMPLETED' || !resume) {
+                return outcome;
+            }
+            return Promise.resolve(resume(resource)).then(function (result) {
+                return _.extend(outcome, {result: result});
+            });
+        });
+    },
+
+    /**
+     * Outcome of a response
+     * @param {Object}  resource    Response of the API
+     * @param {string}  type        Type of the resource, found from the response when not set
+     * @param {string}  id          Id of the resource, resource.Id when not set
+     * @returns {Object}            Hash of status (SCA_REQUIRED, PENDING while a transfer or pay-out is processed,
+     *                              FAILED for a recipient that is not ACTIVE or a FAILED transfer or pay-out, or
+     *                              COMPLETED), scaRequired, redirectUrl, type, id, resource and result
+     */
+    outcome: function (resource, type, id) {
+        type = type || detectType(resource);
+        id = id || (resource && resource.Id) || null;
+
+        var resourceType = RESOURCE_TYPES[type] || {};
+        var status = 'COMPLETED';
+
+        if (this.pendingUserAction(resource) || (resourceType.waitsForSca && resourceType.waitsForSca(resource))) {
+            status = 'SCA_REQUIRED';
+        } else if (resourceType.failed && resourceType.failed(resource)) {
+            status = 'FAILED';
+        } else if (resourceType.processed && resource.Status !== 'SUCCEEDED') {
+            status = 'PENDING';
+        }
+
+        return {
+            status: status,
+            scaRequired: status === 'SCA_REQUIRED',
+            redirectUrl: this.redirectUrl(resource, type, id),
+            type: type || null,
+            id: id,
+            resource: resource,
+            result: null
+        };
+    }
+};
+
+function isFailed(transaction) {
+    return transaction.Status === 'FAILED';
+}
+
+/**
+ * Type of a resource, null when not recognised (ex: the result of Users.enroll)
+ */
+function detectType(resource) {
+    if (!resource) {
+        return null;
+    }
+    if (resource.Type === 'TRANSFER' || resource.Type === 'PAYOUT') {
+        return resource.Type;
+    }
+    if (resource.PayoutMethodType) {
+        return 'RECIPIENT';
+    }
+    return resource.PersonType ? 'USER' : null;
+}
+
+/**
+ * Finds the type and Id of the resource returning from the SCA session
+ */
+function findResource(query) {
+    query = query || {};
+
+    var type = query[RETURN_PARAMETERS.type] || query.type;
+    var id = query[RETURN_PARAMETERS.id] || query.id;
+
+    // The query comes from the browser: an unknown type is an invalid return, like a missing one
+    if (type && !_.has(RESOURCE_TYPES, type)) {
+        throw new errors.ValidationError('Unknown resource type ' + type, {
+            errors: {scaType: 'The scaType parameter must be one of ' + _.keys(RESOURCE_TYPES).join(', ')}
+        });
+    }
+    if (!type || !id) {
+        throw new errors.ValidationError('Cannot find the resource returning from the SCA session', {
+            errors: {scaId: 'The scaType and scaId parameters are missing'}
+        });
+    }
+
+    return {type: type, id: String(id)};
+}
+
+ScaHandler.RESOURCE_TYPES = RESOURCE_TYPES;
+ScaHandler.RETURN_PARAMETERS = RETURN_PARAMETERS;
+
+module.exports = ScaHandler;
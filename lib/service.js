@@ -1,4 +1,7 @@
 var _ = require('underscore');
+var Promise = require('promise');
+var Paginator = require('./paginator');
+var polling = require('./polling');
 
 function Service() {
     _.bindAll(this, 'initialize');
@@ -6,7 +9,89 @@ function Service() {
 }
 
 Service.prototype = {
-    initialize: function() {}
+    initialize: function() {},
+
+    /**
+     * Name of the method fetching a resource of the service by id, used by waitFor
+     */
+    getMethod: 'get',
+
+    /**
+     * Statuses after which the resources of the service don't change any more, used by waitForFinalStatus
+     */
+    finalStatuses: null,
+
+    /**
+     * Walks all the pages of one of the service list methods
+     * @param {string}  methodName  Name of the list method, ex: 'getAll' or 'getTransactions'
+     * @param {Array}   args        Arguments of the list method preceding the callback, ex: [walletId]
+     * @param {Object}  options     Request options, plus per_page, page and maxPages (see Paginator)
+     * @return {Paginator}          Async iterable over the items
+     */
+    paginate: function(methodName, args, options) {
+        var self = this;
+
+        if (!_.isFunction(this[methodName])) {
+            throw new Error('Unknown list method: ' + methodName);
+        }
+
+        return new Paginator(function(pageOptions) {
+            var headers;
+            var captureHeaders = function(data, response) {
+                headers = response && response.headers;
+            };
+
+            return self[methodName].apply(self, (args || []).concat([captureHeaders, pageOptions]))
+                .then(function(data) {
+                    return {data: data, headers: headers};
+                });
+        }, options);
+    },
+
+    /**
+     * Fetches a resource of the service until it matches a predicate
+     * @param {string|Object}   resource    Id of the resource, or the resource itself (resolved at once when it matches)
+     * @param {Function}        predicate   Called with the resource, returns whether it is the one expected
+     * @param {Object}          options     Pace of the polling: interval, backoff, maxInterval, timeout and signal
+     *                                      (see polling.waitFor)
+     * @return {Object}         Promise of the resource matching the predicate
+     */
+    waitFor: function(resource, predicate, options) {
+        var self = this;
+        var get = this[this.getMethod];
+
+        if (!_.isFunction(get)) {
+            throw new Error('Unknown get method: ' + this.getMethod);
+        }
+
+        var id = _.isObject(resource) ? resource.Id : resource;
+        var fetch = function() {
+            return get.call(self, id);
+        };
+
+        return Promise.resolve(_.isObject(resource) && predicate(resource)).then(function(matched) {
+            return matched ? resource : polling.waitFor(fetch, predicate, options);
+        });
+    },
+
+    /**
+     * Fetches a resource of the service until it reaches one of its final statuses (finalStatuses),
+     * ex: SUCCEEDED or FAILED for a pay-in
+     * @param {string|Object}   resource    Id of the resource, or the resource itself
+     * @param {Object}          options     Pace of the polling (see waitFor), plus statuses to wait for other ones
+     * @return {Object}         Promise of the resource in its final status
+     */
+    waitForFinalStatus: function(resource, options) {
+        var statuses = (options && options.statuses) || this.finalStatuses;
+
+        if (!statuses) {
+            throw new Error('The final statuses of this service are not known, use waitFor');
+        }
+
+        return this.waitFor(resource, function(data) {
+            return _.contains(statuses, data && data.Status);
+        }, _.omit(options, 'statuses'));
+    }
 };
 
 Service.extend = require('./utils').extend;
@@ -8,6 +8,11 @@ var CardPreAuthorization = require('../models/CardPreAuthorization');
 var Transaction = require('../models/Transaction');
 
 var CardPreAuthorizations = Service.extend({
+    /**
+     * Statuses after which a pre-authorization doesn't change any more, see waitForFinalStatus
+     */
+    finalStatuses: ['SUCCEEDED', 'FAILED'],
+
     /**
      * Create new pre-authorization
      * @param {Object}  cardPreAuthorization    CardPreAuthorization object or properties hash
@@ -3,7 +3,9 @@
  * @desc [MangoPay Card Registration API Reference](https://docs.mangopay.com/endpoints/v2.01/cards)
  */
 var _ = require('underscore');
+var Promise = require('promise');
 var Service = require('../service');
+var errors = require('../errors');
 var CardRegistration = require('../models/CardRegistration');
 
 var CardRegistrations = Service.extend({
@@ -58,7 +60,88 @@ var CardRegistrations = Service.extend({
         });
 
         return this._api.method('cardregistration_save', callback, options);
+    },
+
+    /**
+     * Registers a card in one call: creates the card registration (unless it is already created), posts the card
+     * data to the tokenization server, updates the registration with the RegistrationData and fetches the card.
+     *
+     * The card data must only reach the servers of the platform in the PCI DSS scope: this is meant for the
+     * server-side tests and the migrations from another PSP. Browsers post the card data themselves.
+     *
+     * @param {Object|string}   cardRegistration    CardRegistration object or properties hash, or the Id of a
+     *                                              created card registration
+     * @param {Object}          cardData            Hash of cardNumber, cardExpirationDate (MMYY) and cardCvx
+     * @return {Object}                             Promise of the Card, rejected with a CardRegistrationError
+     *                                              when the card is refused
+     */
+    register: function(cardRegistration, cardData) {
+        var self = this;
+        var registration;
+
+        var created = _.isString(cardRegistration) ? this.get(cardRegistration) :
+            (cardRegistration.Id && cardRegistration.PreregistrationData ? Promise.resolve(cardRegistration) :
+                this.create(cardRegistration));
+
+        return created.then(function(data) {
+            registration = data;
+
+            return postCardData(self._api, registration, cardData);
+        }).then(function(response) {
+            var registrationData = String(response).trim();
+            var tokenizationError = /^errorCode=(\w+)/.exec(registrationData);
+
+            function refused(errorCode, message) {
+                return new errors.CardRegistrationError(message, {
+                    errorCode: errorCode,
+                    cardRegistration: registration
+                });
+            }
+
+            // The error codes are also sent to the API, which records them on the registration
+            return self.update({Id: registration.Id, RegistrationData: registrationData}).then(function(data) {
+                registration = data;
+                if (tokenizationError) {
+                    throw refused(tokenizationError[1]);
+                }
+                if (registration.Status !== 'VALIDATED' || !registration.CardId) {
+                    throw refused(registration.ResultCode, registration.ResultMessage);
+                }
+                return self._api.Cards.get(registration.CardId);
+            }, function(err) {
+                // The refusal of the card tells more than the failed update
+                throw tokenizationError ? refused(tokenizationError[1]) : err;
+            });
+        });
     }
 });
 
+/**
+ * Posts the card data to the tokenization server, a third-party host: the plain HTTP client sends it without the
+ * credentials and the middlewares of the API requests, and its headers do not change api.rateLimits.
+ * The AccessKey authenticates the post.
+ * @returns {Promise}   Resolved with the body of the response, the RegistrationData
+ */
+function postCardData(api, registration, cardData) {
+    var request = {method: 'POST', url: registration.CardRegistrationURL};
+    var abortSignal = AbortSignal.timeout(api.config.connectionTimeout);
+
+    return Promise.resolve(api.client({
+        method: 'post',
+        url: registration.CardRegistrationURL,
+        data: _.extend({
+            data: registration.PreregistrationData,
+            accessKeyRef: registration.AccessKey
+        }, _.pick(cardData, 'cardNumber', 'cardExpirationDate', 'cardCvx')),
+        headers: {
+            'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        signal: abortSignal
+    })).then(function(response) {
+        return response.data;
+    }, function(error) {
+        throw errors.fromHttpError(error, _.extend(request, {timedOut: error.code === 'ERR_CANCELED' && abortSignal.aborted}));
+    });
+}
+
 module.exports = CardRegistrations;
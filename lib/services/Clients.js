@@ -3,8 +3,8 @@
  * @desc [MangoPay Users API Reference](https://docs.mangopay.com/endpoints/v2.01/clients)
  */
 var _ = require('underscore');
-var fs = require('fs');
 var Service = require('../service');
+var uploads = require('../uploads');
 
 var Client = require('../models/Client');
 var Transaction = require('../models/Transaction');
@@ -60,30 +60,19 @@ var Clients = Service.extend({
     },
 
     /**
-     * Upload client logo from file
-     * @param {string}  file                    File path
+     * Upload client logo from file, checked against the size and formats accepted by the API
+     * (JPEG, PNG or GIF, see uploads.LIMITS.LOGO) before the upload
+     * @param {string|Buffer|Readable}  file    File path, content or stream
      * @param {Function} callback               Callback function
      * @param {Object} options                  Request options
-     * @return {Object}                         Promise of the request
+     * @return {Object}                         Promise of the request, rejected with a ValidationError for the invalid files
      */
     uploadLogoFromFile: function(file, callback, options) {
-        if (!file) {
-            this._api.errorHandler('File path cannot be empty');
-            return;
-        }
-
-        try {
-            fs.statSync(file);
-        } catch (e) {
-            this._api.errorHandler('File does not exist');
-            return;
-        }
-
-        var logo = Buffer.from(fs.readFileSync(file)).toString('base64');
+        var self = this;
 
-
-        if (!logo) this._api.errorHandler('Content of the file cannot be empty');
-        return this.uploadLogo(logo, callback, options);
+        return uploads.read(this._api, file, uploads.LIMITS.LOGO).then(function(content) {
+            return self.uploadLogo(content.toString('base64'), callback, options);
+        });
     },
 
     /**
@@ -5,6 +5,13 @@ var Conversion = require('../models/Conversion');
 var Quote = require('../models/Quote');
 
 var Conversions = Service.extend({
+    /**
+     * Statuses after which a conversion doesn't change any more, see waitForFinalStatus
+     */
+    finalStatuses: ['SUCCEEDED', 'FAILED'],
+
+    getMethod: 'getConversion',
+
     /**
      * This endpoint allows the platform to get a real time
      * indicative market rate of a specific currency pair.
@@ -2,6 +2,11 @@ var Service = require('../service');
 var Deposit = require('../models/Deposit');
 
 var Deposits = Service.extend({
+    /**
+     * Statuses after which a deposit doesn't change any more, see waitForFinalStatus
+     */
+    finalStatuses: ['SUCCEEDED', 'FAILED'],
+
     /**
      * Create a Deposit
      */
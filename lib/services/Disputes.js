@@ -4,9 +4,9 @@
  */
 
 var _ = require('underscore');
-var fs = require('fs');
 
 var Service = require('../service');
+var uploads = require('../uploads');
 var Dispute = require('../models/Dispute');
 var Transaction = require('../models/Transaction');
 var Repudiation = require('../models/Repudiation');
@@ -14,6 +14,7 @@ var Transfer = require('../models/Transfer');
 var DisputeDocument = require('../models/DisputeDocument');
 var DisputeDocumentPage = require('../models/DisputeDocumentPage');
 var Money = require('../models/Money');
+var SettlementTransfer = require('../models/SettlementTransfer');
 
 var Disputes = Service.extend({
     /**
@@ -255,6 +256,7 @@ var Disputes = Service.extend({
                 id: repudiationId
             },
             dataClass: Transfer,
+            requestClass: SettlementTransfer,
             data: settlementTransfer
         });
 
@@ -362,33 +364,51 @@ var Disputes = Service.extend({
     },
 
     /**
-     * Creates document's page for dispute from file
+     * Creates document's page for dispute from file, checked against the size and formats accepted by the API
+     * (PDF, JPEG, PNG or GIF, see uploads.LIMITS.DISPUTE) before the upload
      * @param {number}  disputeId               Dispute identifier
      * @param {number}  disputeDocumentId       Dispute document identifier
-     * @param {string}  file                    File path
+     * @param {string|Buffer|Readable}  file    File path, content or stream
      * @param {Function} callback               Callback function
      * @param {Object} options                  Request options
-     * @return {Object}                         Promise of the request
+     * @return {Object}                         Promise of the request, rejected with a ValidationError for the invalid files
      */
     createDisputeDocumentPageFromFile: function(disputeId, disputeDocumentId, file, callback, options) {
-        if (!file) {
-            this._api.errorHandler('File path cannot be empty');
-            return;
-        }
+        var self = this;
 
-        try {
-            fs.statSync(file);
-        } catch (e) {
-            this._api.errorHandler('File does not exist');
-            return;
-        }
+        return uploads.read(this._api, file, uploads.LIMITS.DISPUTE).then(function(content) {
+            var disputeDocumentPage = new DisputeDocumentPage({
+                File: content.toString('base64')
+            });
 
-        var disputeDocumentPage = new DisputeDocumentPage({
-            File: Buffer.from(fs.readFileSync(file)).toString('base64')
+            return self.createDisputeDocumentPage(disputeId, disputeDocumentId, disputeDocumentPage, callback, options);
         });
+    },
 
-        if (!disputeDocumentPage.File) this._api.errorHandler('Content of the file cannot be empty');
-        return this.createDisputeDocumentPage(disputeId, disputeDocumentId, disputeDocumentPage, callback, options);
+    /**
+     * Creates the pages of a dispute document from files, one page per image or PDF page, in order
+     * @param {number}  disputeId               Dispute identifier
+     * @param {number}  disputeDocumentId       Dispute document identifier
+     * @param {Array}   files                   File paths, contents or streams, see createDisputeDocumentPageFromFile
+     * @param {Function} callback               Callback function
+     * @param {Object} options                  Request options, plus splitPdf: function(content) returning (a promise
+     *                                          of) the contents of the pages of a PDF, only the single-page PDFs
+     *                                          being accepted without it
+     * @return {Object}                         Promise of the responses of the page calls, also given to the callback
+     */
+    createDisputeDocumentPagesFromFiles: function(disputeId, disputeDocumentId, files, callback, options) {
+        var self = this;
+        options = this._api._getOptions(callback, options);
+
+        return uploads.readPages(this._api, files, uploads.LIMITS.DISPUTE, options.splitPdf).then(function(contents) {
+            return uploads.uploadPages(contents, function(file) {
+                var disputeDocumentPage = new DisputeDocumentPage({File: file});
+                return self.createDisputeDocumentPage(disputeId, disputeDocumentId, disputeDocumentPage, _.omit(options, 'splitPdf'));
+            });
+        }).then(function(responses) {
+            if (_.isFunction(callback)) callback(responses);
+            return responses;
+        });
     },
 
     /**
@@ -1,4 +1,9 @@
+var _ = require('underscore');
+var Promise = require('promise');
+var crypto = require('crypto');
+
 var Service = require('../service');
+var errors = require('../errors');
 var IdempotencyResponse = require('../models/IdempotencyResponse');
 
 var Idempotency = Service.extend({
@@ -12,6 +17,58 @@ var Idempotency = Service.extend({
 
         return this._api.method('idempotency_response_get', callback, options);
     },
+
+    /**
+     * Finds out the outcome of a POST request whose response was lost (timeout, network error or 5xx),
+     * from the response the API kept for its Idempotency-Key
+     * @param {string|MangopayApiError} failure     Idempotency-Key of the request, or the error it failed with
+     * @param {Object}  options     Request options, dataClass instantiates the resource, ex: api.models.PayIn
+     * @return {Object} Promise resolved with the resource when the request succeeded, rejected with the error
+     *                  of the request when it failed, resolved with null when the API did not receive it
+     *                  (it can be sent again with the same key). Errors that are not ambiguous are rejected as is.
+     */
+    resolveOutcome: function(failure, options) {
+        var idempotencyKey = _.isString(failure) ? failure : failure && failure.idempotencyKey;
+
+        if (!_.isString(failure) && !(errors.isAmbiguous(failure) && idempotencyKey)) {
+            return Promise.reject(failure);
+        }
+
+        options = options || {};
+        var dataClass = options.dataClass;
+
+        return this.get(idempotencyKey, _.omit(options, 'dataClass')).then(function(idempotencyResponse) {
+            var status = parseInt(idempotencyResponse.StatusCode, 10);
+            var resource = idempotencyResponse.Resource;
+
+            if (status < 200 || status >= 300) {
+                var error = errors.fromHttpError({response: {status: status, headers: {}, data: resource}}, {
+                    method: 'POST',
+                    url: idempotencyResponse.RequestURL || null
+                });
+                error.idempotencyKey = idempotencyKey;
+                throw error;
+            }
+
+            return (dataClass && _.isObject(resource)) ? new dataClass(resource) : resource;
+        }, function(err) {
+            if (err instanceof errors.NotFoundError) {
+                return null;
+            }
+            throw err;
+        });
+    }
 });
 
+/**
+ * Derives an idempotency key from the parts naming an operation, so that running it again (ex: a resumed payout
+ * batch) sends the same key: the API answers the requests it already received with their original response.
+ * @param {...string}   parts   ex: the batch id, the instruction id and the step
+ * @returns {string}            36 characters key
+ */
+Idempotency.deriveKey = function() {
+    var hash = crypto.createHash('sha256').update(_.toArray(arguments).join('\n')).digest('hex');
+    return [hash.substr(0, 8), hash.substr(8, 4), hash.substr(12, 4), hash.substr(16, 4), hash.substr(20, 12)].join('-');
+};
+
 module.exports = Idempotency;
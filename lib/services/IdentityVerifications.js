@@ -2,6 +2,11 @@ var Service = require('../service');
 var IdentityVerification = require('../models/IdentityVerification');
 
 var IdentityVerifications = Service.extend({
+    /**
+     * Statuses after which an identity verification doesn't change any more, see waitForFinalStatus
+     */
+    finalStatuses: ['VALIDATED', 'REFUSED', 'OUT_OF_DATE', 'TIMEOUT', 'ERROR'],
+
     /**
      * Start an identity verification session and get a link for the hosted experience
      */
@@ -9,6 +9,11 @@ var Service = require('../service');
 var KycDocument = require('../models/KycDocument');
 
 var KycDocuments = Service.extend({
+    /**
+     * Statuses after which a KYC document doesn't change any more, see waitForFinalStatus
+     */
+    finalStatuses: ['VALIDATED', 'REFUSED', 'OUT_OF_DATE'],
+
     /**
      * Get all KycDocuments
      * @param {Function} callback       Callback function
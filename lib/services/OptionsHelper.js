@@ -4,16 +4,16 @@ var _ = require('underscore');
 var OptionsHelper = Service.extend({
 
     /**
-     * Adds Idempotency-Key headers to the provided 'options' parameter
+     * Adds Idempotency-Key headers to the provided 'options' parameter, keeping the other headers
      * @param options
      * @param idempotencyKey
      */
     withIdempotency(options, idempotencyKey) {
-        return _.extend(options, {
-            headers: {
-                "Idempotency-Key": idempotencyKey
-            }
+        options = options || {};
+        options.headers = _.extend({}, options.headers, {
+            "Idempotency-Key": idempotencyKey
         });
+        return options;
     }
 });
 
@@ -38,6 +38,11 @@ const PayInPaymentDetailsPayByBank = require("../models/PayInPaymentDetailsPayBy
 
 
 var PayIns = Service.extend({
+    /**
+     * Statuses after which a pay-in doesn't change any more, see waitForFinalStatus
+     */
+    finalStatuses: ['SUCCEEDED', 'FAILED'],
+
     /**
      * Create new pay-in
      * @param {Object}  payIn    PayIn object
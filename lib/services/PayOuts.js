@@ -10,6 +10,11 @@ var PayOutPaymentDetailsBankWire = require('../models/PayOutPaymentDetailsBankWi
 var Refund = require('../models/Refund');
 
 var PayOuts = Service.extend({
+    /**
+     * Statuses after which a payout doesn't change any more, see waitForFinalStatus
+     */
+    finalStatuses: ['SUCCEEDED', 'FAILED'],
+
     /**
      * Create new pay-out
      * @param {Object}  payOut    PayOut object
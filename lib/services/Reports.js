@@ -5,8 +5,14 @@
 
 var Service = require('../service');
 var Report = require('../models/Report');
+var ReportDownload = require('../reportDownload');
 
 var Reports = Service.extend({
+    /**
+     * Statuses after which a report doesn't change any more, see waitForFinalStatus
+     */
+    finalStatuses: ['READY_FOR_DOWNLOAD', 'FAILED', 'EXPIRED'],
+
     /**
      * Create a report
      * @param {Object}      report      Report Data
@@ -55,6 +61,17 @@ var Reports = Service.extend({
      */
     getAll: function(callback, options) {
         return this._api.method('reports_all', callback, options);
+    },
+
+    /**
+     * Download a report, once it is READY_FOR_DOWNLOAD, and read its CSV rows as typed records
+     * @param {number|Object}   reportId    Report Id, or the report
+     * @param {Object}          options     Wait options (interval, timeout, signal...) and types of the columns,
+     *                                      see ReportDownload
+     * @return {ReportDownload}             Async iterable over the records
+     */
+    download: function(reportId, options) {
+        return new ReportDownload(this, reportId, options);
     }
 });
 
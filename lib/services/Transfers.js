@@ -9,6 +9,11 @@ var Transfer = require('../models/Transfer');
 var Refund = require('../models/Refund');
 
 var Transfers = Service.extend({
+    /**
+     * Statuses after which a transfer doesn't change any more, see waitForFinalStatus
+     */
+    finalStatuses: ['SUCCEEDED', 'FAILED'],
+
     /**
      * Create new transfer
      * @param {Object}  transfer    Transfer object
@@ -4,6 +4,12 @@ var UboDeclaration = require('../models/UboDeclaration');
 var Ubo = require('../models/Ubo');
 
 var UboDeclarations = Service.extend({
+    /**
+     * Statuses after which a UBO declaration doesn't change any more, see waitForFinalStatus
+     */
+    finalStatuses: ['VALIDATED', 'REFUSED', 'INCOMPLETE'],
+
+    getMethod: 'getById',
 
     /**
      * Create a UBO declaration object from the API
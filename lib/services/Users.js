@@ -3,9 +3,9 @@
  * @desc [MangoPay Users API Reference](https://docs.mangopay.com/endpoints/v2.01/users)
  */
 var _ = require('underscore');
-var fs = require('fs');
 var Promise = require('promise');
 var Service = require('../service');
+var uploads = require('../uploads');
 
 var UserNatural = require('../models/UserNatural');
 var UserNaturalSca = require('../models/UserNaturalSca');
@@ -532,33 +532,50 @@ var Users = Service.extend({
     },
 
     /**
-     * Create page for KYC document
+     * Create page for KYC document from a file, checked against the size and formats accepted by the API
+     * (PDF, JPEG, PNG or GIF, see uploads.LIMITS.KYC) before the upload
      * @param {number}      userId
      * @param {number}      kycDocumentId
-     * @param {string}      file                File path
+     * @param {string|Buffer|Readable}  file    File path, content or stream
      * @param {function}    callback
      * @param {Object}      options
-     * @return {Object}     Request promise
+     * @return {Object}     Request promise, rejected with a ValidationError for the invalid files
      */
     createKycPageFromFile: function(userId, kycDocumentId, file, callback, options) {
-        if (!file) {
-            this._api.errorHandler('File path cannot be empty');
-            return;
-        }
+        var self = this;
 
-        try {
-            fs.statSync(file);
-        } catch (e) {
-            this._api.errorHandler('File does not exist');
-            return;
-        }
+        return uploads.read(this._api, file, uploads.LIMITS.KYC).then(function(content) {
+            var kycPage = new KycPage({
+                File: content.toString('base64')
+            });
 
-        var kycPage = new KycPage({
-            File: Buffer.from(fs.readFileSync(file)).toString('base64')
+            return self.createKycPage(userId, kycDocumentId, kycPage, callback, options);
         });
+    },
+
+    /**
+     * Create the pages of a KYC document from files, one page per image or PDF page, in order
+     * @param {number}      userId
+     * @param {number}      kycDocumentId
+     * @param {Array}       files       File paths, contents or streams, see createKycPageFromFile
+     * @param {function}    callback
+     * @param {Object}      options     Request options, plus splitPdf: function(content) returning (a promise of)
+     *                                  the contents of the pages of a PDF, only the single-page PDFs being
+     *                                  accepted without it
+     * @return {Object}     Promise of the responses of the page calls, also given to the callback
+     */
+    createKycPagesFromFiles: function(userId, kycDocumentId, files, callback, options) {
+        var self = this;
+        options = this._api._getOptions(callback, options);
 
-        if (!kycPage.File) this._api.errorHandler('Content of the file cannot be empty');
-        return this.createKycPage(userId, kycDocumentId, kycPage, callback, options);
+        return uploads.readPages(this._api, files, uploads.LIMITS.KYC, options.splitPdf).then(function(contents) {
+            return uploads.uploadPages(contents, function(file) {
+                return self.createKycPage(userId, kycDocumentId, new KycPage({File: file}), _.omit(options, 'splitPdf'));
+            });
+        }).then(function(responses) {
+            if (_.isFunction(callback)) callback(responses);
+            return responses;
+        });
     },
 
     /**
@@ -0,0 +1,278 @@
+var _ = require('underscore');
+var Promise = require('promise');
+var errors = require('./errors');
+var polling = require('./polling');
+var WaitTimeoutError = polling.WaitTimeoutError;
+var BrowserInfo = require('./models/BrowserInfo');
+
+/**
+ * Transactions that can require a 3-D Secure authentication: service re-fetching them (or fetch function), and query
+ * parameter holding their Id on the SecureModeReturnURL
+ */
+var TRANSACTION_TYPES = {
+    PAYIN: {service: 'PayIns', parameter: 'transactionId'},
+    PREAUTHORIZATION: {service: 'CardPreAuthorizations', parameter: 'preAuthorizationId'},
+    DEPOSIT: {service: 'Deposits', parameter: 'depositId'},
+    // Fetched with their card: the cardId parameter is added to their SecureModeReturnURL by the platform
+    CARD_VALIDATION: {
+        parameter: 'cardValidationId',
+        fetch: function (api, found) {
+            return api.Cards.getCardValidation(found.cardId, found.id);
+        }
+    }
+};
+
+/**
+ * Statuses after which the transactions don't change any more
+ */
+var FINAL_STATUSES = ['SUCCEEDED', 'FAILED'];
+
+/**
+ * Color depths accepted in BrowserInfo, other values are rounded down to one of them
+ */
+var COLOR_DEPTHS = [1, 4, 8, 15, 16, 24, 32, 48];
+
+/**
+ * Fields collected in the browser, each one read from its PascalCase or camelCase name
+ * (ex: ColorDepth or colorDepth, like screen.colorDepth)
+ */
+var CLIENT_FIELDS = ['JavaEnabled', 'JavascriptEnabled', 'Language', 'ColorDepth', 'ScreenHeight', 'ScreenWidth',
+    'TimeZoneOffset', 'UserAgent', 'AcceptHeader'];
+
+/**
+ * 3-D Secure orchestration of the card transactions (direct pay-ins, recurring CIT pay-ins, pre-authorizations,
+ * deposits and card validations):
+ * - browserInfo and fromRequest assemble the BrowserInfo and IpAddress from the request of the buyer
+ * - redirectUrl tells whether the created transaction waits for the authentication of the buyer
+ * - complete re-fetches the transaction when the buyer comes back on the SecureModeReturnURL, and returns its outcome
+ *
+ * @param {Object}  api         SDK instance
+ * @param {Object}  options     Hash of:
+ *                              - trustProxy: read the IP address from the X-Forwarded-For header (default false),
+ *                                only behind a proxy setting it
+ *                              - interval, backoff, maxInterval, timeout: pace of the wait for the final status of
+ *                                the transaction (see Service.waitFor), timeout defaults to 10 seconds
+ */
+var ThreeDSecure = function (api, options) {
+    this._api = api;
+    this.options = _.extend({trustProxy: false, timeout: 10000, interval: 500}, options);
+};
+
+ThreeDSecure.prototype = {
+    /**
+     * Builds the BrowserInfo of a transaction
+     * @param {Object}  req         Incoming HTTP request of the buyer (node, Express, Koa's ctx.request...)
+     * @param {Object}  fields      Fields collected in the browser (ColorDepth, ScreenHeight, ScreenWidth,
+     *                              TimeZoneOffset, JavaEnabled, JavascriptEnabled, Language), in PascalCase or camelCase
+     * @returns {BrowserInfo}
+     */
+    browserInfo: function (req, fields) {
+        var headers = (req && req.headers) || {};
+        var client = readClientFields(fields);
+        var language = client.Language || _.first(String(headers['accept-language'] || '').split(/[,;]/));
+
+        return new BrowserInfo({
+            AcceptHeader: client.AcceptHeader || headers.accept || '*/*',
+            UserAgent: client.UserAgent || headers['user-agent'] || null,
+            Language: language ? language.trim() : null,
+            JavaEnabled: toBoolean(client.JavaEnabled, false),
+            // Collecting the screen fields takes JavaScript
+            JavascriptEnabled: toBoolean(client.JavascriptEnabled, client.ColorDepth !== undefined),
+            ColorDepth: toColorDepth(client.ColorDepth),
+            ScreenHeight: toInteger(client.ScreenHeight),
+            ScreenWidth: toInteger(client.ScreenWidth),
+            TimeZoneOffset: client.TimeZoneOffset === undefined ? null : String(client.TimeZoneOffset)
+        });
+    },
+
+    /**
+     * IP address of the buyer
+     * @param {Object}  req     Incoming HTTP request of the buyer
+     * @returns {string|null}
+     */
+    ipAddress: function (req) {
+        var headers = (req && req.headers) || {};
+        var forwarded = this.options.trustProxy && headers['x-forwarded-for'];
+        var socket = req && (req.socket || req.connection);
+        var address = forwarded ? String(forwarded).split(',')[0].trim() : (req && req.ip) || (socket && socket.remoteAddress);
+
+        // IPv4 addresses seen through an IPv6 socket
+        return address ? address.replace(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/, '$1') : null;
+    },
+
+    /**
+     * Fields of the buyer's browser to merge in the transaction: _.extend(payIn, threeDSecure.fromRequest(req, fields))
+     * @param {Object}  req         Incoming HTTP request of the buyer
+     * @param {Object}  fields      Fields collected in the browser, see browserInfo
+     * @returns {Object}            Hash of BrowserInfo and IpAddress
+     */
+    fromRequest: function (req, fields) {
+        return {
+            BrowserInfo: this.browserInfo(req, fields),
+            IpAddress: this.ipAddress(req)
+        };
+    },
+
+    /**
+     * URL the buyer must be redirected to, for the 3-D Secure authentication of a created transaction
+     * @param {Object}  transaction     Pay-in, pre-authorization, deposit or card validation
+     * @returns {string|null}           The SecureModeRedirectURL, null when no authentication is needed
+     */
+    redirectUrl: function (transaction) {
+        if (!transaction || transaction.Status === 'SUCCEEDED' || transaction.Status === 'FAILED') {
+            return null;
+        }
+
+        // Pay-ins hold them in their ExecutionDetails, once hydrated
+        var details = transaction.ExecutionDetails || {};
+        var url = transaction.SecureModeRedirectURL || details.SecureModeRedirectURL;
+        var needed = _.isBoolean(transaction.SecureModeNeeded) ? transaction.SecureModeNeeded : details.SecureModeNeeded;
+
+        return needed && url ? url : null;
+    },
+
+    /**
+     * Whether a created transaction waits for the 3-D Secure authentication of the buyer
+     * @param {Object}  transaction     Pay-in, pre-authorization, deposit or card validation
+     * @returns {boolean}
+     */
+    isRedirectRequired: function (transaction) {
+        return this.redirectUrl(transaction) !== null;
+    },
+
+    /**
+     * Returns the outcome of a transaction once the buyer is back on the SecureModeReturnURL: the transaction
+     * is re-fetched, until it reaches its final status or the timeout of the options
+     * @param {Object}  query   Query parameters of the return URL (transactionId, preAuthorizationId, depositId, or
+     *                          cardId and cardValidationId), or the Id of the transaction
+     * @param {string}  type    PAYIN, PREAUTHORIZATION, DEPOSIT or CARD_VALIDATION, found from the query parameters
+     *                          when not set
+     * @returns {Promise}       Resolves with {type, transaction, status, succeeded, resultCode, resultMessage},
+     *                          status being SUCCEEDED, FAILED or PENDING when still not final
+     */
+    complete: function (query, type) {
+        var self = this;
+        var found;
+
+        try {
+            found = findTransaction(query, type);
+        } catch (err) {
+            return Promise.reject(err);
+        }
+
+        var api = this._api;
+        var transactionType = TRANSACTION_TYPES[found.type];
+        var waitOptions = _.pick(this.options, 'interval', 'backoff', 'maxInterval', 'timeout', 'signal');
+        var final = transactionType.service ? api[transactionType.service].waitForFinalStatus(found.id, waitOptions) :
+            polling.waitFor(function () {
+                return transactionType.fetch(api, found);
+            }, function (transaction) {
+                return _.contains(FINAL_STATUSES, transaction && transaction.Status);
+            }, waitOptions);
+
+        return final.then(null, function (err) {
+            // Still processing: the outcome will come with the webhooks
+            if (err instanceof WaitTimeoutError && err.lastValue) {
+                return err.lastValue;
+            }
+            throw err;
+        }).then(function (transaction) {
+            return self.outcome(transaction, found.type);
+        });
+    },
+
+    /**
+     * Outcome of a transaction
+     * @param {Object}  transaction     Pay-in, pre-authorization, deposit or card validation
+     * @param {string}  type            Type of the transaction
+     * @returns {Object}                Hash of type, transaction, status, succeeded, resultCode and resultMessage
+     */
+    outcome: function (transaction, type) {
+        var status = _.contains(FINAL_STATUSES, transaction.Status) ? transaction.Status : 'PENDING';
+
+        return {
+            type: type || null,
+            transaction: transaction,
+            status: status,
+            succeeded: status === 'SUCCEEDED',
+            resultCode: transaction.ResultCode || null,
+            resultMessage: transaction.ResultMessage || null
+        };
+    }
+};
+
+/**
+ * Finds the type and Id of the transaction returning from the authentication
+ */
+function findTransaction(query, type) {
+    var id = _.isString(query) ? query : null;
+    query = _.isObject(query) ? query : {};
+
+    // The type may come from the return URL: an unknown one is an invalid return, like a missing one
+    if (type && !_.has(TRANSACTION_TYPES, type)) {
+        throw new errors.ValidationError('Unknown transaction type ' + type, {
+            errors: {type: 'The transaction type must be one of ' + _.keys(TRANSACTION_TYPES).join(', ')}
+        });
+    }
+
+    if (!type) {
+        type = _.find(_.keys(TRANSACTION_TYPES), function (key) {
+            return query[TRANSACTION_TYPES[key].parameter];
+        });
+    }
+
+    id = id || (type && (query[TRANSACTION_TYPES[type].parameter] || query.Id || query.id));
+    if (!type || !id) {
+        throw new errors.ValidationError('Cannot find the transaction returning from the 3-D Secure authentication', {
+            errors: {transactionId: 'The transactionId, preAuthorizationId, depositId or cardValidationId parameter is missing'}
+        });
+    }
+    if (type === 'CARD_VALIDATION' && !query.cardId) {
+        throw new errors.ValidationError('Cannot find the card of the card validation returning from the 3-D Secure authentication', {
+            errors: {cardId: 'The cardId parameter is missing'}
+        });
+    }
+
+    return {type: type, id: String(id), cardId: query.cardId ? String(query.cardId) : null};
+}
+
+function readClientFields(fields) {
+    fields = fields || {};
+
+    return _.reduce(CLIENT_FIELDS, function (client, name) {
+        var camelCase = name.charAt(0).toLowerCase() + name.slice(1);
+        var value = fields[name] !== undefined ? fields[name] : fields[camelCase];
+
+        if (value !== undefined && value !== null && value !== '') {
+            client[name] = value;
+        }
+        return client;
+    }, {});
+}
+
+function toBoolean(value, defaultValue) {
+    if (value === undefined) {
+        return defaultValue;
+    }
+    // Posted forms send strings
+    return value === true || /^(true|1|on)$/i.test(String(value));
+}
+
+function toInteger(value) {
+    var number = parseInt(value, 10);
+    return isNaN(number) ? null : number;
+}
+
+function toColorDepth(value) {
+    var depth = toInteger(value);
+    if (depth === null) {
+        return null;
+    }
+    return _.last(_.filter(COLOR_DEPTHS, function (accepted) {
+        return accepted <= depth;
+    })) || COLOR_DEPTHS[0];
+}
+
+ThreeDSecure.TRANSACTION_TYPES = TRANSACTION_TYPES;
+
+module.exports = ThreeDSecure;
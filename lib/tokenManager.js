@@ -0,0 +1,226 @@
+var _ = require('underscore');
+var Promise = require('promise');
+var MemoryTokenStore = require('./tokenStores').MemoryTokenStore;
+
+/**
+ * Manages the OAuth token of an SDK instance:
+ * - a single token request is in flight at a time, concurrent calls share it
+ * - tokens are saved in the configured store, so that several instances or processes can share them
+ * - the token is refreshed in the background before it expires (proactiveTokenRefresh)
+ *
+ * @param {Object}  api     SDK instance
+ * @constructor
+ */
+var TokenManager = function (api) {
+    this._api = api;
+    this.store = api.config.tokenStore || new MemoryTokenStore();
+    // Tokens are bound to the credentials and the environment
+    this.key = api.config.clientId + '@' + api.config.baseUrl;
+    this.token = null;
+    this._pending = null;
+    this._refreshTimer = null;
+};
+
+TokenManager.prototype = {
+    /**
+     * Checks whether a token can still be used, i.e. doesn't expire within tokenRefreshThreshold
+     * @param {Object}  token   Token to check, defaults to the current one
+     * @returns {boolean}
+     */
+    isValid: function (token) {
+        token = token === undefined ? this.token : token;
+        return !!(token && token.access_token) &&
+            Date.now() < token.expires_at - this._api.config.tokenRefreshThreshold;
+    },
+
+    /**
+     * Returns the Authorization header value of the current token
+     * @returns {string|null}
+     */
+    getAuthorization: function () {
+        return this.token ? this.token.token_type + ' ' + this.token.access_token : null;
+    },
+
+    /**
+     * Resolves with a valid token: the current one, the one of the store, or a new one
+     * @returns {Promise}
+     */
+    getToken: function () {
+        var self = this;
+
+        if (this.isValid()) {
+            return Promise.resolve(this.token);
+        }
+
+        return this._singleFlight(function () {
+            return self._readStore().then(function (stored) {
+                return self.isValid(stored) ? self._use(stored) : self._fetch();
+            });
+        });
+    },
+
+    /**
+     * Requests a new token, unless another call already replaced the rejected one
+     * @param {string}  rejectedAuthorization   Authorization header value refused by the API
+     * @returns {Promise}   Resolves with the token
+     */
+    refresh: function (rejectedAuthorization) {
+        if (this.isValid() && this.getAuthorization() !== rejectedAuthorization) {
+            return Promise.resolve(this.token);
+        }
+
+        return this.authorize();
+    },
+
+    /**
+     * Requests a new token, sharing the request in flight if any
+     * @returns {Promise}   Resolves with the token
+     */
+    authorize: function () {
+        return this._singleFlight(this._fetch.bind(this));
+    },
+
+    /**
+     * Stops the background refresh
+     */
+    stop: function () {
+        clearTimeout(this._refreshTimer);
+        this._refreshTimer = null;
+    },
+
+    /**
+     * Runs fn unless a token request is already in flight, in which case its result is shared
+     * @private
+     */
+    _singleFlight: function (fn) {
+        var self = this;
+
+        if (this._pending) {
+            return this._pending;
+        }
+
+        this._pending = fn().then(function (token) {
+            self._pending = null;
+            return token;
+        }, function (err) {
+            self._pending = null;
+            throw err;
+        });
+
+        return this._pending;
+    },
+
+    /**
+     * Renews the token before it expires: uses the one of the store when another instance already renewed it,
+     * requests a new one otherwise
+     * @private
+     */
+    _renew: function () {
+        var self = this;
+        var current = this.token;
+
+        return this._singleFlight(function () {
+            return self._readStore().then(function (stored) {
+                var renewed = self.isValid(stored) && (!current || stored.expires_at > current.expires_at);
+                return renewed ? self._use(stored) : self._fetch();
+            });
+        });
+    },
+
+    /**
+     * Resolves with the token of the store, or null when it can't be read
+     * @private
+     */
+    _readStore: function () {
+        var self = this;
+
+        return Promise.resolve()
+            .then(function () {
+                return self.store.get(self.key);
+            })
+            .catch(function () {
+                return null;
+            });
+    },
+
+    /**
+     * Requests a token, uses it and saves it in the store
+     * @private
+     */
+    _fetch: function () {
+        var self = this;
+
+        return this._api._requestToken().then(function (data) {
+            var token = {
+                token_type: data.token_type,
+                access_token: data.access_token,
+                expires_in: data.expires_in,
+                // Multiplying expires_in (seconds) by 1000 since JS getTime() is expressed in ms
+                expires_at: Date.now() + (data.expires_in * 1000)
+            };
+
+            self._use(token);
+
+            // A failing store must not prevent using the token
+            return Promise.resolve()
+                .then(function () {
+                    return self.store.set(self.key, token);
+                })
+                .catch(function (err) {
+                    self._api.errorHandler('Could not save the OAuth token', err);
+                })
+                .then(function () {
+                    return token;
+                });
+        });
+    },
+
+    /**
+     * Makes the token the current one
+     * @private
+     */
+    _use: function (token) {
+        this.token = token;
+
+        _.extend(this._api.requestOptions.headers, {
+            'Authorization': this.getAuthorization()
+        });
+        this._api.authorizationExpireTime = token.expires_at;
+
+        this._scheduleRefresh();
+
+        return token;
+    },
+
+    /**
+     * Refreshes the token in the background when it's about to expire,
+     * tokenRefreshThreshold before requests would have to wait for a new one
+     * @private
+     */
+    _scheduleRefresh: function () {
+        var self = this;
+        var config = this._api.config;
+
+        this.stop();
+
+        var delay = this.token.expires_at - 2 * config.tokenRefreshThreshold - Date.now();
+
+        // Short-lived tokens are only renewed on demand
+        if (!config.proactiveTokenRefresh || delay <= 0) {
+            return;
+        }
+
+        this._refreshTimer = setTimeout(function () {
+            self._renew().catch(function (err) {
+                self._api.errorHandler('Could not refresh the OAuth token', err);
+            });
+        }, delay);
+
+        // The background refresh must not keep the process alive
+        if (this._refreshTimer.unref) {
+            this._refreshTimer.unref();
+        }
+    }
+};
+
+module.exports = TokenManager;
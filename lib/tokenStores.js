@@ -0,0 +1,132 @@
+var fs = require('fs');
+var path = require('path');
+var Promise = require('promise');
+
+/**
+ * Token stores keep the OAuth tokens, so that several SDK instances or processes can share them.
+ * A store implements:
+ *  - get(key): resolves with the token saved under key, or null
+ *  - set(key, token): saves the token, resolves once done
+ *  - delete(key): removes the token, resolves once done
+ * where token is {token_type, access_token, expires_at}, expires_at being a timestamp in milliseconds.
+ * Methods can return values or promises.
+ */
+
+/**
+ * Keeps the tokens in memory (default store, not shared between processes)
+ * @constructor
+ */
+var MemoryTokenStore = function () {
+    this._tokens = {};
+};
+
+MemoryTokenStore.prototype = {
+    get: function (key) {
+        return this._tokens[key] || null;
+    },
+
+    set: function (key, token) {
+        this._tokens[key] = token;
+    },
+
+    delete: function (key) {
+        delete this._tokens[key];
+    }
+};
+
+/**
+ * Keeps the tokens in a JSON file, shared by the processes of a host
+ * @param {string}  filePath    Path of the JSON file
+ * @constructor
+ */
+var FileTokenStore = function (filePath) {
+    if (!filePath) {
+        throw new Error('File path cannot be empty');
+    }
+    this.filePath = filePath;
+};
+
+FileTokenStore.prototype = {
+    get: function (key) {
+        return this._read().then(function (tokens) {
+            return tokens[key] || null;
+        });
+    },
+
+    set: function (key, token) {
+        var self = this;
+        return this._read().then(function (tokens) {
+            tokens[key] = token;
+            return self._write(tokens);
+        });
+    },
+
+    delete: function (key) {
+        var self = this;
+        return this._read().then(function (tokens) {
+            delete tokens[key];
+            return self._write(tokens);
+        });
+    },
+
+    _read: function () {
+        return fs.promises.readFile(this.filePath, 'utf8')
+            .then(JSON.parse)
+            .catch(function () {
+                // Missing or corrupted file: behave as an empty store
+                return {};
+            });
+    },
+
+    _write: function (tokens) {
+        // Write then rename, so that concurrent readers never read a partial file
+        var tmpPath = path.join(path.dirname(this.filePath), '.' + path.basename(this.filePath) + '.' + process.pid + '.tmp');
+        var filePath = this.filePath;
+
+        return fs.promises.writeFile(tmpPath, JSON.stringify(tokens), {mode: 384 /* 0600 */})
+            .then(function () {
+                return fs.promises.rename(tmpPath, filePath);
+            });
+    }
+};
+
+/**
+ * Keeps the tokens in Redis, shared by a fleet of workers
+ * Works with the clients exposing promise based get(key), set(key, value, 'PX', ttl) and del(key), like ioredis.
+ * node-redis (v4 and later) expects set(key, value, {PX: ttl}), and its legacy mode takes callbacks:
+ * give it an adapter exposing the signatures above
+ * @param {Object}  client      Redis client
+ * @param {Object}  options     Hash of:
+ *                              - prefix: prefix of the keys (default 'mangopay:token:')
+ * @constructor
+ */
+var RedisTokenStore = function (client, options) {
+    if (!client) {
+        throw new Error('A Redis client is required');
+    }
+    this.client = client;
+    this.prefix = (options && options.prefix) || 'mangopay:token:';
+};
+
+RedisTokenStore.prototype = {
+    get: function (key) {
+        return Promise.resolve(this.client.get(this.prefix + key)).then(function (value) {
+            return value ? JSON.parse(value) : null;
+        });
+    },
+
+    set: function (key, token) {
+        var ttl = Math.max(1, token.expires_at - Date.now());
+        return Promise.resolve(this.client.set(this.prefix + key, JSON.stringify(token), 'PX', ttl));
+    },
+
+    delete: function (key) {
+        return Promise.resolve(this.client.del(this.prefix + key));
+    }
+};
+
+module.exports = {
+    MemoryTokenStore: MemoryTokenStore,
+    FileTokenStore: FileTokenStore,
+    RedisTokenStore: RedisTokenStore
+};
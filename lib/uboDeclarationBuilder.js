@@ -0,0 +1,304 @@
+var _ = require('underscore');
+var Promise = require('promise');
+var errors = require('./errors');
+var Ubo = require('./models/Ubo');
+var UboDeclarationStatus = require('./models/UboDeclarationStatus');
+
+/**
+ * Most UBOs a declaration can hold
+ */
+var MAX_UBOS = 4;
+
+/**
+ * Statuses of the declarations that can still be edited, a new declaration is created after the other ones
+ */
+var EDITABLE_STATUSES = [UboDeclarationStatus.Created, UboDeclarationStatus.Incomplete];
+
+/**
+ * Fields of the UBOs compared to find the changes
+ */
+var COMPARED_FIELDS = ['FirstName', 'LastName', 'Nationality', 'Birthday', 'Address', 'Birthplace'];
+
+/**
+ * What the platform has to do about each UboDeclarationRefusedReasonType of a declaration
+ */
+var DECLARATION_REFUSED_REASONS = {
+    MISSING_UBO: 'A beneficial owner is missing: declare every person holding more than 25% of the capital or voting rights',
+    DECLARATION_DO_NOT_MATCH_UBO_INFORMATION: 'The declared UBOs do not match the ownership documents: fix the list of UBOs',
+    WRONG_UBO_INFORMATION: 'The details of a UBO are wrong: check the names, birth date, birthplace, nationality and address',
+    UBO_IDENTITY_NEEDED: 'An identity proof of the UBOs is needed',
+    SHAREHOLDERS_DECLARATION_NEEDED: 'A shareholder declaration is needed',
+    ORGANIZATION_CHART_NEEDED: 'An organization chart of the company is needed',
+    DOCUMENTS_NEEDED: 'More documents are needed: see the Message of the declaration',
+    SPECIFIC_CASE: 'The declaration needs a manual review: see the Message of the declaration'
+};
+
+/**
+ * What the platform has to do about each UboRefusedReasonType of a UBO
+ */
+var UBO_REFUSED_REASONS = {
+    INVALID_DECLARED_UBO: 'This person is not a beneficial owner: remove them from the declaration',
+    INVALID_UBO_DETAILS: 'The details of this UBO (birth date, country of residence...) are wrong: fix them'
+};
+
+/**
+ * Builds the UBO declaration of a LEGAL user from the full list of its beneficial owners: the UBOs are validated,
+ * then save() compares them to the current declaration and sends only the needed calls (createUbo for the new ones,
+ * updateUbo with the changed fields for the modified ones, IsActive false for the ones no longer listed), and
+ * submit() asks for the validation.
+ *
+ * The declaration edited is the last one of the user while CREATED or INCOMPLETE, a new one is created otherwise.
+ * The UBOs are matched to the declared ones by Id, else by FirstName, LastName and Birthday.
+ *
+ * @param {Object}  api         SDK instance
+ * @param {string}  userId      Id of the LEGAL user
+ * @param {Object}  options     Hash of:
+ *                              - declarationId: declaration to edit, instead of the last one
+ * @constructor
+ */
+var UboDeclarationBuilder = function (api, userId, options) {
+    this._api = api;
+    this.userId = userId;
+    this.options = _.extend({declarationId: null}, options);
+    this.ubos = [];
+};
+
+UboDeclarationBuilder.prototype = {
+    /**
+     * Adds a beneficial owner
+     * @param {Object}  ubo     Ubo, or hash of its fields (Id to update a declared one)
+     * @returns {UboDeclarationBuilder}
+     */
+    add: function (ubo) {
+        this.ubos.push(ubo instanceof Ubo ? ubo : new Ubo(ubo));
+        return this;
+    },
+
+    /**
+     * Checks the UBOs before any call
+     * @returns {Object}    Hash of field => error message (ex: 'Ubos[1].Birthplace.City'), empty when valid
+     */
+    validate: function () {
+        var errors = {};
+
+        if (!this.ubos.length) {
+            errors.Ubos = 'The declaration needs at least one UBO.';
+        } else if (this.ubos.length > MAX_UBOS) {
+            errors.Ubos = 'The declaration cannot hold more than ' + MAX_UBOS + ' UBOs.';
+        }
+
+        _.each(this.ubos, function (ubo, index) {
+            _.each(ubo.validate({creation: true}), function (message, field) {
+                errors['Ubos[' + index + '].' + field] = message;
+            });
+        });
+
+        return errors;
+    },
+
+    /**
+     * Calls needed to turn a declaration into the built one
+     * @param {Object}  declaration     Current declaration
+     * @returns {Object}    Hash of create (UBOs to create), update (Id and changed fields of the UBOs to update)
+     *                      and deactivate (Ids of the UBOs no longer listed)
+     */
+    diff: function (declaration) {
+        var declared = _.filter((declaration && declaration.Ubos) || [], function (ubo) {
+            return ubo.IsActive !== false && ubo.isActive !== false;
+        });
+        var matched = [];
+        var plan = {create: [], update: [], deactivate: []};
+
+        _.each(this.ubos, function (ubo) {
+            var current = _.find(declared, function (candidate) {
+                return !_.contains(matched, candidate) && (ubo.Id ? candidate.Id === ubo.Id : identity(candidate) === identity(ubo));
+            });
+
+            if (!current) {
+                plan.create.push(_.omit(toData(ubo), 'Id'));
+                return;
+            }
+
+            matched.push(current);
+            var changes = _.pick(toData(ubo), function (value, field) {
+                return _.contains(COMPARED_FIELDS, field) && !sameValue(value, current[field]);
+            });
+            if (!_.isEmpty(changes)) {
+                plan.update.push(_.extend({Id: current.Id}, changes));
+            }
+        });
+
+        plan.deactivate = _.pluck(_.difference(declared, matched), 'Id');
+
+        return plan;
+    },
+
+    /**
+     * Validates the UBOs, then brings the declaration up to date
+     * @returns {Promise}   Resolves with {declaration, created, updated, deactivated}, the declaration being fetched
+     *                      again after the changes; rejects with a ValidationError without any call when invalid
+     */
+    save: function () {
+        var self = this;
+        var api = this._api;
+        var invalid = this.validate();
+
+        if (!_.isEmpty(invalid)) {
+            return Promise.reject(new errors.ValidationError('Invalid UBO declaration', {errors: invalid}));
+        }
+
+        return this._getDeclaration().then(function (declaration) {
+            var plan = self.diff(declaration);
+            var result = {declaration: declaration, created: [], updated: [], deactivated: []};
+
+            // The removed UBOs are deactivated first, so that the declaration never holds more than MAX_UBOS
+            var calls = [].concat(
+                _.map(plan.deactivate, function (id) {
+                    return function () {
+                        return api.UboDeclarations.updateUbo(self.userId, declaration.Id, {Id: id, IsActive: false}).then(function (deactivated) {
+                            result.deactivated.push(deactivated);
+                        });
+                    };
+                }),
+                _.map(plan.update, function (ubo) {
+                    return function () {
+                        return api.UboDeclarations.updateUbo(self.userId, declaration.Id, ubo).then(function (updated) {
+                            result.updated.push(updated);
+                        });
+                    };
+                }),
+                _.map(plan.create, function (ubo) {
+                    return function () {
+                        return api.UboDeclarations.createUbo(self.userId, declaration.Id, ubo).then(function (created) {
+                            result.created.push(created);
+                        });
+                    };
+                })
+            );
+
+            // One call at a time, in order
+            return _.reduce(calls, function (previous, call) {
+                return previous.then(call);
+            }, Promise.resolve()).then(function () {
+                return calls.length ? api.UboDeclarations.getById(declaration.Id) : declaration;
+            }).then(function (declaration) {
+                self.options.declarationId = declaration.Id;
+                return _.extend(result, {declaration: declaration});
+            });
+        });
+    },
+
+    /**
+     * Saves the declaration, then asks for its validation
+     * @returns {Promise}   Resolves with the submitted declaration
+     */
+    submit: function () {
+        var self = this;
+        var api = this._api;
+
+        return this.save().then(function (result) {
+            var declaration = result.declaration;
+
+            return api.UboDeclarations.update(self.userId, {
+                Id: declaration.Id,
+                Status: UboDeclarationStatus.ValidationAsked,
+                Ubos: declaration.Ubos
+            });
+        });
+    },
+
+    /**
+     * Declaration to edit: the one of the options, the last editable one, or a new one
+     * @private
+     */
+    _getDeclaration: function () {
+        var api = this._api;
+        var userId = this.userId;
+
+        if (this.options.declarationId) {
+            return api.UboDeclarations.getById(this.options.declarationId).then(function (declaration) {
+                if (!_.contains(EDITABLE_STATUSES, declaration.Status)) {
+                    throw new errors.ValidationError('The UBO declaration ' + declaration.Id + ' is ' + declaration.Status + ' and cannot be edited', {
+                        errors: {Status: 'The declaration must be ' + EDITABLE_STATUSES.join(' or ') + '.'}
+                    });
+                }
+                return declaration;
+            });
+        }
+
+        return api.UboDeclarations.getAll(userId, {parameters: {Sort: 'CreationDate:DESC', per_page: 1}}).then(function (declarations) {
+            var last = declarations && declarations[0];
+
+            if (last && last.Status === UboDeclarationStatus.ValidationAsked) {
+                throw new errors.ValidationError('The UBO declaration ' + last.Id + ' is being validated', {
+                    errors: {Status: 'Wait for the outcome of the declaration before declaring the UBOs again.'}
+                });
+            }
+            return last && _.contains(EDITABLE_STATUSES, last.Status) ? last : api.UboDeclarations.create(userId);
+        });
+    }
+};
+
+/**
+ * Actionable messages of a refused or incomplete declaration
+ * @param {Object}  declaration     UBO declaration
+ * @returns {Array}     [{reasonType, message, hint, uboId}], uboId being null for the reasons of the declaration
+ */
+UboDeclarationBuilder.explain = function (declaration) {
+    var reasons = declaration.Reason ? [].concat(declaration.Reason) : [];
+    var explanations = _.map(reasons, function (reasonType) {
+        return {
+            reasonType: reasonType,
+            message: declaration.Message || null,
+            hint: DECLARATION_REFUSED_REASONS[reasonType] || null,
+            uboId: null
+        };
+    });
+
+    _.each(declaration.Ubos, function (ubo) {
+        if (ubo.RefusedReasonType) {
+            explanations.push({
+                reasonType: ubo.RefusedReasonType,
+                message: ubo.RefusedReasonMessage || null,
+                hint: UBO_REFUSED_REASONS[ubo.RefusedReasonType] || null,
+                uboId: ubo.Id || ubo.UserId || null
+            });
+        }
+    });
+
+    return explanations;
+};
+
+/**
+ * Key matching a UBO to a declared one
+ */
+function identity(ubo) {
+    return [ubo.FirstName, ubo.LastName].map(function (name) {
+        return String(name || '').trim().toLowerCase();
+    }).concat(ubo.Birthday).join('|');
+}
+
+/**
+ * Plain data of a UBO, as sent
+ */
+function toData(ubo) {
+    return JSON.parse(JSON.stringify(_.omit(_.extendOwn({}, ubo), _.isNull)));
+}
+
+/**
+ * Compares a field of a UBO with the declared one, the empty sub-fields being equal to the missing ones
+ */
+function sameValue(value, current) {
+    if (_.isObject(value)) {
+        return _.every(_.union(_.keys(value), _.keys(current)), function (key) {
+            return (value[key] || null) === ((current && current[key]) || null);
+        });
+    }
+    return value === current;
+}
+
+UboDeclarationBuilder.MAX_UBOS = MAX_UBOS;
+UboDeclarationBuilder.DECLARATION_REFUSED_REASONS = DECLARATION_REFUSED_REASONS;
+UboDeclarationBuilder.UBO_REFUSED_REASONS = UBO_REFUSED_REASONS;
+
+module.exports = UboDeclarationBuilder;
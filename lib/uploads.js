@@ -0,0 +1,244 @@
+var _ = require('underscore');
+var fs = require('fs');
+var Promise = require('promise');
+var errors = require('./errors');
+
+var MB = 1024 * 1024;
+
+/**
+ * File formats accepted by the API, recognised by their first bytes (the file names are not trusted)
+ */
+var FORMATS = {
+    'application/pdf': [0x25, 0x50, 0x44, 0x46, 0x2D],
+    'image/jpeg': [0xFF, 0xD8, 0xFF],
+    'image/png': [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A],
+    'image/gif': [0x47, 0x49, 0x46, 0x38]
+};
+
+/**
+ * Limits of the API per kind of upload, checked before sending the files: sizes in bytes, before the base64 encoding
+ */
+var LIMITS = {
+    KYC: {minSize: 32 * 1024, maxSize: 10 * MB, types: ['application/pdf', 'image/jpeg', 'image/png', 'image/gif']},
+    DISPUTE: {minSize: 1, maxSize: 10 * MB, types: ['application/pdf', 'image/jpeg', 'image/png', 'image/gif']},
+    LOGO: {minSize: 1, maxSize: 10 * MB, types: ['image/jpeg', 'image/png', 'image/gif']}
+};
+
+/**
+ * MIME type of a file content
+ * @param {Buffer}  content
+ * @returns {string|null}   One of the FORMATS, null when not recognised
+ */
+function detectType(content) {
+    return _.findKey(FORMATS, function (signature) {
+        return content.length >= signature.length && _.every(signature, function (byte, i) {
+            return content[i] === byte;
+        });
+    }) || null;
+}
+
+/**
+ * Number of pages of a PDF, from its page objects
+ * @param {Buffer}  content
+ * @returns {number|null}   Null when the page objects cannot be read, ex: compressed in object streams
+ */
+function countPdfPages(content) {
+    var pages = content.toString('latin1').match(/\/Type\s*\/Page(?![A-Za-z])/g);
+    return pages ? pages.length : null;
+}
+
+/**
+ * Reads a file to upload, and checks it against the limits of the API
+ * @param {Object}                  api     SDK instance, whose errorHandler gets the invalid files
+ * @param {string|Buffer|Readable}  file    File path, content or stream
+ * @param {Object}                  limits  One of the LIMITS
+ * @returns {Promise}   Resolves with the content (Buffer), rejects with a ValidationError
+ */
+function read(api, file, limits) {
+    var fail = _.partial(invalid, api);
+
+    if (!file) {
+        return fail('File path cannot be empty');
+    }
+
+    var content;
+    if (Buffer.isBuffer(file)) {
+        content = Promise.resolve(file);
+    } else if (_.isFunction(file.pipe)) {
+        content = readStream(file, limits.maxSize);
+    } else {
+        content = stat(file).then(function (stats) {
+            if (stats.size > limits.maxSize) {
+                throw new TooLargeError();
+            }
+            return readStream(fs.createReadStream(file), limits.maxSize);
+        });
+    }
+
+    return content.then(function (content) {
+        var type = detectType(content);
+
+        if (!content.length) {
+            return fail('Content of the file cannot be empty');
+        }
+        if (content.length > limits.maxSize) {
+            throw new TooLargeError();
+        }
+        if (content.length < limits.minSize) {
+            return fail('The file is too small (' + content.length + ' bytes), the minimum is ' + limits.minSize + ' bytes');
+        }
+        if (!_.contains(limits.types, type)) {
+            return fail('Unsupported file type ' + (type || 'unknown') + ', expected one of ' + limits.types.join(', '));
+        }
+        return content;
+    }).then(null, function (err) {
+        if (err instanceof TooLargeError) {
+            return fail('The file is too large, the maximum is ' + limits.maxSize + ' bytes');
+        }
+        if (err && err.code === 'ENOENT') {
+            return fail('File does not exist');
+        }
+        throw err;
+    });
+}
+
+/**
+ * Reads files to upload as pages, one per image or PDF page
+ * @param {Object}  api         SDK instance
+ * @param {Array}   files       File paths, contents or streams, see read()
+ * @param {Object}  limits      One of the LIMITS, checked for each page
+ * @param {Function} splitPdf   function(content) returning (a promise of) the contents of the pages of a PDF, ex: with
+ *                              pdf-lib. Without it, only the PDFs of a single page are accepted, sent whole: the
+ *                              others, and those whose pages cannot be counted, are rejected
+ * @returns {Promise}           Resolves with the contents of the pages, in order, rejects with a ValidationError
+ */
+function readPages(api, files, limits, splitPdf) {
+    files = _.isArray(files) ? files : [files];
+
+    if (!files.length) {
+        return read(api, null, limits).then(function () {
+            return [];
+        });
+    }
+
+    // The files are read one after the other, so that only one is streamed at a time
+    return _.reduce(files, function (previous, file) {
+        return previous.then(function (pages) {
+            // Before the split, only the pages are checked against the limits
+            var fileLimits = splitPdf ? _.extend({}, limits, {minSize: 1, maxSize: Infinity}) : limits;
+
+            return read(api, file, fileLimits).then(function (content) {
+                if (splitPdf && detectType(content) === 'application/pdf') {
+                    return Promise.resolve(splitPdf(content)).then(function (contents) {
+                        return Promise.all(_.map(contents, function (page) {
+                            return read(api, Buffer.from(page), limits);
+                        }));
+                    });
+                }
+                if (splitPdf) {
+                    return read(api, content, limits);
+                }
+                if (detectType(content) === 'application/pdf') {
+                    return checkSinglePage(api, content);
+                }
+                return content;
+            }).then(function (contents) {
+                return pages.concat(contents);
+            });
+        });
+    }, Promise.resolve([]));
+}
+
+/**
+ * Uploads pages one after the other
+ * @param {Array}       contents    Contents of the pages, see readPages()
+ * @param {Function}    upload      function(base64) creating a page, returning a promise
+ * @returns {Promise}   Resolves with the responses of the page calls
+ */
+function uploadPages(contents, upload) {
+    return _.reduce(contents, function (previous, content) {
+        return previous.then(function (responses) {
+            return upload(content.toString('base64')).then(function (response) {
+                return responses.concat([response]);
+            });
+        });
+    }, Promise.resolve([]));
+}
+
+/**
+ * Rejects the PDFs that would be sent as one page while holding several, or whose pages cannot be counted
+ */
+function checkSinglePage(api, content) {
+    var count = countPdfPages(content);
+
+    if (count === null) {
+        return invalid(api, 'Cannot count the pages of the PDF, give the splitPdf option to upload it one page at a time');
+    }
+    if (count > 1) {
+        return invalid(api, 'The PDF has ' + count + ' pages, give the splitPdf option to upload it one page at a time');
+    }
+    return content;
+}
+
+/**
+ * Gives an invalid file to the errorHandler
+ * @returns {Promise}   Rejected with a ValidationError
+ */
+function invalid(api, message) {
+    api.errorHandler(message);
+    return Promise.reject(new errors.ValidationError(message, {errors: {File: message}}));
+}
+
+/**
+ * Collects a stream, giving up beyond maxSize
+ */
+function readStream(stream, maxSize) {
+    return new Promise(function (resolve, reject) {
+        var chunks = [];
+        var size = 0;
+
+        stream.on('data', function (chunk) {
+            chunk = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+            size += chunk.length;
+            if (size > maxSize) {
+                if (stream.destroy) {
+                    stream.destroy();
+                }
+                reject(new TooLargeError());
+                return;
+            }
+            chunks.push(chunk);
+        });
+        stream.on('error', reject);
+        stream.on('end', function () {
+            resolve(Buffer.concat(chunks));
+        });
+    });
+}
+
+function stat(path) {
+    return new Promise(function (resolve, reject) {
+        fs.stat(path, function (err, stats) {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(stats);
+            }
+        });
+    });
+}
+
+/**
+ * Internal marker of the files over the size limit
+ */
+function TooLargeError() {}
+
+module.exports = {
+    FORMATS: FORMATS,
+    LIMITS: LIMITS,
+    detectType: detectType,
+    countPdfPages: countPdfPages,
+    read: read,
+    readPages: readPages,
+    uploadPages: uploadPages
+};
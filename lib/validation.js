@@ -0,0 +1,204 @@
+var _ = require('underscore');
+
+/**
+ * Currency codes accepted by the API (ISO 4217)
+ */
+var CURRENCIES = [
+    'AED', 'AFN', 'ALL', 'AMD', 'ANG', 'AOA', 'ARS', 'AUD', 'AWG', 'AZN', 'BAM', 'BBD', 'BDT', 'BGN', 'BHD',
+    'BIF', 'BMD', 'BND', 'BOB', 'BRL', 'BSD', 'BTN', 'BWP', 'BYN', 'BZD', 'CAD', 'CDF', 'CHF', 'CLP', 'CNY',
+    'COP', 'CRC', 'CUC', 'CUP', 'CVE', 'CZK', 'DJF', 'DKK', 'DOP', 'DZD', 'EGP', 'ERN', 'ETB', 'EUR', 'FJD',
+    'FKP', 'GBP', 'GEL', 'GGP', 'GHS', 'GIP', 'GMD', 'GNF', 'GTQ', 'GYD', 'HKD', 'HNL', 'HRK', 'HTG', 'HUF',
+    'IDR', 'ILS', 'IMP', 'INR', 'IQD', 'IRR', 'ISK', 'JEP', 'JMD', 'JOD', 'JPY', 'KES', 'KGS', 'KHR', 'KMF',
+    'KPW', 'KRW', 'KWD', 'KYD', 'KZT', 'LAK', 'LBP', 'LKR', 'LRD', 'LSL', 'LYD', 'MAD', 'MDL', 'MGA', 'MKD',
+    'MMK', 'MNT', 'MOP', 'MRU', 'MUR', 'MVR', 'MWK', 'MXN', 'MYR', 'MZN', 'NAD', 'NGN', 'NIO', 'NOK', 'NPR',
+    'NZD', 'OMR', 'PAB', 'PEN', 'PGK', 'PHP', 'PKR', 'PLN', 'PYG', 'QAR', 'RON', 'RSD', 'RUB', 'RWF', 'SAR',
+    'SBD', 'SCR', 'SDG', 'SEK', 'SGD', 'SHP', 'SLL', 'SOS', 'SPL', 'SRD', 'STN', 'SVC', 'SYP', 'SZL', 'THB',
+    'TJS', 'TMT', 'TND', 'TOP', 'TRY', 'TTD', 'TVD', 'TWD', 'TZS', 'UAH', 'UGX', 'USD', 'UYU', 'UZS', 'VEF',
+    'VND', 'VUV', 'WST', 'XAF', 'XCD', 'XDR', 'XOF', 'XPF', 'YER', 'ZAR', 'ZMW', 'ZWD'
+];
+
+/**
+ * Country codes accepted by the API (ISO 3166-1 alpha-2)
+ */
+var COUNTRIES = [
+    'AD', 'AE', 'AF', 'AG', 'AI', 'AL', 'AM', 'AO', 'AQ', 'AR', 'AS', 'AT', 'AU', 'AW', 'AX', 'AZ', 'BA', 'BB',
+    'BD', 'BE', 'BF', 'BG', 'BH', 'BI', 'BJ', 'BL', 'BM', 'BN', 'BO', 'BQ', 'BR', 'BS', 'BT', 'BV', 'BW', 'BY',
+    'BZ', 'CA', 'CC', 'CD', 'CF', 'CG', 'CH', 'CI', 'CK', 'CL', 'CM', 'CN', 'CO', 'CR', 'CS', 'CU', 'CV', 'CW',
+    'CX', 'CY', 'CZ', 'DA', 'DE', 'DJ', 'DK', 'DM', 'DO', 'DZ', 'EC', 'EE', 'EG', 'EH', 'ER', 'ES', 'ET', 'EN',
+    'EL', 'FI', 'FJ', 'FK', 'FM', 'FO', 'FR', 'GA', 'GB', 'GD', 'GE', 'GF', 'GG', 'GH', 'GI', 'GL', 'GM', 'GN',
+    'GP', 'GQ', 'GR', 'GS', 'GT', 'GU', 'GW', 'GY', 'HK', 'HM', 'HN', 'HR', 'HT', 'HU', 'ID', 'IE', 'IL', 'IM',
+    'IN', 'IO', 'IQ', 'IR', 'IS', 'IT', 'JE', 'JM', 'JO', 'JP', 'KE', 'KG', 'KH', 'KI', 'KM', 'KN', 'KP', 'KR',
+    'KW', 'KY', 'KZ', 'LA', 'LB', 'LC', 'LI', 'LK', 'LR', 'LS', 'LT', 'LU', 'LV', 'LY', 'MA', 'MC', 'MD', 'ME',
+    'MF', 'MG', 'MH', 'MK', 'ML', 'MM', 'MN', 'MO', 'MP', 'MQ', 'MR', 'MS', 'MT', 'MU', 'MV', 'MW', 'MX', 'MY',
+    'MZ', 'NA', 'NC', 'NE', 'NF', 'NG', 'NI', 'NL', 'NO', 'NP', 'NR', 'NU', 'NZ', 'OM', 'PA', 'PE', 'PF', 'PG',
+    'PH', 'PK', 'PL', 'PM', 'PN', 'PR', 'PS', 'PT', 'PW', 'PY', 'QA', 'RE', 'RO', 'RS', 'RU', 'RW', 'SA', 'SB',
+    'SC', 'SD', 'SE', 'SG', 'SH', 'SI', 'SJ', 'SK', 'SL', 'SM', 'SN', 'SO', 'SR', 'SS', 'ST', 'SV', 'SX', 'SY',
+    'SZ', 'TC', 'TD', 'TF', 'TG', 'TH', 'TJ', 'TK', 'TL', 'TM', 'TN', 'TO', 'TR', 'TT', 'TV', 'TW', 'TZ', 'UA',
+    'UG', 'UM', 'US', 'UY', 'UZ', 'VA', 'VC', 'VE', 'VG', 'VI', 'VN', 'VU', 'WF', 'WS', 'YE', 'YT', 'ZA', 'ZM',
+    'ZW'
+];
+
+/**
+ * Checks of the format rule
+ */
+var FORMATS = {
+    currency: {
+        test: function(value) {
+            return CURRENCIES.indexOf(value) !== -1;
+        },
+        message: 'must be an ISO 4217 currency code'
+    },
+    country: {
+        test: function(value) {
+            return COUNTRIES.indexOf(value) !== -1;
+        },
+        message: 'must be an ISO 3166-1 alpha-2 country code'
+    },
+    iban: {
+        test: isValidIban,
+        message: 'is not a valid IBAN'
+    },
+    bic: {
+        test: function(value) {
+            return /^[A-Z]{6}[A-Z0-9]{2}([A-Z0-9]{3})?$/.test(value);
+        },
+        message: 'is not a valid BIC'
+    },
+    email: {
+        test: function(value) {
+            return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+        },
+        message: 'is not a valid email address'
+    },
+    url: {
+        test: function(value) {
+            return /^https?:\/\/[^\s]+$/.test(value);
+        },
+        message: 'must be an http(s) URL'
+    }
+};
+
+/**
+ * Checks of the type rule
+ */
+var TYPES = {
+    string: _.isString,
+    number: function(value) {
+        return _.isNumber(value) && isFinite(value);
+    },
+    integer: Number.isSafeInteger,
+    boolean: _.isBoolean,
+    array: _.isArray,
+    object: function(value) {
+        return _.isObject(value) && !_.isArray(value) && !_.isFunction(value);
+    },
+    // Unix timestamp, in seconds
+    timestamp: Number.isSafeInteger
+};
+
+var TYPE_MESSAGES = {
+    integer: 'must be an integer',
+    timestamp: 'must be a unix timestamp (integer, in seconds)',
+    array: 'must be an array',
+    object: 'must be an object'
+};
+
+/**
+ * Checks a field against its rule, the first failing check wins.
+ *
+ * A rule is a hash of:
+ *  - required: the field must be set when the resource is created (POST requests)
+ *  - type: string, number, integer, boolean, array, object or timestamp
+ *  - enum: list of the allowed values
+ *  - format: currency, country, iban, bic, email or url
+ *  - pattern: regular expression the value must match
+ *  - maxLength, min, max
+ *  - sameCurrencyAs: name of a Money field the Money value must have the currency of
+ *  - validate: function(value, entity) returning an error message, for the other cases
+ *
+ * @param {string}  field       Name of the field
+ * @param {*}       value       Value of the field
+ * @param {Object}  rule        Rule of the field
+ * @param {Object}  entity      Model holding the field
+ * @param {boolean} creation    Whether the resource is created
+ * @returns {string|null}       Error message
+ */
+function checkField(field, value, rule, entity, creation) {
+    if (value === undefined || value === null || value === '') {
+        return (rule.required && creation) ? 'The ' + field + ' field is required.' : null;
+    }
+
+    if (rule.type && !TYPES[rule.type](value)) {
+        return 'The ' + field + ' field ' + (TYPE_MESSAGES[rule.type] || 'must be a ' + rule.type) + '.';
+    }
+
+    if (rule.enum && rule.enum.indexOf(value) === -1) {
+        return 'The ' + field + ' field must be one of ' + rule.enum.join(', ') + '.';
+    }
+
+    if (rule.format && !(_.isString(value) && FORMATS[rule.format].test(value))) {
+        return 'The ' + field + ' field ' + FORMATS[rule.format].message + '.';
+    }
+
+    if (rule.pattern && !(_.isString(value) && rule.pattern.test(value))) {
+        return 'The ' + field + ' field has an invalid format.';
+    }
+
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        return 'The ' + field + ' field must not exceed ' + rule.maxLength + ' characters.';
+    }
+
+    if (rule.min !== undefined && value < rule.min) {
+        return 'The ' + field + ' field must be at least ' + rule.min + '.';
+    }
+
+    if (rule.max !== undefined && value > rule.max) {
+        return 'The ' + field + ' field must be at most ' + rule.max + '.';
+    }
+
+    if (rule.sameCurrencyAs) {
+        var other = entity[rule.sameCurrencyAs];
+        if (other && other.Currency && value.Currency !== other.Currency) {
+            return 'The ' + field + ' field must have the currency of ' + rule.sameCurrencyAs + '.';
+        }
+    }
+
+    if (rule.validate) {
+        return rule.validate(value, entity) || null;
+    }
+
+    return null;
+}
+
+/**
+ * Checks the country code, length and mod-97 checksum of an IBAN
+ * @param {string}  value
+ * @returns {boolean}
+ */
+function isValidIban(value) {
+    var iban = String(value).replace(/\s+/g, '').toUpperCase();
+
+    if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(iban)) {
+        return false;
+    }
+
+    var rearranged = iban.slice(4) + iban.slice(0, 4);
+    var remainder = 0;
+    for (var i = 0; i < rearranged.length; i++) {
+        var code = rearranged.charCodeAt(i);
+        // Letters count as two digits, A = 10 ... Z = 35
+        var digits = code >= 65 ? String(code - 55) : rearranged[i];
+        for (var j = 0; j < digits.length; j++) {
+            remainder = (remainder * 10 + Number(digits[j])) % 97;
+        }
+    }
+
+    return remainder === 1;
+}
+
+module.exports = {
+    CURRENCIES: CURRENCIES,
+    COUNTRIES: COUNTRIES,
+    checkField: checkField,
+    isValidIban: isValidIban
+};
@@ -0,0 +1,276 @@
+var _ = require('underscore');
+var Promise = require('promise');
+var errors = require('./errors');
+var listeners = require('./listeners');
+
+/**
+ * Services used to re-fetch the resource of a notification, matched against the EventType in this order.
+ * Event types without a fetcher (CARD_VALIDATION_*, VIRTUAL_ACCOUNT_*...) cannot be verified: their
+ * resource can't be retrieved from its id alone.
+ */
+var RESOURCE_FETCHERS = [
+    [/^(PAYIN|PAYOUT|TRANSFER)_REFUND_/, function (api, id) { return api.Refunds.get(id); }],
+    [/^PAYIN_REPUDIATION_/, function (api, id) { return api.Disputes.getRepudiation(id); }],
+    [/^PAYIN_NORMAL_/, function (api, id) { return api.PayIns.get(id); }],
+    [/^RECURRING_REGISTRATION_/, function (api, id) { return api.PayIns.getRecurringPayin(id); }],
+    [/^(PAYOUT_NORMAL|INSTANT_PAYOUT)_/, function (api, id) { return api.PayOuts.get(id); }],
+    [/^TRANSFER_SETTLEMENT_/, function (api, id) { return api.Disputes.getSettlementTransfer(id); }],
+    [/^TRANSFER_NORMAL_/, function (api, id) { return api.Transfers.get(id); }],
+    [/^KYC_/, function (api, id) { return api.KycDocuments.get(id); }],
+    [/^DISPUTE_DOCUMENT_/, function (api, id) { return api.DisputeDocuments.get(id); }],
+    [/^DISPUTE_/, function (api, id) { return api.Disputes.get(id); }],
+    [/^MANDATE_/, function (api, id) { return api.Mandates.get(id); }],
+    [/^DEPOSIT_PREAUTHORIZATION_/, function (api, id) { return api.Deposits.get(id); }],
+    [/^PREAUTHORIZATION_/, function (api, id) { return api.CardPreAuthorizations.get(id); }],
+    [/^UBO_DECLARATION_/, function (api, id) { return api.UboDeclarations.getById(id); }],
+    [/^USER_/, function (api, id) { return api.Users.get(id); }],
+    [/^IDENTITY_VERIFICATION_/, function (api, id) { return api.IdentityVerifications.get(id); }],
+    [/^RECIPIENT_/, function (api, id) { return api.Recipients.get(id); }],
+    [/^(INSTANT|QUOTED)_CONVERSION_/, function (api, id) { return api.Conversions.getConversion(id); }],
+    [/^REPORT_/, function (api, id) { return api.ReportsV2.get(id); }]
+];
+
+/**
+ * Statuses of the re-fetched resource contradicting the EventType, matched in this order: a notification announcing
+ * the opposite of its resource's outcome is forged. Any other status is accepted, since the resource may have moved on
+ * by the time the notification is received or sent again (ex: KYC_SUCCEEDED for a document now OUT_OF_DATE), and the
+ * other events (..._CREATED, ..._VALIDATION_ASKED...) only need their resource to exist.
+ */
+var OPPOSITE_STATUSES = [
+    // Payments of the pre-authorizations, whose Status is the one of the pre-authorization
+    [/_PAYMENT_/, null],
+    // Intermediate statuses of the pay-ins, still CREATED, ex: PAYIN_NORMAL_PROCESSING_STATUS_PENDING_SUCCEEDED
+    [/_PROCESSING_STATUS_/, null],
+    // KYC_SUCCEEDED and KYC_FAILED announce VALIDATED and REFUSED documents
+    [/_SUCCEEDED$/, ['FAILED', 'REFUSED']],
+    [/_FAILED$/, ['SUCCEEDED', 'VALIDATED']],
+    [/_VALIDATED$/, ['REFUSED']],
+    [/_REFUSED$/, ['VALIDATED']]
+];
+
+/**
+ * Receives the notifications sent by Mangopay to the hooks Url
+ * (GET requests with EventType, RessourceId and Date query parameters) and dispatches them per EventType.
+ *
+ * @param {Object}  api         SDK instance, used to re-fetch the resources
+ * @param {Object}  options     Hash of:
+ *                              - verify: re-fetch the resource and check that its status doesn't contradict the
+ *                                EventType before invoking the handlers (default true), so that a forged notification
+ *                                can't trigger anything
+ *                              - fetchers: hash of EventType => function(api, resourceId) overriding the default fetchers
+ */
+var WebhookHandler = function (api, options) {
+    this._api = api;
+    this.options = _.extend({verify: true, fetchers: {}}, options);
+    this._handlers = {};
+};
+
+WebhookHandler.prototype = {
+    /**
+     * Registers a handler for one or several event types ('*' matches all of them)
+     * The handler is called with the event and can return a promise.
+     * @param {string|Array}    eventType   EventType, ex: 'PAYIN_NORMAL_SUCCEEDED'
+     * @param {Function}        handler     Called with {EventType, ResourceId, Date, resource, verified}
+     * @returns {WebhookHandler}
+     */
+    on: function (eventType, handler) {
+        var self = this;
+
+        _.each(_.isArray(eventType) ? eventType : [eventType], function (type) {
+            (self._handlers[type] = self._handlers[type] || []).push(handler);
+        });
+
+        return this;
+    },
+
+    /**
+     * Parses a notification, verifies it and invokes the matching handlers
+     * @param {Object}  notification    Query parameters of the notification: EventType, RessourceId and Date
+     * @returns {Promise}               Resolves with the event once all handlers are done
+     */
+    handle: function (notification) {
+        var self = this;
+        var event;
+
+        try {
+            event = this.parse(notification);
+        } catch (err) {
+            return Promise.reject(err);
+        }
+
+        var handlers = (this._handlers[event.EventType] || []).concat(this._handlers['*'] || []);
+        if (!handlers.length) {
+            event.handled = false;
+            return Promise.resolve(event);
+        }
+
+        var verification = this.options.verify ? this._fetchResource(event) : Promise.resolve();
+
+        return verification.then(function (resource) {
+            if (self.options.verify) {
+                event.resource = resource;
+                event.verified = true;
+            }
+
+            return handlers.reduce(function (previous, handler) {
+                return previous.then(function () {
+                    return handler(event);
+                });
+            }, Promise.resolve());
+        }).then(function () {
+            event.handled = true;
+            return event;
+        });
+    },
+
+    /**
+     * Reads a notification
+     * @param {Object}  notification    Query parameters of the notification
+     * @returns {Object}                The event: {EventType, ResourceId, Date, resource, verified}
+     */
+    parse: function (notification) {
+        notification = notification || {};
+        var resourceId = notification.RessourceId || notification.ResourceId;
+        var date = parseInt(notification.Date, 10);
+        var fieldErrors = {};
+
+        if (!notification.EventType || !/^[A-Z_]+$/.test(notification.EventType)) {
+            fieldErrors.EventType = 'The EventType parameter is missing or invalid';
+        }
+        if (!resourceId) {
+            fieldErrors.RessourceId = 'The RessourceId parameter is missing';
+        }
+
+        if (!_.isEmpty(fieldErrors)) {
+            throw new errors.ValidationError('Invalid webhook notification', {errors: fieldErrors});
+        }
+
+        return {
+            EventType: notification.EventType,
+            ResourceId: String(resourceId),
+            Date: isNaN(date) ? null : date,
+            resource: null,
+            verified: false
+        };
+    },
+
+    /**
+     * Plain node http request listener: http.createServer(handler.listener())
+     * Answers 200 once handled, 400 for an invalid notification, 404 when the resource doesn't exist,
+     * and 500 when a handler fails, so that Mangopay sends the notification again.
+     * @returns {Function}  function(req, res)
+     */
+    listener: function () {
+        var self = this;
+
+        return function (req, res) {
+            // A malformed url is answered like an invalid notification
+            listeners.readQuery(req).then(function (query) {
+                return self.handle(query);
+            }).then(function () {
+                res.statusCode = 200;
+                res.end();
+            }, function (err) {
+                res.statusCode = getStatusCode(err);
+                res.end();
+            });
+        };
+    },
+
+    /**
+     * Express/Connect middleware: app.get('/mangopay/hooks', handler.express())
+     * Invalid notifications and unknown resources are answered with 400 and 404,
+     * handler failures are passed to next()
+     * @returns {Function}  function(req, res, next)
+     */
+    express: function () {
+        var self = this;
+
+        return function (req, res, next) {
+            listeners.readQuery(req).then(function (query) {
+                return self.handle(query);
+            }).then(function () {
+                res.statusCode = 200;
+                res.end();
+            }, function (err) {
+                var status = getStatusCode(err);
+                if (status === 500) {
+                    return next(err);
+                }
+                res.statusCode = status;
+                res.end();
+            });
+        };
+    },
+
+    /**
+     * Koa middleware: router.get('/mangopay/hooks', handler.koa())
+     * Invalid notifications and unknown resources are answered with 400 and 404, handler failures are thrown
+     * @returns {Function}  function(ctx, next)
+     */
+    koa: function () {
+        var self = this;
+
+        return function (ctx) {
+            return self.handle(ctx.query).then(function () {
+                ctx.status = 200;
+                ctx.body = '';
+            }, function (err) {
+                var status = getStatusCode(err);
+                if (status === 500) {
+                    throw err;
+                }
+                ctx.status = status;
+                ctx.body = '';
+            });
+        };
+    },
+
+    /**
+     * Re-fetches the resource of an event through the matching service
+     * @private
+     */
+    _fetchResource: function (event) {
+        var api = this._api;
+        var fetcher = this.options.fetchers[event.EventType];
+
+        if (!fetcher) {
+            var match = _.find(RESOURCE_FETCHERS, function (entry) {
+                return entry[0].test(event.EventType);
+            });
+            fetcher = match && match[1];
+        }
+
+        if (!fetcher) {
+            return Promise.reject(new errors.ValidationError('Cannot verify the notification: no service to fetch ' + event.EventType + ' resources', {
+                errors: {EventType: 'Unverifiable event type'}
+            }));
+        }
+
+        return Promise.resolve(fetcher(api, event.ResourceId)).then(function (resource) {
+            var match = _.find(OPPOSITE_STATUSES, function (entry) {
+                return entry[0].test(event.EventType);
+            });
+            var opposites = match && match[1];
+
+            if (opposites && _.contains(opposites, resource && resource.Status)) {
+                throw new errors.ValidationError('Forged notification: the resource of ' + event.EventType + ' is ' + resource.Status, {
+                    errors: {EventType: 'The status of the resource contradicts the event type'}
+                });
+            }
+            return resource;
+        });
+    }
+};
+
+/**
+ * Maps a notification failure to the HTTP status answered to Mangopay
+ */
+function getStatusCode(err) {
+    return listeners.getStatusCode(err) || 500;
+}
+
+WebhookHandler.RESOURCE_FETCHERS = RESOURCE_FETCHERS;
+WebhookHandler.OPPOSITE_STATUSES = OPPOSITE_STATUSES;
+
+module.exports = WebhookHandler;
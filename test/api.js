@@ -0,0 +1,97 @@
+var expect = require('chai').expect;
+var helpers = require('./helpers');
+var mangopay = require('../index');
+
+function respondEmpty() {
+    return {data: {}, headers: {}};
+}
+
+describe('Api', function () {
+    describe('Multiple instances', function () {
+        var sandbox = new mangopay({
+            clientId: 'sandbox-client',
+            clientApiKey: 'sandbox-key'
+        });
+        var production = new mangopay({
+            clientId: 'production-client',
+            clientApiKey: 'production-key',
+            baseUrl: 'https://api.mangopay.com',
+            responseTimeout: 10000,
+            ukHeaderFlag: true
+        });
+
+        it('should own an isolated HTTP client', function () {
+            expect(sandbox.client).not.to.equal(production.client);
+            expect(sandbox.client.defaults.baseURL).to.equal('https://api.sandbox.mangopay.com');
+            expect(production.client.defaults.baseURL).to.equal('https://api.mangopay.com');
+            expect(production.client.defaults.timeout).to.equal(10000);
+        });
+
+        it('should own isolated request options', function () {
+            expect(sandbox.requestOptions).not.to.equal(production.requestOptions);
+            expect(sandbox.requestOptions.headers).not.to.equal(production.requestOptions.headers);
+            expect(sandbox.requestOptions.path.clientId).to.equal('sandbox-client');
+            expect(production.requestOptions.path.clientId).to.equal('production-client');
+        });
+
+        describe('Authorization', function () {
+            var sandboxRequests;
+            var productionRequests;
+
+            before(function () {
+                sandboxRequests = helpers.useFakeClient(sandbox, respondEmpty, 'sandbox-token');
+                productionRequests = helpers.useFakeClient(production, respondEmpty, 'production-token');
+
+                return Promise.all([
+                    sandbox.Users.get('user-1'),
+                    production.Users.get('user-2')
+                ]);
+            });
+
+            it('should keep a token per instance', function () {
+                expect(sandbox.requestOptions.headers.Authorization).to.equal('Bearer sandbox-token');
+                expect(production.requestOptions.headers.Authorization).to.equal('Bearer production-token');
+            });
+
+            it('should send each request with its own token and client id', function () {
+                expect(sandboxRequests[0].headers.Authorization).to.equal('Bearer sandbox-token');
+                expect(sandboxRequests[0].url).to.equal('/v2.01/sandbox-client/users/user-1');
+                expect(productionRequests[0].headers.Authorization).to.equal('Bearer production-token');
+                expect(productionRequests[0].url).to.equal('/v2.01/production-client/users/user-2');
+            });
+
+            it('should only send the uk header for the uk configured instance', function () {
+                expect(sandboxRequests[0].headers['x-tentant-id']).to.be.undefined;
+                expect(productionRequests[0].headers['x-tentant-id']).to.equal('uk');
+                expect(production.requestOptions.headers['x-tentant-id']).to.be.undefined;
+            });
+        });
+    });
+
+    describe('Request options', function () {
+        var api = new mangopay({
+            clientId: 'options-client',
+            clientApiKey: 'options-key'
+        });
+        var requests;
+        var options = {
+            headers: {'Idempotency-Key': 'key-1'},
+            path: {id: 'wallet-1'}
+        };
+
+        before(function () {
+            requests = helpers.useFakeClient(api, respondEmpty);
+            return api.method('wallets_get', options);
+        });
+
+        it('should not leak custom headers into the instance defaults', function () {
+            expect(requests[0].headers['Idempotency-Key']).to.equal('key-1');
+            expect(api.requestOptions.headers['Idempotency-Key']).to.be.undefined;
+        });
+
+        it('should not alter the caller options', function () {
+            expect(options.headers).to.deep.equal({'Idempotency-Key': 'key-1'});
+            expect(options.path).to.deep.equal({id: 'wallet-1'});
+        });
+    });
+});
@@ -0,0 +1,172 @@
+var expect = require('chai').expect;
+var helpers = require('./helpers');
+var mangopay = require('../index');
+
+var TOKENIZATION_URL = 'https://homologation-webpayment.payline.com/webpayment/getToken';
+
+var CARD_DATA = {
+    cardNumber: '4970107111111119',
+    cardExpirationDate: '1229',
+    cardCvx: '123'
+};
+
+/**
+ * Answers like the API and the tokenization server, the tokenization server answering with the given body
+ */
+function respondRegistration(tokenization, update) {
+    return function (requestConfig) {
+        if (requestConfig.url === TOKENIZATION_URL) {
+            return {status: 200, data: tokenization, headers: {}};
+        }
+        if (/\/cardregistrations$/.test(requestConfig.url)) {
+            return {
+                status: 200,
+                data: {
+                    Id: 'registration-1',
+                    UserId: requestConfig.data.UserId,
+                    Currency: requestConfig.data.Currency,
+                    AccessKey: 'access-key',
+                    PreregistrationData: 'preregistration-data',
+                    CardRegistrationURL: TOKENIZATION_URL,
+                    Status: 'CREATED'
+                },
+                headers: {}
+            };
+        }
+        if (/\/cardregistrations\/registration-1$/.test(requestConfig.url)) {
+            return {
+                status: 200,
+                data: Object.assign({
+                    Id: 'registration-1',
+                    RegistrationData: requestConfig.data.RegistrationData,
+                    CardId: 'card-1',
+                    Status: 'VALIDATED'
+                }, update),
+                headers: {}
+            };
+        }
+        if (/\/cards\/card-1$/.test(requestConfig.url)) {
+            return {status: 200, data: {Id: 'card-1', Alias: '497010XXXXXX1119', Active: true}, headers: {}};
+        }
+        throw new Error('Unexpected request ' + requestConfig.url);
+    };
+}
+
+describe('Card registration', function () {
+    it('should register the card in one call', function () {
+        var api = helpers.getFakeApi();
+        var requests = helpers.useFakeClient(api, respondRegistration('data=registration-data'));
+
+        return api.CardRegistrations.register({UserId: 'user-1', Currency: 'EUR'}, CARD_DATA).then(function (card) {
+            expect(card).to.be.instanceOf(api.models.Card);
+            expect(card.Id).to.equal('card-1');
+            expect(requests).to.have.length(4);
+
+            var tokenization = requests[1];
+            expect(tokenization.url).to.equal(TOKENIZATION_URL);
+            expect(tokenization.headers.Authorization).to.be.undefined;
+            expect(tokenization.headers['Content-Type']).to.equal('application/x-www-form-urlencoded');
+            expect(tokenization.data).to.deep.equal({
+                data: 'preregistration-data',
+                accessKeyRef: 'access-key',
+                cardNumber: '4970107111111119',
+                cardExpirationDate: '1229',
+                cardCvx: '123'
+            });
+            expect(requests[2].method).to.equal('PUT');
+            expect(requests[2].data.RegistrationData).to.equal('data=registration-data');
+        });
+    });
+
+    it('should only send the card data to the tokenization server', function () {
+        var api = helpers.getFakeApi();
+        var respond = respondRegistration('data=registration-data');
+        var requests = helpers.useFakeClient(api, function (requestConfig) {
+            var response = respond(requestConfig);
+            if (requestConfig.url === TOKENIZATION_URL) {
+                response.headers = {'x-ratelimit-limit': '10', 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': '0'};
+            }
+            return response;
+        });
+        var intercepted = [];
+
+        api.use(function (context, next) {
+            intercepted.push(context.url);
+            return next();
+        });
+
+        return api.CardRegistrations.register({UserId: 'user-1', Currency: 'EUR'}, CARD_DATA).then(function () {
+            expect(requests[1].url).to.equal(TOKENIZATION_URL);
+            expect(requests[1].headers).to.deep.equal({'Content-Type': 'application/x-www-form-urlencoded'});
+            expect(intercepted).to.have.length(3);
+            expect(intercepted).to.not.include(TOKENIZATION_URL);
+            expect(api.rateLimits).to.deep.equal([]);
+        });
+    });
+
+    it('should reuse a created card registration', function () {
+        var api = helpers.getFakeApi();
+        var requests = helpers.useFakeClient(api, respondRegistration(Buffer.from('data=registration-data')));
+        var registration = new api.models.CardRegistration({
+            Id: 'registration-1',
+            AccessKey: 'access-key',
+            PreregistrationData: 'preregistration-data',
+            CardRegistrationURL: TOKENIZATION_URL
+        });
+
+        return api.CardRegistrations.register(registration, CARD_DATA).then(function (card) {
+            expect(card.Id).to.equal('card-1');
+            expect(requests[0].url).to.equal(TOKENIZATION_URL);
+            expect(requests[1].data.RegistrationData).to.equal('data=registration-data');
+        });
+    });
+
+    it('should reject with the error code of the tokenization server', function () {
+        var api = helpers.getFakeApi();
+        var requests = helpers.useFakeClient(api, respondRegistration('errorCode=02625', {
+            CardId: null,
+            Status: 'ERROR',
+            ResultCode: '02625',
+            ResultMessage: 'Invalid card number'
+        }));
+
+        return api.CardRegistrations.register({UserId: 'user-1', Currency: 'EUR'}, CARD_DATA).then(function () {
+            throw new Error('Registration should have failed');
+        }, function (err) {
+            expect(err).to.be.instanceOf(mangopay.CardRegistrationError);
+            expect(err).to.be.instanceOf(mangopay.MangopayApiError);
+            expect(err.errorCode).to.equal('02625');
+            expect(err.reason).to.equal('CARD_NUMBER');
+            expect(err.message).to.equal('Invalid card number');
+            expect(err.cardRegistration.Status).to.equal('ERROR');
+            // The error code is recorded on the registration
+            expect(requests[2].data.RegistrationData).to.equal('errorCode=02625');
+            expect(requests).to.have.length(3);
+        });
+    });
+
+    it('should reject the registrations refused by the API', function () {
+        var api = helpers.getFakeApi();
+        helpers.useFakeClient(api, respondRegistration('data=registration-data', {
+            CardId: null,
+            Status: 'ERROR',
+            ResultCode: '02628',
+            ResultMessage: 'Transaction refused'
+        }));
+
+        return api.CardRegistrations.register({UserId: 'user-1', Currency: 'EUR'}, CARD_DATA).then(function () {
+            throw new Error('Registration should have failed');
+        }, function (err) {
+            expect(err).to.be.instanceOf(mangopay.CardRegistrationError);
+            expect(err.errorCode).to.equal('02628');
+            expect(err.reason).to.equal('REFUSED');
+        });
+    });
+
+    it('should name the unknown error codes', function () {
+        var err = new mangopay.CardRegistrationError(null, {errorCode: '123456'});
+
+        expect(err.message).to.equal('Card registration failed (123456)');
+        expect(err.reason).to.equal('TECHNICAL');
+    });
+});
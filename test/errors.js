@@ -0,0 +1,167 @@
+var expect = require('chai').expect;
+var helpers = require('./helpers');
+var mangopay = require('../index');
+
+function respondError(error) {
+    return function () {
+        return Promise.reject(error);
+    };
+}
+
+function httpError(status, data, headers) {
+    return {
+        message: 'Request failed with status code ' + status,
+        response: {status: status, headers: headers || {}, data: data}
+    };
+}
+
+describe('Errors', function () {
+    var api = helpers.getFakeApi();
+
+    function failWith(error) {
+        helpers.useFakeClient(api, respondError(error));
+        return api.PayIns.get('payin-1').then(function () {
+            throw new Error('Request should have failed');
+        }, function (err) {
+            return err;
+        });
+    }
+
+    describe('Validation error', function () {
+        var error;
+
+        before(function () {
+            return failWith(httpError(400, {
+                Id: 'error-id',
+                Message: 'One or several required parameters are missing or incorrect.',
+                Type: 'param_error',
+                Date: 1700000000,
+                errors: {CreditedWalletId: 'The CreditedWalletId field is required.'}
+            })).then(function (err) {
+                error = err;
+            });
+        });
+
+        it('should be typed', function () {
+            expect(error).to.be.instanceOf(mangopay.ValidationError);
+            expect(error).to.be.instanceOf(mangopay.MangopayApiError);
+            expect(error).to.be.instanceOf(Error);
+            expect(error.name).to.equal('ValidationError');
+        });
+
+        it('should carry the request and response details', function () {
+            expect(error.status).to.equal(400);
+            expect(error.id).to.equal('error-id');
+            expect(error.method).to.equal('GET');
+            expect(error.url).to.equal('https://api.sandbox.mangopay.com/v2.01/fake-client/payins/payin-1');
+            expect(error.response.status).to.equal(400);
+            expect(error.message).to.equal('One or several required parameters are missing or incorrect.');
+        });
+
+        it('should expose the field errors', function () {
+            expect(error.errors).to.deep.equal({CreditedWalletId: 'The CreditedWalletId field is required.'});
+        });
+
+        it('should keep the response body fields', function () {
+            expect(error.Message).to.equal('One or several required parameters are missing or incorrect.');
+            expect(error.Type).to.equal('param_error');
+        });
+    });
+
+    describe('HTTP statuses', function () {
+        it('should map 401 to AuthenticationError', function () {
+            return failWith(httpError(401, {Message: 'Unauthorized'})).then(function (err) {
+                expect(err).to.be.instanceOf(mangopay.AuthenticationError);
+            });
+        });
+
+        it('should map 404 to NotFoundError', function () {
+            return failWith(httpError(404, {Message: 'Not found', Type: 'ressource_not_found'})).then(function (err) {
+                expect(err).to.be.instanceOf(mangopay.NotFoundError);
+                expect(err.status).to.equal(404);
+            });
+        });
+
+        it('should map 429 to RateLimitError', function () {
+            return failWith(httpError(429, {Message: 'Too many requests'}, {'retry-after': '2'})).then(function (err) {
+                expect(err).to.be.instanceOf(mangopay.RateLimitError);
+                expect(err.retryAfter).to.equal(2000);
+            });
+        });
+
+        it('should map other statuses to MangopayApiError', function () {
+            return failWith(httpError(500, 'Internal Server Error')).then(function (err) {
+                expect(err.constructor).to.equal(mangopay.MangopayApiError);
+                expect(err.body).to.equal('Internal Server Error');
+            });
+        });
+    });
+
+    describe('Network error', function () {
+        it('should not crash without a response', function () {
+            return failWith({message: 'connect ECONNREFUSED', code: 'ECONNREFUSED'}).then(function (err) {
+                expect(err).to.be.instanceOf(mangopay.NetworkError);
+                expect(err.code).to.equal('ECONNREFUSED');
+                expect(err.status).to.be.null;
+            });
+        });
+    });
+
+    describe('Timeout', function () {
+        var timeoutApi = new mangopay({
+            clientId: 'errors-client',
+            clientApiKey: 'errors-key',
+            connectionTimeout: 10,
+            errorHandler: function () {}
+        });
+
+        it('should reject with a TimeoutError', function () {
+            helpers.useFakeClient(timeoutApi, function (requestConfig) {
+                return new Promise(function (resolve, reject) {
+                    requestConfig.signal.addEventListener('abort', function () {
+                        reject({message: 'canceled', code: 'ERR_CANCELED'});
+                    });
+                });
+            });
+
+            return timeoutApi.Wallets.get('wallet-1').then(function () {
+                throw new Error('Request should have timed out');
+            }, function (err) {
+                expect(err).to.be.instanceOf(mangopay.TimeoutError);
+                expect(err.status).to.equal(408);
+                expect(err.Code).to.equal(408);
+            });
+        });
+    });
+    describe('Ambiguous failures', function () {
+        it('should tell the failures that may have been processed anyway', function () {
+            var isAmbiguous = require('../lib/errors').isAmbiguous;
+
+            expect(isAmbiguous(new mangopay.TimeoutError())).to.be.true;
+            expect(isAmbiguous(new mangopay.NetworkError('connect ECONNREFUSED'))).to.be.true;
+            expect(isAmbiguous(new mangopay.MangopayApiError('Internal Server Error', {status: 500}))).to.be.true;
+            expect(isAmbiguous(new mangopay.ValidationError('Invalid', {status: 400}))).to.be.false;
+            expect(isAmbiguous(new Error('Unexpected'))).to.be.false;
+        });
+    });
+
+
+    describe('Authorization', function () {
+        var wrongApi = new mangopay({
+            clientId: 'errors-client',
+            clientApiKey: 'wrong-key'
+        });
+
+        it('should reject with an AuthenticationError', function () {
+            wrongApi.client = respondError(httpError(400, {error: 'invalid_client'}));
+
+            return wrongApi.authorize().then(function () {
+                throw new Error('Authorization should have failed');
+            }, function (err) {
+                expect(err).to.be.instanceOf(mangopay.AuthenticationError);
+                expect(err.error).to.equal('invalid_client');
+                expect(err.message).to.equal('invalid_client');
+            });
+        });
+    });
+});
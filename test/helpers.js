@@ -4,6 +4,7 @@ var Birthplace = require('../lib/models/Birthplace');
 var UserNaturalCapacity = require('../lib/models/UserNaturalCapacity');
 var UserNatural = require('../lib/models/UserNatural');
 const api = require("./main");
+var mangopay = require('../index');
 
 module.exports = {
     data: {
@@ -299,68 +300,53 @@ module.exports = {
             Currency: 'EUR'
         };
 
-        api.CardRegistrations.create(cardRegistration).then(function() {
-            /*
-             ****** DO NOT use this code in a production environment - it is just for unit tests. In production you are not allowed to have the user's card details pass via your server (which is what is required to use this code here) *******
-             */
-            var options = {
-                data: {
-                    data: cardRegistration.PreregistrationData,
-                    accessKeyRef: cardRegistration.AccessKey,
-                    cardNumber: '4970107111111119',
-                    cardExpirationDate: '1229',
-                    cardCvx: '123'
+        /*
+         ****** DO NOT use this code in a production environment - it is just for unit tests. In production you are not allowed to have the user's card details pass via your server (which is what is required to use this code here) *******
+         */
+        api.CardRegistrations.register(cardRegistration, {
+            cardNumber: '4970107111111119',
+            cardExpirationDate: '1229',
+            cardCvx: '123'
+        }).then(function(card) {
+            preAuthorization = {
+                AuthorId: user.Id,
+                DebitedFunds: {
+                    Currency: 'EUR',
+                    Amount: 1000
                 },
-                url: cardRegistration.CardRegistrationURL,
-                headers: {
-                    'Content-Type': 'application/x-www-form-urlencoded'
-                }
+                CardId: card.Id,
+                SecureModeReturnURL: 'http://test.com',
+                Billing: {
+                    FirstName: "John",
+                    LastName: "Doe",
+                    Address: {
+                        "AddressLine1": "4101 Reservoir Rd NW",
+                        "AddressLine2": "",
+                        "City": "Washington",
+                        "Region": "District of Columbia",
+                        "PostalCode": "80400",
+                        "Country": "US"
+                    }
+                },
+                BrowserInfo: {
+                    AcceptHeader: "text/html, application/xhtml+xml, application/xml;q=0.9, /;q=0.8",
+                    JavaEnabled: true,
+                    Language: "FR-FR",
+                    ColorDepth: 4,
+                    ScreenHeight: 1800,
+                    ScreenWidth: 400,
+                    JavascriptEnabled: true,
+                    TimeZoneOffset: "+60",
+                    UserAgent: "Mozilla/5.0 (iPhone; CPU iPhone OS 13_6_1 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Mobile/15E148"
+                },
+                IpAddress: "2001:0620:0000:0000:0211:24FF:FE80:C12C",
             };
 
-            return api.method('post', function (data, response) {
-                cardRegistration.RegistrationData = Buffer.from(data).toString();
-                api.CardRegistrations.update(cardRegistration).then(function(data){
-                    preAuthorization = {
-                        AuthorId: user.Id,
-                        DebitedFunds: {
-                            Currency: 'EUR',
-                            Amount: 1000
-                        },
-                        CardId: cardRegistration.CardId,
-                        SecureModeReturnURL: 'http://test.com',
-                        Billing: {
-                            FirstName: "John",
-                            LastName: "Doe",
-                            Address: {
-                                "AddressLine1": "4101 Reservoir Rd NW",
-                                "AddressLine2": "",
-                                "City": "Washington",
-                                "Region": "District of Columbia",
-                                "PostalCode": "80400",
-                                "Country": "US"
-                            }
-                        },
-                        BrowserInfo: {
-                            AcceptHeader: "text/html, application/xhtml+xml, application/xml;q=0.9, /;q=0.8",
-                            JavaEnabled: true,
-                            Language: "FR-FR",
-                            ColorDepth: 4,
-                            ScreenHeight: 1800,
-                            ScreenWidth: 400,
-                            JavascriptEnabled: true,
-                            TimeZoneOffset: "+60",
-                            UserAgent: "Mozilla/5.0 (iPhone; CPU iPhone OS 13_6_1 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Mobile/15E148"
-                        },
-                        IpAddress: "2001:0620:0000:0000:0211:24FF:FE80:C12C",
-                    };
-
-                    api.CardPreAuthorizations.create(preAuthorization, function(data, response){
-                        if (_.isFunction(callback)) {
-                            callback(preAuthorization, response);
-                        }
-                    });
-                });
-            }, options);
+            api.CardPreAuthorizations.create(preAuthorization, function(data, response){
+                if (_.isFunction(callback)) {
+                    callback(preAuthorization, response);
+                }
+            });
         });
     },
 
@@ -1308,4 +1294,40 @@ module.exports = {
             });
         });
     },
+
+    /**
+     * Creates an SDK instance with fake credentials for the offline tests, errors not printed
+     * @param {Object}      config      Configuration overriding the defaults
+     * @returns {Object}    SDK instance
+     */
+    getFakeApi: function (config) {
+        return new mangopay(_.extend({
+            clientId: 'fake-client',
+            clientApiKey: 'fake-key',
+            errorHandler: function () {}
+        }, config));
+    },
+
+    /**
+     * Replaces the HTTP client of an api instance with a fake one, recording every request it receives.
+     * OAuth token requests are answered with the given token, the others with the respond function result
+     * @param {Object}      api         SDK instance
+     * @param {Function}    respond     Returns the fake response ({data, headers}) for an axios request config
+     * @param {string}      token       Access token returned by the fake OAuth endpoint
+     * @returns {Array}     The list of recorded request configs, OAuth requests excluded
+     */
+    useFakeClient: function (api, respond, token) {
+        var requests = [];
+        api.client = function (requestConfig) {
+            if (requestConfig.url.indexOf('/oauth/token') !== -1) {
+                return Promise.resolve({
+                    data: {token_type: 'Bearer', access_token: token || 'fake-token', expires_in: 3600},
+                    headers: {}
+                });
+            }
+            requests.push(requestConfig);
+            return Promise.resolve(respond(requestConfig));
+        };
+        return requests;
+    }
 };
@@ -0,0 +1,221 @@
+var expect = require('chai').expect;
+var helpers = require('./helpers');
+var mangopay = require('../index');
+
+function respondWallet(requestConfig) {
+    return {data: {Id: 'wallet-1', Description: requestConfig.data && requestConfig.data.Description}, headers: {}};
+}
+
+var wallet = {Owners: ['user-1'], Currency: 'EUR', Description: 'EUR wallet'};
+
+describe('Idempotency', function () {
+    describe('Automatic keys', function () {
+        it('should not be sent by default', function () {
+            var api = helpers.getFakeApi();
+            var requests = helpers.useFakeClient(api, respondWallet);
+
+            return api.Wallets.create(wallet).then(function (data) {
+                expect(requests[0].headers['Idempotency-Key']).to.be.undefined;
+                expect(data.idempotencyKey).to.be.undefined;
+            });
+        });
+
+        it('should be generated for POST requests and exposed on the result', function () {
+            var api = helpers.getFakeApi({idempotency: {autoKeys: true}});
+            var requests = helpers.useFakeClient(api, respondWallet);
+
+            return api.Wallets.create(wallet).then(function (data) {
+                var key = requests[0].headers['Idempotency-Key'];
+
+                expect(key).to.match(/^[0-9a-f-]{36}$/);
+                expect(data.idempotencyKey).to.equal(key);
+                expect(Object.keys(data)).not.to.include('idempotencyKey');
+                expect(JSON.stringify(data)).not.to.contain(key);
+                return api.Wallets.get('wallet-1');
+            }).then(function (data) {
+                expect(requests[1].headers['Idempotency-Key']).to.be.undefined;
+                expect(data.idempotencyKey).to.be.undefined;
+            });
+        });
+
+        it('should use a new key per call, and the configured generator', function () {
+            var count = 0;
+            var api = helpers.getFakeApi({
+                idempotency: {
+                    autoKeys: true,
+                    generateKey: function (method) {
+                        return method + '-' + (++count) + '-0123456789';
+                    }
+                }
+            });
+            var requests = helpers.useFakeClient(api, respondWallet);
+
+            return api.Wallets.create(wallet).then(function () {
+                return api.Wallets.create(wallet);
+            }).then(function () {
+                expect(requests[0].headers['Idempotency-Key']).to.equal('wallets_create-1-0123456789');
+                expect(requests[1].headers['Idempotency-Key']).to.equal('wallets_create-2-0123456789');
+            });
+        });
+
+        it('should keep the key given by the caller', function () {
+            var api = helpers.getFakeApi({idempotency: {autoKeys: true}});
+            var requests = helpers.useFakeClient(api, respondWallet);
+            var options = api.OptionsHelper.withIdempotency({}, 'caller-key-0123456789');
+
+            return api.Wallets.create(wallet, options).then(function (data) {
+                expect(requests[0].headers['Idempotency-Key']).to.equal('caller-key-0123456789');
+                expect(data.idempotencyKey).to.equal('caller-key-0123456789');
+            });
+        });
+
+        it('should stay the same across retries', function () {
+            var api = helpers.getFakeApi({idempotency: {autoKeys: true}, retry: {maxRetries: 2, baseDelay: 1, maxDelay: 10}});
+            var calls = 0;
+            var requests = helpers.useFakeClient(api, function (requestConfig) {
+                if (++calls === 1) {
+                    return Promise.reject({message: 'socket hang up', code: 'ECONNRESET'});
+                }
+                return respondWallet(requestConfig);
+            });
+
+            return api.Wallets.create(wallet).then(function (data) {
+                expect(requests).to.have.length(2);
+                expect(requests[1].headers['Idempotency-Key']).to.equal(requests[0].headers['Idempotency-Key']);
+                expect(data.idempotencyKey).to.equal(requests[0].headers['Idempotency-Key']);
+            });
+        });
+
+        it('should be exposed on the errors', function () {
+            var api = helpers.getFakeApi({idempotency: {autoKeys: true}});
+            var requests = helpers.useFakeClient(api, function () {
+                return Promise.reject({
+                    message: 'Request failed with status code 400',
+                    response: {status: 400, headers: {}, data: {Message: 'Invalid', Type: 'param_error'}}
+                });
+            });
+
+            return api.Wallets.create(wallet).then(function () {
+                throw new Error('Request should have failed');
+            }, function (err) {
+                expect(err).to.be.instanceOf(mangopay.ValidationError);
+                expect(err.idempotencyKey).to.equal(requests[0].headers['Idempotency-Key']);
+            });
+        });
+    });
+
+    describe('OptionsHelper.withIdempotency', function () {
+        it('should keep the other headers', function () {
+            var api = helpers.getFakeApi();
+            var options = api.OptionsHelper.withIdempotency({headers: {'X-Custom': 'value'}}, 'key-0123456789abcdef');
+
+            expect(options.headers).to.deep.equal({'X-Custom': 'value', 'Idempotency-Key': 'key-0123456789abcdef'});
+        });
+    });
+
+    describe('Derived keys', function () {
+        it('should derive the same key from the same parts', function () {
+            var deriveKey = require('../lib/services/Idempotency').deriveKey;
+            var key = deriveKey('registration-1', 'cycle-2', 'attempt-0');
+
+            expect(key).to.match(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/);
+            expect(deriveKey('registration-1', 'cycle-2', 'attempt-0')).to.equal(key);
+            expect(deriveKey('registration-1', 'cycle-2', 'attempt-1')).to.not.equal(key);
+            expect(mangopay.PayoutBatch.generateKey('batch-1', 'seller-1', 'payout')).to.equal(deriveKey('batch-1', 'seller-1', 'payout'));
+        });
+    });
+
+    describe('Ambiguous failures', function () {
+        var server = new mangopay.MockServer({clientId: 'fake-client', clientApiKey: 'fake-key'});
+        var api;
+        var user;
+
+        before(function () {
+            return server.start().then(function (baseUrl) {
+                api = helpers.getFakeApi({baseUrl: baseUrl, idempotency: {autoKeys: true}});
+                return api.Users.create({
+                    PersonType: 'NATURAL',
+                    FirstName: 'John',
+                    LastName: 'Doe',
+                    Email: 'john.doe@sample.org'
+                });
+            }).then(function (data) {
+                user = data;
+            });
+        });
+
+        after(function () {
+            return server.stop();
+        });
+
+        /**
+         * Sends a request whose response is lost: the middleware replaces its outcome by a timeout
+         */
+        function createLosingResponse(data, send) {
+            var lost = function (context, next) {
+                return (send ? next().catch(function () {}) : Promise.resolve()).then(function () {
+                    throw new mangopay.TimeoutError(null, {method: 'POST', url: context.url});
+                });
+            };
+            api.use(lost);
+
+            return api.Wallets.create(data).then(function () {
+                throw new Error('Request should have failed');
+            }, function (err) {
+                api.middlewares.splice(api.middlewares.indexOf(lost), 1);
+                return err;
+            });
+        }
+
+        it('should resolve with the resource created by the request', function () {
+            return createLosingResponse({Owners: [user.Id], Currency: 'EUR', Description: 'Lost'}, true)
+                .then(function (err) {
+                    expect(err).to.be.instanceOf(mangopay.TimeoutError);
+                    expect(err.idempotencyKey).to.be.a('string');
+                    return api.Idempotency.resolveOutcome(err, {dataClass: api.models.Wallet});
+                })
+                .then(function (data) {
+                    expect(data).to.be.instanceOf(api.models.Wallet);
+                    expect(data.Description).to.equal('Lost');
+                    return api.Wallets.get(data.Id);
+                })
+                .then(function (data) {
+                    expect(data.Owners).to.deep.equal([user.Id]);
+                });
+        });
+
+        it('should reject with the error of the request', function () {
+            return createLosingResponse({Owners: [user.Id], Description: 'No currency'}, true)
+                .then(function (err) {
+                    return api.Idempotency.resolveOutcome(err);
+                })
+                .then(function () {
+                    throw new Error('Outcome should be a failure');
+                }, function (err) {
+                    expect(err).to.be.instanceOf(mangopay.ValidationError);
+                    expect(err.errors).to.have.property('Currency');
+                });
+        });
+
+        it('should resolve with null when the request was not received', function () {
+            return createLosingResponse({Owners: [user.Id], Currency: 'EUR', Description: 'Never sent'}, false)
+                .then(function (err) {
+                    return api.Idempotency.resolveOutcome(err.idempotencyKey);
+                })
+                .then(function (data) {
+                    expect(data).to.be.null;
+                });
+        });
+
+        it('should reject the other errors as is', function () {
+            var failure = new mangopay.ValidationError('Invalid', {status: 400});
+            failure.idempotencyKey = 'key-0123456789abcdef';
+
+            return api.Idempotency.resolveOutcome(failure).then(function () {
+                throw new Error('Outcome should be a failure');
+            }, function (err) {
+                expect(err).to.equal(failure);
+            });
+        });
+    });
+});
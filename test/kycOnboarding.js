@@ -0,0 +1,193 @@
+var path = require('path');
+var expect = require('chai').expect;
+var helpers = require('./helpers');
+var mangopay = require('../index');
+
+/**
+ * Content of a PNG file, large enough for the KYC pages
+ */
+function pngPage(text) {
+    var content = Buffer.alloc(32 * 1024);
+    Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]).copy(content);
+    content.write(text, 8);
+    return content;
+}
+
+/**
+ * Fake API keeping the users and their KYC documents
+ */
+function fakeKycApi(api, documents) {
+    var fake = {
+        users: {
+            'natural-1': {Id: 'natural-1', PersonType: 'NATURAL', KYCLevel: 'LIGHT'},
+            'legal-1': {Id: 'legal-1', PersonType: 'LEGAL', LegalPersonType: 'BUSINESS', KYCLevel: 'LIGHT'}
+        },
+        documents: documents || [],
+        pages: {},
+        calls: []
+    };
+
+    fake.requests = helpers.useFakeClient(api, function (requestConfig) {
+        var url = requestConfig.url.replace(/^.*\/fake-client/, '');
+        var method = requestConfig.method.toUpperCase();
+        var match;
+
+        fake.calls.push(method + ' ' + url);
+
+        if (method === 'POST' && url === '/users/natural') {
+            fake.users['natural-2'] = Object.assign({Id: 'natural-2', KYCLevel: 'LIGHT'}, requestConfig.data);
+            return {status: 200, data: fake.users['natural-2'], headers: {}};
+        }
+        if ((match = url.match(/^\/users\/([\w-]+)$/))) {
+            return {status: 200, data: fake.users[match[1]], headers: {}};
+        }
+        if ((match = url.match(/^\/users\/([\w-]+)\/(Regulatory|blockStatus)$/))) {
+            return {status: 200, data: {ScopeBlocked: {Inflows: false, Outflows: false}}, headers: {}};
+        }
+        if ((match = url.match(/^\/users\/([\w-]+)\/KYC\/documents\/?$/))) {
+            if (method === 'POST') {
+                var document = Object.assign({
+                    Id: 'document-' + (fake.documents.length + 1),
+                    UserId: match[1],
+                    Status: 'CREATED',
+                    CreationDate: 1700000000 + fake.documents.length
+                }, requestConfig.data);
+                fake.documents.push(document);
+                return {status: 200, data: document, headers: {}};
+            }
+            return {
+                status: 200,
+                data: fake.documents.filter(function (document) {
+                    return document.UserId === match[1];
+                }),
+                headers: {}
+            };
+        }
+        if ((match = url.match(/^\/users\/[\w-]+\/KYC\/documents\/([\w-]+)\/pages$/))) {
+            fake.pages[match[1]] = (fake.pages[match[1]] || []).concat(requestConfig.data.File);
+            return {status: 204, data: '', headers: {}};
+        }
+        if ((match = url.match(/^\/users\/[\w-]+\/KYC\/documents\/([\w-]+)$/))) {
+            var saved = fake.documents.filter(function (document) {
+                return document.Id === match[1];
+            })[0];
+            Object.assign(saved, requestConfig.data);
+            return {status: 200, data: saved, headers: {}};
+        }
+        throw new Error('Unexpected request ' + method + ' ' + url);
+    });
+
+    return fake;
+}
+
+describe('KYC onboarding', function () {
+    it('should know the documents required per user type', function () {
+        var onboarding = helpers.getFakeApi().createKycOnboarding({requiredDocuments: {SOLETRADER: ['IDENTITY_PROOF']}});
+
+        expect(onboarding.requiredDocuments({PersonType: 'NATURAL'})).to.deep.equal(['IDENTITY_PROOF']);
+        expect(onboarding.requiredDocuments({PersonType: 'LEGAL', LegalPersonType: 'BUSINESS'}))
+            .to.deep.equal(['IDENTITY_PROOF', 'REGISTRATION_PROOF', 'ARTICLES_OF_ASSOCIATION']);
+        expect(onboarding.requiredDocuments({PersonType: 'LEGAL', LegalPersonType: 'SOLETRADER'})).to.deep.equal(['IDENTITY_PROOF']);
+        expect(function () {
+            onboarding.requiredDocuments({PersonType: 'LEGAL'});
+        }).to.throw(TypeError);
+    });
+
+    it('should report the missing, pending and refused documents', function () {
+        var api = helpers.getFakeApi();
+        fakeKycApi(api, [
+            {Id: 'document-1', UserId: 'legal-1', Type: 'IDENTITY_PROOF', Status: 'REFUSED', CreationDate: 1,
+                RefusedReasonType: 'DOCUMENT_HAS_EXPIRED', RefusedReasonMessage: 'Expired in 2023'},
+            {Id: 'document-2', UserId: 'legal-1', Type: 'IDENTITY_PROOF', Status: 'VALIDATION_ASKED', CreationDate: 2},
+            {Id: 'document-3', UserId: 'legal-1', Type: 'REGISTRATION_PROOF', Status: 'REFUSED', CreationDate: 3,
+                RefusedReasonType: 'DOCUMENT_UNREADABLE', RefusedReasonMessage: null},
+            {Id: 'document-4', UserId: 'natural-1', Type: 'ARTICLES_OF_ASSOCIATION', Status: 'VALIDATED', CreationDate: 4}
+        ]);
+
+        return api.createKycOnboarding().status('legal-1').then(function (status) {
+            expect(status.kycLevel).to.equal('LIGHT');
+            expect(status.documents.IDENTITY_PROOF.Id).to.equal('document-2');
+            expect(status.documents.ARTICLES_OF_ASSOCIATION).to.be.null;
+            expect(status.pending).to.deep.equal(['IDENTITY_PROOF']);
+            expect(status.missing).to.deep.equal(['REGISTRATION_PROOF', 'ARTICLES_OF_ASSOCIATION']);
+            expect(status.refused).to.have.length(1);
+            expect(status.refused[0]).to.include({type: 'REGISTRATION_PROOF', reasonType: 'DOCUMENT_UNREADABLE'});
+            expect(status.refused[0].hint).to.equal(mangopay.KycOnboarding.REFUSED_REASONS.DOCUMENT_UNREADABLE);
+            expect(status.complete).to.be.false;
+            expect(status.blockStatus.ScopeBlocked.Inflows).to.be.false;
+        });
+    });
+
+    it('should upload the pages then ask for the validation', function () {
+        var api = helpers.getFakeApi();
+        var fake = fakeKycApi(api);
+        var page = path.join(__dirname, 'TestKycPageFile.png');
+
+        return api.createKycOnboarding({tag: 'onboarding'}).submit('natural-1', 'IDENTITY_PROOF', [page, pngPage('back')]).then(function (document) {
+            expect(document.Status).to.equal('VALIDATION_ASKED');
+            expect(fake.documents[0]).to.include({Type: 'IDENTITY_PROOF', Tag: 'onboarding'});
+            expect(fake.pages['document-1']).to.have.length(2);
+            expect(fake.pages['document-1'][1]).to.equal(pngPage('back').toString('base64'));
+            expect(fake.calls).to.deep.equal([
+                'POST /users/natural-1/KYC/documents/',
+                'POST /users/natural-1/KYC/documents/document-1/pages',
+                'POST /users/natural-1/KYC/documents/document-1/pages',
+                'PUT /users/natural-1/KYC/documents/document-1'
+            ]);
+        });
+    });
+
+    it('should not ask for the validation of the documents missing a page', function () {
+        var api = helpers.getFakeApi();
+        var fake = fakeKycApi(api);
+        var onboarding = api.createKycOnboarding();
+
+        return onboarding.submit('natural-1', 'IDENTITY_PROOF', []).then(function () {
+            throw new Error('Expected a failure');
+        }, function (err) {
+            expect(err).to.be.instanceOf(mangopay.ValidationError);
+
+            return onboarding.submit('natural-1', 'IDENTITY_PROOF', ['/does/not/exist.png']);
+        }).then(function () {
+            throw new Error('Expected a failure');
+        }, function (err) {
+            expect(err).to.be.instanceOf(mangopay.ValidationError);
+            expect(err.errors.File).to.equal('File does not exist');
+            expect(fake.documents[0].Status).to.equal('CREATED');
+        });
+    });
+
+    it('should create the user and submit its missing documents', function () {
+        var api = helpers.getFakeApi();
+        var fake = fakeKycApi(api);
+
+        return api.createKycOnboarding({regulatory: false}).onboard({
+            PersonType: 'NATURAL',
+            FirstName: 'Victor',
+            LastName: 'Hugo'
+        }, {
+            IDENTITY_PROOF: [pngPage('passport')],
+            ADDRESS_PROOF: [pngPage('not required')]
+        }).then(function (status) {
+            expect(status.user.Id).to.equal('natural-2');
+            expect(status.submitted).to.have.length(1);
+            expect(status.pending).to.deep.equal(['IDENTITY_PROOF']);
+            expect(status.missing).to.deep.equal([]);
+            expect(status.regulatory).to.be.null;
+            expect(fake.documents).to.have.length(1);
+        });
+    });
+
+    it('should not send the pending documents again', function () {
+        var api = helpers.getFakeApi();
+        var fake = fakeKycApi(api, [
+            {Id: 'document-1', UserId: 'natural-1', Type: 'IDENTITY_PROOF', Status: 'VALIDATED', CreationDate: 1}
+        ]);
+
+        return api.createKycOnboarding().onboard('natural-1', {IDENTITY_PROOF: [pngPage('passport')]}).then(function (status) {
+            expect(status.submitted).to.deep.equal([]);
+            expect(status.complete).to.be.true;
+            expect(fake.documents).to.have.length(1);
+        });
+    });
+});
@@ -0,0 +1,269 @@
+var expect = require('chai').expect;
+var helpers = require('./helpers');
+var mangopay = require('../index');
+
+/**
+ * Logger keeping the entries, with the pino signature
+ */
+function recordingLogger() {
+    var logger = {entries: []};
+    ['debug', 'info', 'warn', 'error'].forEach(function (level) {
+        logger[level] = function (fields, message) {
+            logger.entries.push({level: level, message: message, fields: fields});
+        };
+    });
+    return logger;
+}
+
+var rateLimitHeaders = function () {
+    var now = Math.floor(Date.now() / 1000);
+    return {
+        'x-ratelimit': '3,3,3,3',
+        'x-ratelimit-remaining': '2297,4497,8797,105597',
+        'x-ratelimit-reset': [now + 600, now + 1200, now + 2400, now + 86000].join(',')
+    };
+};
+
+function respond(requestConfig) {
+    if (/\/cardregistrations\//.test(requestConfig.url)) {
+        return {
+            status: 200,
+            data: {Id: 'registration-1', AccessKey: '1X0m87dmM2LiwFgxPLBJ', RegistrationData: 'data=abc', CardId: 'card-1'},
+            headers: rateLimitHeaders()
+        };
+    }
+    if (/\/bankaccounts\/iban$/.test(requestConfig.url)) {
+        return {data: {Id: 'bank-account-1', IBAN: requestConfig.data.IBAN}, headers: {}};
+    }
+    if (/\/wallets\/busy$/.test(requestConfig.url)) {
+        return Promise.reject({
+            message: 'Request failed with status code 503',
+            response: {status: 503, headers: {}, data: {Message: 'Unavailable', Type: 'unavailable'}}
+        });
+    }
+    return Promise.reject({
+        message: 'Request failed with status code 404',
+        response: {status: 404, headers: {}, data: {Message: 'Not found', Type: 'ressource_not_found', Id: 'error-1'}}
+    });
+}
+
+describe('Logger', function () {
+    describe('Requests and responses', function () {
+        var logger = recordingLogger();
+        var api = helpers.getFakeApi({logger: logger});
+
+        before(function () {
+            helpers.useFakeClient(api, respond, 'secret-token');
+            return api.CardRegistrations.update({Id: 'registration-1', RegistrationData: 'data=abc'});
+        });
+
+        it('should log the request without credentials nor card data', function () {
+            var entry = logger.entries[0];
+
+            expect(entry.level).to.equal('debug');
+            expect(entry.message).to.equal('Mangopay request');
+            expect(entry.fields).to.include({
+                method: 'cardregistration_save',
+                httpMethod: 'PUT',
+                url: '/v2.01/fake-client/cardregistrations/registration-1'
+            });
+            expect(entry.fields.headers.Authorization).to.equal('[REDACTED]');
+            expect(entry.fields.data.RegistrationData).to.equal('[REDACTED]');
+            expect(JSON.stringify(logger.entries)).not.to.contain('secret-token');
+        });
+
+        it('should log the response with the latency and the rate limits', function () {
+            var entry = logger.entries[1];
+
+            expect(entry.level).to.equal('debug');
+            expect(entry.message).to.equal('Mangopay response');
+            expect(entry.fields.status).to.equal(200);
+            expect(entry.fields.durationMs).to.be.a('number');
+            expect(entry.fields.rateLimits).to.have.length(4);
+            expect(entry.fields.rateLimits[0]).to.include({minutesInterval: 15, callsRemaining: 2297});
+            expect(entry.fields.data).to.deep.equal({
+                Id: 'registration-1',
+                AccessKey: '[REDACTED]',
+                RegistrationData: '[REDACTED]',
+                CardId: 'card-1'
+            });
+        });
+
+        it('should not alter the request nor the response', function () {
+            expect(api.rateLimits).to.have.length(4);
+
+            return api.CardRegistrations.get('registration-1').then(function (cardRegistration) {
+                expect(cardRegistration.AccessKey).to.equal('1X0m87dmM2LiwFgxPLBJ');
+            });
+        });
+    });
+
+    describe('Redaction', function () {
+        var bankAccount = {
+            Type: 'IBAN',
+            OwnerName: 'John Doe',
+            OwnerAddress: {AddressLine1: '1 rue des Fleurs', City: 'Paris', Country: 'FR'},
+            IBAN: 'FR7630004000031234567890143',
+            BIC: 'BNPAFRPP'
+        };
+
+        it('should redact the nested KYC and bank fields by default', function () {
+            var logger = recordingLogger();
+            var api = helpers.getFakeApi({logger: logger});
+            helpers.useFakeClient(api, respond);
+
+            return api.Users.createBankAccount('user-1', bankAccount).then(function () {
+                var data = logger.entries[0].fields.data;
+
+                expect(data.OwnerName).to.equal('[REDACTED]');
+                expect(data.OwnerAddress).to.deep.equal({AddressLine1: '[REDACTED]', City: 'Paris', Country: 'FR'});
+                expect(data.IBAN).to.equal('[REDACTED]');
+                expect(data.BIC).to.equal('BNPAFRPP');
+                expect(logger.entries[1].fields.data.IBAN).to.equal('[REDACTED]');
+            });
+        });
+
+        it('should use the configured fields instead of the defaults', function () {
+            var logger = recordingLogger();
+            var api = helpers.getFakeApi({logger: logger, logRedact: mangopay.Logger.DEFAULT_REDACTED_FIELDS.concat(['bic'])});
+            helpers.useFakeClient(api, respond);
+
+            return api.Users.createBankAccount('user-1', bankAccount).then(function () {
+                expect(logger.entries[0].fields.data.BIC).to.equal('[REDACTED]');
+                expect(logger.entries[0].fields.data.IBAN).to.equal('[REDACTED]');
+            });
+        });
+    });
+
+    describe('Failures', function () {
+        it('should log client errors as warnings', function () {
+            var logger = recordingLogger();
+            var api = helpers.getFakeApi({logger: logger});
+            helpers.useFakeClient(api, respond);
+
+            return api.Wallets.get('unknown').then(function () {
+                throw new Error('Request should have failed');
+            }, function () {
+                var entry = logger.entries[1];
+
+                expect(entry.level).to.equal('warn');
+                expect(entry.message).to.equal('Mangopay request failed');
+                expect(entry.fields.status).to.equal(404);
+                expect(entry.fields.error).to.deep.equal({
+                    name: 'NotFoundError',
+                    message: 'Not found',
+                    type: 'ressource_not_found',
+                    id: 'error-1'
+                });
+            });
+        });
+
+        it('should log server errors and retries', function () {
+            var logger = recordingLogger();
+            var api = helpers.getFakeApi({logger: logger, retry: {maxRetries: 1, baseDelay: 1, maxDelay: 10}});
+            helpers.useFakeClient(api, respond);
+
+            return api.Wallets.get('busy').then(function () {
+                throw new Error('Request should have failed');
+            }, function () {
+                var levels = logger.entries.map(function (entry) {
+                    return entry.level + ':' + entry.message;
+                });
+
+                expect(levels).to.deep.equal([
+                    'debug:Mangopay request',
+                    'warn:Mangopay request retried',
+                    'error:Mangopay request failed'
+                ]);
+                expect(logger.entries[1].fields).to.include({attempt: 1, status: 503});
+            });
+        });
+    });
+
+    describe('Loggers', function () {
+        it('should call winston loggers with a single info object', function () {
+            var infos = [];
+            var api = helpers.getFakeApi({
+                logger: {
+                    transports: [],
+                    log: function (info) {
+                        infos.push(info);
+                    }
+                }
+            });
+            helpers.useFakeClient(api, respond);
+
+            return api.CardRegistrations.get('registration-1').then(function () {
+                expect(infos[1]).to.include({level: 'debug', message: 'Mangopay response', method: 'cardregistration_get'});
+            });
+        });
+
+        it('should write to logClass in debug mode', function () {
+            var calls = [];
+            var api = helpers.getFakeApi({
+                debugMode: true,
+                logClass: function (message, fields) {
+                    calls.push([message, fields]);
+                }
+            });
+            helpers.useFakeClient(api, respond);
+
+            return api.CardRegistrations.get('registration-1').then(function () {
+                expect(calls).to.have.length(2);
+                expect(calls[0][0]).to.equal('Mangopay request');
+                expect(calls[1][1].data.AccessKey).to.equal('[REDACTED]');
+            });
+        });
+
+        it('should not log by default', function () {
+            var calls = 0;
+            var api = helpers.getFakeApi({
+                logClass: function () {
+                    calls++;
+                }
+            });
+            helpers.useFakeClient(api, respond);
+
+            return api.CardRegistrations.get('registration-1').then(function () {
+                expect(api.logger.isEnabled()).to.be.false;
+                expect(calls).to.equal(0);
+            });
+        });
+
+        it('should accept the former arguments of the default logClass', function () {
+            var log = require('../lib/log');
+            var consoleLog = console.log;
+            var calls = [];
+
+            console.log = function () {
+                calls.push(Array.prototype.slice.call(arguments));
+            };
+            try {
+                log('users_get', {path: {id: 'user-1'}});
+                log('Mangopay response', {status: 200});
+            } finally {
+                console.log = consoleLog;
+            }
+
+            expect(calls).to.deep.equal([
+                ['Mangopay request', {method: 'users_get', path: {id: 'user-1'}}],
+                ['Mangopay response', {status: 200}]
+            ]);
+        });
+
+        it('should not fail the requests when the logger throws', function () {
+            var api = helpers.getFakeApi({
+                logger: {
+                    debug: function () {
+                        throw new Error('Logger down');
+                    }
+                }
+            });
+            helpers.useFakeClient(api, respond);
+
+            return api.CardRegistrations.get('registration-1').then(function (cardRegistration) {
+                expect(cardRegistration.Id).to.equal('registration-1');
+            });
+        });
+    });
+});
@@ -0,0 +1,208 @@
+var expect = require('chai').expect;
+var helpers = require('./helpers');
+var mangopay = require('../index');
+
+/**
+ * Fakes the API: wallet-1 exists, every other resource is unknown
+ */
+function respondWallet(requestConfig) {
+    if (/\/wallets\/wallet-1$/.test(requestConfig.url)) {
+        return {data: {Id: 'wallet-1', Description: 'EUR wallet', Balance: {Amount: 100, Currency: 'EUR'}}, headers: {}};
+    }
+    return Promise.reject({
+        message: 'Request failed with status code 404',
+        response: {status: 404, headers: {}, data: {Message: 'Not found', Type: 'ressource_not_found'}}
+    });
+}
+
+describe('Middlewares', function () {
+    describe('Order', function () {
+        var api = helpers.getFakeApi();
+        var calls = [];
+
+        before(function () {
+            helpers.useFakeClient(api, respondWallet);
+
+            api.use(function (context, next) {
+                calls.push('first:before');
+                return next().then(function (response) {
+                    calls.push('first:after');
+                    return response;
+                });
+            }).use(function (context, next) {
+                calls.push('second:before');
+                return new Promise(function (resolve) {
+                    setTimeout(resolve, 5);
+                }).then(next).then(function (response) {
+                    calls.push('second:after');
+                    return response;
+                });
+            });
+
+            return api.Wallets.get('wallet-1');
+        });
+
+        it('should run the middlewares in the order they were added', function () {
+            expect(calls).to.deep.equal(['first:before', 'second:before', 'second:after', 'first:after']);
+        });
+    });
+
+    describe('Outgoing requests', function () {
+        var api = helpers.getFakeApi({
+            middlewares: [function (context, next) {
+                context.options.headers['X-Correlation-Id'] = 'correlation-1';
+                context.state.method = context.method;
+                return next();
+            }]
+        });
+        var requests;
+        var context;
+
+        before(function () {
+            requests = helpers.useFakeClient(api, respondWallet);
+
+            api.use(function (ctx, next) {
+                context = ctx;
+                return next();
+            });
+
+            return api.Wallets.get('wallet-1');
+        });
+
+        it('should send the altered options', function () {
+            expect(requests[0].headers['X-Correlation-Id']).to.equal('correlation-1');
+        });
+
+        it('should describe the request in the context', function () {
+            expect(context.api).to.equal(api);
+            expect(context.method).to.equal('wallets_get');
+            expect(context.httpMethod).to.equal('GET');
+            expect(context.url).to.equal('/v2.01/fake-client/wallets/wallet-1');
+            expect(context.state.method).to.equal('wallets_get');
+            expect(context.response.data.Id).to.equal('wallet-1');
+        });
+
+        it('should not leak to other instances', function () {
+            var other = helpers.getFakeApi();
+            var otherRequests = helpers.useFakeClient(other, respondWallet);
+
+            return other.Wallets.get('wallet-1').then(function () {
+                expect(other.middlewares).to.be.empty;
+                expect(otherRequests[0].headers['X-Correlation-Id']).to.be.undefined;
+            });
+        });
+    });
+
+    describe('Responses', function () {
+        it('should resolve with the transformed response', function () {
+            var api = helpers.getFakeApi();
+            helpers.useFakeClient(api, respondWallet);
+
+            api.use(function (context, next) {
+                return next().then(function (response) {
+                    return Object.assign({}, response, {data: Object.assign({}, response.data, {Description: '[REDACTED]'})});
+                });
+            });
+
+            return api.Wallets.get('wallet-1').then(function (wallet) {
+                expect(wallet.Description).to.equal('[REDACTED]');
+                expect(wallet.Balance.Amount).to.equal(100);
+            });
+        });
+
+        it('should keep the response when resolving with undefined', function () {
+            var api = helpers.getFakeApi();
+            var observedId;
+            helpers.useFakeClient(api, respondWallet);
+
+            api.use(function (context, next) {
+                return next().then(function (response) {
+                    observedId = response.data.Id;
+                });
+            });
+
+            return api.Wallets.get('wallet-1').then(function (wallet) {
+                expect(observedId).to.equal('wallet-1');
+                expect(wallet.Id).to.equal('wallet-1');
+            });
+        });
+
+        it('should let a middleware answer without sending the request', function () {
+            var api = helpers.getFakeApi();
+            var requests = helpers.useFakeClient(api, respondWallet);
+
+            api.use(function () {
+                return {status: 200, headers: {}, data: {Id: 'cached-wallet'}};
+            });
+
+            return api.Wallets.get('wallet-1').then(function (wallet) {
+                expect(wallet.Id).to.equal('cached-wallet');
+                expect(requests).to.be.empty;
+            });
+        });
+    });
+
+    describe('Errors', function () {
+        it('should give the typed error to the middlewares', function () {
+            var api = helpers.getFakeApi();
+            var observed;
+            helpers.useFakeClient(api, respondWallet);
+
+            api.use(function (context, next) {
+                return next().catch(function (err) {
+                    observed = err;
+                    throw err;
+                });
+            });
+
+            return api.Wallets.get('unknown').then(function () {
+                throw new Error('Request should have failed');
+            }, function (err) {
+                expect(observed).to.be.instanceOf(mangopay.NotFoundError);
+                expect(err).to.equal(observed);
+            });
+        });
+
+        it('should fail with the error thrown by a middleware', function () {
+            var api = helpers.getFakeApi();
+            var failure = new Error('Forbidden by policy');
+            var requests = helpers.useFakeClient(api, respondWallet);
+            var callbackError;
+
+            api.use(function () {
+                throw failure;
+            });
+
+            return api.Wallets.get('wallet-1', function (err) {
+                callbackError = err;
+            }).then(function () {
+                throw new Error('Request should have failed');
+            }, function (err) {
+                expect(err).to.equal(failure);
+                expect(callbackError).to.equal(failure);
+                expect(requests).to.be.empty;
+            });
+        });
+
+        it('should let a middleware recover from an error', function () {
+            var api = helpers.getFakeApi();
+            helpers.useFakeClient(api, respondWallet);
+
+            api.use(function (context, next) {
+                return next().catch(function () {
+                    return {status: 200, headers: {}, data: {Id: 'fallback'}};
+                });
+            });
+
+            return api.Wallets.get('unknown').then(function (wallet) {
+                expect(wallet.Id).to.equal('fallback');
+            });
+        });
+
+        it('should refuse middlewares that are not functions', function () {
+            expect(function () {
+                helpers.getFakeApi().use({request: function () {}});
+            }).to.throw(TypeError);
+        });
+    });
+});
@@ -0,0 +1,391 @@
+var expect = require('chai').expect;
+var http = require('http');
+var mangopay = require('../index');
+
+describe('Mock server', function () {
+    var server = new mangopay.MockServer({clientId: 'mock-client', clientApiKey: 'mock-key'});
+    var api;
+    var user;
+    var wallet;
+
+    before(function () {
+        return server.start().then(function (baseUrl) {
+            api = new mangopay({
+                clientId: 'mock-client',
+                clientApiKey: 'mock-key',
+                baseUrl: baseUrl,
+                errorHandler: function () {}
+            });
+
+            return api.Users.create({
+                PersonType: 'NATURAL',
+                FirstName: 'John',
+                LastName: 'Doe',
+                Email: 'john.doe@sample.org'
+            });
+        }).then(function (data) {
+            user = data;
+            return api.Wallets.create({Owners: [user.Id], Currency: 'EUR', Description: 'EUR wallet'});
+        }).then(function (data) {
+            wallet = data;
+        });
+    });
+
+    after(function () {
+        return server.stop();
+    });
+
+    function createCardPayIn(amount, fees) {
+        return api.PayIns.create({
+            PaymentType: 'CARD',
+            ExecutionType: 'DIRECT',
+            AuthorId: user.Id,
+            CreditedWalletId: wallet.Id,
+            CardId: 'card-1',
+            DebitedFunds: {Amount: amount, Currency: 'EUR'},
+            Fees: {Amount: fees, Currency: 'EUR'},
+            SecureModeReturnURL: 'https://example.com/return'
+        });
+    }
+
+    /**
+     * Sends a GET request outside of the SDK, resolves with the status and the parsed body
+     */
+    function get(options) {
+        return new Promise(function (resolve, reject) {
+            http.get(options, function (res) {
+                var chunks = [];
+                res.on('data', function (chunk) {
+                    chunks.push(chunk);
+                });
+                res.on('end', function () {
+                    var body = Buffer.concat(chunks).toString();
+                    resolve({status: res.statusCode, body: body ? JSON.parse(body) : null});
+                });
+            }).on('error', reject);
+        });
+    }
+
+    function getBalance() {
+        return api.Wallets.get(wallet.Id).then(function (data) {
+            return data.Balance.Amount;
+        });
+    }
+
+    describe('Users and wallets', function () {
+        it('should create and fetch users', function () {
+            expect(user.Id).to.exist;
+            expect(user.PersonType).to.equal('NATURAL');
+
+            return api.Users.get(user.Id).then(function (data) {
+                expect(data.Email).to.equal('john.doe@sample.org');
+            });
+        });
+
+        it('should create empty wallets', function () {
+            expect(wallet.Balance).to.include({Currency: 'EUR', Amount: 0});
+            expect(wallet.Owners).to.deep.equal([user.Id]);
+        });
+
+        it('should answer 404 for unknown resources', function () {
+            return api.Wallets.get('unknown').then(function () {
+                throw new Error('Request should have failed');
+            }, function (err) {
+                expect(err).to.be.instanceOf(mangopay.NotFoundError);
+                expect(err.Type).to.equal('ressource_not_found');
+            });
+        });
+
+        it('should answer 400 with the invalid fields', function () {
+            return api.Users.create({PersonType: 'NATURAL', FirstName: 'Jane'}).then(function () {
+                throw new Error('Request should have failed');
+            }, function (err) {
+                expect(err).to.be.instanceOf(mangopay.ValidationError);
+                expect(err.errors).to.have.all.keys('LastName', 'Email');
+            });
+        });
+    });
+
+    describe('Money movements', function () {
+        var payIn;
+        var otherWallet;
+
+        before(function () {
+            return createCardPayIn(10000, 500).then(function (data) {
+                payIn = data;
+                return api.Wallets.create({Owners: [user.Id], Currency: 'EUR', Description: 'Other wallet'});
+            }).then(function (data) {
+                otherWallet = data;
+            });
+        });
+
+        it('should credit the wallet with direct pay-ins', function () {
+            expect(payIn.Status).to.equal('SUCCEEDED');
+            expect(payIn.CreditedFunds.Amount).to.equal(9500);
+
+            return getBalance().then(function (balance) {
+                expect(balance).to.equal(9500);
+            });
+        });
+
+        it('should move funds with transfers', function () {
+            return api.Transfers.create({
+                AuthorId: user.Id,
+                DebitedWalletId: wallet.Id,
+                CreditedWalletId: otherWallet.Id,
+                DebitedFunds: {Amount: 2000, Currency: 'EUR'},
+                Fees: {Amount: 100, Currency: 'EUR'}
+            }).then(function (transfer) {
+                expect(transfer.Status).to.equal('SUCCEEDED');
+                return api.Wallets.get(otherWallet.Id);
+            }).then(function (data) {
+                expect(data.Balance.Amount).to.equal(1900);
+                return getBalance();
+            }).then(function (balance) {
+                expect(balance).to.equal(7500);
+            });
+        });
+
+        it('should fail transfers beyond the balance', function () {
+            return api.Transfers.create({
+                AuthorId: user.Id,
+                DebitedWalletId: otherWallet.Id,
+                CreditedWalletId: wallet.Id,
+                DebitedFunds: {Amount: 5000, Currency: 'EUR'},
+                Fees: {Amount: 0, Currency: 'EUR'}
+            }).then(function (transfer) {
+                expect(transfer.Status).to.equal('FAILED');
+                expect(transfer.ResultCode).to.equal('001001');
+            });
+        });
+
+        it('should refund pay-ins, fees included', function () {
+            return createCardPayIn(1000, 100).then(function (data) {
+                return api.PayIns.createRefund(data.Id, {AuthorId: user.Id});
+            }).then(function (refund) {
+                expect(refund.Status).to.equal('SUCCEEDED');
+                expect(refund.Nature).to.equal('REFUND');
+                return getBalance();
+            }).then(function (balance) {
+                expect(balance).to.equal(7500);
+            });
+        });
+
+        it('should reserve the funds of payouts until they fail', function () {
+            var payOut;
+
+            return api.Users.createBankAccount(user.Id, {
+                Type: 'IBAN',
+                OwnerName: 'John Doe',
+                OwnerAddress: {AddressLine1: '1 rue des Fleurs', City: 'Paris', PostalCode: '75001', Country: 'FR'},
+                IBAN: 'FR7630004000031234567890143',
+                BIC: 'BNPAFRPP'
+            }).then(function (bankAccount) {
+                return api.PayOuts.create({
+                    PaymentType: 'BANK_WIRE',
+                    AuthorId: user.Id,
+                    DebitedWalletId: wallet.Id,
+                    BankAccountId: bankAccount.Id,
+                    DebitedFunds: {Amount: 1500, Currency: 'EUR'},
+                    Fees: {Amount: 0, Currency: 'EUR'}
+                });
+            }).then(function (data) {
+                payOut = data;
+                expect(payOut.Status).to.equal('CREATED');
+                return getBalance();
+            }).then(function (balance) {
+                expect(balance).to.equal(6000);
+                server.setTransactionStatus(payOut.Id, 'FAILED');
+                return api.PayOuts.get(payOut.Id);
+            }).then(function (data) {
+                expect(data.Status).to.equal('FAILED');
+                return getBalance();
+            }).then(function (balance) {
+                expect(balance).to.equal(7500);
+            });
+        });
+
+        it('should list and filter the wallet transactions', function () {
+            return api.Wallets.getTransactions(wallet.Id, {parameters: {Status: 'FAILED', per_page: 1}})
+                .then(function (transactions) {
+                    expect(transactions).to.have.length(1);
+                    expect(transactions[0].Status).to.equal('FAILED');
+                });
+        });
+    });
+
+    describe('Web pay-ins', function () {
+        it('should succeed once the payment page is visited', function () {
+            var payIn;
+
+            return api.PayIns.create({
+                PaymentType: 'CARD',
+                ExecutionType: 'WEB',
+                AuthorId: user.Id,
+                CreditedWalletId: wallet.Id,
+                DebitedFunds: {Amount: 500, Currency: 'EUR'},
+                Fees: {Amount: 0, Currency: 'EUR'},
+                ReturnURL: 'https://example.com/return',
+                CardType: 'CB_VISA_MASTERCARD',
+                Culture: 'FR'
+            }).then(function (data) {
+                payIn = data;
+                expect(payIn.Status).to.equal('CREATED');
+
+                return new Promise(function (resolve) {
+                    http.get(payIn.RedirectURL, function (res) {
+                        res.resume();
+                        resolve(res.headers.location);
+                    });
+                });
+            }).then(function (location) {
+                expect(location).to.equal('https://example.com/return?transactionId=' + payIn.Id);
+                return api.PayIns.get(payIn.Id);
+            }).then(function (data) {
+                expect(data.Status).to.equal('SUCCEEDED');
+            });
+        });
+
+        it('should answer 400 for the pay-ins without ReturnURL', function () {
+            var payIn;
+
+            return api.PayIns.create({
+                PaymentType: 'CARD',
+                ExecutionType: 'WEB',
+                AuthorId: user.Id,
+                CreditedWalletId: wallet.Id,
+                DebitedFunds: {Amount: 500, Currency: 'EUR'},
+                Fees: {Amount: 0, Currency: 'EUR'},
+                CardType: 'CB_VISA_MASTERCARD',
+                Culture: 'FR'
+            }).then(function (data) {
+                payIn = data;
+                return get(payIn.RedirectURL);
+            }).then(function (response) {
+                expect(response.status).to.equal(400);
+                expect(response.body.errors).to.have.property('ReturnURL');
+                return api.PayIns.get(payIn.Id);
+            }).then(function (data) {
+                expect(data.Status).to.equal('CREATED');
+            });
+        });
+    });
+
+    describe('Malformed requests', function () {
+        it('should answer 400 for an invalid url', function () {
+            var baseUrl = new URL(server.baseUrl);
+
+            return get({hostname: baseUrl.hostname, port: baseUrl.port, path: '//'}).then(function (response) {
+                expect(response.status).to.equal(400);
+                expect(response.body.errors).to.have.property('url');
+            });
+        });
+    });
+
+    describe('Disputes', function () {
+        var dispute;
+
+        before(function () {
+            return createCardPayIn(3000, 0).then(function (payIn) {
+                dispute = server.createDispute(payIn.Id);
+            });
+        });
+
+        it('should debit the disputed funds', function () {
+            return api.Disputes.getRepudiation(dispute.RepudiationId).then(function (repudiation) {
+                expect(repudiation.DebitedFunds.Amount).to.equal(3000);
+            });
+        });
+
+        it('should be contested', function () {
+            return api.Disputes.contestDispute(dispute.Id, {Amount: 3000, Currency: 'EUR'}).then(function (data) {
+                expect(data.Status).to.equal('SUBMITTED');
+                return api.Disputes.getAll();
+            }).then(function (disputes) {
+                expect(disputes[0].Id).to.equal(dispute.Id);
+            });
+        });
+    });
+
+    describe('Other routes', function () {
+        it('should keep the posted resources', function () {
+            return api.Hooks.create({EventType: 'PAYIN_NORMAL_SUCCEEDED', Url: 'https://example.com/hooks'})
+                .then(function (hook) {
+                    return api.Hooks.get(hook.Id);
+                })
+                .then(function (hook) {
+                    expect(hook.Url).to.equal('https://example.com/hooks');
+                    return api.Hooks.getAll();
+                })
+                .then(function (hooks) {
+                    expect(hooks).to.have.length(1);
+                });
+        });
+    });
+
+    describe('Idempotency', function () {
+        it('should answer the first response to the requests sent again', function () {
+            var options = {headers: {'Idempotency-Key': 'mock-idempotency-key-1'}};
+            var first;
+
+            return createWithKey().then(function (data) {
+                first = data;
+                return createWithKey();
+            }).then(function (data) {
+                expect(data.Id).to.equal(first.Id);
+                return api.Idempotency.get('mock-idempotency-key-1');
+            }).then(function (response) {
+                expect(response.StatusCode).to.equal(200);
+                expect(response.Resource.Id).to.equal(first.Id);
+            });
+
+            function createWithKey() {
+                return api.Wallets.create({Owners: [user.Id], Currency: 'EUR', Description: 'Idempotent'}, options);
+            }
+        });
+    });
+
+    describe('Authentication and rate limits', function () {
+        it('should refuse wrong credentials', function () {
+            var intruder = new mangopay({
+                clientId: 'mock-client',
+                clientApiKey: 'wrong-key',
+                baseUrl: server.baseUrl,
+                errorHandler: function () {}
+            });
+
+            return intruder.Users.get(user.Id).then(function () {
+                throw new Error('Request should have failed');
+            }, function (err) {
+                expect(err).to.be.instanceOf(mangopay.AuthenticationError);
+                expect(err.error).to.equal('invalid_client');
+            });
+        });
+
+        it('should send the rate limit headers', function () {
+            expect(api.rateLimits).to.have.length(4);
+            expect(api.rateLimits[0].minutesInterval).to.equal(15);
+            expect(api.rateLimits[3].minutesInterval).to.equal(60 * 24);
+            expect(api.rateLimits[0].callsMade).to.be.greaterThan(0);
+        });
+
+        it('should answer 429 beyond the limits', function () {
+            var limited = new mangopay.MockServer({rateLimits: [1, 10, 10, 10]});
+            var limitedApi;
+
+            return limited.start().then(function (baseUrl) {
+                limitedApi = new mangopay({clientId: 'a', clientApiKey: 'b', baseUrl: baseUrl, errorHandler: function () {}});
+                return limitedApi.Users.getAll();
+            }).then(function () {
+                return limitedApi.Users.getAll();
+            }).then(function () {
+                throw new Error('Request should have failed');
+            }, function (err) {
+                expect(err).to.be.instanceOf(mangopay.RateLimitError);
+                expect(limitedApi.rateLimits[0].callsRemaining).to.equal(0);
+            }).then(function () {
+                return limited.stop();
+            });
+        });
+    });
+});
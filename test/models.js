@@ -0,0 +1,127 @@
+var expect = require('chai').expect;
+var helpers = require('./helpers');
+var Model = require('../lib/Model');
+var EntityBase = require('../lib/models/EntityBase');
+var Money = require('../lib/models/Money');
+var PayIn = require('../lib/models/PayIn');
+var Dispute = require('../lib/models/Dispute');
+var DisputeReason = require('../lib/models/DisputeReason');
+var ReportV2 = require('../lib/models/ReportV2');
+var ReportFilterV2 = require('../lib/models/ReportFilterV2');
+var BankAccount = require('../lib/models/BankAccount');
+var Address = require('../lib/models/Address');
+
+describe('Models', function () {
+    describe('Sub-objects', function () {
+        it('should be instantiated on construction', function () {
+            var payIn = new PayIn({
+                DebitedFunds: {Amount: 1000, Currency: 'EUR'},
+                Fees: {Amount: 0, Currency: 'EUR'}
+            });
+
+            expect(payIn.DebitedFunds).to.be.instanceOf(Money);
+            expect(payIn.DebitedFunds.Amount).to.equal(1000);
+            expect(payIn.Fees).to.be.instanceOf(Money);
+            expect(payIn.CreditedFunds).to.be.undefined;
+        });
+
+        it('should keep models and empty values untouched', function () {
+            var funds = new Money({Amount: 1000, Currency: 'EUR'});
+            var payIn = new PayIn({DebitedFunds: funds, Fees: null});
+
+            expect(payIn.DebitedFunds).to.equal(funds);
+            expect(payIn.Fees).to.be.null;
+        });
+
+        it('should be instantiated recursively', function () {
+            var Line = EntityBase.extend({
+                getSubObjects: function () {
+                    return {Address: Address};
+                }
+            });
+            var Batch = EntityBase.extend({
+                getSubObjects: function () {
+                    return {Lines: Line, Total: Money};
+                }
+            });
+
+            var batch = new Batch({
+                Lines: [{Address: {City: 'Paris', Country: 'FR'}}, {Address: null}],
+                Total: {Amount: 10, Currency: 'EUR'}
+            });
+
+            expect(batch.Lines).to.have.length(2);
+            expect(batch.Lines[0]).to.be.instanceOf(Line);
+            expect(batch.Lines[0].Address).to.be.instanceOf(Address);
+            expect(batch.Lines[0].Address.toString()).to.equal('Paris, FR');
+            expect(batch.Lines[1].Address).to.be.null;
+            expect(batch.Total).to.be.instanceOf(Money);
+        });
+
+        it('should stay nested when serialized', function () {
+            var bankAccount = new BankAccount({
+                Type: 'IBAN',
+                OwnerName: 'John Doe',
+                OwnerAddress: {AddressLine1: '1 rue des Fleurs', City: 'Paris', Country: 'FR'},
+                Details: {IBAN: 'FR7630004000031234567890143', BIC: 'BNPAFRPP'}
+            });
+
+            expect(bankAccount.OwnerAddress).to.be.instanceOf(Address);
+
+            var data = JSON.parse(JSON.stringify(bankAccount));
+            expect(data.OwnerAddress).to.deep.equal({AddressLine1: '1 rue des Fleurs', City: 'Paris', Country: 'FR'});
+            expect(data.City).to.be.undefined;
+            expect(data.IBAN).to.equal('FR7630004000031234567890143');
+        });
+
+        it('should not be declared by default', function () {
+            expect(new Model({}).getSubObjects()).to.deep.equal({});
+        });
+    });
+
+    describe('Response data', function () {
+        var api = helpers.getFakeApi();
+
+        before(function () {
+            helpers.useFakeClient(api, function (requestConfig) {
+                if (/\/disputes$/.test(requestConfig.url)) {
+                    return {
+                        data: [{
+                            Id: 'dispute-1',
+                            DisputeReason: {DisputeReasonType: 'FRAUD'},
+                            DisputedFunds: {Amount: 500, Currency: 'EUR'}
+                        }],
+                        headers: {}
+                    };
+                }
+                if (/\/reports\/report-1$/.test(requestConfig.url)) {
+                    return {data: {Id: 'report-1', Filters: {Currency: 'EUR', Status: ['SUCCEEDED']}}, headers: {}};
+                }
+                return {data: {Id: 'payin-1', DebitedFunds: {Amount: 1000, Currency: 'EUR'}}, headers: {}};
+            });
+        });
+
+        it('should hydrate the sub-objects of the dataClass', function () {
+            return api.PayIns.get('payin-1').then(function (payIn) {
+                expect(payIn).to.be.instanceOf(PayIn);
+                expect(payIn.DebitedFunds).to.be.instanceOf(Money);
+            });
+        });
+
+        it('should hydrate the sub-objects of every listed item', function () {
+            return api.Disputes.getAll().then(function (disputes) {
+                expect(disputes[0]).to.be.instanceOf(Dispute);
+                expect(disputes[0].DisputeReason).to.be.instanceOf(DisputeReason);
+                expect(disputes[0].DisputedFunds).to.be.instanceOf(Money);
+            });
+        });
+
+        it('should hydrate report filters', function () {
+            return api.ReportsV2.get('report-1').then(function (report) {
+                expect(report).to.be.instanceOf(ReportV2);
+                expect(report.Filters).to.be.instanceOf(ReportFilterV2);
+                expect(report.Filters.Status).to.deep.equal(['SUCCEEDED']);
+            });
+        });
+    });
+});
@@ -0,0 +1,154 @@
+var expect = require('chai').expect;
+var helpers = require('./helpers');
+var Money = require('../lib/models/Money');
+var PayIn = require('../lib/models/PayIn');
+
+function amounts(list) {
+    return list.map(function (money) {
+        return money.Amount;
+    });
+}
+
+describe('Money', function () {
+    describe('Currencies', function () {
+        it('should know the ISO 4217 exponents', function () {
+            expect(Money.getExponent('EUR')).to.equal(2);
+            expect(Money.getExponent('JPY')).to.equal(0);
+            expect(Money.getExponent('KRW')).to.equal(0);
+            expect(Money.getExponent('KWD')).to.equal(3);
+            expect(new Money({Amount: 1, Currency: 'GBP'}).getExponent()).to.equal(2);
+        });
+    });
+
+    describe('Parsing and formatting', function () {
+        it('should parse decimal strings to minor units', function () {
+            expect(Money.parse('12.60 EUR')).to.include({Amount: 1260, Currency: 'EUR'});
+            expect(Money.parse('EUR 12.6')).to.include({Amount: 1260, Currency: 'EUR'});
+            expect(Money.parse('-0.05', 'USD')).to.include({Amount: -5, Currency: 'USD'});
+            expect(Money.parse(12.6, 'EUR').Amount).to.equal(1260);
+            expect(Money.parse('1200 JPY').Amount).to.equal(1200);
+            expect(Money.parse('1.500 KWD').Amount).to.equal(1500);
+            expect(Money.parse('12.00', 'JPY').Amount).to.equal(12);
+        });
+
+        it('should refuse the amounts it cannot represent', function () {
+            expect(function () { Money.parse('12.605 EUR'); }).to.throw(RangeError);
+            expect(function () { Money.parse('12.5 JPY'); }).to.throw(RangeError);
+            expect(function () { Money.parse('12,60 EUR'); }).to.throw(TypeError);
+            expect(function () { Money.parse('12.60'); }).to.throw(TypeError);
+            expect(function () { Money.parse('12.60 EUR', 'USD'); }).to.throw(TypeError);
+            expect(function () { Money.of(12.5, 'EUR'); }).to.throw(RangeError);
+        });
+
+        it('should write decimal strings', function () {
+            expect(Money.of(1260, 'EUR').toDecimal()).to.equal('12.60');
+            expect(Money.of(5, 'EUR').toDecimal()).to.equal('0.05');
+            expect(Money.of(-5, 'EUR').toString()).to.equal('-0.05 EUR');
+            expect(Money.of(1200, 'JPY').toString()).to.equal('1200 JPY');
+            expect(Money.of(1, 'KWD').toDecimal()).to.equal('0.001');
+        });
+
+        it('should format with the currency of the locale', function () {
+            expect(Money.of(123456, 'EUR').format('en-US')).to.equal('€1,234.56');
+            expect(Money.of(1200, 'JPY').format('en-US')).to.equal('¥1,200');
+        });
+    });
+
+    describe('Arithmetic', function () {
+        var price = Money.of(1260, 'EUR');
+
+        it('should add and subtract amounts of the same currency', function () {
+            expect(price.add(Money.of(40, 'EUR')).Amount).to.equal(1300);
+            expect(price.add({Amount: 40, Currency: 'EUR'}).Amount).to.equal(1300);
+            expect(price.subtract(2000).Amount).to.equal(-740);
+            expect(price.Amount).to.equal(1260);
+            expect(Money.sum([price, price, Money.of(1, 'EUR')]).Amount).to.equal(2521);
+        });
+
+        it('should refuse mixing currencies', function () {
+            expect(function () { price.add(Money.of(100, 'USD')); }).to.throw(TypeError);
+            expect(function () { price.compare(Money.of(100, 'GBP')); }).to.throw(TypeError);
+        });
+
+        it('should refuse amounts beyond the safe integers', function () {
+            expect(function () { Money.of(Number.MAX_SAFE_INTEGER, 'EUR').add(1); }).to.throw(RangeError);
+        });
+
+        it('should compute rounded percentages', function () {
+            expect(Money.of(1000, 'EUR').percentage(1.8).Amount).to.equal(18);
+            expect(Money.of(1250, 'EUR').percentage('1.4').Amount).to.equal(18);
+            expect(Money.of(1250, 'EUR').percentage(1.4, 'DOWN').Amount).to.equal(17);
+            expect(Money.of(1250, 'EUR').percentage(1.4, 'UP').Amount).to.equal(18);
+            expect(Money.of(250, 'EUR').percentage(1, 'HALF_EVEN').Amount).to.equal(2);
+            expect(Money.of(350, 'EUR').percentage(1, 'HALF_EVEN').Amount).to.equal(4);
+            expect(Money.of(-250, 'EUR').percentage(1).Amount).to.equal(-3);
+            expect(Money.of(999, 'JPY').percentage(3.5).Amount).to.equal(35);
+        });
+
+        it('should multiply by decimal factors', function () {
+            expect(Money.of(1000, 'EUR').multiply('0.333').Amount).to.equal(333);
+            expect(Money.of(1000, 'EUR').multiply(1.5).Amount).to.equal(1500);
+            expect(function () { price.multiply(1, 'NEAREST'); }).to.throw(TypeError);
+        });
+
+        it('should allocate without losing any minor unit', function () {
+            expect(amounts(Money.of(100, 'EUR').allocate([70, 30]))).to.deep.equal([70, 30]);
+            expect(amounts(Money.of(5, 'EUR').allocate([3, 7]))).to.deep.equal([2, 3]);
+            expect(amounts(Money.of(1001, 'EUR').allocate([0.5, 0.25, 0.25]))).to.deep.equal([501, 250, 250]);
+            expect(amounts(Money.of(-5, 'EUR').allocate([1, 1]))).to.deep.equal([-3, -2]);
+            expect(amounts(Money.of(10, 'EUR').allocate([0, 1]))).to.deep.equal([0, 10]);
+            expect(function () { price.allocate([0, 0]); }).to.throw(RangeError);
+            expect(function () { price.allocate([-1, 2]); }).to.throw(RangeError);
+        });
+
+        it('should split in equal parts', function () {
+            var parts = Money.of(1000, 'EUR').split(3);
+
+            expect(amounts(parts)).to.deep.equal([334, 333, 333]);
+            expect(parts[0]).to.be.instanceOf(Money);
+            expect(parts[0].Currency).to.equal('EUR');
+            expect(amounts(Money.of(100, 'JPY').split(3))).to.deep.equal([34, 33, 33]);
+        });
+
+        it('should compare amounts', function () {
+            expect(price.compare(Money.of(1260, 'EUR'))).to.equal(0);
+            expect(price.equals({Amount: 1260, Currency: 'EUR'})).to.be.true;
+            expect(price.greaterThan(1000)).to.be.true;
+            expect(price.lessThan(Money.of(1000, 'EUR'))).to.be.false;
+            expect(Money.zero('EUR').isZero()).to.be.true;
+            expect(Money.of(-1, 'EUR').isNegative()).to.be.true;
+            expect(price.isPositive()).to.be.true;
+        });
+    });
+
+    describe('Wire format', function () {
+        it('should serialize to Amount and Currency only', function () {
+            expect(JSON.parse(JSON.stringify(Money.parse('12.60 EUR')))).to.deep.equal({Amount: 1260, Currency: 'EUR'});
+        });
+
+        it('should be sent and received within the models', function () {
+            var api = helpers.getFakeApi();
+            var requests = helpers.useFakeClient(api, function (requestConfig) {
+                return {data: Object.assign({Id: 'payin-1'}, requestConfig.data), headers: {}};
+            });
+
+            return api.PayIns.create(new PayIn({
+                PaymentType: 'CARD',
+                ExecutionType: 'DIRECT',
+                AuthorId: 'user-1',
+                CreditedWalletId: 'wallet-1',
+                CardId: 'card-1',
+                DebitedFunds: Money.parse('12.60 EUR'),
+                Fees: Money.parse('12.60 EUR').percentage(2),
+                SecureModeReturnURL: 'https://example.com/return'
+            })).then(function (payIn) {
+                var sent = JSON.parse(JSON.stringify(requests[0].data));
+
+                expect(sent.DebitedFunds).to.deep.equal({Amount: 1260, Currency: 'EUR'});
+                expect(sent.Fees).to.deep.equal({Amount: 25, Currency: 'EUR'});
+                expect(payIn.DebitedFunds).to.be.instanceOf(Money);
+                expect(payIn.DebitedFunds.subtract(payIn.Fees).toString()).to.equal('12.35 EUR');
+            });
+        });
+    });
+});
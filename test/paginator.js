@@ -0,0 +1,158 @@
+var expect = require('chai').expect;
+var helpers = require('./helpers');
+var Paginator = require('../lib/paginator');
+var Transaction = require('../lib/models/Transaction');
+
+/**
+ * Fakes a list endpoint of totalItems items, honoring page and per_page
+ */
+function respondPages(totalItems) {
+    return function (requestConfig) {
+        var page = requestConfig.params.page;
+        var perPage = requestConfig.params.per_page;
+        var data = [];
+
+        for (var i = (page - 1) * perPage; i < Math.min(page * perPage, totalItems); i++) {
+            data.push({Id: 'item-' + i});
+        }
+
+        return {
+            data: data,
+            headers: {
+                'x-number-of-items': String(totalItems),
+                'x-number-of-pages': String(Math.ceil(totalItems / perPage))
+            }
+        };
+    };
+}
+
+describe('Paginator', function () {
+    var api = helpers.getFakeApi();
+
+    describe('Iterating items', function () {
+        var requests;
+        var items = [];
+
+        before(async function () {
+            requests = helpers.useFakeClient(api, respondPages(5));
+
+            for await (var transaction of api.Wallets.paginate('getTransactions', ['wallet-1'], {
+                per_page: 2,
+                parameters: {Status: 'SUCCEEDED'}
+            })) {
+                items.push(transaction);
+            }
+        });
+
+        it('should walk all pages', function () {
+            expect(items.length).to.equal(5);
+            expect(items[4].Id).to.equal('item-4');
+            expect(requests.length).to.equal(3);
+        });
+
+        it('should keep filters and send pagination parameters', function () {
+            expect(requests[0].url).to.equal('/v2.01/fake-client/wallets/wallet-1/transactions');
+            expect(requests[2].params).to.deep.equal({Status: 'SUCCEEDED', page: 3, per_page: 2});
+        });
+
+        it('should instantiate the items with the method data class', function () {
+            expect(items[0]).to.be.instanceOf(Transaction);
+        });
+    });
+
+    describe('Lazy reading', function () {
+        var requests;
+        var firstItem;
+
+        before(async function () {
+            requests = helpers.useFakeClient(api, respondPages(50));
+
+            for await (var user of api.Users.paginate('getAll', [], {per_page: 10})) {
+                firstItem = user;
+                break;
+            }
+        });
+
+        it('should only fetch the consumed pages', function () {
+            expect(firstItem.Id).to.equal('item-0');
+            expect(requests.length).to.equal(1);
+        });
+    });
+
+    describe('Totals', function () {
+        var paginator;
+        var totals;
+        var pages = [];
+        var requests;
+
+        before(async function () {
+            requests = helpers.useFakeClient(api, respondPages(250));
+            paginator = api.paginate('users_all', {per_page: 500, maxPages: 2});
+            totals = await paginator.getTotals();
+
+            for await (var page of paginator.pages()) {
+                pages.push(page);
+            }
+        });
+
+        it('should expose the totals from the response headers', function () {
+            expect(totals).to.deep.equal({totalItems: 250, totalPages: 3});
+            expect(paginator.totalItems).to.equal(250);
+        });
+
+        it('should cap per_page to the API maximum', function () {
+            expect(requests[0].params.per_page).to.equal(Paginator.MAX_PER_PAGE);
+        });
+
+        it('should reuse the page fetched for the totals and stop after maxPages', function () {
+            expect(requests.length).to.equal(2);
+            expect(pages.length).to.equal(2);
+            expect(pages[0][0].Id).to.equal('item-0');
+        });
+    });
+
+    describe('Without pagination headers', function () {
+        var items;
+
+        before(function () {
+            var paginator = new Paginator(function (pageOptions) {
+                var page = pageOptions.parameters.page;
+                return Promise.resolve({data: page < 3 ? [page, page] : [page]});
+            }, {per_page: 2});
+
+            return paginator.toArray().then(function (data) {
+                items = data;
+            });
+        });
+
+        it('should stop on the first short page', function () {
+            expect(items).to.deep.equal([1, 1, 2, 2, 3]);
+        });
+    });
+
+    describe('After a failed page', function () {
+        it('should request the same page again', function () {
+            var requested = [];
+            var failures = 1;
+            var paginator = new Paginator(function (pageOptions) {
+                var page = pageOptions.parameters.page;
+                requested.push(page);
+                if (page === 2 && failures-- > 0) {
+                    return Promise.reject(new Error('Service unavailable'));
+                }
+                return Promise.resolve({data: page < 3 ? [page, page] : [page]});
+            }, {per_page: 2});
+
+            return paginator.nextPage().then(function () {
+                return paginator.nextPage();
+            }).then(function () {
+                throw new Error('Expected a failure');
+            }, function () {
+                return paginator.toArray();
+            }).then(function (items) {
+                expect(items).to.deep.equal([2, 2, 3]);
+                expect(requested).to.deep.equal([1, 2, 2, 3]);
+            });
+        });
+    });
+});
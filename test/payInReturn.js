@@ -0,0 +1,175 @@
+var expect = require('chai').expect;
+var helpers = require('./helpers');
+var mangopay = require('../index');
+
+/**
+ * Answers the pay-ins with the given statuses, one per call (the last one is repeated), and 404 for unknown-*
+ */
+function respondPayIns(statuses) {
+    var calls = 0;
+    return function (requestConfig) {
+        var id = requestConfig.url.split('/').pop();
+        if (/^unknown/.test(id)) {
+            return Promise.reject({
+                message: 'Request failed with status code 404',
+                response: {status: 404, headers: {}, data: {Message: 'The ressource does not exist', Type: 'ressource_not_found'}}
+            });
+        }
+        var status = statuses[Math.min(calls++, statuses.length - 1)];
+        return {
+            status: 200,
+            data: {Id: id, Status: status, AuthorId: 'user-1', PaymentType: 'PAYPAL', ExecutionType: 'WEB'},
+            headers: {}
+        };
+    };
+}
+
+function fakeResponse() {
+    return {
+        statusCode: 200,
+        ended: false,
+        end: function () {
+            this.ended = true;
+        }
+    };
+}
+
+/**
+ * Options recording the callback called
+ */
+function recordingOptions(calls, options) {
+    return Object.assign({
+        interval: 1,
+        onSucceeded: function (req, res, outcome) {
+            calls.push(['succeeded', outcome]);
+        },
+        onFailed: function (req, res, outcome) {
+            calls.push(['failed', outcome]);
+        },
+        onPending: function (req, res, outcome) {
+            calls.push(['pending', outcome]);
+        }
+    }, options);
+}
+
+describe('Pay-in return handler', function () {
+    it('should fetch the pay-in and call the callback of its status', function () {
+        var api = helpers.getFakeApi();
+        var calls = [];
+        var requests = helpers.useFakeClient(api, respondPayIns(['CREATED', 'SUCCEEDED']));
+        var route = api.createPayInReturnHandler(recordingOptions(calls)).express();
+
+        return route({query: {transactionId: 'payin-1'}, url: '/return?transactionId=payin-1'}, fakeResponse(), function (err) {
+            throw err;
+        }).then(function () {
+            expect(calls).to.have.length(1);
+            expect(calls[0][0]).to.equal('succeeded');
+            expect(calls[0][1].transaction).to.be.instanceOf(api.models.PayIn);
+            expect(requests).to.have.length(2);
+            expect(requests[0].url).to.match(/\/payins\/payin-1$/);
+        });
+    });
+
+    it('should classify the failed and pending pay-ins', function () {
+        var api = helpers.getFakeApi();
+        var calls = [];
+        helpers.useFakeClient(api, respondPayIns(['FAILED']));
+        var handler = api.createPayInReturnHandler(recordingOptions(calls));
+        var listener = handler.listener();
+
+        return listener({url: '/return?transactionId=payin-1', headers: {}}, fakeResponse()).then(function () {
+            expect(calls[0][0]).to.equal('failed');
+
+            helpers.useFakeClient(api, respondPayIns(['CREATED']));
+            return api.createPayInReturnHandler(recordingOptions(calls, {interval: 5, timeout: 20}))
+                .handle({transactionId: 'payin-2'});
+        }).then(function (outcome) {
+            expect(outcome.status).to.equal('PENDING');
+        });
+    });
+
+    it('should answer the forged query strings without calling the API', function () {
+        var api = helpers.getFakeApi();
+        var calls = [];
+        var requests = helpers.useFakeClient(api, respondPayIns(['SUCCEEDED']));
+        var route = api.createPayInReturnHandler(recordingOptions(calls)).express();
+        var missing = fakeResponse();
+        var malformed = fakeResponse();
+        var repeated = fakeResponse();
+
+        return Promise.all([
+            route({query: {}}, missing, function () {}),
+            route({query: {transactionId: '../users/123'}}, malformed, function () {}),
+            route({query: {transactionId: ['payin-1', 'payin-2']}}, repeated, function () {})
+        ]).then(function () {
+            expect([missing.statusCode, malformed.statusCode, repeated.statusCode]).to.deep.equal([400, 400, 400]);
+            expect(missing.ended).to.be.true;
+            expect(requests).to.have.length(0);
+            expect(calls).to.have.length(0);
+        });
+    });
+
+    it('should answer 400 for a malformed url', function () {
+        var api = helpers.getFakeApi();
+        var calls = [];
+        var requests = helpers.useFakeClient(api, respondPayIns(['SUCCEEDED']));
+        var res = fakeResponse();
+
+        return api.createPayInReturnHandler(recordingOptions(calls)).listener()({url: '//', headers: {}}, res).then(function () {
+            expect(res.statusCode).to.equal(400);
+            expect(res.ended).to.be.true;
+            expect(requests).to.have.length(0);
+            expect(calls).to.have.length(0);
+        });
+    });
+
+    it('should answer the unknown and refused pay-ins alike', function () {
+        var api = helpers.getFakeApi();
+        var calls = [];
+        var invalid = [];
+        helpers.useFakeClient(api, respondPayIns(['SUCCEEDED']));
+        var route = api.createPayInReturnHandler(recordingOptions(calls, {
+            verify: function (payIn, req) {
+                return Promise.resolve(payIn.AuthorId === req.session.userId);
+            },
+            onInvalid: function (req, res, err) {
+                invalid.push(err);
+            }
+        })).express();
+
+        return Promise.all([
+            route({query: {transactionId: 'unknown-1'}, session: {userId: 'user-1'}}, fakeResponse(), function () {}),
+            route({query: {transactionId: 'payin-1'}, session: {userId: 'user-2'}}, fakeResponse(), function () {})
+        ]).then(function () {
+            expect(calls).to.have.length(0);
+            expect(invalid).to.have.length(2);
+            expect(invalid[0]).to.be.instanceOf(mangopay.NotFoundError);
+            expect(invalid[1]).to.be.instanceOf(mangopay.NotFoundError);
+            expect(invalid[1].status).to.equal(404);
+        });
+    });
+
+    it('should pass the other failures to next', function () {
+        var api = helpers.getFakeApi();
+        var failures = [];
+        helpers.useFakeClient(api, respondPayIns(['SUCCEEDED']));
+        var route = api.createPayInReturnHandler(recordingOptions([], {
+            onSucceeded: function () {
+                throw new Error('Template not found');
+            }
+        })).express();
+
+        return route({query: {transactionId: 'payin-1'}}, fakeResponse(), function (err) {
+            failures.push(err);
+        }).then(function () {
+            expect(failures).to.have.length(1);
+            expect(failures[0].message).to.equal('Template not found');
+        });
+    });
+
+    it('should require the callbacks', function () {
+        expect(function () {
+            helpers.getFakeApi().createPayInReturnHandler({onSucceeded: function () {}}).express();
+        }).to.throw(TypeError, /onFailed/);
+    });
+});
@@ -0,0 +1,345 @@
+var expect = require('chai').expect;
+var mangopay = require('../index');
+
+describe('Payout batch', function () {
+    var server = new mangopay.MockServer({clientId: 'batch-client', clientApiKey: 'batch-key'});
+    var api;
+    var platform;
+    var escrow;
+    var sellers = [];
+
+    function createSeller(index) {
+        var seller = {};
+
+        return api.Users.create({
+            PersonType: 'NATURAL',
+            FirstName: 'Seller',
+            LastName: String(index),
+            Email: 'seller' + index + '@sample.org'
+        }).then(function (user) {
+            seller.user = user;
+            return api.Wallets.create({Owners: [user.Id], Currency: 'EUR', Description: 'Seller wallet'});
+        }).then(function (wallet) {
+            seller.wallet = wallet;
+            return api.Users.createBankAccount(seller.user.Id, {
+                Type: 'IBAN',
+                OwnerName: 'Seller ' + index,
+                OwnerAddress: {AddressLine1: '1 rue des Fleurs', City: 'Paris', PostalCode: '75001', Country: 'FR'},
+                IBAN: 'FR7630004000031234567890143',
+                BIC: 'BNPAFRPP'
+            });
+        }).then(function (bankAccount) {
+            seller.bankAccount = bankAccount;
+            sellers.push(seller);
+        });
+    }
+
+    function instruction(seller, amount, id) {
+        return {
+            id: id || seller.user.Id,
+            transfer: {
+                AuthorId: platform.Id,
+                DebitedWalletId: escrow.Id,
+                CreditedWalletId: seller.wallet.Id,
+                DebitedFunds: {Amount: amount, Currency: 'EUR'},
+                Fees: {Amount: 0, Currency: 'EUR'}
+            },
+            payOut: {
+                AuthorId: seller.user.Id,
+                DebitedWalletId: seller.wallet.Id,
+                BankAccountId: seller.bankAccount.Id,
+                DebitedFunds: {Amount: amount, Currency: 'EUR'},
+                Fees: {Amount: 0, Currency: 'EUR'},
+                BankWireRef: 'Settlement'
+            }
+        };
+    }
+
+    function getBalance(wallet) {
+        return api.Wallets.get(wallet.Id).then(function (data) {
+            return data.Balance.Amount;
+        });
+    }
+
+    function countRequests(key) {
+        return server.requests.filter(function (request) {
+            return request.key === key;
+        }).length;
+    }
+
+    /**
+     * Adds a middleware for the duration of a batch run
+     */
+    function withMiddleware(middleware, run) {
+        api.use(middleware);
+        return run().then(function (result) {
+            api.middlewares.splice(api.middlewares.indexOf(middleware), 1);
+            return result;
+        }, function (err) {
+            api.middlewares.splice(api.middlewares.indexOf(middleware), 1);
+            throw err;
+        });
+    }
+
+    before(function () {
+        return server.start().then(function (baseUrl) {
+            api = new mangopay({
+                clientId: 'batch-client',
+                clientApiKey: 'batch-key',
+                baseUrl: baseUrl,
+                errorHandler: function () {}
+            });
+            return api.Users.create({
+                PersonType: 'LEGAL',
+                Name: 'Marketplace',
+                LegalPersonType: 'BUSINESS',
+                Email: 'platform@sample.org'
+            });
+        }).then(function (user) {
+            platform = user;
+            return api.Wallets.create({Owners: [platform.Id], Currency: 'EUR', Description: 'Escrow'});
+        }).then(function (wallet) {
+            escrow = wallet;
+            return api.PayIns.create({
+                PaymentType: 'CARD',
+                ExecutionType: 'DIRECT',
+                AuthorId: platform.Id,
+                CreditedWalletId: escrow.Id,
+                CardId: 'card-1',
+                DebitedFunds: {Amount: 100000, Currency: 'EUR'},
+                Fees: {Amount: 0, Currency: 'EUR'},
+                SecureModeReturnURL: 'https://example.com/return'
+            });
+        }).then(function () {
+            return createSeller(1);
+        }).then(function () {
+            return createSeller(2);
+        }).then(function () {
+            return createSeller(3);
+        });
+    });
+
+    after(function () {
+        return server.stop();
+    });
+
+    it('should transfer and pay out each instruction, within the concurrency', function () {
+        var running = 0;
+        var maxRunning = 0;
+        var counter = function (context, next) {
+            running++;
+            maxRunning = Math.max(maxRunning, running);
+            return next().then(function (response) {
+                running--;
+                return response;
+            });
+        };
+
+        return Promise.all([getBalance(escrow), getBalance(sellers[0].wallet)]).then(function (balances) {
+            return withMiddleware(counter, function () {
+                return api.createPayoutBatch({id: 'run-1', concurrency: 2}).run([
+                    instruction(sellers[0], 1000),
+                    instruction(sellers[1], 2000),
+                    instruction(sellers[2], 3000)
+                ]);
+            }).then(function (report) {
+                expect(report).to.include({batchId: 'run-1', succeeded: 3, failed: 0, skipped: 0, complete: true});
+                expect(report.items.map(function (item) { return item.id; })).to.deep.equal(sellers.map(function (seller) {
+                    return seller.user.Id;
+                }));
+                expect(report.items[1].status).to.equal('SUCCEEDED');
+                expect(report.items[1].transfer).to.be.instanceOf(api.models.Transfer);
+                expect(report.items[1].payOut.Status).to.equal('CREATED');
+                expect(report.items[1].payOutId).to.equal(report.items[1].payOut.Id);
+                expect(maxRunning).to.equal(2);
+                return Promise.all([getBalance(escrow), getBalance(sellers[0].wallet)]);
+            }).then(function (after) {
+                expect(after[0]).to.equal(balances[0] - 6000);
+                expect(after[1]).to.equal(balances[1]);
+            });
+        });
+    });
+
+    it('should send the same idempotency keys when the batch is run again', function () {
+        var keys = [];
+        var recorder = function (context, next) {
+            keys.push(context.options.headers['Idempotency-Key']);
+            return next();
+        };
+        var run = function () {
+            return api.createPayoutBatch({id: 'run-2'}).run([instruction(sellers[0], 500)]);
+        };
+
+        return getBalance(escrow).then(function (balance) {
+            return withMiddleware(recorder, function () {
+                return run().then(run);
+            }).then(function (report) {
+                expect(report.succeeded).to.equal(1);
+                expect(keys).to.have.length(4);
+                expect(keys[0]).to.match(/^[0-9a-f-]{36}$/);
+                expect(keys[0]).not.to.equal(keys[1]);
+                expect(keys.slice(2)).to.deep.equal(keys.slice(0, 2));
+                return getBalance(escrow);
+            }).then(function (after) {
+                expect(after).to.equal(balance - 500);
+            });
+        });
+    });
+
+    it('should report the failures and the duplicates', function () {
+        return api.createPayoutBatch().run([
+            instruction(sellers[0], 1000000),
+            instruction(sellers[1], 100),
+            instruction(sellers[1], 100)
+        ]).then(function (report) {
+            expect(report).to.include({succeeded: 1, failed: 1, skipped: 1});
+            expect(report.items[0]).to.include({status: 'FAILED', reason: '001001 Unsufficient wallet balance'});
+            expect(report.items[0].payOutId).to.be.null;
+            expect(report.items[2]).to.include({status: 'SKIPPED', reason: 'DUPLICATE_INSTRUCTION'});
+        });
+    });
+
+    it('should fail the instructions refused by the API', function () {
+        var invalid = instruction(sellers[0], 100);
+        invalid.payOut.BankAccountId = 'unknown';
+
+        return api.createPayoutBatch().run([invalid]).then(function (report) {
+            var item = report.items[0];
+
+            expect(item.status).to.equal('FAILED');
+            expect(item.transferId).to.be.a('string');
+            expect(item.error).to.be.instanceOf(mangopay.ValidationError);
+            expect(report.checkpoint.items[invalid.id].error).to.include({name: 'ValidationError', status: 400});
+        });
+    });
+
+    it('should resume from the checkpoint after a crash', function () {
+        var saved;
+        var saves = 0;
+        var instructions = [instruction(sellers[0], 100), instruction(sellers[1], 200)];
+
+        return api.createPayoutBatch({
+            concurrency: 1,
+            onCheckpoint: function (checkpoint) {
+                // Crashes once the first transfer is done
+                if (++saves === 2) {
+                    throw new Error('Disk full');
+                }
+                saved = checkpoint;
+            }
+        }).run(instructions).then(function () {
+            throw new Error('Batch should have failed');
+        }, function (err) {
+            expect(err.message).to.equal('Disk full');
+            expect(saved.items[instructions[0].id]).to.include({status: 'PENDING'});
+            expect(saved.items[instructions[0].id].transferId).to.be.a('string');
+
+            var transfers = countRequests('transfers_create');
+            return api.createPayoutBatch({checkpoint: saved}).run(instructions).then(function (report) {
+                expect(report).to.include({batchId: saved.batchId, succeeded: 2});
+                expect(report.items[0].transferId).to.equal(saved.items[instructions[0].id].transferId);
+                expect(countRequests('transfers_create') - transfers).to.equal(1);
+                return api.createPayoutBatch({checkpoint: report.checkpoint}).run(instructions);
+            });
+        }).then(function (report) {
+            expect(report.succeeded).to.equal(2);
+            expect(report.items[0].resumed).to.be.true;
+            expect(report.items[0].payOut).to.be.null;
+        });
+    });
+
+    it('should find out the outcome of the lost responses', function () {
+        var lost = function (context, next) {
+            if (!/^payouts_/.test(context.method)) {
+                return next();
+            }
+            return next().then(function () {
+                throw new mangopay.TimeoutError(null, {method: 'POST', url: context.url});
+            });
+        };
+
+        return withMiddleware(lost, function () {
+            return api.createPayoutBatch().run([instruction(sellers[2], 100)]);
+        }).then(function (report) {
+            expect(report.items[0].status).to.equal('SUCCEEDED');
+            expect(report.items[0].payOut).to.be.instanceOf(api.models.PayOut);
+        });
+    });
+
+    describe('Rate limits', function () {
+        afterEach(function () {
+            api.rateLimits = [];
+        });
+
+        it('should wait for the reset when the reserve is reached', function () {
+            var started = Date.now();
+            api.rateLimits = [{minutesInterval: 15, callsMade: 10, callsRemaining: 5, resetTimeMillis: (started + 50) / 1000}];
+
+            return api.createPayoutBatch({rateLimitReserve: 10}).run([instruction(sellers[0], 100)]).then(function (report) {
+                expect(report.succeeded).to.equal(1);
+                expect(Date.now() - started).to.be.at.least(40);
+            });
+        });
+
+        it('should stop when the reset is too far, leaving the instructions to resume', function () {
+            var transfers = countRequests('transfers_create');
+            api.rateLimits = [{minutesInterval: 60, callsMade: 10, callsRemaining: 0, resetTimeMillis: Date.now() / 1000 + 600}];
+
+            return api.createPayoutBatch({maxRateLimitWait: 1000}).run([
+                instruction(sellers[0], 100),
+                instruction(sellers[1], 100)
+            ]).then(function (report) {
+                expect(report).to.include({skipped: 2, complete: false});
+                expect(report.items[0]).to.include({status: 'SKIPPED', reason: 'RATE_LIMITED'});
+                expect(report.items[0].error).to.be.instanceOf(mangopay.RateLimitError);
+                expect(report.checkpoint.items).to.deep.equal({});
+                expect(countRequests('transfers_create')).to.equal(transfers);
+            });
+        });
+    });
+
+    describe('Instant payouts', function () {
+        var unreachable = function (context, next) {
+            if (context.method !== 'payouts_check_eligibility') {
+                return next();
+            }
+            return {
+                status: 200,
+                headers: {},
+                data: {InstantPayout: {IsReachable: false, UnreachableReason: {Code: '1', Message: 'Bank not reachable'}}}
+            };
+        };
+
+        function instantInstruction() {
+            var item = instruction(sellers[0], 100);
+            item.payOut.PayoutModeRequested = 'INSTANT_PAYMENT';
+            return item;
+        }
+
+        it('should skip the payouts that are not eligible', function () {
+            return withMiddleware(unreachable, function () {
+                return api.createPayoutBatch({checkEligibility: true}).run([instantInstruction()]);
+            }).then(function (report) {
+                expect(report.items[0]).to.include({status: 'SKIPPED', reason: 'NOT_ELIGIBLE: Bank not reachable'});
+                expect(report.items[0].transferId).to.be.null;
+            });
+        });
+
+        it('should send them as standard payouts when asked', function () {
+            return withMiddleware(unreachable, function () {
+                return api.createPayoutBatch({checkEligibility: true, ineligible: 'standard'}).run([instantInstruction()]);
+            }).then(function (report) {
+                expect(report.items[0].status).to.equal('SUCCEEDED');
+                expect(report.items[0].payOut.PayoutModeRequested).to.equal('STANDARD');
+            });
+        });
+    });
+
+    it('should refuse the instructions without id or payOut', function () {
+        return api.createPayoutBatch().run([{id: 'seller-1'}]).then(function () {
+            throw new Error('Batch should have failed');
+        }, function (err) {
+            expect(err).to.be.instanceOf(TypeError);
+        });
+    });
+});
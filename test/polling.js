@@ -0,0 +1,158 @@
+var expect = require('chai').expect;
+var helpers = require('./helpers');
+var mangopay = require('../index');
+
+/**
+ * Answers the GET requests with the given statuses, one per call (the last one is repeated)
+ */
+function respondStatuses(statuses) {
+    var calls = 0;
+    return function (requestConfig) {
+        var status = statuses[Math.min(calls++, statuses.length - 1)];
+        return {status: 200, data: {Id: requestConfig.url.split('/').pop(), Status: status}, headers: {}};
+    };
+}
+
+var fast = {interval: 1, backoff: 1};
+
+describe('Polling', function () {
+    it('should wait for the final status of a pay-in', function () {
+        var api = helpers.getFakeApi();
+        var requests = helpers.useFakeClient(api, respondStatuses(['CREATED', 'CREATED', 'SUCCEEDED']));
+
+        return api.PayIns.waitForFinalStatus('payin-1', fast).then(function (payIn) {
+            expect(payIn).to.be.instanceOf(api.models.PayIn);
+            expect(payIn.Status).to.equal('SUCCEEDED');
+            expect(requests).to.have.length(3);
+            expect(requests[0].url).to.match(/\/payins\/payin-1$/);
+        });
+    });
+
+    it('should know the final statuses of each service', function () {
+        var api = helpers.getFakeApi();
+        var requests = helpers.useFakeClient(api, respondStatuses(['VALIDATION_ASKED', 'INCOMPLETE']));
+
+        expect(api.KycDocuments.finalStatuses).to.include('REFUSED');
+        expect(api.ReportsV2.finalStatuses).to.include('READY_FOR_DOWNLOAD');
+        expect(api.IdentityVerifications.finalStatuses).not.to.include('REVIEW');
+
+        return api.UboDeclarations.waitForFinalStatus('declaration-1', fast).then(function (declaration) {
+            expect(declaration.Status).to.equal('INCOMPLETE');
+            expect(requests[0].url).to.match(/\/kyc\/ubodeclarations\/declaration-1$/);
+        });
+    });
+
+    it('should resolve at once with a resource already final', function () {
+        var api = helpers.getFakeApi();
+        var requests = helpers.useFakeClient(api, respondStatuses(['CREATED']));
+        var transfer = new api.models.Transfer({Id: 'transfer-1', Status: 'FAILED'});
+
+        return api.Transfers.waitForFinalStatus(transfer).then(function (data) {
+            expect(data).to.equal(transfer);
+            expect(requests).to.have.length(0);
+        });
+    });
+
+    it('should wait for any predicate, on any service', function () {
+        var api = helpers.getFakeApi();
+        var balances = [0, 0, 500];
+        var calls = 0;
+        helpers.useFakeClient(api, function () {
+            return {status: 200, data: {Id: 'wallet-1', Balance: {Amount: balances[calls++], Currency: 'EUR'}}, headers: {}};
+        });
+
+        return api.Wallets.waitFor({Id: 'wallet-1', Balance: {Amount: 0, Currency: 'EUR'}}, function (wallet) {
+            return wallet.Balance.Amount > 0;
+        }, fast).then(function (wallet) {
+            expect(wallet.Balance.Amount).to.equal(500);
+            expect(calls).to.equal(3);
+        });
+    });
+
+    it('should space the attempts with the backoff', function () {
+        var api = helpers.getFakeApi();
+        var times = [];
+        helpers.useFakeClient(api, function (requestConfig) {
+            times.push(Date.now());
+            return respondStatuses([times.length < 4 ? 'CREATED' : 'SUCCEEDED'])(requestConfig);
+        });
+
+        return api.PayOuts.waitForFinalStatus('payout-1', {interval: 20, backoff: 2, maxInterval: 50}).then(function () {
+            expect(times).to.have.length(4);
+            expect(times[1] - times[0]).to.be.at.least(18);
+            expect(times[2] - times[1]).to.be.at.least(38);
+            expect(times[3] - times[2]).to.be.at.least(48);
+        });
+    });
+
+    it('should time out with the last fetched resource', function () {
+        var api = helpers.getFakeApi();
+        helpers.useFakeClient(api, respondStatuses(['PENDING']));
+
+        return api.ReportsV2.waitForFinalStatus('report-1', {interval: 5, timeout: 30}).then(function () {
+            throw new Error('Wait should have timed out');
+        }, function (err) {
+            expect(err).to.be.instanceOf(mangopay.WaitTimeoutError);
+            expect(err.lastValue.Status).to.equal('PENDING');
+        });
+    });
+
+    it('should stop when the signal is aborted', function () {
+        var api = helpers.getFakeApi();
+        var controller = new AbortController();
+        var requests = helpers.useFakeClient(api, respondStatuses(['CREATED']));
+
+        setTimeout(function () {
+            controller.abort();
+        }, 20);
+
+        return api.PayIns.waitForFinalStatus('payin-1', {interval: 5, backoff: 1, signal: controller.signal}).then(function () {
+            throw new Error('Wait should have been aborted');
+        }, function (err) {
+            var count = requests.length;
+
+            expect(err.name).to.equal('AbortError');
+            return new Promise(function (resolve) {
+                setTimeout(resolve, 20);
+            }).then(function () {
+                expect(requests.length).to.equal(count);
+            });
+        });
+    });
+
+    it('should not start with an aborted signal', function () {
+        var api = helpers.getFakeApi();
+        var requests = helpers.useFakeClient(api, respondStatuses(['CREATED']));
+        var controller = new AbortController();
+        controller.abort(new Error('Shutting down'));
+
+        return api.PayIns.waitForFinalStatus('payin-1', {signal: controller.signal}).then(function () {
+            throw new Error('Wait should have been aborted');
+        }, function (err) {
+            expect(err.message).to.equal('Shutting down');
+            expect(requests).to.have.length(0);
+        });
+    });
+
+    it('should reject with the errors of the requests', function () {
+        var api = helpers.getFakeApi();
+        helpers.useFakeClient(api, function () {
+            return Promise.reject({
+                message: 'Request failed with status code 404',
+                response: {status: 404, headers: {}, data: {Message: 'Not found', Type: 'ressource_not_found'}}
+            });
+        });
+
+        return api.KycDocuments.waitForFinalStatus('kyc-1', fast).then(function () {
+            throw new Error('Wait should have failed');
+        }, function (err) {
+            expect(err).to.be.instanceOf(mangopay.NotFoundError);
+        });
+    });
+
+    it('should refuse the services without final statuses', function () {
+        expect(function () {
+            helpers.getFakeApi().Wallets.waitForFinalStatus('wallet-1');
+        }).to.throw(Error, /waitFor/);
+    });
+});
@@ -0,0 +1,220 @@
+var expect = require('chai').expect;
+var helpers = require('./helpers');
+var mangopay = require('../index');
+
+function field(required, extra) {
+    return Object.assign({Required: required, Label: null, EndUserDisplay: null}, extra);
+}
+
+var GBP_INDIVIDUAL_SCHEMA = {
+    DisplayName: field(true, {MaxLength: 255, Label: 'Display name'}),
+    Currency: field(true, {AllowedValues: ['GBP']}),
+    Country: field(true, {AllowedValues: ['GB']}),
+    RecipientType: field(true, {AllowedValues: ['Individual', 'Business']}),
+    PayoutMethodType: field(true, {AllowedValues: ['LocalBankTransfer', 'InternationalBankTransfer']}),
+    RecipientScope: field(false, {AllowedValues: ['PAYIN', 'PAYOUT']}),
+    Tag: field(false, {MaxLength: 255}),
+    LocalBankTransfer: {
+        GBP: {
+            SortCode: field(true, {Pattern: '^[0-9]{6}$', Label: 'Sort code', EndUserDisplay: 'SORT_CODE'}),
+            AccountNumber: field(true, {Pattern: '^[0-9]{8}$', MinLength: 8, MaxLength: 8})
+        }
+    },
+    IndividualRecipient: {
+        FirstName: field(true, {MaxLength: 35}),
+        LastName: field(true, {MaxLength: 35}),
+        Address: {
+            AddressLine1: field(true),
+            AddressLine2: field(false),
+            City: field(true),
+            Region: field(false),
+            PostalCode: field(true),
+            Country: field(true)
+        }
+    }
+};
+
+function recipientData(overrides) {
+    return Object.assign({
+        DisplayName: 'My GB account',
+        PayoutMethodType: 'LocalBankTransfer',
+        RecipientType: 'Individual',
+        Currency: 'GBP',
+        Country: 'GB',
+        IndividualRecipient: {
+            FirstName: 'Payout',
+            LastName: 'Team',
+            Address: {AddressLine1: '10 Kingsway', City: 'London', PostalCode: 'WC2B 6LH', Country: 'GB'}
+        },
+        LocalBankTransfer: {GBP: {SortCode: '010039', AccountNumber: '11696419'}}
+    }, overrides);
+}
+
+/**
+ * Fake API answering the schema, validation and creation of the recipients
+ */
+function fakeRecipientApi(api) {
+    var fake = {calls: [], schemaRequests: 0};
+
+    helpers.useFakeClient(api, function (requestConfig) {
+        var url = requestConfig.url.replace(/^.*\/fake-client/, '');
+
+        fake.calls.push(requestConfig.method.toUpperCase() + ' ' + url);
+
+        if (/^\/recipients\/schema\?/.test(url)) {
+            fake.schemaRequests++;
+            if (fake.failSchema) {
+                return Promise.reject({message: 'Service unavailable', response: {status: 503, headers: {}, data: {}}});
+            }
+            return {status: 200, data: GBP_INDIVIDUAL_SCHEMA, headers: {}};
+        }
+        if (url === '/users/user-1/recipients/validate') {
+            return {status: 204, data: '', headers: {}};
+        }
+        if (url === '/users/user-1/recipients') {
+            return {
+                status: 200,
+                data: Object.assign({Id: 'recipient-1', Status: 'PENDING'}, requestConfig.data, {
+                    PendingUserAction: {RedirectUrl: 'https://sca.mangopay.com/?token=abc'}
+                }),
+                headers: {}
+            };
+        }
+        throw new Error('Unexpected request ' + url);
+    });
+
+    return fake;
+}
+
+describe('Recipient builder', function () {
+    it('should describe the fields of a schema to drive a form', function () {
+        var fields = mangopay.RecipientBuilder.fields(GBP_INDIVIDUAL_SCHEMA);
+
+        expect(fields.map(function (field) {
+            return field.path;
+        })).to.deep.equal([
+            'DisplayName', 'Currency', 'Country', 'RecipientType', 'PayoutMethodType', 'RecipientScope', 'Tag',
+            'LocalBankTransfer.GBP.SortCode', 'LocalBankTransfer.GBP.AccountNumber',
+            'IndividualRecipient.FirstName', 'IndividualRecipient.LastName',
+            'IndividualRecipient.Address.AddressLine1', 'IndividualRecipient.Address.AddressLine2',
+            'IndividualRecipient.Address.City', 'IndividualRecipient.Address.Region',
+            'IndividualRecipient.Address.PostalCode', 'IndividualRecipient.Address.Country'
+        ]);
+        expect(fields[7]).to.deep.equal({
+            path: 'LocalBankTransfer.GBP.SortCode',
+            name: 'SortCode',
+            label: 'Sort code',
+            required: true,
+            minLength: null,
+            maxLength: null,
+            pattern: '^[0-9]{6}$',
+            allowedValues: null,
+            endUserDisplay: 'SORT_CODE'
+        });
+        expect(fields[1].allowedValues).to.deep.equal(['GBP']);
+        expect(fields[2].label).to.equal('Country');
+    });
+
+    it('should check a recipient against its schema', function () {
+        expect(mangopay.RecipientBuilder.check(GBP_INDIVIDUAL_SCHEMA, recipientData())).to.deep.equal({});
+
+        expect(mangopay.RecipientBuilder.check(GBP_INDIVIDUAL_SCHEMA, recipientData({
+            RecipientScope: 'EVERYTHING',
+            IndividualRecipient: {FirstName: 'Payout', Address: {AddressLine1: '10 Kingsway', City: 'London', Country: 'GB'}},
+            LocalBankTransfer: {GBP: {SortCode: '01-00-39', AccountNumber: '1169'}}
+        }))).to.deep.equal({
+            'RecipientScope': 'The RecipientScope field must be one of PAYIN, PAYOUT.',
+            'LocalBankTransfer.GBP.SortCode': 'The LocalBankTransfer.GBP.SortCode field has an invalid format.',
+            'LocalBankTransfer.GBP.AccountNumber': 'The LocalBankTransfer.GBP.AccountNumber field has an invalid format.',
+            'IndividualRecipient.LastName': 'The IndividualRecipient.LastName field is required.',
+            'IndividualRecipient.Address.PostalCode': 'The IndividualRecipient.Address.PostalCode field is required.'
+        });
+    });
+
+    it('should fetch each schema once', function () {
+        var now = 0;
+        var api = helpers.getFakeApi();
+        var fake = fakeRecipientApi(api);
+        var builder = api.createRecipientBuilder({ttl: 1000, now: function () {
+            return now;
+        }});
+
+        return Promise.all([
+            builder.getSchema('LocalBankTransfer', 'Individual', 'GBP', 'GB'),
+            builder.fields('LocalBankTransfer', 'Individual', 'GBP', 'GB'),
+            builder.validate(recipientData())
+        ]).then(function (results) {
+            expect(fake.schemaRequests).to.equal(1);
+            expect(fake.calls[0]).to.equal('GET /recipients/schema?payoutMethodType=LocalBankTransfer&recipientType=Individual&currency=GBP&country=GB');
+            expect(results[1]).to.have.length(17);
+            expect(results[2]).to.deep.equal({});
+
+            return builder.getSchema('LocalBankTransfer', 'Business', 'GBP', 'GB');
+        }).then(function () {
+            expect(fake.schemaRequests).to.equal(2);
+
+            now = 1000;
+            return builder.getSchema('LocalBankTransfer', 'Individual', 'GBP', 'GB');
+        }).then(function () {
+            expect(fake.schemaRequests).to.equal(3);
+
+            builder.clear();
+            return builder.getSchema('LocalBankTransfer', 'Individual', 'GBP', 'GB');
+        }).then(function () {
+            expect(fake.schemaRequests).to.equal(4);
+        });
+    });
+
+    it('should not cache the failed requests', function () {
+        var api = helpers.getFakeApi();
+        var fake = fakeRecipientApi(api);
+        var builder = api.createRecipientBuilder();
+
+        fake.failSchema = true;
+        return builder.getSchema('LocalBankTransfer', 'Individual', 'GBP', 'GB').then(function () {
+            throw new Error('Expected a failure');
+        }, function () {
+            fake.failSchema = false;
+            return builder.getSchema('LocalBankTransfer', 'Individual', 'GBP', 'GB');
+        }).then(function (schema) {
+            expect(schema.LocalBankTransfer.GBP.SortCode.Required).to.be.true;
+            expect(fake.schemaRequests).to.equal(2);
+        });
+    });
+
+    it('should confirm the recipient server-side before creating it', function () {
+        var api = helpers.getFakeApi();
+        var fake = fakeRecipientApi(api);
+        var builder = api.createRecipientBuilder();
+
+        return builder.create(recipientData(), 'user-1').then(function (recipient) {
+            expect(recipient.Id).to.equal('recipient-1');
+            expect(recipient.PendingUserAction.RedirectUrl).to.match(/^https:\/\/sca/);
+            expect(fake.calls.slice(1)).to.deep.equal([
+                'POST /users/user-1/recipients/validate',
+                'POST /users/user-1/recipients'
+            ]);
+        });
+    });
+
+    it('should not call the API for the invalid recipients', function () {
+        var api = helpers.getFakeApi();
+        var fake = fakeRecipientApi(api);
+        var builder = api.createRecipientBuilder();
+
+        return builder.create(recipientData({Country: null}), 'user-1').then(function () {
+            throw new Error('Expected a failure');
+        }, function (err) {
+            expect(err).to.be.instanceOf(mangopay.ValidationError);
+            expect(err.errors).to.deep.equal({Country: 'The Country field is required.'});
+            expect(fake.calls).to.have.length(0);
+
+            return builder.create(recipientData({DisplayName: ''}), 'user-1');
+        }).then(function () {
+            throw new Error('Expected a failure');
+        }, function (err) {
+            expect(err.errors).to.deep.equal({DisplayName: 'The DisplayName field is required.'});
+            expect(fake.calls).to.have.length(1);
+        });
+    });
+});
@@ -0,0 +1,317 @@
+var expect = require('chai').expect;
+var helpers = require('./helpers');
+var mangopay = require('../index');
+
+var DAY = 24 * 60 * 60 * 1000;
+
+// 2024-01-31T10:00:00Z
+var CREATION_DATE = 1706695200;
+
+/**
+ * Fake API keeping a registration and its pay-ins, answering the MIT pay-ins with the given statuses in turn.
+ * Pay-ins sent again with the same Idempotency-Key get the first response.
+ */
+function fakeRecurringApi(api, registration, statuses) {
+    var payIns = {};
+    var responses = {};
+    var fake = {
+        registration: Object.assign({
+            Id: 'registration-1',
+            CreationDate: CREATION_DATE,
+            Status: 'IN_PROGRESS',
+            Frequency: 'Monthly',
+            FixedNextAmount: true,
+            FractionedPayment: false,
+            FirstTransactionDebitedFunds: {Amount: 1000, Currency: 'EUR'},
+            FirstTransactionFees: {Amount: 100, Currency: 'EUR'},
+            CurrentState: {PayinsLinked: 1, LastPayinId: 'payin-cit', CumulatedDebitedAmount: {Amount: 1000, Currency: 'EUR'}}
+        }, registration),
+        payIns: payIns,
+        sent: [],
+        failure: null
+    };
+
+    fake.requests = helpers.useFakeClient(api, function (requestConfig) {
+        var url = requestConfig.url;
+
+        if (/\/recurringpayinregistrations\/registration-1$/.test(url)) {
+            return {status: 200, data: fake.registration, headers: {}};
+        }
+        if (/\/payins\/recurring\/card\/direct$/.test(url)) {
+            var key = requestConfig.headers['Idempotency-Key'];
+            if (responses[key]) {
+                return responses[key];
+            }
+            if (fake.failure) {
+                var failure = fake.failure;
+                fake.failure = null;
+                return Promise.reject(failure);
+            }
+            var payIn = Object.assign({}, requestConfig.data, {
+                Id: 'payin-' + (fake.sent.length + 1),
+                Status: statuses.shift() || 'SUCCEEDED'
+            });
+            if (payIn.Status === 'FAILED') {
+                payIn.ResultCode = payIn.ResultCode || '101101';
+            }
+            fake.sent.push(JSON.parse(JSON.stringify(payIn)));
+            fake.registration.CurrentState.LastPayinId = payIn.Id;
+            payIns[payIn.Id] = payIn;
+            responses[key] = {status: 200, data: payIn, headers: {}};
+            return responses[key];
+        }
+        if (/\/payins\/payin-\d+$/.test(url)) {
+            return {status: 200, data: payIns[url.split('/').pop()], headers: {}};
+        }
+        throw new Error('Unexpected request ' + url);
+    });
+
+    return fake;
+}
+
+function engineAt(api, time, options) {
+    return api.createRecurringPayInEngine(Object.assign({
+        now: function () {
+            return time.now;
+        }
+    }, options));
+}
+
+describe('Recurring pay-in engine', function () {
+    it('should compute the due dates of the frequencies', function () {
+        var addCycles = mangopay.RecurringPayInEngine.addCycles;
+        var start = Date.UTC(2024, 0, 31, 10);
+
+        expect(new Date(addCycles(start, 'Monthly', 1)).toISOString()).to.equal('2024-02-29T10:00:00.000Z');
+        expect(new Date(addCycles(start, 'Monthly', 2)).toISOString()).to.equal('2024-03-31T10:00:00.000Z');
+        expect(new Date(addCycles(start, 'Quarterly', 1)).toISOString()).to.equal('2024-04-30T10:00:00.000Z');
+        expect(new Date(addCycles(start, 'TwiceAMonth', 3)).toISOString()).to.equal('2024-03-15T10:00:00.000Z');
+        expect(addCycles(start, 'Weekly', 2) - start).to.equal(14 * DAY);
+        expect(function () {
+            addCycles(start, 'Hourly', 1);
+        }).to.throw(TypeError, /Hourly/);
+    });
+
+    it('should compute the next due MIT from the current state', function () {
+        var api = helpers.getFakeApi();
+        var engine = api.createRecurringPayInEngine();
+        var registration = {
+            Id: 'registration-1',
+            CreationDate: CREATION_DATE,
+            Status: 'IN_PROGRESS',
+            Frequency: 'Monthly',
+            FreeCycles: 1,
+            FixedNextAmount: true,
+            FirstTransactionDebitedFunds: {Amount: 1000, Currency: 'EUR'},
+            NextTransactionDebitedFunds: {Amount: 1500, Currency: 'EUR'},
+            CurrentState: {PayinsLinked: 1}
+        };
+
+        var due = engine.nextDue(registration);
+        expect(due.cycle).to.equal(2);
+        expect(due.dueDate.toISOString()).to.equal('2024-03-31T10:00:00.000Z');
+        expect(due.DebitedFunds).to.be.instanceOf(api.models.Money);
+        expect(due.DebitedFunds.Amount).to.equal(1500);
+        expect(due.Fees.Amount).to.equal(0);
+
+        registration.EndDate = CREATION_DATE + 40 * 24 * 3600;
+        expect(engine.nextDue(registration)).to.be.null;
+    });
+
+    it('should charge the last installment with the rest of the total amount', function () {
+        var engine = helpers.getFakeApi().createRecurringPayInEngine();
+        var due = engine.nextDue({
+            CreationDate: CREATION_DATE,
+            Status: 'IN_PROGRESS',
+            Frequency: 'Monthly',
+            FractionedPayment: true,
+            TotalAmount: 1000,
+            CycleNumber: 3,
+            FirstTransactionDebitedFunds: {Amount: 333, Currency: 'EUR'},
+            CurrentState: {PayinsLinked: 2, CumulatedDebitedAmount: {Amount: 666, Currency: 'EUR'}}
+        });
+
+        expect(due.last).to.be.true;
+        expect(due.DebitedFunds.Amount).to.equal(334);
+    });
+
+    it('should require the amount of the variable registrations', function () {
+        var engine = helpers.getFakeApi().createRecurringPayInEngine();
+        var registration = {
+            CreationDate: CREATION_DATE,
+            Status: 'IN_PROGRESS',
+            Frequency: 'Monthly',
+            FixedNextAmount: false,
+            FirstTransactionDebitedFunds: {Amount: 1000, Currency: 'EUR'},
+            CurrentState: {PayinsLinked: 1}
+        };
+
+        expect(function () {
+            engine.nextDue(registration);
+        }).to.throw(TypeError, /amount option/);
+
+        var variable = helpers.getFakeApi().createRecurringPayInEngine({
+            amount: function (registration, due) {
+                return {DebitedFunds: {Amount: 100 * due.cycle, Currency: 'EUR'}, Fees: {Amount: 0, Currency: 'EUR'}};
+            }
+        });
+        expect(variable.nextDue(registration).DebitedFunds.Amount).to.equal(100);
+    });
+
+    it('should charge the due cycles, and wait for the next one', function () {
+        var api = helpers.getFakeApi();
+        var fake = fakeRecurringApi(api, {}, ['SUCCEEDED']);
+        var time = {now: Date.UTC(2024, 1, 29, 12)};
+        var engine = engineAt(api, time);
+
+        return engine.run('registration-1').then(function (result) {
+            expect(result.decision).to.equal('CHARGED');
+            expect(result.payIn.Id).to.equal('payin-1');
+            expect(fake.sent[0]).to.deep.include({
+                RecurringPayinRegistrationId: 'registration-1',
+                DebitedFunds: {Amount: 1000, Currency: 'EUR'},
+                Fees: {Amount: 100, Currency: 'EUR'}
+            });
+            expect(result.state).to.include({cycle: 2, attempt: 0, status: 'ACTIVE', lastPayInId: 'payin-1'});
+            expect(new Date(result.state.nextAttemptAt).toISOString()).to.equal('2024-03-31T10:00:00.000Z');
+
+            return engine.run('registration-1', result.state);
+        }).then(function (result) {
+            expect(result.decision).to.equal('NOT_DUE');
+            expect(fake.sent).to.have.length(1);
+        });
+    });
+
+    it('should retry the failed pay-ins on the schedule, then give up', function () {
+        var api = helpers.getFakeApi();
+        var fake = fakeRecurringApi(api, {}, ['FAILED', 'FAILED', 'FAILED']);
+        var time = {now: Date.UTC(2024, 1, 29, 12)};
+        var engine = engineAt(api, time, {retrySchedule: [DAY, 3 * DAY]});
+        var keys = [];
+
+        function run(state) {
+            return engine.run('registration-1', state).then(function (result) {
+                keys.push(fake.requests[fake.requests.length - 1].headers['Idempotency-Key']);
+                return result;
+            });
+        }
+
+        return run().then(function (result) {
+            expect(result.decision).to.equal('RETRY');
+            expect(result.state).to.include({cycle: 1, attempt: 1, status: 'PAST_DUE', nextAttemptAt: time.now + DAY});
+
+            time.now += DAY - 1;
+            return engine.run('registration-1', result.state);
+        }).then(function (result) {
+            expect(result.decision).to.equal('NOT_DUE');
+
+            time.now += 1;
+            return run(result.state);
+        }).then(function (result) {
+            expect(result.decision).to.equal('RETRY');
+            expect(result.state.nextAttemptAt).to.equal(time.now + 3 * DAY);
+
+            time.now += 3 * DAY;
+            return run(result.state);
+        }).then(function (result) {
+            expect(result.decision).to.equal('GIVE_UP');
+            expect(result.state.status).to.equal('SUSPENDED');
+            expect(fake.sent).to.have.length(3);
+            expect(keys[0]).not.to.equal(keys[1]);
+
+            return engine.run('registration-1', result.state);
+        }).then(function (result) {
+            expect(result.decision).to.equal('GIVE_UP');
+            expect(fake.sent).to.have.length(3);
+        });
+    });
+
+    it('should not retry the hard declines', function () {
+        var api = helpers.getFakeApi();
+        var fake = fakeRecurringApi(api, {}, ['FAILED']);
+        var engine = engineAt(api, {now: Date.UTC(2024, 1, 29, 12)});
+        fake.registration.NextTransactionDebitedFunds = {Amount: 1000, Currency: 'EUR'};
+        var isRetryable = engine.options.isRetryable;
+
+        expect(isRetryable({ResultCode: '101105'})).to.be.false;
+        expect(isRetryable({ResultCode: '101101'})).to.be.true;
+
+        engine.options.isRetryable = function () {
+            return false;
+        };
+        return engine.run('registration-1').then(function (result) {
+            expect(result.decision).to.equal('GIVE_UP');
+        });
+    });
+
+    it('should send the same pay-in again after an ambiguous failure', function () {
+        var api = helpers.getFakeApi();
+        var fake = fakeRecurringApi(api, {}, ['SUCCEEDED']);
+        var time = {now: Date.UTC(2024, 1, 29, 12)};
+        var engine = engineAt(api, time);
+        fake.failure = {message: 'Request failed with status code 503', response: {status: 503, headers: {}, data: {}}};
+
+        return engine.run('registration-1').then(function (result) {
+            expect(result.decision).to.equal('RETRY');
+            expect(result.error).to.be.instanceOf(mangopay.MangopayApiError);
+            expect(result.state).to.include({cycle: 1, attempt: 0, nextAttemptAt: time.now + 5 * 60 * 1000});
+
+            time.now = result.state.nextAttemptAt;
+            return engine.run('registration-1', result.state);
+        }).then(function (result) {
+            var keys = fake.requests.filter(function (request) {
+                return /\/recurring\/card\/direct$/.test(request.url);
+            }).map(function (request) {
+                return request.headers['Idempotency-Key'];
+            });
+
+            expect(result.decision).to.equal('CHARGED');
+            expect(keys).to.have.length(2);
+            expect(keys[0]).to.equal(keys[1]);
+        });
+    });
+
+    it('should check the pending pay-ins on the next run', function () {
+        var api = helpers.getFakeApi();
+        var fake = fakeRecurringApi(api, {}, ['CREATED']);
+        var engine = engineAt(api, {now: Date.UTC(2024, 1, 29, 12)});
+
+        return engine.run('registration-1').then(function (result) {
+            expect(result.decision).to.equal('PENDING');
+            expect(result.state.pendingPayInId).to.equal('payin-1');
+
+            fake.payIns['payin-1'].Status = 'SUCCEEDED';
+            return engine.run('registration-1', result.state);
+        }).then(function (result) {
+            expect(result.decision).to.equal('CHARGED');
+            expect(result.state).to.include({cycle: 2, pendingPayInId: null});
+            expect(fake.sent).to.have.length(1);
+        });
+    });
+
+    it('should follow the status of the registration', function () {
+        var api = helpers.getFakeApi();
+        var fake = fakeRecurringApi(api, {Status: 'AUTHENTICATION_NEEDED'}, []);
+        var engine = engineAt(api, {now: Date.UTC(2024, 1, 29, 12)});
+
+        return engine.run('registration-1').then(function (result) {
+            expect(result.decision).to.equal('AUTHENTICATION_NEEDED');
+            expect(result.state.status).to.equal('SUSPENDED');
+
+            // The shopper paid the overdue cycle with a new CIT
+            fake.registration.Status = 'IN_PROGRESS';
+            fake.registration.CurrentState = {PayinsLinked: 2, LastPayinId: 'payin-cit-2'};
+            return engine.run('registration-1', result.state);
+        }).then(function (result) {
+            expect(result.decision).to.equal('NOT_DUE');
+            expect(result.state).to.include({cycle: 2, status: 'ACTIVE'});
+
+            fake.registration.Status = 'ENDED';
+            return engine.run('registration-1', result.state);
+        }).then(function (result) {
+            expect(result.decision).to.equal('ENDED');
+            expect(result.state.status).to.equal('ENDED');
+            expect(fake.sent).to.have.length(0);
+        });
+    });
+});
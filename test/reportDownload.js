@@ -0,0 +1,207 @@
+var expect = require('chai').expect;
+var Readable = require('stream').Readable;
+var helpers = require('./helpers');
+var mangopay = require('../index');
+
+var DOWNLOAD_URL = 'https://reports.example.com/report-1.csv?signature=abc';
+
+var CSV = [
+    'Id,Tag,CreationDate,DebitedFundsAmount,DebitedFundsCurrency,FeesAmount,FeesCurrency,Status',
+    '1001,"Order ""42"", first",1700000000,1260,EUR,25,EUR,SUCCEEDED',
+    '1002,,1700000100,1200,JPY,0,JPY,FAILED',
+    '1003,"Multi',
+    'line tag",2024-01-31T10:00:00Z,-500,EUR,,EUR,SUCCEEDED',
+    ''
+].join('\r\n');
+
+/**
+ * Answers the report with the given statuses, then the CSV file in chunks
+ */
+function respondReport(statuses, chunks, report) {
+    var calls = 0;
+    var stream = null;
+
+    var respond = function (requestConfig) {
+        if (requestConfig.url === DOWNLOAD_URL) {
+            stream = Readable.from(chunks);
+            respond.stream = stream;
+            return {status: 200, data: stream, headers: {}};
+        }
+        var status = statuses[Math.min(calls++, statuses.length - 1)];
+        return {
+            status: 200,
+            data: Object.assign({
+                Id: 'report-1',
+                Status: status,
+                DownloadURL: status === 'READY_FOR_DOWNLOAD' ? DOWNLOAD_URL : null,
+                Columns: ['Id', 'Tag', 'CreationDate', 'DebitedFundsAmount', 'DebitedFundsCurrency', 'FeesAmount',
+                    'FeesCurrency', 'Status']
+            }, report),
+            headers: {}
+        };
+    };
+    return respond;
+}
+
+/**
+ * Splits a text in buffers of a few bytes, cutting through the multi-byte characters
+ */
+function bufferChunks(text, size) {
+    var buffer = Buffer.from(text, 'utf8');
+    var chunks = [];
+    for (var i = 0; i < buffer.length; i += size) {
+        chunks.push(buffer.slice(i, i + size));
+    }
+    return chunks;
+}
+
+describe('Report download', function () {
+    it('should wait for the report, then read the typed rows', function () {
+        var api = helpers.getFakeApi();
+        var requests = helpers.useFakeClient(api, respondReport(['PENDING', 'READY_FOR_DOWNLOAD'], bufferChunks(CSV, 7)));
+        var rows = [];
+        var download = api.Reports.download('report-1', {interval: 1});
+        var iterator = download[Symbol.asyncIterator]();
+
+        function read() {
+            return iterator.next().then(function (result) {
+                if (result.done) {
+                    return rows;
+                }
+                rows.push(result.value);
+                return read();
+            });
+        }
+
+        return read().then(function () {
+            expect(rows).to.have.length(3);
+            expect(rows[0]).to.deep.equal({
+                Id: '1001',
+                Tag: 'Order "42", first',
+                CreationDate: new Date(1700000000 * 1000),
+                DebitedFundsAmount: 1260,
+                DebitedFundsCurrency: 'EUR',
+                FeesAmount: 25,
+                FeesCurrency: 'EUR',
+                Status: 'SUCCEEDED'
+            });
+            expect(rows[1].Tag).to.be.null;
+            expect(rows[2].Tag).to.equal('Multi\r\nline tag');
+            expect(rows[2].CreationDate.toISOString()).to.equal('2024-01-31T10:00:00.000Z');
+            expect(rows[2].DebitedFundsAmount).to.equal(-500);
+            expect(rows[2].FeesAmount).to.be.null;
+            expect(download.report.Status).to.equal('READY_FOR_DOWNLOAD');
+            expect(requests).to.have.length(3);
+            expect(requests[2]).to.include({url: DOWNLOAD_URL, responseType: 'stream'});
+            expect(requests[2].headers).to.be.undefined;
+        });
+    });
+
+    it('should key the rows by the ReportsV2 columns, and keep the multi-byte characters', function () {
+        var api = helpers.getFakeApi();
+        var csv = 'Id,Tag,DebitedFundsAmount\n"2001","Café ☕ ünïcödé",12.60\n';
+        helpers.useFakeClient(api, respondReport(['READY_FOR_DOWNLOAD'], bufferChunks(csv, 3), {
+            Columns: [{Name: 'Id', IsDefault: true}, {Name: 'Tag', IsDefault: false}, {Name: 'DebitedFundsAmount', IsDefault: true}]
+        }));
+
+        return api.ReportsV2.download('report-1', {types: {Id: 'integer'}}).toArray().then(function (rows) {
+            expect(rows).to.deep.equal([{Id: 2001, Tag: 'Café ☕ ünïcödé', DebitedFundsAmount: 12.6}]);
+        });
+    });
+
+    it('should use the header row without Columns, and the custom types', function () {
+        var api = helpers.getFakeApi();
+        var csv = 'Id;Amount;Flag\n1;12.60;true\n';
+        helpers.useFakeClient(api, respondReport(['READY_FOR_DOWNLOAD'], [csv], {Columns: null}));
+
+        return api.ReportsV2.download('report-1', {
+            delimiter: ';',
+            types: {
+                Amount: function (value) {
+                    return Math.round(Number(value) * 100);
+                },
+                Flag: 'boolean'
+            }
+        }).toArray().then(function (rows) {
+            expect(rows).to.deep.equal([{Id: '1', Amount: 1260, Flag: true}]);
+        });
+    });
+
+    it('should convert the decimal amounts with their currency', function () {
+        var api = helpers.getFakeApi();
+        var csv = '1,12.60,EUR\n2,1.500,KWD\n';
+        helpers.useFakeClient(api, respondReport(['READY_FOR_DOWNLOAD'], [csv], {
+            Columns: ['Id', 'CreditedFundsAmount', 'CreditedFundsCurrency']
+        }));
+
+        return api.Reports.download('report-1').toArray().then(function (rows) {
+            expect(rows[0].CreditedFundsAmount).to.equal(1260);
+            expect(rows[1].CreditedFundsAmount).to.equal(1500);
+        });
+    });
+
+    it('should close the download when the loop is left early', function () {
+        var api = helpers.getFakeApi();
+        var respond = respondReport(['READY_FOR_DOWNLOAD'], bufferChunks(CSV, 16));
+        helpers.useFakeClient(api, respond);
+        var iterator = api.Reports.download('report-1').rows();
+
+        return iterator.next().then(function (result) {
+            expect(result.value.Id).to.equal('1001');
+            return iterator.return();
+        }).then(function (result) {
+            expect(result.done).to.be.true;
+            expect(respond.stream.destroyed).to.be.true;
+            return iterator.next();
+        }).then(function (result) {
+            expect(result.done).to.be.true;
+        });
+    });
+
+    it('should reject when the report failed', function () {
+        var api = helpers.getFakeApi();
+        helpers.useFakeClient(api, respondReport(['FAILED'], [], {ResultMessage: 'Too many rows'}));
+
+        return api.Reports.download('report-1').toArray().then(function () {
+            throw new Error('Download should have failed');
+        }, function (err) {
+            expect(err.message).to.equal('Report report-1 is FAILED: Too many rows');
+            expect(err.report.Status).to.equal('FAILED');
+        });
+    });
+
+    it('should reject with the errors of the download', function () {
+        var api = helpers.getFakeApi();
+        var respond = respondReport(['READY_FOR_DOWNLOAD'], []);
+        helpers.useFakeClient(api, function (requestConfig) {
+            if (requestConfig.url === DOWNLOAD_URL) {
+                return Promise.reject({
+                    message: 'Request failed with status code 403',
+                    response: {status: 403, headers: {}, data: null}
+                });
+            }
+            return respond(requestConfig);
+        });
+
+        return api.Reports.download('report-1').toArray().then(function () {
+            throw new Error('Download should have failed');
+        }, function (err) {
+            expect(err).to.be.instanceOf(mangopay.AuthenticationError);
+            expect(err.url).to.equal(DOWNLOAD_URL);
+        });
+    });
+
+    describe('CSV parser', function () {
+        it('should parse the records split across chunks', function () {
+            var parser = new mangopay.ReportDownload.CsvParser(',');
+            var records = [];
+
+            ['\uFEFFa,"b', '""c""",d\n', '1,2', ',3'].forEach(function (chunk) {
+                records = records.concat(parser.push(chunk));
+            });
+            records = records.concat(parser.end());
+
+            expect(records).to.deep.equal([['a', 'b"c"', 'd'], ['1', '2', '3']]);
+        });
+    });
+});
@@ -0,0 +1,149 @@
+var expect = require('chai').expect;
+var helpers = require('./helpers');
+var retry = require('../lib/retry');
+
+/**
+ * Fails the first requests with the given errors, then succeeds
+ */
+function respondAfterFailures(errors) {
+    var calls = 0;
+    return function () {
+        var error = errors[calls++];
+        return error ? Promise.reject(error) : {data: {Id: 'wallet-1'}, headers: {}};
+    };
+}
+
+function httpError(status, headers) {
+    return {
+        message: 'Request failed with status code ' + status,
+        response: {status: status, headers: headers || {}, data: {Message: 'Error', Type: 'error'}}
+    };
+}
+
+describe('Retry', function () {
+    describe('Configuration', function () {
+        it('should be disabled by default', function () {
+            expect(helpers.getFakeApi().config.retry.maxRetries).to.equal(0);
+        });
+
+        it('should merge custom options with the defaults', function () {
+            var api = helpers.getFakeApi({retry: {maxRetries: 3}});
+            expect(api.config.retry.maxRetries).to.equal(3);
+            expect(api.config.retry.retryOnStatus).to.include(503);
+        });
+    });
+
+    describe('Transient failures', function () {
+        var api = helpers.getFakeApi({retry: {maxRetries: 3, baseDelay: 1, maxDelay: 50}});
+        var requests;
+        var wallet;
+
+        before(function () {
+            requests = helpers.useFakeClient(api, respondAfterFailures([
+                {message: 'socket hang up', code: 'ECONNRESET'},
+                httpError(503),
+                httpError(429, {'retry-after': '0'})
+            ]));
+
+            return api.Wallets.get('wallet-1').then(function (data) {
+                wallet = data;
+            });
+        });
+
+        it('should retry until the request succeeds', function () {
+            expect(requests.length).to.equal(4);
+            expect(wallet.Id).to.equal('wallet-1');
+        });
+    });
+
+    describe('Exhausted retries', function () {
+        var api = helpers.getFakeApi({retry: {maxRetries: 2, baseDelay: 1, maxDelay: 50}});
+        var requests;
+        var error;
+
+        before(function () {
+            requests = helpers.useFakeClient(api, respondAfterFailures([httpError(500), httpError(502), httpError(503)]));
+
+            return api.Wallets.get('wallet-1').catch(function (err) {
+                error = err;
+            });
+        });
+
+        it('should reject with the last failure', function () {
+            expect(requests.length).to.equal(3);
+            expect(error.Message).to.equal('Error');
+        });
+    });
+
+    describe('Non transient failures', function () {
+        var api = helpers.getFakeApi({retry: {maxRetries: 2, baseDelay: 1, maxDelay: 50}});
+        var requests;
+
+        before(function () {
+            requests = helpers.useFakeClient(api, respondAfterFailures([httpError(400)]));
+            return api.Wallets.get('wallet-1').catch(function () {});
+        });
+
+        it('should not retry', function () {
+            expect(requests.length).to.equal(1);
+        });
+    });
+
+    describe('POST requests', function () {
+        var api = helpers.getFakeApi({retry: {maxRetries: 2, baseDelay: 1, maxDelay: 50}});
+
+        it('should not be retried without an Idempotency-Key', function () {
+            var requests = helpers.useFakeClient(api, respondAfterFailures([httpError(503)]));
+
+            return api.Wallets.create({Owners: ['user-1'], Currency: 'EUR', Description: 'wallet'})
+                .catch(function () {})
+                .then(function () {
+                    expect(requests.length).to.equal(1);
+                });
+        });
+
+        it('should be retried with an Idempotency-Key', function () {
+            var requests = helpers.useFakeClient(api, respondAfterFailures([httpError(503)]));
+            var options = api.OptionsHelper.withIdempotency({}, 'idempotency-key');
+
+            return api.Wallets.create({Owners: ['user-1'], Currency: 'EUR', Description: 'wallet'}, options)
+                .then(function () {
+                    expect(requests.length).to.equal(2);
+                    expect(requests[1].headers['Idempotency-Key']).to.equal('idempotency-key');
+                });
+        });
+    });
+
+    describe('Delays', function () {
+        var policy = {baseDelay: 100, maxDelay: 1000};
+
+        it('should honor Retry-After in seconds', function () {
+            expect(retry.getDelay(policy, 0, {status: 503, headers: {'retry-after': '1'}})).to.equal(1000);
+        });
+
+        it('should honor x-ratelimit-reset on 429 responses', function () {
+            var now = Math.floor(Date.now() / 1000);
+            var delay = retry.getDelay(policy, 0, {
+                status: 429,
+                headers: {
+                    'x-ratelimit-reset': [now + 3600, now + 1].join(','),
+                    'x-ratelimit-remaining': '5,0'
+                }
+            });
+
+            expect(delay).to.be.at.most(1000);
+            expect(delay).to.be.at.least(0);
+        });
+
+        it('should give up when the server asks to wait longer than maxDelay', function () {
+            expect(retry.getDelay(policy, 0, {status: 429, headers: {'retry-after': '60'}})).to.be.null;
+        });
+
+        it('should back off exponentially with jitter', function () {
+            for (var i = 0; i < 20; i++) {
+                expect(retry.getDelay(policy, 2)).to.be.below(400);
+                expect(retry.getDelay(policy, 10)).to.be.below(1000);
+            }
+        });
+    });
+});
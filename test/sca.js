@@ -0,0 +1,151 @@
+var expect = require('chai').expect;
+var helpers = require('./helpers');
+var mangopay = require('../index');
+
+var REDIRECT_URL = 'https://sca.mangopay.com/?token=abc';
+
+/**
+ * Answers the GET requests with the next resource of the list, the last one being repeated
+ */
+function respondResources(resources) {
+    var calls = [];
+
+    return {
+        calls: calls,
+        respond: function (requestConfig) {
+            calls.push(requestConfig.method.toUpperCase() + ' ' + requestConfig.url.replace(/^.*\/fake-client/, ''));
+            return {status: 200, data: resources.length > 1 ? resources.shift() : resources[0], headers: {}};
+        }
+    };
+}
+
+describe('SCA handler', function () {
+    it('should detect the pending user actions of any response', function () {
+        var sca = helpers.getFakeApi().createScaHandler({returnUrl: 'https://example.com/sca/return?shop=1'});
+
+        var recipient = sca.outcome({
+            Id: 'recipient-1',
+            Status: 'PENDING',
+            PayoutMethodType: 'LocalBankTransfer',
+            PendingUserAction: {RedirectUrl: REDIRECT_URL}
+        });
+        expect(recipient).to.include({status: 'SCA_REQUIRED', scaRequired: true, type: 'RECIPIENT', id: 'recipient-1'});
+
+        var redirect = new URL(recipient.redirectUrl);
+        expect(redirect.searchParams.get('token')).to.equal('abc');
+        expect(redirect.searchParams.get('ReturnUrl')).to.equal('https://example.com/sca/return?shop=1&scaType=RECIPIENT&scaId=recipient-1');
+
+        expect(sca.outcome({Id: 'transfer-1', Type: 'TRANSFER', Status: 'SUCCEEDED', PendingUserAction: null})).to.include({
+            status: 'COMPLETED',
+            scaRequired: false,
+            redirectUrl: null,
+            type: 'TRANSFER'
+        });
+        expect(sca.outcome({Id: 'payout-1', Type: 'PAYOUT', Status: 'CREATED'}).status).to.equal('PENDING');
+        expect(sca.pendingUserAction({PendingUserAction: {RedirectUrl: null}})).to.be.null;
+    });
+
+    it('should handle the enrollment of a user', function () {
+        var api = helpers.getFakeApi();
+        helpers.useFakeClient(api, function () {
+            return {status: 200, data: {PendingUserAction: {RedirectUrl: REDIRECT_URL}}, headers: {}};
+        });
+
+        return api.createScaHandler().handle(api.Users.enroll('user-1'), 'USER', 'user-1').then(function (outcome) {
+            expect(outcome).to.include({status: 'SCA_REQUIRED', type: 'USER', id: 'user-1'});
+            // Without the returnUrl option, the platform adds its ReturnUrl
+            expect(outcome.redirectUrl).to.equal(REDIRECT_URL);
+        });
+    });
+
+    it('should re-fetch the resource and resume the operation once the user is back', function () {
+        var api = helpers.getFakeApi();
+        var fake = respondResources([{Id: 'recipient-1', Status: 'ACTIVE', PayoutMethodType: 'LocalBankTransfer'}]);
+        var resumed = [];
+        helpers.useFakeClient(api, fake.respond);
+
+        return api.createScaHandler().complete({scaType: 'RECIPIENT', scaId: 'recipient-1'}, function (recipient) {
+            resumed.push(recipient.Id);
+            return {Id: 'payout-1'};
+        }).then(function (outcome) {
+            expect(fake.calls).to.deep.equal(['GET /recipients/recipient-1']);
+            expect(outcome).to.include({status: 'COMPLETED', scaRequired: false, type: 'RECIPIENT'});
+            expect(outcome.result).to.deep.equal({Id: 'payout-1'});
+            expect(resumed).to.deep.equal(['recipient-1']);
+        });
+    });
+
+    it('should not resume the operation while the SCA is not completed', function () {
+        var api = helpers.getFakeApi();
+        helpers.useFakeClient(api, respondResources([{
+            Id: 'user-1',
+            PersonType: 'NATURAL',
+            UserStatus: 'PENDING_USER_ACTION',
+            PendingUserAction: {RedirectUrl: REDIRECT_URL}
+        }]).respond);
+
+        return api.createScaHandler({returnUrl: 'https://example.com/sca/return'}).complete({type: 'USER', id: 'user-1'}, function () {
+            throw new Error('Should not resume');
+        }).then(function (outcome) {
+            expect(outcome.status).to.equal('SCA_REQUIRED');
+            expect(outcome.result).to.be.null;
+            expect(new URL(outcome.redirectUrl).searchParams.get('ReturnUrl')).to.equal('https://example.com/sca/return?scaType=USER&scaId=user-1');
+        });
+    });
+
+    it('should not resume the operation when the SCA failed', function () {
+        var api = helpers.getFakeApi();
+        var resume = function () {
+            throw new Error('Should not resume');
+        };
+
+        helpers.useFakeClient(api, respondResources([{Id: 'recipient-1', Status: 'CANCELED', PayoutMethodType: 'LocalBankTransfer'}]).respond);
+
+        return api.createScaHandler().complete({scaType: 'RECIPIENT', scaId: 'recipient-1'}, resume).then(function (outcome) {
+            expect(outcome).to.include({status: 'FAILED', scaRequired: false, result: null});
+
+            helpers.useFakeClient(api, respondResources([{Id: 'payout-1', Type: 'PAYOUT', Status: 'FAILED'}]).respond);
+            return api.createScaHandler().complete({scaType: 'PAYOUT', scaId: 'payout-1'}, resume);
+        }).then(function (outcome) {
+            expect(outcome.status).to.equal('FAILED');
+            expect(outcome.result).to.be.null;
+        });
+    });
+
+    it('should wait for the final status of the transfers', function () {
+        var api = helpers.getFakeApi();
+        var fake = respondResources([
+            {Id: 'transfer-1', Type: 'TRANSFER', Status: 'CREATED'},
+            {Id: 'transfer-1', Type: 'TRANSFER', Status: 'SUCCEEDED'}
+        ]);
+        helpers.useFakeClient(api, fake.respond);
+
+        return api.createScaHandler({interval: 1}).complete({scaType: 'TRANSFER', scaId: 'transfer-1'}).then(function (outcome) {
+            expect(outcome.status).to.equal('COMPLETED');
+            expect(outcome.resource.Status).to.equal('SUCCEEDED');
+            expect(fake.calls).to.deep.equal(['GET /transfers/transfer-1', 'GET /transfers/transfer-1']);
+
+            helpers.useFakeClient(api, respondResources([{Id: 'payout-1', Type: 'PAYOUT', Status: 'CREATED'}]).respond);
+            return api.createScaHandler({interval: 5, timeout: 30}).complete({scaType: 'PAYOUT', scaId: 'payout-1'});
+        }).then(function (outcome) {
+            expect(outcome.status).to.equal('PENDING');
+        });
+    });
+
+    it('should refuse the return URLs naming no resource', function () {
+        var sca = helpers.getFakeApi().createScaHandler();
+
+        return sca.complete({foo: 'bar'}).then(function () {
+            throw new Error('Expected a failure');
+        }, function (err) {
+            expect(err).to.be.instanceOf(mangopay.ValidationError);
+
+            return sca.complete({scaType: 'CARD', scaId: 'card-1'});
+        }).then(function () {
+            throw new Error('Expected a failure');
+        }, function (err) {
+            expect(err).to.be.instanceOf(mangopay.ValidationError);
+            expect(err.errors).to.have.property('scaType');
+        });
+    });
+});
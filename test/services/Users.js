@@ -950,7 +950,8 @@ describe('Users', function() {
             describe('Wrong File Path', function() {
                 before(function(){
                     sinon.stub(api, 'errorHandler');
-                    api.Users.createKycPageFromFile(john.Id, kycDocument.Id, 'notExistFileName.tmp');
+                    // The file is read asynchronously
+                    return api.Users.createKycPageFromFile(john.Id, kycDocument.Id, 'notExistFileName.tmp').then(null, function() {});
                 });
 
                 it('Should call error handler', function(){
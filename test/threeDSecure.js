@@ -0,0 +1,158 @@
+var expect = require('chai').expect;
+var helpers = require('./helpers');
+var mangopay = require('../index');
+
+/**
+ * Answers the GET requests with the given statuses, one per call (the last one is repeated)
+ */
+function respondStatuses(statuses) {
+    var calls = 0;
+    return function (requestConfig) {
+        var status = statuses[Math.min(calls++, statuses.length - 1)];
+        return {
+            status: 200,
+            data: {
+                Id: requestConfig.url.split('/').pop(),
+                Status: status,
+                ResultCode: status === 'FAILED' ? '101399' : null,
+                ResultMessage: status === 'FAILED' ? 'Secure mode: 3DSecure authentication is not available' : null
+            },
+            headers: {}
+        };
+    };
+}
+
+var request = {
+    headers: {
+        'accept': 'text/html,application/xhtml+xml',
+        'accept-language': 'fr-FR,fr;q=0.9,en;q=0.8',
+        'user-agent': 'Mozilla/5.0 (X11; Linux x86_64)',
+        'x-forwarded-for': '203.0.113.7, 10.0.0.1'
+    },
+    socket: {remoteAddress: '::ffff:10.0.0.1'}
+};
+
+describe('3-D Secure', function () {
+    it('should build the BrowserInfo from the request and the browser fields', function () {
+        var api = helpers.getFakeApi();
+        var browserInfo = api.createThreeDSecure().browserInfo(request, {
+            colorDepth: '30',
+            screenHeight: '1080',
+            screenWidth: 1920,
+            TimeZoneOffset: -60,
+            javaEnabled: 'false'
+        });
+
+        expect(browserInfo).to.be.instanceOf(api.models.BrowserInfo);
+        expect(Object.assign({}, browserInfo)).to.deep.equal({
+            AcceptHeader: 'text/html,application/xhtml+xml',
+            UserAgent: 'Mozilla/5.0 (X11; Linux x86_64)',
+            Language: 'fr-FR',
+            JavaEnabled: false,
+            JavascriptEnabled: true,
+            ColorDepth: 24,
+            ScreenHeight: 1080,
+            ScreenWidth: 1920,
+            TimeZoneOffset: '-60'
+        });
+    });
+
+    it('should read the IP address from the socket, or from the trusted proxy', function () {
+        var api = helpers.getFakeApi();
+
+        expect(api.createThreeDSecure().fromRequest(request).IpAddress).to.equal('10.0.0.1');
+        expect(api.createThreeDSecure({trustProxy: true}).ipAddress(request)).to.equal('203.0.113.7');
+        expect(api.createThreeDSecure().fromRequest({headers: {}}).BrowserInfo.JavascriptEnabled).to.be.false;
+    });
+
+    it('should detect the transactions waiting for the authentication', function () {
+        var threeDSecure = helpers.getFakeApi().createThreeDSecure();
+        var redirect = 'https://api.sandbox.mangopay.com/Redirect/ACSWithValidation?token=abc';
+
+        expect(threeDSecure.redirectUrl({
+            Status: 'CREATED',
+            ExecutionDetails: {SecureModeNeeded: true, SecureModeRedirectURL: redirect}
+        })).to.equal(redirect);
+        expect(threeDSecure.isRedirectRequired({Status: 'CREATED', SecureModeNeeded: true, SecureModeRedirectURL: redirect})).to.be.true;
+        expect(threeDSecure.isRedirectRequired({Status: 'CREATED', SecureModeNeeded: false, SecureModeRedirectURL: redirect})).to.be.false;
+        expect(threeDSecure.isRedirectRequired({Status: 'SUCCEEDED', SecureModeNeeded: true, SecureModeRedirectURL: redirect})).to.be.false;
+    });
+
+    it('should re-fetch the pay-in on the return URL until its final status', function () {
+        var api = helpers.getFakeApi();
+        var requests = helpers.useFakeClient(api, respondStatuses(['CREATED', 'SUCCEEDED']));
+
+        return api.createThreeDSecure({interval: 1}).complete({transactionId: 'payin-1'}).then(function (outcome) {
+            expect(outcome.type).to.equal('PAYIN');
+            expect(outcome.status).to.equal('SUCCEEDED');
+            expect(outcome.succeeded).to.be.true;
+            expect(outcome.transaction).to.be.instanceOf(api.models.PayIn);
+            expect(requests).to.have.length(2);
+            expect(requests[0].url).to.match(/\/payins\/payin-1$/);
+        });
+    });
+
+    it('should return the failures of the pre-authorizations and deposits', function () {
+        var api = helpers.getFakeApi();
+        var requests = helpers.useFakeClient(api, respondStatuses(['FAILED']));
+        var threeDSecure = api.createThreeDSecure();
+
+        return threeDSecure.complete({preAuthorizationId: 'preauth-1'}).then(function (outcome) {
+            expect(outcome).to.include({type: 'PREAUTHORIZATION', status: 'FAILED', succeeded: false, resultCode: '101399'});
+            expect(requests[0].url).to.match(/\/preauthorizations\/preauth-1$/);
+            return threeDSecure.complete('deposit-1', 'DEPOSIT');
+        }).then(function (outcome) {
+            expect(outcome.type).to.equal('DEPOSIT');
+            expect(requests[1].url).to.match(/\/deposit-preauthorizations\/deposit-1$/);
+        });
+    });
+
+    it('should re-fetch the card validations with their card', function () {
+        var api = helpers.getFakeApi();
+        var requests = helpers.useFakeClient(api, respondStatuses(['SUCCEEDED']));
+        var threeDSecure = api.createThreeDSecure();
+
+        return threeDSecure.complete({cardId: 'card-1', cardValidationId: 'validation-1'}).then(function (outcome) {
+            expect(outcome).to.include({type: 'CARD_VALIDATION', status: 'SUCCEEDED', succeeded: true});
+            expect(requests[0].url).to.match(/\/cards\/card-1\/validation\/validation-1$/);
+
+            return threeDSecure.complete({cardValidationId: 'validation-1'});
+        }).then(function () {
+            throw new Error('Completion should have failed');
+        }, function (err) {
+            expect(err).to.be.instanceOf(mangopay.ValidationError);
+            expect(err.errors).to.have.property('cardId');
+            expect(requests).to.have.length(1);
+        });
+    });
+
+    it('should return the transactions still processing as PENDING', function () {
+        var api = helpers.getFakeApi();
+        helpers.useFakeClient(api, respondStatuses(['CREATED']));
+
+        return api.createThreeDSecure({interval: 5, timeout: 30}).complete({transactionId: 'payin-1'}).then(function (outcome) {
+            expect(outcome.status).to.equal('PENDING');
+            expect(outcome.transaction.Status).to.equal('CREATED');
+        });
+    });
+
+    it('should reject a return without transaction, or of an unknown type', function () {
+        var api = helpers.getFakeApi();
+        var requests = helpers.useFakeClient(api, respondStatuses(['SUCCEEDED']));
+
+        return api.createThreeDSecure().complete({foo: 'bar'}).then(function () {
+            throw new Error('Completion should have failed');
+        }, function (err) {
+            expect(err).to.be.instanceOf(mangopay.ValidationError);
+            expect(requests).to.have.length(0);
+
+            return api.createThreeDSecure().complete('payin-1', 'constructor');
+        }).then(function () {
+            throw new Error('Completion should have failed');
+        }, function (err) {
+            expect(err).to.be.instanceOf(mangopay.ValidationError);
+            expect(err.errors).to.have.property('type');
+            expect(requests).to.have.length(0);
+        });
+    });
+});
@@ -0,0 +1,241 @@
+var expect = require('chai').expect;
+var sinon = require('sinon');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var mangopay = require('../index');
+var helpers = require('./helpers');
+
+/**
+ * Fakes the API: counts the OAuth requests, and answers the other requests with 401
+ * when they carry the revoked token ('*' revokes all tokens)
+ */
+function useFakeApi(api, options) {
+    var state = {tokenRequests: 0, requests: [], expiresIn: (options && options.expiresIn) || 3600};
+
+    api.client = function (requestConfig) {
+        if (requestConfig.url.indexOf('/oauth/token') !== -1) {
+            state.tokenRequests++;
+            return new Promise(function (resolve) {
+                setImmediate(function () {
+                    resolve({
+                        data: {token_type: 'Bearer', access_token: 'token-' + state.tokenRequests, expires_in: state.expiresIn},
+                        headers: {}
+                    });
+                });
+            });
+        }
+
+        state.requests.push(requestConfig);
+        if (state.revoked === '*' || (state.revoked && requestConfig.headers.Authorization === state.revoked)) {
+            return Promise.reject({
+                message: 'Request failed with status code 401',
+                response: {status: 401, headers: {}, data: {Message: 'Unauthorized'}}
+            });
+        }
+        return Promise.resolve({data: {Id: 'wallet-1'}, headers: {}});
+    };
+
+    return state;
+}
+
+describe('Token manager', function () {
+    describe('Concurrent requests without token', function () {
+        var api = helpers.getFakeApi();
+        var state = useFakeApi(api);
+
+        before(function () {
+            var calls = [];
+            for (var i = 0; i < 5; i++) {
+                calls.push(api.Wallets.get('wallet-1'));
+            }
+            return Promise.all(calls);
+        });
+
+        it('should request a single token', function () {
+            expect(state.tokenRequests).to.equal(1);
+            expect(state.requests.length).to.equal(5);
+            expect(state.requests[4].headers.Authorization).to.equal('Bearer token-1');
+        });
+    });
+
+    describe('Revoked token', function () {
+        var api = helpers.getFakeApi();
+        var state = useFakeApi(api);
+        var wallet;
+
+        before(function () {
+            return api.Wallets.get('wallet-1').then(function () {
+                state.revoked = 'Bearer token-1';
+                return api.Wallets.get('wallet-1');
+            }).then(function (data) {
+                wallet = data;
+            });
+        });
+
+        it('should re-authenticate and retry once', function () {
+            expect(wallet.Id).to.equal('wallet-1');
+            expect(state.tokenRequests).to.equal(2);
+            expect(state.requests.length).to.equal(3);
+            expect(state.requests[2].headers.Authorization).to.equal('Bearer token-2');
+        });
+
+        it('should not retry more than once', function () {
+            state.revoked = '*';
+
+            return api.Wallets.get('wallet-1').then(function () {
+                throw new Error('Request should have failed');
+            }, function (err) {
+                expect(err).to.be.instanceOf(mangopay.AuthenticationError);
+                expect(state.tokenRequests).to.equal(3);
+                expect(state.requests.length).to.equal(5);
+            });
+        });
+    });
+
+    describe('Shared token store', function () {
+        var store = new mangopay.MemoryTokenStore();
+        var worker1 = helpers.getFakeApi({tokenStore: store});
+        var worker2 = helpers.getFakeApi({tokenStore: store});
+        var state1 = useFakeApi(worker1);
+        var state2 = useFakeApi(worker2);
+
+        before(function () {
+            return worker1.Wallets.get('wallet-1').then(function () {
+                return worker2.Wallets.get('wallet-1');
+            });
+        });
+
+        it('should reuse the token saved by another instance', function () {
+            expect(state1.tokenRequests).to.equal(1);
+            expect(state2.tokenRequests).to.equal(0);
+            expect(state2.requests[0].headers.Authorization).to.equal('Bearer token-1');
+        });
+    });
+
+    describe('File token store', function () {
+        var filePath = path.join(os.tmpdir(), 'mangopay-token-' + process.pid + '.json');
+        var store = new mangopay.FileTokenStore(filePath);
+
+        after(function () {
+            fs.unlinkSync(filePath);
+        });
+
+        it('should save and read tokens', function () {
+            var token = {token_type: 'Bearer', access_token: 'file-token', expires_at: Date.now() + 3600000};
+
+            return store.set('key', token).then(function () {
+                return new mangopay.FileTokenStore(filePath).get('key');
+            }).then(function (stored) {
+                expect(stored).to.deep.equal(token);
+            });
+        });
+    });
+
+    describe('Redis token store', function () {
+        it('should use the client get and set commands with a TTL', function () {
+            var commands = [];
+            var client = {
+                get: function (key) {
+                    commands.push(['get', key]);
+                    return Promise.resolve(null);
+                },
+                set: function () {
+                    commands.push(['set'].concat(Array.prototype.slice.call(arguments)));
+                    return Promise.resolve('OK');
+                }
+            };
+            var api = helpers.getFakeApi({tokenStore: new mangopay.RedisTokenStore(client)});
+            useFakeApi(api);
+
+            return api.Wallets.get('wallet-1').then(function () {
+                expect(commands[0]).to.deep.equal(['get', 'mangopay:token:fake-client@https://api.sandbox.mangopay.com']);
+                expect(commands[1][3]).to.equal('PX');
+                expect(commands[1][4]).to.be.within(3590000, 3600000);
+            });
+        });
+    });
+
+    describe('Proactive refresh', function () {
+        var clock;
+        var api;
+        var state;
+
+        before(function () {
+            clock = sinon.useFakeTimers({now: Date.now(), toFake: ['setTimeout', 'clearTimeout', 'Date']});
+            api = helpers.getFakeApi({tokenRefreshThreshold: 1000});
+            state = useFakeApi(api, {expiresIn: 10});
+            return api.authorize();
+        });
+
+        after(function () {
+            clock.restore();
+            api.tokenManager.stop();
+        });
+
+        it('should refresh the token before it expires', function (done) {
+            clock.tick(8000);
+
+            setImmediate(function () {
+                setImmediate(function () {
+                    expect(state.tokenRequests).to.equal(2);
+                    expect(api.requestOptions.headers.Authorization).to.equal('Bearer token-2');
+                    expect(api.isExpired()).to.be.false;
+                    done();
+                });
+            });
+        });
+    });
+
+    describe('Proactive refresh with a shared store', function () {
+        var clock;
+        var store;
+        var api;
+        var state;
+
+        before(function () {
+            clock = sinon.useFakeTimers({now: Date.now(), toFake: ['setTimeout', 'clearTimeout', 'Date']});
+            store = new mangopay.MemoryTokenStore();
+            api = helpers.getFakeApi({tokenRefreshThreshold: 1000, tokenStore: store});
+            state = useFakeApi(api, {expiresIn: 10});
+            return api.authorize();
+        });
+
+        after(function () {
+            clock.restore();
+            api.tokenManager.stop();
+        });
+
+        it('should reuse the token renewed by another instance', function (done) {
+            store.set(api.tokenManager.key, {
+                token_type: 'Bearer',
+                access_token: 'token-other',
+                expires_in: 3600,
+                expires_at: Date.now() + 3600000
+            });
+            clock.tick(8000);
+
+            setImmediate(function () {
+                setImmediate(function () {
+                    expect(state.tokenRequests).to.equal(1);
+                    expect(api.requestOptions.headers.Authorization).to.equal('Bearer token-other');
+                    done();
+                });
+            });
+        });
+
+        it('should save the token it renews', function (done) {
+            clock.tick(3600000 - 2000);
+
+            setImmediate(function () {
+                setImmediate(function () {
+                    setImmediate(function () {
+                        expect(state.tokenRequests).to.equal(2);
+                        expect(store.get(api.tokenManager.key).access_token).to.equal('token-2');
+                        done();
+                    });
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,208 @@
+var expect = require('chai').expect;
+var helpers = require('./helpers');
+var mangopay = require('../index');
+
+function uboData(firstName, overrides) {
+    return Object.assign({
+        FirstName: firstName,
+        LastName: 'Doe',
+        Address: {AddressLine1: '4101 Reservoir Rd NW', City: 'Washington', PostalCode: '20007', Country: 'US'},
+        Nationality: 'FR',
+        Birthday: 188301600,
+        Birthplace: {City: 'Paris', Country: 'FR'}
+    }, overrides);
+}
+
+/**
+ * Fake API keeping the UBO declarations of a user
+ */
+function fakeUboApi(api, declarations) {
+    var fake = {declarations: declarations || [], calls: [], sent: []};
+
+    function find(id) {
+        return fake.declarations.filter(function (declaration) {
+            return declaration.Id === id;
+        })[0];
+    }
+
+    helpers.useFakeClient(api, function (requestConfig) {
+        var url = requestConfig.url.replace(/^.*\/fake-client/, '');
+        var method = requestConfig.method.toUpperCase();
+        var data = requestConfig.data && JSON.parse(JSON.stringify(requestConfig.data));
+        var match;
+
+        fake.calls.push(method + ' ' + url);
+        fake.sent.push(data);
+
+        if (url === '/users/legal-1/kyc/ubodeclarations') {
+            if (method === 'POST') {
+                var created = {Id: 'declaration-' + (fake.declarations.length + 1), Status: 'CREATED', Ubos: []};
+                fake.declarations.push(created);
+                return {status: 200, data: created, headers: {}};
+            }
+            return {status: 200, data: fake.declarations.slice().reverse(), headers: {}};
+        }
+        if ((match = url.match(/^\/kyc\/ubodeclarations\/([\w-]+)$/))) {
+            return {status: 200, data: find(match[1]), headers: {}};
+        }
+        if ((match = url.match(/^\/users\/legal-1\/kyc\/ubodeclarations\/([\w-]+)\/ubos$/))) {
+            var declaration = find(match[1]);
+            var ubo = Object.assign({Id: 'ubo-' + (declaration.Ubos.length + 1), IsActive: true}, data);
+            declaration.Ubos.push(ubo);
+            return {status: 200, data: ubo, headers: {}};
+        }
+        if ((match = url.match(/^\/users\/legal-1\/kyc\/ubodeclarations\/([\w-]+)\/ubos\/([\w-]+)$/))) {
+            var updated = find(match[1]).Ubos.filter(function (ubo) {
+                return ubo.Id === match[2];
+            })[0];
+            return {status: 200, data: Object.assign(updated, data), headers: {}};
+        }
+        if ((match = url.match(/^\/users\/legal-1\/kyc\/ubodeclarations\/([\w-]+)$/))) {
+            return {status: 200, data: Object.assign(find(match[1]), {Status: data.Status}), headers: {}};
+        }
+        throw new Error('Unexpected request ' + method + ' ' + url);
+    });
+
+    return fake;
+}
+
+describe('UBO declaration builder', function () {
+    it('should have no default values in the Ubo model', function () {
+        var api = helpers.getFakeApi();
+        var ubo = new api.models.Ubo({FirstName: 'John'});
+
+        expect(ubo.LastName).to.be.undefined;
+        expect(ubo.Address).to.be.undefined;
+        expect(new api.models.Ubo(uboData('John')).Birthplace).to.be.instanceOf(api.models.Birthplace);
+    });
+
+    it('should validate the UBOs and their number before any call', function () {
+        var api = helpers.getFakeApi();
+        var fake = fakeUboApi(api);
+        var builder = api.createUboDeclarationBuilder('legal-1');
+
+        builder
+            .add(uboData('John', {Nationality: 'France', Birthplace: {City: 'Paris'}}))
+            .add(uboData('Jane', {Address: {AddressLine1: '1 rue de Rivoli', Country: 'FR'}}))
+            .add(uboData('Jim'))
+            .add(uboData('Joe'))
+            .add(uboData('Jack'));
+
+        var errors = builder.validate();
+        expect(errors).to.deep.equal({
+            'Ubos': 'The declaration cannot hold more than 4 UBOs.',
+            'Ubos[0].Nationality': 'The Nationality field must be an ISO 3166-1 alpha-2 country code.',
+            'Ubos[0].Birthplace': 'The Birthplace field needs Country.',
+            'Ubos[1].Address': 'The Address field needs City, PostalCode.'
+        });
+
+        return builder.save().then(function () {
+            throw new Error('Expected a failure');
+        }, function (err) {
+            expect(err).to.be.instanceOf(mangopay.ValidationError);
+            expect(err.errors).to.deep.equal(errors);
+            expect(fake.calls).to.have.length(0);
+        });
+    });
+
+    it('should create a declaration and its UBOs, then submit it', function () {
+        var api = helpers.getFakeApi();
+        var fake = fakeUboApi(api, [{Id: 'declaration-0', Status: 'REFUSED', Ubos: []}]);
+
+        return api.createUboDeclarationBuilder('legal-1')
+            .add(uboData('John'))
+            .add(uboData('Jane'))
+            .submit()
+            .then(function (declaration) {
+                expect(declaration.Status).to.equal('VALIDATION_ASKED');
+                expect(declaration.Ubos).to.have.length(2);
+                expect(fake.calls).to.deep.equal([
+                    'GET /users/legal-1/kyc/ubodeclarations',
+                    'POST /users/legal-1/kyc/ubodeclarations',
+                    'POST /users/legal-1/kyc/ubodeclarations/declaration-2/ubos',
+                    'POST /users/legal-1/kyc/ubodeclarations/declaration-2/ubos',
+                    'GET /kyc/ubodeclarations/declaration-2',
+                    'PUT /users/legal-1/kyc/ubodeclarations/declaration-2'
+                ]);
+            });
+    });
+
+    it('should only send the changes to the current declaration', function () {
+        var api = helpers.getFakeApi();
+        var fake = fakeUboApi(api, [{
+            Id: 'declaration-1',
+            Status: 'INCOMPLETE',
+            Ubos: [
+                Object.assign({Id: 'ubo-1', IsActive: true}, uboData('John')),
+                Object.assign({Id: 'ubo-2', IsActive: true}, uboData('Jane')),
+                Object.assign({Id: 'ubo-3', IsActive: true}, uboData('Jim')),
+                Object.assign({Id: 'ubo-4', IsActive: false}, uboData('Joe'))
+            ]
+        }]);
+        var builder = api.createUboDeclarationBuilder('legal-1')
+            .add(uboData(' john '))
+            .add({Id: 'ubo-2', FirstName: 'Jane', LastName: 'Smith', Address: uboData().Address, Nationality: 'FR',
+                Birthday: 188301600, Birthplace: {City: 'Paris', Country: 'FR'}})
+            .add(uboData('Joe'));
+
+        expect(builder.diff(fake.declarations[0])).to.deep.equal({
+            create: [uboData('Joe')],
+            update: [{Id: 'ubo-1', FirstName: ' john '}, {Id: 'ubo-2', LastName: 'Smith'}],
+            deactivate: ['ubo-3']
+        });
+
+        return builder.save().then(function (result) {
+            expect(result.created).to.have.length(1);
+            expect(result.updated).to.have.length(2);
+            expect(result.deactivated[0]).to.include({Id: 'ubo-3', IsActive: false});
+            expect(fake.calls.slice(1, 5)).to.deep.equal([
+                'PUT /users/legal-1/kyc/ubodeclarations/declaration-1/ubos/ubo-3',
+                'PUT /users/legal-1/kyc/ubodeclarations/declaration-1/ubos/ubo-1',
+                'PUT /users/legal-1/kyc/ubodeclarations/declaration-1/ubos/ubo-2',
+                'POST /users/legal-1/kyc/ubodeclarations/declaration-1/ubos'
+            ]);
+            expect(fake.sent[3]).to.deep.equal({Id: 'ubo-2', LastName: 'Smith'});
+
+            // Nothing left to change
+            var calls = fake.calls.length;
+            return builder.save().then(function (result) {
+                expect(result.declaration.Id).to.equal('declaration-1');
+                expect(fake.calls.slice(calls)).to.deep.equal(['GET /kyc/ubodeclarations/declaration-1']);
+            });
+        });
+    });
+
+    it('should not edit a declaration being validated', function () {
+        var api = helpers.getFakeApi();
+        var fake = fakeUboApi(api, [{Id: 'declaration-1', Status: 'VALIDATION_ASKED', Ubos: []}]);
+
+        return api.createUboDeclarationBuilder('legal-1').add(uboData('John')).save().then(function () {
+            throw new Error('Expected a failure');
+        }, function (err) {
+            expect(err).to.be.instanceOf(mangopay.ValidationError);
+            expect(err.message).to.match(/being validated/);
+            expect(fake.calls).to.have.length(1);
+        });
+    });
+
+    it('should explain the refusals', function () {
+        var explanations = mangopay.UboDeclarationBuilder.explain({
+            Status: 'REFUSED',
+            Reason: 'MISSING_UBO',
+            Message: 'The majority shareholder is missing',
+            Ubos: [{Id: 'ubo-1'}, {Id: 'ubo-2', RefusedReasonType: 'INVALID_UBO_DETAILS', RefusedReasonMessage: 'Wrong birth date'}]
+        });
+
+        expect(explanations).to.deep.equal([{
+            reasonType: 'MISSING_UBO',
+            message: 'The majority shareholder is missing',
+            hint: mangopay.UboDeclarationBuilder.DECLARATION_REFUSED_REASONS.MISSING_UBO,
+            uboId: null
+        }, {
+            reasonType: 'INVALID_UBO_DETAILS',
+            message: 'Wrong birth date',
+            hint: mangopay.UboDeclarationBuilder.UBO_REFUSED_REASONS.INVALID_UBO_DETAILS,
+            uboId: 'ubo-2'
+        }]);
+    });
+});
@@ -0,0 +1,188 @@
+var fs = require('fs');
+var path = require('path');
+var stream = require('stream');
+var expect = require('chai').expect;
+var helpers = require('./helpers');
+var mangopay = require('../index');
+var uploads = require('../lib/uploads');
+
+var KYC_PAGE = path.join(__dirname, 'TestKycPageFile.png');
+
+/**
+ * Content of a file of a format, padded to size bytes
+ */
+function fileOf(type, size, text) {
+    var content = Buffer.alloc(size || 64);
+    Buffer.from(uploads.FORMATS[type]).copy(content);
+    content.write(text || '', 16);
+    return content;
+}
+
+/**
+ * Answers the page and logo uploads, recording the base64 files
+ */
+function recordUploads(api) {
+    var files = [];
+    var requests = helpers.useFakeClient(api, function (requestConfig) {
+        files.push(requestConfig.data.File);
+        return {status: 204, data: '', headers: {}};
+    });
+
+    return {files: files, requests: requests};
+}
+
+function expectRejection(promise) {
+    return promise.then(function () {
+        throw new Error('Expected a failure');
+    }, function (err) {
+        return err;
+    });
+}
+
+describe('Uploads', function () {
+    it('should recognise the formats from the content', function () {
+        expect(uploads.detectType(fs.readFileSync(KYC_PAGE))).to.equal('image/png');
+        expect(uploads.detectType(Buffer.from('%PDF-1.7\n'))).to.equal('application/pdf');
+        expect(uploads.detectType(fileOf('image/jpeg'))).to.equal('image/jpeg');
+        expect(uploads.detectType(Buffer.from('GIF89a'))).to.equal('image/gif');
+        expect(uploads.detectType(Buffer.from('<html>'))).to.be.null;
+        expect(uploads.detectType(Buffer.alloc(0))).to.be.null;
+    });
+
+    it('should upload the KYC pages from a path, a Buffer or a stream', function () {
+        var api = helpers.getFakeApi();
+        var recorded = recordUploads(api);
+        var expected = fs.readFileSync(KYC_PAGE).toString('base64');
+
+        return api.Users.createKycPageFromFile('user-1', 'document-1', KYC_PAGE).then(function () {
+            return api.Users.createKycPageFromFile('user-1', 'document-1', fs.readFileSync(KYC_PAGE));
+        }).then(function () {
+            return api.Users.createKycPageFromFile('user-1', 'document-1', fs.createReadStream(KYC_PAGE, {highWaterMark: 4096}));
+        }).then(function () {
+            expect(recorded.files).to.deep.equal([expected, expected, expected]);
+            expect(recorded.requests[0].url).to.match(/\/users\/user-1\/KYC\/documents\/document-1\/pages$/);
+        });
+    });
+
+    it('should refuse the files the API would refuse, without uploading them', function () {
+        var errors = [];
+        var api = helpers.getFakeApi({
+            errorHandler: function (message) {
+                errors.push(message);
+            }
+        });
+        var recorded = recordUploads(api);
+
+        return Promise.all([
+            expectRejection(api.Users.createKycPageFromFile('user-1', 'document-1', '')),
+            expectRejection(api.Users.createKycPageFromFile('user-1', 'document-1', path.join(__dirname, 'missing.png'))),
+            expectRejection(api.Users.createKycPageFromFile('user-1', 'document-1', Buffer.from('<html>' + 'x'.repeat(40000)))),
+            expectRejection(api.Users.createKycPageFromFile('user-1', 'document-1', fileOf('image/png', 1024))),
+            expectRejection(api.Clients.uploadLogoFromFile(fileOf('application/pdf'))),
+            expectRejection(api.Disputes.createDisputeDocumentPageFromFile('dispute-1', 'document-1', Buffer.alloc(0)))
+        ]).then(function (rejections) {
+            rejections.forEach(function (err) {
+                expect(err).to.be.instanceOf(mangopay.ValidationError);
+            });
+            expect(rejections[1].errors.File).to.equal('File does not exist');
+            expect(errors).to.have.length(6);
+            expect(rejections.map(function (err) {
+                return err.message;
+            })).to.deep.equal([
+                'File path cannot be empty',
+                'File does not exist',
+                'Unsupported file type unknown, expected one of application/pdf, image/jpeg, image/png, image/gif',
+                'The file is too small (1024 bytes), the minimum is 32768 bytes',
+                'Unsupported file type application/pdf, expected one of image/jpeg, image/png, image/gif',
+                'Content of the file cannot be empty'
+            ]);
+            expect(recorded.requests).to.have.length(0);
+        });
+    });
+
+    it('should stop reading the streams over the size limit', function () {
+        var read = 0;
+        var source = new stream.Readable({
+            read: function () {
+                read++;
+                this.push(read > 100 ? null : fileOf('image/png', 1024));
+            }
+        });
+
+        return expectRejection(uploads.read(helpers.getFakeApi(), source, {minSize: 1, maxSize: 4096, types: ['image/png']})).then(function (err) {
+            expect(err.message).to.match(/too large, the maximum is 4096 bytes/);
+            expect(source.destroyed).to.be.true;
+            expect(read).to.be.below(10);
+        });
+    });
+
+    it('should upload one page per file, then one per PDF page', function () {
+        var api = helpers.getFakeApi();
+        var recorded = recordUploads(api);
+        var pdf = fileOf('application/pdf', 64, 'pages 2 and 3');
+        var callbacks = [];
+
+        return api.Disputes.createDisputeDocumentPagesFromFiles('dispute-1', 'document-1', [
+            fileOf('image/jpeg', 64, 'page 1'),
+            pdf
+        ], function (responses) {
+            callbacks.push(responses);
+        }, {
+            splitPdf: function (content) {
+                expect(content).to.deep.equal(pdf);
+                return Promise.resolve([fileOf('application/pdf', 64, 'page 2'), fileOf('application/pdf', 64, 'page 3')]);
+            }
+        }).then(function (responses) {
+            expect(responses).to.have.length(3);
+            expect(callbacks).to.deep.equal([responses]);
+            expect(recorded.files.map(function (file) {
+                return Buffer.from(file, 'base64').toString('utf8', 16).replace(/\0+$/, '');
+            })).to.deep.equal(['page 1', 'page 2', 'page 3']);
+            expect(recorded.requests[0].headers).not.to.have.property('splitPdf');
+
+            return api.Users.createKycPagesFromFiles('user-1', 'document-1', [pdf.toString('hex')]);
+        }).then(function () {
+            throw new Error('Expected a failure');
+        }, function (err) {
+            expect(err).to.be.instanceOf(mangopay.ValidationError);
+            expect(recorded.files).to.have.length(3);
+        });
+    });
+
+    it('should send the single-page PDFs whole without a splitter', function () {
+        var api = helpers.getFakeApi();
+        var recorded = recordUploads(api);
+        var pdf = fileOf('application/pdf', 40 * 1024, '1 0 obj << /Type /Pages /Kids [2 0 R] /Count 1 >> 2 0 obj << /Type /Page >>');
+
+        return api.Users.createKycPagesFromFiles('user-1', 'document-1', [pdf, KYC_PAGE]).then(function (responses) {
+            expect(responses).to.have.length(2);
+            expect(recorded.files[0]).to.equal(pdf.toString('base64'));
+        });
+    });
+
+    it('should refuse the other PDFs without a splitter', function () {
+        var messages = [];
+        var api = helpers.getFakeApi({
+            errorHandler: function (message) {
+                messages.push(message);
+            }
+        });
+        var recorded = recordUploads(api);
+        var twoPages = fileOf('application/pdf', 40 * 1024, '<< /Type /Pages /Count 2 >> << /Type/Page >> << /Type /Page >>');
+        var compressed = fileOf('application/pdf', 40 * 1024, '<< /Type /ObjStm /N 3 >>');
+
+        expect(uploads.countPdfPages(twoPages)).to.equal(2);
+
+        return expectRejection(api.Users.createKycPagesFromFiles('user-1', 'document-1', [KYC_PAGE, twoPages])).then(function (err) {
+            expect(err).to.be.instanceOf(mangopay.ValidationError);
+            return expectRejection(api.Users.createKycPagesFromFiles('user-1', 'document-1', compressed));
+        }).then(function (err) {
+            expect(err).to.be.instanceOf(mangopay.ValidationError);
+            expect(messages).to.deep.equal([
+                'The PDF has 2 pages, give the splitPdf option to upload it one page at a time',
+                'Cannot count the pages of the PDF, give the splitPdf option to upload it one page at a time'
+            ]);
+            expect(recorded.files).to.have.length(0);
+        });
+    });
+});
@@ -0,0 +1,178 @@
+var expect = require('chai').expect;
+var helpers = require('./helpers');
+var mangopay = require('../index');
+var Transfer = require('../lib/models/Transfer');
+var UserNatural = require('../lib/models/UserNatural');
+var BankAccount = require('../lib/models/BankAccount');
+var BankAccountDetailsIBAN = require('../lib/models/BankAccountDetailsIBAN');
+
+function respond(requestConfig) {
+    return {data: Object.assign({Id: 'resource-1'}, requestConfig.data), headers: {}};
+}
+
+function transfer(properties) {
+    return Object.assign({
+        AuthorId: 'user-1',
+        DebitedFunds: {Amount: 1000, Currency: 'EUR'},
+        Fees: {Amount: 10, Currency: 'EUR'},
+        DebitedWalletId: 'wallet-1',
+        CreditedWalletId: 'wallet-2'
+    }, properties);
+}
+
+/**
+ * Expects the promise to be rejected with a ValidationError, and returns its errors
+ */
+function expectInvalid(promise) {
+    return promise.then(function () {
+        throw new Error('Request should have been refused');
+    }, function (err) {
+        expect(err).to.be.instanceOf(mangopay.ValidationError);
+        expect(err.Type).to.equal('param_error');
+        return err.errors;
+    });
+}
+
+describe('Validation', function () {
+    describe('Models', function () {
+        it('should list the invalid fields of a model', function () {
+            var errors = new Transfer(transfer({CreditedWalletId: null, Tag: 42})).validate({creation: true});
+
+            expect(errors).to.deep.equal({
+                CreditedWalletId: 'The CreditedWalletId field is required.',
+                Tag: 'The Tag field must be a string.'
+            });
+        });
+
+        it('should only check the required fields on creation', function () {
+            var model = new Transfer({Tag: 'updated'});
+
+            expect(model.validate()).to.deep.equal({});
+            expect(model.validate({creation: true})).to.have.keys(
+                'AuthorId', 'DebitedFunds', 'Fees', 'DebitedWalletId', 'CreditedWalletId'
+            );
+        });
+
+        it('should check the sub-objects and the details', function () {
+            var bankAccount = new BankAccount({
+                Type: 'IBAN',
+                OwnerName: 'John Doe',
+                OwnerAddress: {AddressLine1: '1 rue des Fleurs', City: 'Paris', Country: 'France'},
+                Details: new BankAccountDetailsIBAN({IBAN: 'FR7630004000031234567890144', BIC: 'BNPAFRPP'})
+            });
+
+            expect(bankAccount.validate({creation: true})).to.deep.equal({
+                'OwnerAddress.Country': 'The Country field must be an ISO 3166-1 alpha-2 country code.',
+                IBAN: 'The IBAN field is not a valid IBAN.'
+            });
+        });
+    });
+
+    describe('Requests', function () {
+        it('should refuse the request before sending it, and list all the problems', function () {
+            var api = helpers.getFakeApi({validate: true});
+            var requests = helpers.useFakeClient(api, respond);
+
+            return expectInvalid(api.Transfers.create(transfer({
+                CreditedWalletId: undefined,
+                DebitedFunds: {Amount: 1000, Currency: 'EURO'},
+                Fees: {Amount: 10, Currency: 'USD'}
+            }))).then(function (errors) {
+                expect(errors).to.deep.equal({
+                    CreditedWalletId: 'The CreditedWalletId field is required.',
+                    Fees: 'The Fees field must have the currency of DebitedFunds.',
+                    'DebitedFunds.Currency': 'The Currency field must be an ISO 4217 currency code.'
+                });
+                expect(requests).to.have.length(0);
+            });
+        });
+
+        it('should check the details given flat', function () {
+            var api = helpers.getFakeApi({validate: true});
+            var requests = helpers.useFakeClient(api, respond);
+
+            return expectInvalid(api.Users.createBankAccount('user-1', {
+                Type: 'IBAN',
+                OwnerName: 'John Doe',
+                OwnerAddress: {AddressLine1: '1 rue des Fleurs', City: 'Paris', Country: 'FR'},
+                IBAN: 'FR76 3000 4000 0312 3456 7890 143',
+                BIC: 'bnpafrpp'
+            })).then(function (errors) {
+                expect(errors).to.deep.equal({BIC: 'The BIC field is not a valid BIC.'});
+                expect(requests).to.have.length(0);
+            });
+        });
+
+        it('should check the types of the user fields', function () {
+            var api = helpers.getFakeApi({validate: true});
+            helpers.useFakeClient(api, respond);
+
+            return expectInvalid(api.Users.create(new UserNatural({
+                FirstName: 'John',
+                LastName: 'Doe',
+                Email: 'john.doe@sample',
+                Birthday: '1990-01-01',
+                Nationality: 'FR',
+                CountryOfResidence: 'FR'
+            }))).then(function (errors) {
+                expect(errors).to.deep.equal({
+                    Email: 'The Email field is not a valid email address.',
+                    Birthday: 'The Birthday field must be a unix timestamp (integer, in seconds).'
+                });
+            });
+        });
+
+        it('should call the callback with the error', function (done) {
+            var api = helpers.getFakeApi({validate: true});
+            helpers.useFakeClient(api, respond);
+
+            api.Transfers.create(transfer({AuthorId: null}), function (err, response) {
+                expect(err).to.be.instanceOf(mangopay.ValidationError);
+                expect(err.errors).to.have.keys('AuthorId');
+                expect(response).to.be.null;
+                done();
+            }).catch(function () {});
+        });
+
+        it('should send the valid requests', function () {
+            var api = helpers.getFakeApi({validate: true});
+            var requests = helpers.useFakeClient(api, respond);
+
+            return api.Transfers.create(transfer()).then(function (data) {
+                expect(data.Id).to.equal('resource-1');
+                expect(requests).to.have.length(1);
+            });
+        });
+
+        it('should not check the required fields of the updates', function () {
+            var api = helpers.getFakeApi({validate: true});
+            var requests = helpers.useFakeClient(api, respond);
+
+            return api.Wallets.update({Id: 'wallet-1', Description: 'Renamed'}).then(function () {
+                expect(requests).to.have.length(1);
+            });
+        });
+
+        it('should not check the requests by default, unless asked per request', function () {
+            var api = helpers.getFakeApi();
+            var requests = helpers.useFakeClient(api, respond);
+
+            return api.Transfers.create(transfer({AuthorId: null})).then(function () {
+                expect(requests).to.have.length(1);
+                return expectInvalid(api.Transfers.create(transfer({AuthorId: null}), {validate: true}));
+            }).then(function (errors) {
+                expect(errors).to.have.keys('AuthorId');
+                expect(requests).to.have.length(1);
+            });
+        });
+
+        it('should skip the check when disabled per request', function () {
+            var api = helpers.getFakeApi({validate: true});
+            var requests = helpers.useFakeClient(api, respond);
+
+            return api.Transfers.create(transfer({AuthorId: null}), {validate: false}).then(function () {
+                expect(requests).to.have.length(1);
+            });
+        });
+    });
+});
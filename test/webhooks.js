@@ -0,0 +1,207 @@
+var expect = require('chai').expect;
+var http = require('http');
+var helpers = require('./helpers');
+var mangopay = require('../index');
+var PayIn = require('../lib/models/PayIn');
+
+/**
+ * Fakes the API: pay-in payin-1 exists, every other resource is unknown
+ */
+function respondPayIn(requestConfig) {
+    if (/\/payins\/payin-1$/.test(requestConfig.url)) {
+        return {data: {Id: 'payin-1', Status: 'SUCCEEDED', PaymentType: 'CARD', ExecutionType: 'DIRECT'}, headers: {}};
+    }
+    if (/\/payins\/payin-2$/.test(requestConfig.url)) {
+        return {data: {Id: 'payin-2', Status: 'CREATED', PaymentType: 'CARD', ExecutionType: 'WEB'}, headers: {}};
+    }
+    if (/\/KYC\/documents\/kyc-1$/.test(requestConfig.url)) {
+        return {data: {Id: 'kyc-1', Status: 'OUT_OF_DATE', Type: 'IDENTITY_PROOF'}, headers: {}};
+    }
+    return Promise.reject({
+        message: 'Request failed with status code 404',
+        response: {status: 404, headers: {}, data: {Message: 'Not found', Type: 'ressource_not_found'}}
+    });
+}
+
+function request(port, path) {
+    return new Promise(function (resolve, reject) {
+        http.get({port: port, path: path}, function (res) {
+            res.resume();
+            res.on('end', function () {
+                resolve(res.statusCode);
+            });
+        }).on('error', reject);
+    });
+}
+
+describe('Webhooks', function () {
+    var api = helpers.getFakeApi();
+    var requests;
+
+    beforeEach(function () {
+        requests = helpers.useFakeClient(api, respondPayIn);
+    });
+
+    describe('Dispatching', function () {
+        var received = [];
+        var handler = api.createWebhookHandler()
+            .on('PAYIN_NORMAL_SUCCEEDED', function (event) {
+                received.push(event);
+            })
+            .on(['PAYIN_NORMAL_FAILED', 'PAYOUT_NORMAL_FAILED'], function (event) {
+                received.push(event);
+            });
+
+        it('should verify the resource before invoking the handler', function () {
+            return handler.handle({EventType: 'PAYIN_NORMAL_SUCCEEDED', RessourceId: 'payin-1', Date: '1700000000'})
+                .then(function (event) {
+                    expect(event.handled).to.be.true;
+                    expect(received.length).to.equal(1);
+                    expect(received[0].verified).to.be.true;
+                    expect(received[0].Date).to.equal(1700000000);
+                    expect(received[0].resource).to.be.instanceOf(PayIn);
+                    expect(received[0].resource.Status).to.equal('SUCCEEDED');
+                    expect(requests[0].url).to.equal('/v2.01/fake-client/payins/payin-1');
+                });
+        });
+
+        it('should not invoke the handler for a forged resource', function () {
+            received = [];
+            return handler.handle({EventType: 'PAYIN_NORMAL_FAILED', RessourceId: 'forged', Date: '1700000000'})
+                .then(function () {
+                    throw new Error('Notification should have been refused');
+                }, function (err) {
+                    expect(err).to.be.instanceOf(mangopay.NotFoundError);
+                    expect(received).to.be.empty;
+                });
+        });
+
+        it('should not invoke the handler when the status of the resource does not match the event', function () {
+            received = [];
+            return handler.handle({EventType: 'PAYIN_NORMAL_FAILED', RessourceId: 'payin-1', Date: '1700000000'})
+                .then(function () {
+                    throw new Error('Notification should have been refused');
+                }, function (err) {
+                    expect(err).to.be.instanceOf(mangopay.ValidationError);
+                    expect(err.errors).to.have.property('EventType');
+                    expect(received).to.be.empty;
+                });
+        });
+
+        it('should accept the processing statuses and the resources that have moved on', function () {
+            var events = [];
+            var moving = api.createWebhookHandler().on('*', function (event) {
+                events.push(event.EventType + ' ' + event.resource.Status);
+            });
+
+            return moving.handle({EventType: 'PAYIN_NORMAL_PROCESSING_STATUS_PENDING_SUCCEEDED', RessourceId: 'payin-2', Date: '1700000000'})
+                .then(function () {
+                    return moving.handle({EventType: 'KYC_SUCCEEDED', RessourceId: 'kyc-1', Date: '1700000000'});
+                })
+                .then(function () {
+                    expect(events).to.deep.equal([
+                        'PAYIN_NORMAL_PROCESSING_STATUS_PENDING_SUCCEEDED CREATED',
+                        'KYC_SUCCEEDED OUT_OF_DATE'
+                    ]);
+                });
+        });
+
+        it('should ignore event types without handler', function () {
+            return handler.handle({EventType: 'KYC_SUCCEEDED', RessourceId: 'kyc-1', Date: '1700000000'})
+                .then(function (event) {
+                    expect(event.handled).to.be.false;
+                    expect(requests).to.be.empty;
+                });
+        });
+
+        it('should refuse invalid notifications', function () {
+            return handler.handle({RessourceId: 'payin-1'}).then(function () {
+                throw new Error('Notification should have been refused');
+            }, function (err) {
+                expect(err).to.be.instanceOf(mangopay.ValidationError);
+                expect(err.errors).to.have.property('EventType');
+            });
+        });
+    });
+
+    describe('Without verification', function () {
+        it('should invoke the handler without fetching the resource', function () {
+            var received;
+            var handler = api.createWebhookHandler({verify: false}).on('*', function (event) {
+                received = event;
+            });
+
+            return handler.handle({EventType: 'CARD_VALIDATION_SUCCEEDED', RessourceId: 'validation-1', Date: '1700000000'})
+                .then(function () {
+                    expect(received.verified).to.be.false;
+                    expect(received.ResourceId).to.equal('validation-1');
+                    expect(requests).to.be.empty;
+                });
+        });
+    });
+
+    describe('Http listener', function () {
+        var server;
+        var port;
+        var handler = new mangopay.WebhookHandler(api).on('PAYIN_NORMAL_SUCCEEDED', function () {});
+
+        before(function (done) {
+            server = http.createServer(handler.listener()).listen(0, function () {
+                port = server.address().port;
+                done();
+            });
+        });
+
+        after(function (done) {
+            server.close(done);
+        });
+
+        it('should answer 200 for a handled notification', function () {
+            return request(port, '/hooks?EventType=PAYIN_NORMAL_SUCCEEDED&RessourceId=payin-1&Date=1700000000')
+                .then(function (status) {
+                    expect(status).to.equal(200);
+                });
+        });
+
+        it('should answer 404 for a forged notification', function () {
+            return request(port, '/hooks?EventType=PAYIN_NORMAL_SUCCEEDED&RessourceId=forged&Date=1700000000')
+                .then(function (status) {
+                    expect(status).to.equal(404);
+                });
+        });
+
+        it('should answer 400 for an invalid notification', function () {
+            return request(port, '/hooks?Date=1700000000').then(function (status) {
+                expect(status).to.equal(400);
+            });
+        });
+
+        it('should answer 400 for a malformed url', function () {
+            return request(port, '//').then(function (status) {
+                expect(status).to.equal(400);
+            });
+        });
+    });
+
+    describe('Framework adapters', function () {
+        var failure = new Error('Handler failure');
+        var handler = api.createWebhookHandler().on('PAYIN_NORMAL_SUCCEEDED', function () {
+            throw failure;
+        });
+
+        it('should pass handler failures to the express next function', function (done) {
+            var req = {query: {EventType: 'PAYIN_NORMAL_SUCCEEDED', RessourceId: 'payin-1', Date: '1700000000'}};
+            handler.express()(req, {}, function (err) {
+                expect(err).to.equal(failure);
+                done();
+            });
+        });
+
+        it('should set the koa response status', function () {
+            var ctx = {query: {EventType: 'PAYIN_NORMAL_SUCCEEDED', Date: '1700000000'}};
+            return handler.koa()(ctx).then(function () {
+                expect(ctx.status).to.equal(400);
+            });
+        });
+    });
+});
@@ -1,3 +1,5 @@
+/// <reference lib="es2018.asynciterable" />
+
 import { DeepPartial, Timestamp } from "./types";
 import { Models } from "./models";
 
@@ -30,10 +32,23 @@ export namespace base {
         debugMode?: boolean;
 
         /**
-         * Log function to be used for debug
+         * Log function to be used for debug, receives the redacted entries.
+         * Breaking change: it was called with (method, options), the apiMethods key and the raw request options;
+         * it is now called with (message, fields), fields.method holding the apiMethods key
          * @default `console.log`
          */
-        logClass?(...args: any[]): void;
+        logClass?(message: string, fields: LogFields): void;
+
+        /**
+         * Structured logger (pino, bunyan, winston...) receiving the requests, responses, latencies and rate limits
+         */
+        logger?: StructuredLogger | null;
+
+        /**
+         * Fields replaced by "[REDACTED]" in the logs, at any depth (case insensitive)
+         * @default MangoPay.Logger.DEFAULT_REDACTED_FIELDS
+         */
+        logRedact?: string[] | null;
 
         /**
          * Set the connection timeout limit(in milliseconds)
@@ -59,6 +74,46 @@ export namespace base {
          */
         ukHeaderFlag?: boolean
 
+        /**
+         * Retry policy for transient failures (network errors, timeouts, 429 and 5xx responses)
+         */
+        retry?: RetryOptions;
+
+        /**
+         * Idempotency keys of the POST requests sent by the services
+         */
+        idempotency?: IdempotencyOptions;
+
+        /**
+         * Check the request data against the validation rules of the models before sending it,
+         * can also be set per request
+         * @default false
+         */
+        validate?: boolean;
+
+        /**
+         * Middlewares wrapping the requests, in order (the first one is the outermost)
+         */
+        middlewares?: Middleware[];
+
+        /**
+         * Where OAuth tokens are kept, share a store between instances or processes to share tokens
+         * @default new MemoryTokenStore()
+         */
+        tokenStore?: TokenStore | null;
+
+        /**
+         * Tokens expiring within this delay (in milliseconds) are renewed before being used
+         * @default 60000
+         */
+        tokenRefreshThreshold?: number;
+
+        /**
+         * Renew the token in the background before it expires
+         * @default true
+         */
+        proactiveTokenRefresh?: boolean;
+
         /**
          * Set a custom error handler
          * @default `console.error`
@@ -66,6 +121,150 @@ export namespace base {
         errorHandler?(options: any, err: any): void;
     }
 
+    type LogLevel = "debug" | "info" | "warn" | "error";
+
+    interface LogFields {
+        /**
+         * apiMethods key of the request, or the HTTP method of manual requests
+         */
+        method?: string;
+
+        httpMethod?: string;
+
+        url?: string;
+
+        status?: number | null;
+
+        durationMs?: number;
+
+        rateLimits?: Array<{ minutesInterval?: number; callsMade: number; callsRemaining: number; resetTimeMillis: number }> | null;
+
+        headers?: any;
+
+        parameters?: any;
+
+        data?: any;
+
+        error?: { name: string; message: string; type: string | null; id: string | null };
+
+        [key: string]: any;
+    }
+
+    /**
+     * pino or bunyan style logger, called with logger[level](fields, message),
+     * or winston logger (with transports), called with logger.log({ level, message, ...fields })
+     */
+    type StructuredLogger = {
+        [level in LogLevel]: (fields: LogFields, message: string) => void;
+    } | {
+        transports: any;
+        log(info: LogFields & { level: LogLevel; message: string }): any;
+    };
+
+    interface MiddlewareResponse<T = any> {
+        status: number;
+
+        headers: Headers;
+
+        data: T;
+    }
+
+    interface MiddlewareContext {
+        /**
+         * SDK instance sending the request
+         */
+        api: any;
+
+        /**
+         * apiMethods key of the request, ex: "payins_card-direct_create", or the HTTP method of manual requests
+         */
+        method: string;
+
+        httpMethod: "GET" | "POST" | "PUT" | "DELETE";
+
+        /**
+         * Url of the request, relative to the baseUrl
+         */
+        url: string;
+
+        /**
+         * Request options: headers, data, parameters...
+         */
+        options: any;
+
+        /**
+         * HTTP response, once received
+         */
+        response?: MiddlewareResponse;
+
+        /**
+         * Free storage shared by the middlewares of a request
+         */
+        state: Record<string, any>;
+    }
+
+    /**
+     * Wraps a request: can alter context.options before calling next(), and observe or replace the response
+     * (or the MangopayApiError) of next(). Resolving with undefined keeps the response of next().
+     */
+    type Middleware = (
+        context: MiddlewareContext,
+        next: () => Promise<MiddlewareResponse>
+    ) => MiddlewareResponse | void | Promise<MiddlewareResponse | void>;
+
+    interface IdempotencyOptions {
+        /**
+         * Send a generated Idempotency-Key header with every POST request that has none.
+         * The key is kept across retries, and exposed as idempotencyKey on the result or the error.
+         * @default false
+         */
+        autoKeys?: boolean;
+
+        /**
+         * Generates the keys (16 to 36 characters)
+         * @default crypto.randomUUID
+         */
+        generateKey?(method: string, options: any): string;
+    }
+
+    interface RetryOptions {
+        /**
+         * Maximum number of retries after the first attempt (0 disables retries)
+         * @default 0
+         */
+        maxRetries?: number;
+
+        /**
+         * Base delay of the exponential backoff (in milliseconds)
+         * @default 500
+         */
+        baseDelay?: number;
+
+        /**
+         * Maximum delay between two attempts (in milliseconds). When the server asks to wait longer, the request is not retried.
+         * @default 30000
+         */
+        maxDelay?: number;
+
+        /**
+         * HTTP statuses considered transient
+         * @default [429, 500, 502, 503, 504]
+         */
+        retryOnStatus?: number[];
+
+        /**
+         * Retry requests aborted by the connection timeout
+         * @default true
+         */
+        retryOnTimeout?: boolean;
+
+        /**
+         * Retry requests that failed without a response
+         * @default true
+         */
+        retryOnNetworkError?: boolean;
+    }
+
     interface RequestOptions {
         /**
          * Path options are replacing the ${placeholders} from apiMethods
@@ -77,6 +276,16 @@ export namespace base {
         };
 
         headers: Partial<Headers>;
+
+        /**
+         * Check the request data against the validation rules of its model, overrides the config
+         */
+        validate?: boolean;
+
+        /**
+         * Model whose validation rules check the request data, when it differs from the response class
+         */
+        requestClass?: new (data: any) => any;
     }
 
     interface Headers {
@@ -99,6 +308,32 @@ export namespace base {
         expires_in: number;
     }
 
+    interface StoredToken extends AuthorizationData {
+        /**
+         * Expiration timestamp (in milliseconds)
+         */
+        expires_at: number;
+    }
+
+    /**
+     * Keeps the OAuth tokens, methods can return values or promises
+     */
+    interface TokenStore {
+        get(key: string): StoredToken | null | Promise<StoredToken | null>;
+
+        set(key: string, token: StoredToken): void | Promise<void>;
+
+        delete(key: string): void | Promise<void>;
+    }
+
+    interface RedisClient {
+        get(key: string): Promise<string | null>;
+
+        set(key: string, value: string, mode: "PX", ttl: number): Promise<any>;
+
+        del(key: string): Promise<any>;
+    }
+
     interface PaginationOptions {
         /**
          * The page number of results you wish to return
@@ -130,6 +365,177 @@ export namespace base {
         AfterDate?: Timestamp;
     }
 
+    interface PaginateOptions extends MethodOptions {
+        /**
+         * The number of results to fetch per page: Max 100
+         * @default 100
+         */
+        per_page?: number;
+
+        /**
+         * The first page to fetch
+         * @default 1
+         */
+        page?: number;
+
+        /**
+         * Stop after fetching that many pages
+         */
+        maxPages?: number;
+    }
+
+    interface PaginationTotals {
+        totalItems: number | null;
+
+        totalPages: number | null;
+    }
+
+    interface Paginator<T> extends AsyncIterable<T> {
+        /**
+         * Total number of items, read from the x-number-of-items header once the first page is fetched
+         */
+        totalItems: number | null;
+
+        /**
+         * Total number of pages, read from the x-number-of-pages header once the first page is fetched
+         */
+        totalPages: number | null;
+
+        /**
+         * Fetches the next page, resolves with null once all pages have been read
+         */
+        nextPage(): Promise<T[] | null>;
+
+        /**
+         * Resolves with the totals, fetching the first page if needed
+         */
+        getTotals(): Promise<PaginationTotals>;
+
+        /**
+         * Iterates over the pages
+         */
+        pages(): AsyncIterableIterator<T[]>;
+
+        /**
+         * Reads all the remaining pages
+         */
+        toArray(): Promise<T[]>;
+    }
+
+    class Service {
+        /**
+         * Walks all the pages of one of the service list methods
+         * @param methodName    Name of the list method, ex: 'getAll' or 'getTransactions'
+         * @param args          Arguments of the list method preceding the callback, ex: [walletId]
+         * @param options       Request options
+         */
+        paginate<T = any>(methodName: string, args?: any[], options?: PaginateOptions): Paginator<T>;
+
+        /**
+         * Name of the method fetching a resource of the service by id, used by waitFor
+         */
+        getMethod: string;
+
+        /**
+         * Statuses after which the resources of the service don't change any more, null when not known
+         */
+        finalStatuses: string[] | null;
+
+        /**
+         * Fetches a resource of the service until it matches the predicate
+         * @param resource      Id of the resource, or the resource itself (resolved at once when it matches)
+         */
+        waitFor<T = any>(resource: string | T, predicate: (resource: T) => boolean | Promise<boolean>, options?: WaitForOptions): Promise<T>;
+
+        /**
+         * Fetches a resource of the service until it reaches one of its final statuses
+         * @param resource      Id of the resource, or the resource itself
+         */
+        waitForFinalStatus<T = any>(resource: string | T, options?: WaitForFinalStatusOptions): Promise<T>;
+    }
+
+    /**
+     * AbortSignal of an AbortController
+     */
+    interface AbortSignalLike {
+        readonly aborted: boolean;
+
+        readonly reason?: any;
+
+        addEventListener(type: "abort", listener: () => void): void;
+
+        removeEventListener(type: "abort", listener: () => void): void;
+    }
+
+    interface WaitForOptions {
+        /**
+         * Delay before the second fetch (in milliseconds)
+         * @default 1000
+         */
+        interval?: number;
+
+        /**
+         * Factor applied to the delay after each fetch, 1 for a fixed pace
+         * @default 1.5
+         */
+        backoff?: number;
+
+        /**
+         * Longest delay between two fetches (in milliseconds)
+         * @default 30000
+         */
+        maxInterval?: number;
+
+        /**
+         * Rejects with a WaitTimeoutError after that long (in milliseconds), 0 to wait forever
+         * @default 300000
+         */
+        timeout?: number;
+
+        /**
+         * Stops the wait, which rejects with the reason of the signal
+         */
+        signal?: AbortSignalLike | null;
+    }
+
+    interface WaitForFinalStatusOptions extends WaitForOptions {
+        /**
+         * Statuses to wait for, instead of the final statuses of the service
+         */
+        statuses?: string[];
+    }
+
+    interface ValidationRule {
+        /**
+         * Only checked when the resource is created
+         */
+        required?: boolean;
+
+        type?: "string" | "number" | "integer" | "boolean" | "array" | "object" | "timestamp";
+
+        enum?: any[];
+
+        format?: "currency" | "country" | "iban" | "bic" | "email" | "url";
+
+        pattern?: RegExp;
+
+        maxLength?: number;
+
+        min?: number;
+
+        max?: number;
+
+        /**
+         * Name of the Money property whose currency this Money property must have
+         */
+        sameCurrencyAs?: string;
+
+        /**
+         * Custom check, returning the error message or null
+         */
+        validate?: (value: any, entity: any) => string | null;
+    }
+
     interface DependsObject {
         dependsPropertyName: string;
 
@@ -305,4 +711,16 @@ export namespace base {
     interface MethodOptionWithoutResponse extends MethodOptions {
         resolveWithFullResponse?: false;
     }
+
+    /**
+     * File path, content or stream of an upload
+     */
+    type UploadFile = string | Buffer | NodeJS.ReadableStream;
+
+    interface UploadPagesOptions extends MethodOptionWithoutResponse {
+        /**
+         * Splits a PDF into the contents of its pages, ex: with pdf-lib. Without it, only the PDFs of a single page are accepted
+         */
+        splitPdf?: (content: Buffer) => Buffer[] | PromiseLike<Buffer[]>;
+    }
 }
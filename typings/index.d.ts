@@ -75,6 +75,16 @@ import { IdentityVerifications } from "./services/IdentityVerifications";
 import { identityVerification } from "./models/identityVerification";
 import { recipient } from "./models/recipient";
 import { Recipients } from "./services/Recipients";
+import { webhooks } from "./webhooks";
+import { payoutBatch } from "./payoutBatch";
+import { threeDSecure } from "./threeDSecure";
+import { payInReturn } from "./payInReturn";
+import { recurringPayIns } from "./recurringPayIns";
+import { kycOnboarding } from "./kycOnboarding";
+import { uboDeclarationBuilder } from "./uboDeclarationBuilder";
+import { recipientBuilder } from "./recipientBuilder";
+import { sca } from "./sca";
+import { reportDownload } from "./reportDownload";
 
 export = MangoPay;
 
@@ -118,11 +128,16 @@ declare class MangoPay {
 
     rateLimits: MangoPay.models.RateLimit[];
 
-    Log(...args: any[]): void;
+    /**
+     * Structured logs of the requests of this instance
+     */
+    logger: MangoPay.Logger;
 
-    authorize(callback: (data: base.AuthorizationData) => void): void;
+    Log(message: string, fields: base.LogFields): void;
 
-    authorize(): Promise<base.AuthorizationData>;
+    authorize(callback: (data: base.StoredToken) => void): void;
+
+    authorize(): Promise<base.StoredToken>;
 
     buildRequestData(entity: any): any;
 
@@ -135,9 +150,373 @@ declare class MangoPay {
         callback: (...args: any[]) => void,
         options: base.RequestOptions
     ): any;
+
+    /**
+     * Walks all the pages of a list API method
+     * @param method
+     * @param options
+     */
+    paginate<T = any>(method: ApiMethod, options?: base.PaginateOptions): base.Paginator<T>;
+
+    /**
+     * Creates a receiver for the notifications sent to the hooks Url
+     * @param options
+     */
+    createWebhookHandler(options?: webhooks.WebhookHandlerOptions): webhooks.WebhookHandler;
+
+    /**
+     * Creates a settlement run of transfers and payouts
+     */
+    createPayoutBatch(options?: payoutBatch.PayoutBatchOptions): payoutBatch.PayoutBatch;
+
+    /**
+     * Creates the 3-D Secure helper of the card transactions
+     */
+    createThreeDSecure(options?: threeDSecure.ThreeDSecureOptions): threeDSecure.ThreeDSecure;
+
+    /**
+     * Creates the route handler of the shoppers returning from a web pay-in
+     */
+    createPayInReturnHandler(options?: payInReturn.PayInReturnHandlerOptions): payInReturn.PayInReturnHandler;
+
+    /**
+     * Creates the engine charging the MIT pay-ins of the recurring pay-in registrations
+     */
+    createRecurringPayInEngine(options?: recurringPayIns.RecurringPayInEngineOptions): recurringPayIns.RecurringPayInEngine;
+
+    /**
+     * Creates the helper taking the users to the REGULAR KYC level
+     */
+    createKycOnboarding(options?: kycOnboarding.KycOnboardingOptions): kycOnboarding.KycOnboarding;
+
+    /**
+     * Creates the builder of the UBO declaration of a LEGAL user
+     */
+    createUboDeclarationBuilder(userId: string, options?: uboDeclarationBuilder.UboDeclarationBuilderOptions): uboDeclarationBuilder.UboDeclarationBuilder;
+
+    /**
+     * Creates the builder checking the recipients against their cached schema before creating them
+     */
+    createRecipientBuilder(options?: recipientBuilder.RecipientBuilderOptions): recipientBuilder.RecipientBuilder;
+
+    /**
+     * Creates the helper redirecting the users to their SCA sessions, and resuming the operations once they are back
+     */
+    createScaHandler(options?: sca.ScaHandlerOptions): sca.ScaHandler;
+
+    /**
+     * Middlewares wrapping the requests of this instance, in order
+     */
+    middlewares: base.Middleware[];
+
+    /**
+     * Adds a middleware around the requests of this instance, after the ones already added
+     */
+    use(middleware: base.Middleware): this;
 }
 
 declare namespace MangoPay {
+    /**
+     * Base class of all the errors returned by the API.
+     * The fields of the response body (Message, Type, Id, Date, errors...) are also copied on the error.
+     */
+    class MangopayApiError extends Error {
+        constructor(message?: string | null, details?: any);
+
+        /**
+         * HTTP status, null when no response was received
+         */
+        status: number | null;
+
+        /**
+         * Id of the error, to give to the Mangopay support
+         */
+        id: string | null;
+
+        /**
+         * ResourceId of the response body, if any
+         */
+        resourceId: string | null;
+
+        /**
+         * HTTP method of the request
+         */
+        method: string | null;
+
+        /**
+         * URL of the request
+         */
+        url: string | null;
+
+        /**
+         * Original HTTP response, if any
+         */
+        response: any;
+
+        headers: base.Headers;
+
+        body: any;
+
+        /**
+         * Idempotency-Key of the request, if any
+         */
+        idempotencyKey?: string;
+
+        [field: string]: any;
+    }
+
+    /**
+     * The request parameters are invalid (HTTP 400)
+     */
+    class ValidationError extends MangopayApiError {
+        /**
+         * One message per invalid field
+         */
+        errors: Record<string, string>;
+    }
+
+    /**
+     * The credentials or the token are refused (HTTP 401 and 403)
+     */
+    class AuthenticationError extends MangopayApiError {
+    }
+
+    /**
+     * The requested resource does not exist (HTTP 404)
+     */
+    class NotFoundError extends MangopayApiError {
+    }
+
+    /**
+     * The rate limit has been reached (HTTP 429)
+     */
+    class RateLimitError extends MangopayApiError {
+        /**
+         * Delay in milliseconds requested by the API, if any
+         */
+        retryAfter: number | null;
+    }
+
+    /**
+     * The request has been aborted by the connection timeout
+     */
+    class TimeoutError extends MangopayApiError {
+    }
+
+    /**
+     * The request failed without any response
+     */
+    class NetworkError extends MangopayApiError {
+        /**
+         * System error code, ex: ECONNRESET
+         */
+        code: string | null;
+    }
+
+    type CardRegistrationErrorReason = "CARD_NUMBER" | "EXPIRATION_DATE" | "CVX" | "REFUSED" | "EXPIRED" | "TECHNICAL";
+
+    /**
+     * The card could not be registered by CardRegistrations.register
+     */
+    class CardRegistrationError extends MangopayApiError {
+        /**
+         * Result code of the tokenization server or of the API, ex: 02625
+         */
+        errorCode: string | null;
+
+        /**
+         * Category of the result code
+         */
+        reason: CardRegistrationErrorReason;
+
+        /**
+         * The card registration as last known
+         */
+        cardRegistration: cardRegistration.CardRegistrationData | null;
+    }
+
+    const WebhookHandler: typeof webhooks.WebhookHandler;
+
+    const PayoutBatch: typeof payoutBatch.PayoutBatch;
+
+    const ThreeDSecure: typeof threeDSecure.ThreeDSecure;
+
+    const PayInReturnHandler: typeof payInReturn.PayInReturnHandler;
+
+    const RecurringPayInEngine: typeof recurringPayIns.RecurringPayInEngine;
+
+    const KycOnboarding: typeof kycOnboarding.KycOnboarding;
+
+    const UboDeclarationBuilder: typeof uboDeclarationBuilder.UboDeclarationBuilder;
+
+    const RecipientBuilder: typeof recipientBuilder.RecipientBuilder;
+
+    const ScaHandler: typeof sca.ScaHandler;
+
+    const ReportDownload: typeof reportDownload.ReportDownload;
+
+    /**
+     * A resource did not reach the expected state within the timeout of waitFor
+     */
+    class WaitTimeoutError extends Error {
+        constructor(message?: string, lastValue?: any);
+
+        /**
+         * The resource as last fetched
+         */
+        lastValue: any;
+    }
+
+    interface MockServerOptions {
+        /**
+         * Credentials accepted by /oauth/token, any when not set
+         */
+        clientId?: string;
+
+        clientApiKey?: string;
+
+        /**
+         * Lifetime of the OAuth tokens (in seconds)
+         * @default 3600
+         */
+        tokenLifetime?: number;
+
+        /**
+         * Calls allowed per 15 minutes, 30 minutes, hour and day
+         */
+        rateLimits?: [number, number, number, number];
+
+        /**
+         * Default page size of the lists
+         * @default 10
+         */
+        perPage?: number;
+    }
+
+    /**
+     * In-process Mangopay API keeping users, wallets, pay-ins, transfers, payouts, refunds and disputes in memory
+     */
+    class MockServer {
+        constructor(options?: MockServerOptions);
+
+        options: MockServerOptions;
+
+        /**
+         * Url to give as baseUrl to the SDK, once started
+         */
+        baseUrl: string | null;
+
+        /**
+         * Resources kept by the server, per type and id
+         */
+        store: {
+            users: Record<string, any>;
+            wallets: Record<string, any>;
+            bankAccounts: Record<string, any>;
+            transactions: Record<string, any>;
+            disputes: Record<string, any>;
+            resources: Record<string, any>;
+        };
+
+        /**
+         * Requests received, with the apiMethods key of their route
+         */
+        requests: Array<{ method: string; path: string; query: Record<string, string>; headers: any; body: any; key: string | null }>;
+
+        /**
+         * Resolves with the baseUrl
+         */
+        start(port?: number): Promise<string>;
+
+        stop(): Promise<void>;
+
+        reset(): void;
+
+        listener(): (req: any, res: any) => void;
+
+        /**
+         * Opens a dispute on a pay-in and debits the disputed funds
+         */
+        createDispute(payInId: string, properties?: Partial<dispute.DisputeData>): dispute.DisputeData;
+
+        /**
+         * Completes a pending pay-in or payout
+         */
+        setTransactionStatus(transactionId: string, status: "SUCCEEDED" | "FAILED", resultCode?: string): any;
+    }
+
+    /**
+     * Writes the redacted entries of the requests to config.logger, or config.logClass in debugMode
+     */
+    class Logger {
+        constructor(config: Partial<base.Config>);
+
+        /**
+         * Credentials, card data, bank details and KYC data
+         */
+        static DEFAULT_REDACTED_FIELDS: string[];
+
+        isEnabled(): boolean;
+
+        log(level: base.LogLevel, message: string, fields?: base.LogFields): void;
+
+        debug(message: string, fields?: base.LogFields): void;
+
+        info(message: string, fields?: base.LogFields): void;
+
+        warn(message: string, fields?: base.LogFields): void;
+
+        error(message: string, fields?: base.LogFields): void;
+
+        /**
+         * Deep copy of the value, without the redacted fields
+         */
+        redact<T>(value: T): T;
+
+        logRequest: base.Middleware;
+    }
+
+    /**
+     * Keeps the OAuth tokens in memory (default store, not shared between processes)
+     */
+    class MemoryTokenStore implements base.TokenStore {
+        get(key: string): base.StoredToken | null;
+
+        set(key: string, token: base.StoredToken): void;
+
+        delete(key: string): void;
+    }
+
+    /**
+     * Keeps the OAuth tokens in a JSON file, shared by the processes of a host
+     */
+    class FileTokenStore implements base.TokenStore {
+        constructor(filePath: string);
+
+        filePath: string;
+
+        get(key: string): Promise<base.StoredToken | null>;
+
+        set(key: string, token: base.StoredToken): Promise<void>;
+
+        delete(key: string): Promise<void>;
+    }
+
+    /**
+     * Keeps the OAuth tokens in Redis, shared by a fleet of workers.
+     * Works with the clients exposing promise based get(key), set(key, value, 'PX', ttl) and del(key), like ioredis.
+     * node-redis expects set(key, value, { PX: ttl }): give it an adapter exposing these signatures
+     */
+    class RedisTokenStore implements base.TokenStore {
+        constructor(client: base.RedisClient, options?: { prefix?: string });
+
+        get(key: string): Promise<base.StoredToken | null>;
+
+        set(key: string, token: base.StoredToken): Promise<void>;
+
+        delete(key: string): Promise<void>;
+    }
+
     namespace models {
         import DependsObject = base.DependsObject;
         import MoneyData = money.MoneyData;
@@ -186,6 +565,23 @@ declare namespace MangoPay {
 
             getDependsObjects(): DependsObject[];
 
+            /**
+             * Mapping of property names to the model classes instantiated from their data
+             */
+            getSubObjects(): Record<string, new (data: any) => any>;
+
+            parseSubObjects(): void;
+
+            /**
+             * Mapping of property names to their validation rules
+             */
+            getValidationRules(): Record<string, base.ValidationRule>;
+
+            /**
+             * Field => error message of the invalid properties, empty when the model is valid
+             */
+            validate(options?: { creation?: boolean }): Record<string, string>;
+
             parse(): void;
         }
 
@@ -204,6 +600,23 @@ declare namespace MangoPay {
 
             getDependsObjects(): DependsObject[];
 
+            /**
+             * Mapping of property names to the model classes instantiated from their data
+             */
+            getSubObjects(): Record<string, new (data: any) => any>;
+
+            parseSubObjects(): void;
+
+            /**
+             * Mapping of property names to their validation rules
+             */
+            getValidationRules(): Record<string, base.ValidationRule>;
+
+            /**
+             * Field => error message of the invalid properties, empty when the model is valid
+             */
+            validate(options?: { creation?: boolean }): Record<string, string>;
+
             parse(): void;
 
             constructor(data: T);
@@ -229,6 +642,23 @@ declare namespace MangoPay {
 
             getDependsObjects(): DependsObject[];
 
+            /**
+             * Mapping of property names to the model classes instantiated from their data
+             */
+            getSubObjects(): Record<string, new (data: any) => any>;
+
+            parseSubObjects(): void;
+
+            /**
+             * Mapping of property names to their validation rules
+             */
+            getValidationRules(): Record<string, base.ValidationRule>;
+
+            /**
+             * Field => error message of the invalid properties, empty when the model is valid
+             */
+            validate(options?: { creation?: boolean }): Record<string, string>;
+
             parse(): void;
 
             toJSON(): any;
@@ -253,8 +683,86 @@ declare namespace MangoPay {
             constructor(data: ConversionRateData);
         }
 
+        type MoneyRounding = "HALF_UP" | "HALF_EVEN" | "UP" | "DOWN";
+
+        type MoneyOperand = MoneyData | number;
+
+        /**
+         * Amount in the minor units of its currency, with currency-aware arithmetic.
+         * Serialized as { Amount, Currency }.
+         */
         class Money extends EntityBase<MoneyData> {
             constructor(data: MoneyData);
+
+            Amount: number;
+
+            Currency: CurrencyISO;
+
+            /**
+             * ISO 4217 exponents of the currencies that don't have 2 decimals
+             */
+            static EXPONENTS: Record<string, number>;
+
+            static ROUNDING_MODES: MoneyRounding[];
+
+            static getExponent(currency: CurrencyISO | string): number;
+
+            /**
+             * @param amount Amount in minor units, ex: 1260 for 12.60 EUR
+             */
+            static of(amount: number, currency: CurrencyISO): Money;
+
+            static zero(currency: CurrencyISO): Money;
+
+            /**
+             * Parses an amount in major units, ex: "12.60 EUR". Decimals beyond the ones of the currency are refused.
+             */
+            static parse(value: string | number, currency?: CurrencyISO): Money;
+
+            static sum(amounts: Money[], currency?: CurrencyISO): Money;
+
+            getExponent(): number;
+
+            add(other: MoneyOperand): Money;
+
+            subtract(other: MoneyOperand): Money;
+
+            multiply(factor: number | string, rounding?: MoneyRounding): Money;
+
+            /**
+             * @param percent ex: 1.8 for 1.8%
+             */
+            percentage(percent: number | string, rounding?: MoneyRounding): Money;
+
+            /**
+             * Splits the amount according to ratios, the units left over going to the largest remainders
+             */
+            allocate(ratios: Array<number | string>): Money[];
+
+            split(parts: number): Money[];
+
+            compare(other: MoneyOperand): -1 | 0 | 1;
+
+            equals(other: MoneyOperand): boolean;
+
+            greaterThan(other: MoneyOperand): boolean;
+
+            lessThan(other: MoneyOperand): boolean;
+
+            isZero(): boolean;
+
+            isNegative(): boolean;
+
+            isPositive(): boolean;
+
+            /**
+             * Amount in major units, ex: "12.60"
+             */
+            toDecimal(): string;
+
+            format(locale?: string, options?: Intl.NumberFormatOptions): string;
+
+            toString(): string;
         }
 
         class Billing extends EntityBase<BillingData> {
@@ -832,6 +1340,42 @@ declare namespace MangoPay {
     }
 
     export {
+        MangopayApiError,
+        ValidationError,
+        AuthenticationError,
+        NotFoundError,
+        RateLimitError,
+        TimeoutError,
+        NetworkError,
+        CardRegistrationError,
+        CardRegistrationErrorReason,
+        WebhookHandler,
+        PayoutBatch,
+        ThreeDSecure,
+        PayInReturnHandler,
+        RecurringPayInEngine,
+        KycOnboarding,
+        UboDeclarationBuilder,
+        RecipientBuilder,
+        ScaHandler,
+        ReportDownload,
+        WaitTimeoutError,
+        MemoryTokenStore,
+        FileTokenStore,
+        RedisTokenStore,
+        MockServer,
+        MockServerOptions,
+        Logger,
+        webhooks,
+        payoutBatch,
+        threeDSecure,
+        payInReturn,
+        recurringPayIns,
+        kycOnboarding,
+        uboDeclarationBuilder,
+        recipientBuilder,
+        sca,
+        reportDownload,
         models,
         base,
         address,
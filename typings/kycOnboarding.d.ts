@@ -0,0 +1,109 @@
+import { base } from "./base";
+import { kycDocument } from "./models/kycDocument";
+import { user } from "./models/user";
+
+export namespace kycOnboarding {
+    type RequiredDocuments = { [key in "NATURAL" | user.LegalPersonType]?: kycDocument.KycDocumentType[] };
+
+    /**
+     * A file path, content or stream, or a page with its base64 File
+     */
+    type Page = base.UploadFile | kycDocument.CreateKycPage;
+
+    interface KycOnboardingOptions {
+        /**
+         * KycDocumentTypes required per PersonType NATURAL and per LegalPersonType, merged over REQUIRED_DOCUMENTS
+         */
+        requiredDocuments?: RequiredDocuments;
+
+        /**
+         * Also read Users.getRegulatory and Users.getBlockStatus in status(), true by default
+         */
+        regulatory?: boolean;
+
+        /**
+         * Tag of the created documents
+         */
+        tag?: string | null;
+    }
+
+    interface RefusedDocument {
+        type: kycDocument.KycDocumentType;
+
+        document: kycDocument.KycDocumentData;
+
+        reasonType: kycDocument.KYCDocumentRefusedReasonType;
+
+        reasonMessage: string | null;
+
+        /**
+         * What the user has to do about the refusal, see REFUSED_REASONS
+         */
+        hint: string | null;
+    }
+
+    interface KycStatus {
+        user: user.UserData;
+
+        kycLevel: user.KYCLevel;
+
+        /**
+         * In submission order
+         */
+        required: kycDocument.KycDocumentType[];
+
+        /**
+         * Last document of each required type, null if none
+         */
+        documents: { [key in kycDocument.KycDocumentType]?: kycDocument.KycDocumentData | null };
+
+        /**
+         * Required types to upload (again): never sent, not submitted, refused or out of date
+         */
+        missing: kycDocument.KycDocumentType[];
+
+        /**
+         * Required types waiting for the validation
+         */
+        pending: kycDocument.KycDocumentType[];
+
+        refused: RefusedDocument[];
+
+        /**
+         * All the required documents are validated
+         */
+        complete: boolean;
+
+        regulatory: any;
+
+        blockStatus: any;
+    }
+
+    interface OnboardingResult extends KycStatus {
+        submitted: kycDocument.KycDocumentData[];
+    }
+
+    class KycOnboarding {
+        constructor(api: any, options?: KycOnboardingOptions);
+
+        static REQUIRED_DOCUMENTS: RequiredDocuments;
+
+        static REFUSED_REASONS: { [key in kycDocument.KYCDocumentRefusedReasonType]: string };
+
+        options: KycOnboardingOptions;
+
+        requiredDocuments(user: Pick<user.UserData, "PersonType"> & { LegalPersonType?: user.LegalPersonType }): kycDocument.KycDocumentType[];
+
+        status(user: string | user.UserData): Promise<KycStatus>;
+
+        /**
+         * Uploads a KYC document and asks for its validation
+         */
+        submit(userId: string, type: kycDocument.KycDocumentType, pages: Page | Page[]): Promise<kycDocument.KycDocumentData>;
+
+        /**
+         * Creates the user when it has no Id, then submits its missing documents, in order
+         */
+        onboard(user: string | user.UserData | user.CreateUserNaturalData | user.CreateUserLegalData, files?: { [key in kycDocument.KycDocumentType]?: Page | Page[] }): Promise<OnboardingResult>;
+    }
+}
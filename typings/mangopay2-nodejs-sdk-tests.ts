@@ -12,6 +12,210 @@ const validConfig: Mangopay.base.Config = {
 };
 
 const api = new Mangopay(validConfig); // $ExpectType MangoPay
+
+const retryingApi = new Mangopay({
+    clientId: "your_client_id",
+    clientApiKey: "your_client_api_key",
+    retry: {
+        maxRetries: 3,
+        retryOnStatus: [429, 503]
+    }
+});
+retryingApi; // $ExpectType MangoPay
+
+const sharedTokenApi = new Mangopay({
+    clientId: "your_client_id",
+    clientApiKey: "your_client_api_key",
+    tokenStore: new Mangopay.FileTokenStore("/tmp/mangopay-tokens.json"),
+    tokenRefreshThreshold: 120000
+});
+sharedTokenApi; // $ExpectType MangoPay
+
+const mockServer = new Mangopay.MockServer({clientId: "your_client_id"});
+mockServer.start().then(baseUrl => {
+    const mockedApi = new Mangopay({clientId: "your_client_id", clientApiKey: "any", baseUrl}); // $ExpectType MangoPay
+});
+
+const loggedApi = new Mangopay({
+    clientId: "your_client_id",
+    clientApiKey: "your_client_api_key",
+    logger: {
+        debug: (fields, message) => console.debug(message, fields.url),
+        info: (fields, message) => console.info(message),
+        warn: (fields, message) => console.warn(message, fields.status),
+        error: (fields, message) => console.error(message, fields.error)
+    },
+    logRedact: Mangopay.Logger.DEFAULT_REDACTED_FIELDS.concat(["Tag"])
+});
+loggedApi.logger.redact({ IBAN: "FR7630004000031234567890143" }); // $ExpectType { IBAN: string; }
+
+const price = api.models.Money.parse("12.60 EUR");
+price.percentage(1.8).Amount; // $ExpectType number
+price.split(3); // $ExpectType Money[]
+price.add({ Amount: 40, Currency: "EUR" }).format("fr-FR"); // $ExpectType string
+
+const idempotentApi = new Mangopay({
+    clientId: "your_client_id",
+    clientApiKey: "your_client_api_key",
+    idempotency: { autoKeys: true }
+});
+idempotentApi.Idempotency.resolveOutcome("idempotency-key-123456").then(data => {
+    const resource = data; // $ExpectType any
+});
+
+const validatingApi = new Mangopay({
+    clientId: "your_client_id",
+    clientApiKey: "your_client_api_key",
+    validate: true
+});
+const walletErrors = new validatingApi.models.Wallet({ Owners: ["user-id"], Currency: "EUR", Description: "Wallet" })
+    .validate({ creation: true });
+walletErrors; // $ExpectType Record<string, string>
+validatingApi.Wallets.create({ Owners: ["user-id"], Currency: "EUR", Description: "Wallet" }, { validate: false });
+
+api.createPayoutBatch({ id: "settlement-2024-01-31", concurrency: 2, onCheckpoint: checkpoint => undefined })
+    .run([{
+        id: "seller-1",
+        transfer: {
+            AuthorId: "platform-id",
+            DebitedWalletId: "escrow-wallet-id",
+            CreditedWalletId: "seller-wallet-id",
+            DebitedFunds: { Amount: 1000, Currency: "EUR" },
+            Fees: { Amount: 0, Currency: "EUR" }
+        },
+        payOut: {
+            AuthorId: "seller-id",
+            DebitedWalletId: "seller-wallet-id",
+            BankAccountId: "bank-account-id",
+            DebitedFunds: { Amount: 1000, Currency: "EUR" },
+            Fees: { Amount: 0, Currency: "EUR" }
+        }
+    }])
+    .then(report => {
+        const status = report.items[0].status; // $ExpectType ItemStatus
+        const checkpoint = report.checkpoint; // $ExpectType Checkpoint
+    });
+
+api.PayIns.waitForFinalStatus<Mangopay.payIn.CardDirectPayInData>("payin-id", { interval: 2000, timeout: 60000 })
+    .then(payIn => {
+        const status = payIn.Status; // $ExpectType TransactionStatus
+    })
+    .catch(err => {
+        if (err instanceof Mangopay.WaitTimeoutError) {
+            const last = err.lastValue; // $ExpectType any
+        }
+    });
+api.Wallets.waitFor<Mangopay.wallet.WalletData>("wallet-id", wallet => wallet.Balance.Amount > 0, { backoff: 1 });
+
+const reportDownload = api.ReportsV2.download("report-id", { interval: 5000, types: { Id: "integer" } });
+reportDownload.toArray().then(rows => {
+    const amount = rows[0].DebitedFundsAmount; // $ExpectType string | number | boolean | Date | null
+});
+reportDownload.ready().then(report => {
+    const url = report.DownloadURL; // $ExpectType string
+});
+
+api.CardRegistrations.register({ UserId: "user-id", Currency: "EUR" }, {
+    cardNumber: "4970107111111119",
+    cardExpirationDate: "1229",
+    cardCvx: "123"
+})
+    .then(card => {
+        const alias = card.Alias; // $ExpectType string
+    })
+    .catch(err => {
+        if (err instanceof Mangopay.CardRegistrationError) {
+            const reason = err.reason; // $ExpectType CardRegistrationErrorReason
+        }
+    });
+
+const threeDSecure = api.createThreeDSecure({ trustProxy: true });
+const buyer = threeDSecure.fromRequest({ headers: { "user-agent": "Mozilla/5.0" } }, { colorDepth: 24, screenWidth: 1920 });
+const ip = buyer.IpAddress; // $ExpectType string | null
+const redirect = threeDSecure.redirectUrl({ Status: "CREATED", SecureModeNeeded: true }); // $ExpectType string | null
+threeDSecure.complete<Mangopay.payIn.PayInData>({ transactionId: "payin-id" }).then(outcome => {
+    const status = outcome.status; // $ExpectType OutcomeStatus
+});
+
+const payInReturnRoute = api.createPayInReturnHandler({
+    verify: (payIn, req) => payIn.AuthorId === req.session.userId,
+    onSucceeded: (req, res, outcome) => res.redirect("/thanks"),
+    onFailed: (req, res, outcome) => res.render("failed", { message: outcome.resultMessage }),
+    onPending: (req, res) => res.render("pending")
+}).express();
+
+const recurringPayInEngine = api.createRecurringPayInEngine({
+    retrySchedule: [86400000, 3 * 86400000],
+    statementDescriptor: "SUBSCRIPTION"
+});
+recurringPayInEngine.run("registration-id").then(result => {
+    const decision = result.decision; // $ExpectType Decision
+    const nextAttemptAt = result.state.nextAttemptAt; // $ExpectType number | null
+});
+
+api.createKycOnboarding({ tag: "onboarding" }).onboard("user-id", {
+    IDENTITY_PROOF: ["passport-front.png", "passport-back.png"]
+}).then(status => {
+    const missing = status.missing; // $ExpectType KycDocumentType[]
+    const reason = status.refused[0].reasonType; // $ExpectType KYCDocumentRefusedReasonType
+});
+
+api.createUboDeclarationBuilder("legal-user-id")
+    .add({
+        FirstName: "John",
+        LastName: "Doe",
+        Address: { AddressLine1: "4101 Reservoir Rd NW", City: "Washington", PostalCode: "20007", Country: "US" },
+        Nationality: "FR",
+        Birthday: 188301600,
+        Birthplace: { City: "Paris", Country: "FR" }
+    })
+    .submit()
+    .then(declaration => {
+        const explanations = Mangopay.UboDeclarationBuilder.explain(declaration); // $ExpectType Explanation[]
+    });
+
+const recipients = api.createRecipientBuilder({ ttl: 10 * 60 * 1000 });
+
+recipients.fields("LocalBankTransfer", "Individual", "GBP", "GB").then(fields => {
+    const path = fields[0].path; // $ExpectType string
+});
+
+recipients.create({
+    DisplayName: "My GB account",
+    PayoutMethodType: "LocalBankTransfer",
+    RecipientType: "Individual",
+    Currency: "GBP",
+    Country: "GB",
+    LocalBankTransfer: { GBP: { SortCode: "010039", AccountNumber: "11696419" } }
+}, "user-id").then(recipient => {
+    const redirectUrl = recipient.PendingUserAction.RedirectUrl; // $ExpectType string
+});
+
+const scaHandler = api.createScaHandler({ returnUrl: "https://example.com/sca/return" });
+
+scaHandler.handle(api.Users.enroll("user-id"), "USER", "user-id").then(outcome => {
+    if (outcome.scaRequired) {
+        const redirectUrl = outcome.redirectUrl; // $ExpectType string | null
+    }
+});
+
+scaHandler.complete({ scaType: "RECIPIENT", scaId: "recipient-id" }, recipient => recipient.Id as string).then(outcome => {
+    const status = outcome.status; // $ExpectType "FAILED" | "PENDING" | "SCA_REQUIRED" | "COMPLETED"
+});
+
+const correlatedApi = api.use((context, next) => {
+    context.options.headers["X-Correlation-Id"] = "correlation-id";
+    const method = context.method; // $ExpectType string
+    return next().then(response => {
+        const status = response.status; // $ExpectType number
+    });
+});
+correlatedApi; // $ExpectType MangoPay
+
+api.authorize().then(token => {
+    const expiresAt = token.expires_at; // $ExpectType number
+});
+
 const payIn: Mangopay.models.PayIn = new api.models.PayIn({}); // $ExpectType PayIn
 const address: Mangopay.models.Address = new api.models.Address({}); // $ExpectType Address
 
@@ -229,6 +433,44 @@ api.Users.getAll().then(users => {
     });
 });
 
+const transactionsPaginator = api.Wallets.paginate<Mangopay.transaction.TransactionData>("getTransactions", ["walletId"], {
+    per_page: 50,
+    parameters: {Status: "SUCCEEDED"}
+});
+transactionsPaginator; // $ExpectType Paginator<TransactionData>
+
+transactionsPaginator.getTotals().then(totals => {
+    const totalItems = totals.totalItems; // $ExpectType number | null
+});
+
+transactionsPaginator.toArray().then(transactions => {
+    const d = transactions; // $ExpectType TransactionData[]
+});
+
+const usersPaginator = api.paginate<Mangopay.user.UserData>("users_all", {maxPages: 2}); // $ExpectType Paginator<UserData>
+
+api.Users.get("1234").catch(error => {
+    if (error instanceof Mangopay.ValidationError) {
+        const fieldErrors = error.errors; // $ExpectType Record<string, string>
+    } else if (error instanceof Mangopay.RateLimitError) {
+        const retryAfter = error.retryAfter; // $ExpectType number | null
+    } else if (error instanceof Mangopay.MangopayApiError) {
+        const status = error.status; // $ExpectType number | null
+    }
+});
+
+const webhookHandler = api.createWebhookHandler({verify: true}) // $ExpectType WebhookHandler
+    .on<Mangopay.payIn.PayInData>("PAYIN_NORMAL_SUCCEEDED", event => {
+        if (event.verified) {
+            const status = event.resource.Status; // $ExpectType TransactionStatus
+        } else {
+            const resource = event.resource; // $ExpectType null
+        }
+    })
+    .on(["KYC_SUCCEEDED", "KYC_FAILED"], event => {
+        const resourceId = event.ResourceId; // $ExpectType string
+    });
+
 api.Users.update({
     Id: "1234",
     PersonType: "NATURAL",
@@ -318,6 +560,12 @@ api.Users.createKycPageFromFile(
     const d = data; // $ExpectType KycDocumentData
 });
 
+api.Users.createKycPagesFromFiles("user-id", "kyc-document-id", ["path/to/front.png", Buffer.from("")], {
+    splitPdf: content => [content]
+}).then(data => {
+    const d = data; // $ExpectType KycDocumentData[]
+});
+
 // MangoPay.
 
 api.Users.getEMoney("user-id").then(data => {
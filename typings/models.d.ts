@@ -25,6 +25,23 @@ export namespace Models {
 
         getDependsObjects(): DependsObject[];
 
+        /**
+         * Mapping of property names to the model classes instantiated from their data
+         */
+        getSubObjects(): Record<string, new (data: any) => any>;
+
+        parseSubObjects(): void;
+
+        /**
+         * Mapping of property names to their validation rules
+         */
+        getValidationRules(): Record<string, base.ValidationRule>;
+
+        /**
+         * Field => error message of the invalid properties, empty when the model is valid
+         */
+        validate(options?: { creation?: boolean }): Record<string, string>;
+
         parse(): void;
 
         constructor(data: T);
@@ -80,4 +80,18 @@ export namespace cardRegistration {
         "CardType" | "Tag",
         "UserId" | "Currency"> {
     }
+
+    /**
+     * Card data posted to the tokenization server by CardRegistrations.register
+     */
+    interface CardData {
+        cardNumber: string;
+
+        /**
+         * Expiration date, MMYY format
+         */
+        cardExpirationDate: string;
+
+        cardCvx: string;
+    }
 }
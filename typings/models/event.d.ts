@@ -101,6 +101,10 @@ export namespace event {
         | "QUOTED_CONVERSION_FAILED"
         | "REPORT_GENERATED"
         | "REPORT_FAILED"
+        | "RECURRING_REGISTRATION_CREATED"
+        | "RECURRING_REGISTRATION_AUTH_NEEDED"
+        | "RECURRING_REGISTRATION_IN_PROGRESS"
+        | "RECURRING_REGISTRATION_ENDED"
 
     interface EventData {
         /**
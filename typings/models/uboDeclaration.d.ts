@@ -47,6 +47,11 @@ export namespace uboDeclaration {
         Birthplace: birthplace.Birthplace;
 
         isActive: boolean;
+
+        /**
+         * False once the UBO is removed from the declaration
+         */
+        IsActive?: boolean;
     }
 
     interface CreateUbo {
@@ -79,6 +84,8 @@ export namespace uboDeclaration {
         Birthplace?: birthplace.Birthplace;
 
         isActive?: boolean;
+
+        IsActive?: boolean;
     }
 
     interface CreateUboDeclaration {
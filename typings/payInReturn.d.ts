@@ -0,0 +1,49 @@
+import { base } from "./base";
+import { payIn } from "./models/payIn";
+import { threeDSecure } from "./threeDSecure";
+
+export namespace payInReturn {
+    type Callback<Req = any, Res = any> = (req: Req, res: Res, outcome: threeDSecure.Outcome<payIn.BasePayInData>) => any;
+
+    interface PayInReturnHandlerOptions extends base.WaitForOptions {
+        onSucceeded?: Callback;
+
+        onFailed?: Callback;
+
+        /**
+         * The pay-in is still processing at the end of the timeout (5 seconds by default)
+         */
+        onPending?: Callback;
+
+        /**
+         * Answers a missing, malformed, unknown or refused transactionId, with an empty 400 or 404 response by default
+         */
+        onInvalid?: (req: any, res: any, err: Error) => any;
+
+        /**
+         * Whether the pay-in belongs to the shopper, ex: its AuthorId matches the session
+         */
+        verify?: ((payIn: payIn.BasePayInData, req: any) => boolean | PromiseLike<boolean>) | null;
+    }
+
+    class PayInReturnHandler {
+        constructor(api: any, options?: PayInReturnHandlerOptions);
+
+        options: PayInReturnHandlerOptions;
+
+        /**
+         * Fetches the pay-in named by the transactionId query parameter
+         */
+        handle(query: Record<string, any>, req?: any): Promise<threeDSecure.Outcome<payIn.BasePayInData>>;
+
+        /**
+         * Plain node http request listener
+         */
+        listener(): (req: any, res: any) => Promise<void>;
+
+        /**
+         * Express/Connect route handler
+         */
+        express(): (req: any, res: any, next: (err?: any) => void) => Promise<void>;
+    }
+}
@@ -0,0 +1,187 @@
+import { transfer } from "./models/transfer";
+import { payOut } from "./models/payOut";
+
+export namespace payoutBatch {
+    type ItemStatus = "SUCCEEDED" | "FAILED" | "SKIPPED";
+
+    interface Instruction {
+        /**
+         * Unique id of the instruction within the batch, ex: the seller id
+         */
+        id: string | number;
+
+        /**
+         * Transfer created before the payout, ex: from the escrow wallet to the seller wallet
+         */
+        transfer?: transfer.CreateTransfer;
+
+        /**
+         * Bank wire payout
+         */
+        payOut: Partial<payOut.CreatePayOut> & Record<string, any>;
+    }
+
+    interface SerializedError {
+        name: string;
+
+        message: string;
+
+        status: number | null;
+
+        type: string | null;
+    }
+
+    interface CheckpointItem {
+        /**
+         * PENDING instructions are run again when the batch is resumed
+         */
+        status: ItemStatus | "PENDING";
+
+        transferId: string | null;
+
+        payOutId: string | null;
+
+        payoutModeRequested: payOut.PayoutModeRequestedType | null;
+
+        reason?: string | null;
+
+        error?: SerializedError | null;
+    }
+
+    interface Checkpoint {
+        batchId: string;
+
+        items: Record<string, CheckpointItem>;
+    }
+
+    interface ItemResult {
+        id: string;
+
+        status: ItemStatus;
+
+        /**
+         * Why the instruction failed or was skipped, ex: "DUPLICATE_INSTRUCTION", "NOT_ELIGIBLE", "RATE_LIMITED"
+         */
+        reason: string | null;
+
+        transferId: string | null;
+
+        payOutId: string | null;
+
+        /**
+         * Transfer created by this run
+         */
+        transfer: transfer.TransferData | null;
+
+        /**
+         * Payout created by this run
+         */
+        payOut: payOut.PayOutData | null;
+
+        /**
+         * Error of the request, saved in the checkpoint when the instruction was finished by a previous run
+         */
+        error: Error | SerializedError | null;
+
+        /**
+         * Whether the instruction was finished by a previous run
+         */
+        resumed: boolean;
+    }
+
+    interface Report {
+        batchId: string;
+
+        /**
+         * One result per instruction, in order
+         */
+        items: ItemResult[];
+
+        succeeded: number;
+
+        failed: number;
+
+        skipped: number;
+
+        /**
+         * False when the batch stopped on the rate limits, resume from the checkpoint to run the rest
+         */
+        complete: boolean;
+
+        checkpoint: Checkpoint;
+    }
+
+    interface PayoutBatchOptions {
+        /**
+         * Id of the batch, part of the idempotency keys
+         * @default the batchId of the checkpoint, or a random one
+         */
+        id?: string | null;
+
+        /**
+         * Number of instructions run at once
+         * @default 4
+         */
+        concurrency?: number;
+
+        /**
+         * Check the instant payouts with PayOuts.checkEligibility
+         * @default false
+         */
+        checkEligibility?: boolean;
+
+        /**
+         * Skip the unreachable instant payouts, or send them as standard payouts
+         * @default "skip"
+         */
+        ineligible?: "skip" | "standard";
+
+        /**
+         * Calls kept for the rest of the platform in each rate limit interval
+         * @default 10
+         */
+        rateLimitReserve?: number;
+
+        /**
+         * Longest wait for a rate limit reset (in milliseconds), the batch stops beyond it
+         * @default 60000
+         */
+        maxRateLimitWait?: number;
+
+        /**
+         * Checkpoint of a previous run to resume
+         */
+        checkpoint?: Checkpoint | null;
+
+        /**
+         * Saves the progress, called after each step
+         */
+        onCheckpoint?: ((checkpoint: Checkpoint) => any) | null;
+
+        generateKey?: (batchId: string, itemId: string, step: "transfer" | "payout") => string;
+    }
+
+    /**
+     * Runs transfers and bank wire payouts with a bounded concurrency, idempotency keys and a resumable checkpoint
+     */
+    class PayoutBatch {
+        constructor(api: any, options?: PayoutBatchOptions);
+
+        static SUCCEEDED: "SUCCEEDED";
+
+        static FAILED: "FAILED";
+
+        static SKIPPED: "SKIPPED";
+
+        /**
+         * Idempotency key of a step, derived from the batch id and the instruction id
+         */
+        static generateKey(batchId: string, itemId: string, step: string): string;
+
+        options: PayoutBatchOptions;
+
+        checkpoint: Checkpoint;
+
+        run(instructions: Instruction[]): Promise<Report>;
+    }
+}
@@ -0,0 +1,91 @@
+import { recipient } from "./models/recipient";
+
+export namespace recipientBuilder {
+    type Recipient = recipient.CreateRecipientData | recipient.RecipientData;
+
+    interface RecipientBuilderOptions {
+        /**
+         * How long a schema is cached, in milliseconds (1 hour by default, 0 to disable)
+         */
+        ttl?: number;
+
+        /**
+         * Current time in milliseconds, Date.now by default
+         */
+        now?: () => number;
+    }
+
+    interface Field {
+        /**
+         * Dotted path of the field in the recipient, ex: "IndividualRecipient.Address.City"
+         */
+        path: string;
+
+        name: string;
+
+        /**
+         * Label of the schema, the name of the field without it
+         */
+        label: string;
+
+        required: boolean;
+
+        minLength: number | null;
+
+        maxLength: number | null;
+
+        pattern: string | null;
+
+        allowedValues: string[] | null;
+
+        endUserDisplay: string | null;
+    }
+
+    class RecipientBuilder {
+        constructor(api: any, options?: RecipientBuilderOptions);
+
+        /**
+         * Fields of the recipients read to pick their schema
+         */
+        static SCHEMA_FIELDS: string[];
+
+        /**
+         * Fields of a schema, in its order
+         */
+        static fields(schema: recipient.RecipientSchemaData): Field[];
+
+        /**
+         * Field path => error message, empty when valid
+         */
+        static check(schema: recipient.RecipientSchemaData, recipient: Recipient): { [path: string]: string };
+
+        options: RecipientBuilderOptions;
+
+        /**
+         * Schema of the recipients, from the cache when fetched less than ttl ago
+         */
+        getSchema(payoutMethodType: string, recipientType: string, currency: string, country: string): Promise<recipient.RecipientSchemaData>;
+
+        /**
+         * Forgets the cached schemas
+         */
+        clear(): void;
+
+        fields(payoutMethodType: string, recipientType: string, currency: string, country: string): Promise<Field[]>;
+
+        /**
+         * Checks a recipient against the schema of its PayoutMethodType, RecipientType, Currency and Country
+         */
+        validate(recipient: Recipient): Promise<{ [path: string]: string }>;
+
+        /**
+         * Checks a recipient locally, then server-side with Recipients.validate
+         */
+        confirm(recipient: Recipient, userId: string): Promise<void>;
+
+        /**
+         * Creates a recipient once confirmed
+         */
+        create(recipient: Recipient, userId: string): Promise<recipient.RecipientData>;
+    }
+}
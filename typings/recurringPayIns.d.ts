@@ -0,0 +1,113 @@
+import { money } from "./models/money";
+import { payIn } from "./models/payIn";
+
+export namespace recurringPayIns {
+    type Decision =
+        | "NOT_DUE"
+        | "CHARGED"
+        | "PENDING"
+        | "RETRY"
+        | "GIVE_UP"
+        | "AUTHENTICATION_NEEDED"
+        | "CIT_REQUIRED"
+        | "ENDED";
+
+    type Frequency = payIn.FrequencyType;
+
+    interface Amounts {
+        DebitedFunds: money.MoneyData;
+
+        Fees: money.MoneyData;
+    }
+
+    interface RecurringPayInEngineOptions {
+        /**
+         * Delays in milliseconds before each retry of a failed pay-in, 1, 3 and 7 days by default
+         */
+        retrySchedule?: number[];
+
+        /**
+         * Delay in milliseconds before checking again a pending pay-in, or sending again a pay-in whose outcome is unknown
+         */
+        errorDelay?: number;
+
+        /**
+         * Amounts of a cycle, required by the registrations without FixedNextAmount nor FractionedPayment
+         */
+        amount?: ((registration: payIn.PayInRecurringRegistrationData, due: Due) => Amounts) | null;
+
+        statementDescriptor?: string | null;
+
+        /**
+         * Whether a failed pay-in is worth a retry, all but the expired and inactive cards by default
+         */
+        isRetryable?: (payIn: payIn.RecurringPayInData) => boolean;
+
+        generateKey?: (registrationId: string, cycle: number, attempt: number) => string;
+
+        now?: () => number;
+    }
+
+    interface State {
+        registrationId: string;
+
+        /**
+         * Next cycle to charge, the CIT being the cycle 0
+         */
+        cycle: number;
+
+        attempt: number;
+
+        status: "ACTIVE" | "PAST_DUE" | "SUSPENDED" | "ENDED";
+
+        nextAttemptAt: number | null;
+
+        pendingPayInId: string | null;
+
+        lastPayInId: string | null;
+    }
+
+    interface Due extends Amounts {
+        cycle: number;
+
+        dueDate: Date;
+
+        last: boolean;
+    }
+
+    interface RunResult {
+        decision: Decision;
+
+        /**
+         * To be stored for the next run
+         */
+        state: State;
+
+        registration: payIn.PayInRecurringRegistrationData;
+
+        payIn: payIn.RecurringPayInData | null;
+
+        due: Due | null;
+
+        error: Error | null;
+    }
+
+    class RecurringPayInEngine {
+        constructor(api: any, options?: RecurringPayInEngineOptions);
+
+        static DECISIONS: { [K in Decision]: K };
+
+        static addCycles(date: number, frequency: Frequency, cycles: number): number;
+
+        options: RecurringPayInEngineOptions;
+
+        initialState(registration: payIn.PayInRecurringRegistrationData): State;
+
+        nextDue(registration: payIn.PayInRecurringRegistrationData, state?: State): Due | null;
+
+        /**
+         * Charges the next cycle of a registration when it is due, and decides what comes next
+         */
+        run(registration: string | payIn.PayInRecurringRegistrationData, state?: Partial<State> | null): Promise<RunResult>;
+    }
+}
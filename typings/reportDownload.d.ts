@@ -0,0 +1,81 @@
+import { base } from "./base";
+
+export namespace reportDownload {
+    type ColumnType = "string" | "integer" | "number" | "amount" | "date" | "boolean";
+
+    /**
+     * Row of a report: empty cells are null, amount columns (...Amount) are integers in minor units,
+     * date columns (...Date) are Dates
+     */
+    type ReportRecord = Record<string, string | number | boolean | Date | null>;
+
+    interface ReportDownloadOptions extends base.WaitForOptions {
+        /**
+         * Types of the columns, overriding the default ones
+         */
+        types?: Record<string, ColumnType | ((value: string, record: ReportRecord) => any)>;
+
+        /**
+         * Field delimiter
+         * @default ","
+         */
+        delimiter?: string;
+    }
+
+    /**
+     * Incremental CSV parser
+     */
+    class CsvParser {
+        constructor(delimiter: string);
+
+        /**
+         * Parses a chunk of text, returns the records it completed
+         */
+        push(text: string): string[][];
+
+        /**
+         * Ends the parsing, returns the last record
+         */
+        end(): string[][];
+    }
+
+    /**
+     * Downloads a report once it is ready, and reads its CSV rows as typed records
+     */
+    class ReportDownload<R = any> implements AsyncIterable<ReportRecord> {
+        constructor(service: any, report: string | R, options?: ReportDownloadOptions);
+
+        static CsvParser: typeof CsvParser;
+
+        options: ReportDownloadOptions;
+
+        /**
+         * The report, once ready for download
+         */
+        report: R | null;
+
+        /**
+         * Names of the columns, once the download started
+         */
+        columns: string[] | null;
+
+        /**
+         * Waits for the report to be READY_FOR_DOWNLOAD, rejects when it FAILED or EXPIRED
+         */
+        ready(): Promise<R>;
+
+        /**
+         * Opens the CSV file of the report, resolves with its readable stream
+         */
+        stream(): Promise<any>;
+
+        rows(): AsyncIterableIterator<ReportRecord>;
+
+        /**
+         * Reads all the records, for the reports small enough to be kept in memory
+         */
+        toArray(): Promise<ReportRecord[]>;
+
+        [Symbol.asyncIterator](): AsyncIterator<ReportRecord>;
+    }
+}
@@ -0,0 +1,102 @@
+import { base } from "./base";
+import { user } from "./models/user";
+
+export namespace sca {
+    type ResourceType = "USER" | "RECIPIENT" | "TRANSFER" | "PAYOUT";
+
+    /**
+     * PENDING while a transfer or pay-out is still processed after the SCA, FAILED for a recipient that is not ACTIVE
+     * (CANCELED, DEACTIVATED) or a FAILED transfer or pay-out
+     */
+    type OutcomeStatus = "FAILED" | "PENDING" | "SCA_REQUIRED" | "COMPLETED";
+
+    interface ScaHandlerOptions extends base.WaitForOptions {
+        /**
+         * URL the SCA session returns the user to, the scaType and scaId query parameters naming the resource are added to it
+         */
+        returnUrl?: string | null;
+    }
+
+    /**
+     * Query parameters of the return URL, or the type and Id of the resource
+     */
+    type ReturnQuery = { scaType: string; scaId: string } | { type: ResourceType; id: string } | Record<string, any>;
+
+    interface ScaRequired<T = any> {
+        status: "SCA_REQUIRED";
+
+        scaRequired: true;
+
+        /**
+         * URL to redirect the user to, with the ReturnUrl parameter when the returnUrl option is set.
+         * Null when the resource waits for the SCA without a PendingUserAction (ex: a user to enroll again)
+         */
+        redirectUrl: string | null;
+
+        type: ResourceType | null;
+
+        id: string | null;
+
+        resource: T;
+
+        result: null;
+    }
+
+    interface ScaNotRequired<T = any, R = any> {
+        status: "FAILED" | "PENDING" | "COMPLETED";
+
+        scaRequired: false;
+
+        redirectUrl: null;
+
+        type: ResourceType | null;
+
+        id: string | null;
+
+        resource: T;
+
+        /**
+         * Result of the resumed operation, null when not resumed
+         */
+        result: R | null;
+    }
+
+    type Outcome<T = any, R = any> = ScaRequired<T> | ScaNotRequired<T, R>;
+
+    class ScaHandler {
+        constructor(api: any, options?: ScaHandlerOptions);
+
+        static RESOURCE_TYPES: Record<ResourceType, { service: string }>;
+
+        static RETURN_PARAMETERS: { type: string; id: string };
+
+        options: ScaHandlerOptions;
+
+        /**
+         * The PendingUserAction of a response, null when it holds no RedirectUrl
+         */
+        pendingUserAction(resource: any): user.PendingUserActionData | null;
+
+        /**
+         * URL the user must be redirected to for the SCA session, with the ReturnUrl query parameter
+         */
+        redirectUrl(resource: any, type?: ResourceType, id?: string): string | null;
+
+        /**
+         * Return URL of the options, naming the resource waiting for the SCA
+         */
+        returnUrl(type: ResourceType, id: string): string;
+
+        /**
+         * Outcome of an operation, ex: sca.handle(api.Users.enroll(userId), "USER", userId)
+         */
+        handle<T>(operation: Promise<T> | T, type?: ResourceType, id?: string): Promise<Outcome<T>>;
+
+        /**
+         * Re-fetches the resource once the user is back on the return URL, then resumes the operation when the SCA is completed
+         */
+        complete<R = any>(query: ReturnQuery, resume?: (resource: any) => R | Promise<R>): Promise<Outcome<any, R>>;
+
+        outcome<T>(resource: T, type?: ResourceType, id?: string): Outcome<T>;
+    }
+}
@@ -2,7 +2,7 @@ import { transaction } from "../models/transaction";
 import { base } from "../base";
 import MethodOverload = base.MethodOverload;
 
-export class BankAccounts {
+export class BankAccounts extends base.Service {
     /**
      * Retrieve list of transactions for a bank account
      * @param bankAccountId
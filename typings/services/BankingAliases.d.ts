@@ -4,7 +4,7 @@ import { base } from "../base";
 import MethodOverload = base.MethodOverload;
 import NoArgMethodOverload = base.NoArgMethodOverload;
 
-export class BankingAliases {
+export class BankingAliases extends base.Service {
     /**
      * Create a banking alias
      * @param bankingAlias
@@ -15,7 +15,7 @@ import MethodOverload = base.MethodOverload;
  * - Once Status = "SUCCEEDED" and PaymentStatus = "WAITING" you can charge the card.
  * - The Pay-In amount has to be less than or equal to the amount authorized.
  */
-export class CardPreAuthorizations {
+export class CardPreAuthorizations extends base.Service {
     /**
      * Create new pre-authorization
      * @param cardPreAuthorization
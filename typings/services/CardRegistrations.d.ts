@@ -1,4 +1,5 @@
 import { cardRegistration } from "../models/cardRegistration";
+import { card } from "../models/card";
 import { base } from "../base";
 import MethodOverload = base.MethodOverload;
 
@@ -14,7 +15,7 @@ import MethodOverload = base.MethodOverload;
  *
  * - If you don’t want to save the card you must change the field ACTIVE in the card object to false
  */
-export class CardRegistrations {
+export class CardRegistrations extends base.Service {
     /**
      * Create new card registration
      * @param cardRegistration
@@ -40,4 +41,17 @@ export class CardRegistrations {
         cardRegistration.UpdateCardRegistration,
         cardRegistration.CardRegistrationData
         >;
+
+    /**
+     * Registers a card in one call: creates the card registration (unless given a created one), posts the card data to
+     * the CardRegistrationURL, updates the registration with the RegistrationData and fetches the card.
+     * Rejects with a CardRegistrationError when the card is refused.
+     * Only for the servers in the PCI DSS scope: server-side tests and migrations from another PSP.
+     * @param cardRegistration
+     * @param cardData
+     */
+    register(
+        cardRegistration: cardRegistration.CreateCardRegistration | cardRegistration.CardRegistrationData | string,
+        cardData: cardRegistration.CardData
+    ): Promise<card.CardData>;
 }
@@ -6,7 +6,7 @@ import { cardValidation } from "../models/cardValidation";
 import MethodOverload = base.MethodOverload;
 import TwoArgsMethodOverload = base.TwoArgsMethodOverload;
 
-export class Cards {
+export class Cards extends base.Service {
     /**
      * Get card
      * @param cardId
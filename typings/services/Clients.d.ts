@@ -7,7 +7,7 @@ import NoArgMethodOverload = base.NoArgMethodOverload;
 import MethodOverload = base.MethodOverload;
 import TwoArgsMethodOverload = base.TwoArgsMethodOverload;
 
-export class Clients {
+export class Clients extends base.Service {
     /**
      * Get the client
      */
@@ -28,11 +28,11 @@ export class Clients {
     uploadLogo: MethodOverload<string, client.ClientData>;
 
     /**
-     * Upload client logo from file path
-     * @param filePath
+     * Upload client logo from file (JPEG, PNG or GIF), checked against the limits of the API before the upload
+     * @param file  File path, content or stream
      * @param options
      */
-    uploadLogoFromFile: MethodOverload<string, client.ClientData>;
+    uploadLogoFromFile: MethodOverload<base.UploadFile, client.ClientData>;
 
     /**
      * Get all client wallets
@@ -4,7 +4,7 @@ import { conversion } from "../models/conversion";
 import MethodOverload = base.MethodOverload;
 import TwoArgsMethodOverload = base.TwoArgsMethodOverload;
 
-export class Conversions {
+export class Conversions extends base.Service {
     getConversionRate: TwoArgsMethodOverload<string, string, conversionRate.ConversionRateData>;
 
     createInstantConversion: MethodOverload<conversion.CreateInstantConversion, conversion.ConversionData>;
@@ -3,7 +3,7 @@ import { deposit } from "../models/deposit";
 import { transaction } from "../models/transaction";
 import MethodOverload = base.MethodOverload;
 
-export class Deposits {
+export class Deposits extends base.Service {
     create: MethodOverload<deposit.CreateDeposit, deposit.DepositData>;
 
     get: MethodOverload<string, deposit.DepositData>;
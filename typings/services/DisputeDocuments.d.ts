@@ -3,7 +3,7 @@ import { base } from "../base";
 import NoArgMethodOverload = base.NoArgMethodOverload;
 import MethodOverload = base.MethodOverload;
 
-export class DisputeDocuments {
+export class DisputeDocuments extends base.Service {
     /**
      * Get all KycDocuments
      * @param options
@@ -11,7 +11,7 @@ import { money } from "../models/money";
 import MoneyData = money.MoneyData;
 import ThreeArgsMethodOverload = base.ThreeArgsMethodOverload;
 
-export class Disputes {
+export class Disputes extends base.Service {
     /**
      * Get dispute
      * @param disputeId
@@ -150,17 +150,38 @@ export class Disputes {
         disputeDocument.DisputeDocumentData>;
 
     /**
-     * Creates document's page for dispute from file
+     * Creates document's page for dispute from file (PDF, JPEG, PNG or GIF), checked against the limits of the API before the upload
      * @param disputeId
      * @param disputeDocumentId
-     * @param file
+     * @param file  File path, content or stream
      * @param options
      */
     createDisputeDocumentPageFromFile: ThreeArgsMethodOverload<string,
         string,
-        string,
+        base.UploadFile,
         disputeDocument.DisputeDocumentData>;
 
+    /**
+     * Creates the pages of a dispute document from files, one page per image or PDF page, in order
+     * @param disputeId
+     * @param disputeDocumentId
+     * @param files
+     * @param options   Request options, plus splitPdf
+     */
+    createDisputeDocumentPagesFromFiles(
+        disputeId: string,
+        disputeDocumentId: string,
+        files: base.UploadFile[],
+        options?: base.UploadPagesOptions
+    ): Promise<disputeDocument.DisputeDocumentData[]>;
+    createDisputeDocumentPagesFromFiles(
+        disputeId: string,
+        disputeDocumentId: string,
+        files: base.UploadFile[],
+        callback: (data: disputeDocument.DisputeDocumentData[]) => void,
+        options?: base.UploadPagesOptions
+    ): Promise<disputeDocument.DisputeDocumentData[]>;
+
     /**
      * Retrieve a list of Disputes pending settlement
      * @param options
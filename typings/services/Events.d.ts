@@ -2,7 +2,7 @@ import { event } from "../models/event";
 import { base } from "../base";
 import NoArgMethodOverload = base.NoArgMethodOverload;
 
-export class Events {
+export class Events extends base.Service {
     /**
      * Get events
      * @param options
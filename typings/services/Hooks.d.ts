@@ -3,7 +3,7 @@ import { base } from "../base";
 import MethodOverload = base.MethodOverload;
 import NoArgMethodOverload = base.NoArgMethodOverload;
 
-export class Hooks {
+export class Hooks extends base.Service {
     /**
      * Create new hook
      * @param hook
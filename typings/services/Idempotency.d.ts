@@ -2,6 +2,20 @@ import { base } from "../base";
 import { idempotency } from "../models/idempotency";
 import MethodOverload = base.MethodOverload;
 
-export class Idempotency {
+export class Idempotency extends base.Service {
     get: MethodOverload<string, idempotency.IdempotencyData>;
+
+    /**
+     * Finds out the outcome of a POST request whose response was lost (timeout, network error or 5xx).
+     * Resolves with the resource when the request succeeded, rejects with its error when it failed,
+     * resolves with null when the API did not receive it. Errors that are not ambiguous are rejected as is.
+     * @param failure Idempotency-Key of the request, or the error it failed with
+     * @param options Request options, dataClass instantiates the resource
+     */
+    resolveOutcome<T = any>(failure: string | Error, options?: base.RequestOptions & { dataClass?: new (data: any) => T }): Promise<T | null>;
+
+    /**
+     * Idempotency key derived from the parts naming an operation, the same on every run of the operation
+     */
+    static deriveKey(...parts: string[]): string;
 }
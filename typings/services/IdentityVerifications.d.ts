@@ -3,7 +3,7 @@ import {identityVerification} from "../models/identityVerification";
 import TwoArgsMethodOverload = base.TwoArgsMethodOverload;
 import MethodOverload = base.MethodOverload;
 
-export class IdentityVerifications {
+export class IdentityVerifications extends base.Service {
     /**
      * Start an identity verification session and get a link for the hosted experience
      * @param {string} userId The user identifier
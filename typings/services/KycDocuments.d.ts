@@ -13,7 +13,7 @@ import MethodOverload = base.MethodOverload;
  *
  * Note that you are not allowed to store KYC documents on your side unless you have permission from the appropriate authorities in your country
  */
-export class KycDocuments {
+export class KycDocuments extends base.Service {
     /**
      * Get all KycDocuments
      * @param options
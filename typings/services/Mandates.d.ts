@@ -5,7 +5,7 @@ import MethodOverload = base.MethodOverload;
 import NoArgMethodOverload = base.NoArgMethodOverload;
 import TwoArgsMethodOverload = base.TwoArgsMethodOverload;
 
-export class Mandates {
+export class Mandates extends base.Service {
     /**
      * Create a new Mandate
      * @param mandate
@@ -4,7 +4,7 @@ import { base } from "../base";
 import MethodOverload = base.MethodOverload;
 import TwoArgsMethodOverload = base.TwoArgsMethodOverload;
 
-export class PayIns {
+export class PayIns extends base.Service {
     /**
      * Create new pay-in
      * @param payIn
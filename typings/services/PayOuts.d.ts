@@ -3,7 +3,7 @@ import { refund } from "../models/refund";
 import { base } from "../base";
 import MethodOverload = base.MethodOverload;
 
-export class PayOuts {
+export class PayOuts extends base.Service {
     /**
      * Create new pay-out
      * @param payOut
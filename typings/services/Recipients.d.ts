@@ -4,7 +4,7 @@ import MethodOverload = base.MethodOverload;
 import TwoArgsMethodOverload = base.TwoArgsMethodOverload;
 import FourArgsMethodOverload = base.FourArgsMethodOverload;
 
-export class Recipients {
+export class Recipients extends base.Service {
     /**
      * Create a Recipient
      * @param recipient
@@ -2,7 +2,7 @@ import { refund } from "../models/refund";
 import { base } from "../base";
 import MethodOverload = base.MethodOverload;
 
-export class Refunds {
+export class Refunds extends base.Service {
     /**
      * Get events
      * @param refundId
@@ -3,7 +3,7 @@ import { countryAuthorization } from "../models/countryAuthorization";
 import MethodOverload = base.MethodOverload;
 import NoArgMethodOverload = base.NoArgMethodOverload;
 
-export class Regulatory {
+export class Regulatory extends base.Service {
     /**
      * View the restrictions for a specific country
      * @param countryCode: the code of the Country
@@ -1,9 +1,10 @@
 import { report } from "../models/report";
 import { base } from "../base";
+import { reportDownload } from "../reportDownload";
 import MethodOverload = base.MethodOverload;
 import NoArgMethodOverload = base.NoArgMethodOverload;
 
-export class Reports {
+export class Reports extends base.Service {
     /**
      * Create a report
      * @param report
@@ -23,4 +24,11 @@ export class Reports {
      * @param options
      */
     getAll: NoArgMethodOverload<report.ReportData[]>;
+
+    /**
+     * Download a report once it is READY_FOR_DOWNLOAD, and read its CSV rows as typed records
+     * @param reportId  Report Id, or the report
+     * @param options   Wait options and types of the columns
+     */
+    download(reportId: string | report.ReportData, options?: reportDownload.ReportDownloadOptions): reportDownload.ReportDownload<report.ReportData>;
 }
@@ -1,9 +1,10 @@
 import {reportV2} from "../models/reportV2";
 import {base} from "../base";
+import { reportDownload } from "../reportDownload";
 import MethodOverload = base.MethodOverload;
 import NoArgMethodOverload = base.NoArgMethodOverload;
 
-export class ReportsV2 {
+export class ReportsV2 extends base.Service {
     /**
      * Create a report
      * @param report
@@ -23,4 +24,11 @@ export class ReportsV2 {
      * @param options
      */
     getAll: NoArgMethodOverload<reportV2.ReportDataV2[]>;
+
+    /**
+     * Download a report once it is READY_FOR_DOWNLOAD, and read its CSV rows as typed records
+     * @param reportId  Report Id, or the report
+     * @param options   Wait options and types of the columns
+     */
+    download(reportId: string | reportV2.ReportDataV2, options?: reportDownload.ReportDownloadOptions): reportDownload.ReportDownload<reportV2.ReportDataV2>;
 }
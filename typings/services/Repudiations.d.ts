@@ -2,7 +2,7 @@ import { refund } from "../models/refund";
 import { base } from "../base";
 import MethodOverload = base.MethodOverload;
 
-export class Repudiations {
+export class Repudiations extends base.Service {
     /**
      * Gets list of Refunds of a Repudiation
      * @param repudiationId
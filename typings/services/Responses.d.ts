@@ -1,7 +1,7 @@
 import { base } from "../base";
 import NoArgMethodOverload = base.NoArgMethodOverload;
 
-export class Responses {
+export class Responses extends base.Service {
     /**
      * Get response from previous call
      * @param options
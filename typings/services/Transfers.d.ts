@@ -4,7 +4,7 @@ import { base } from "../base";
 import MethodOverload = base.MethodOverload;
 import TwoArgsMethodOverload = base.TwoArgsMethodOverload;
 
-export class Transfers {
+export class Transfers extends base.Service {
     /**
      * Create new transfer
      * @param transfer
@@ -16,7 +16,7 @@ import ThreeArgsMethodOverload = base.ThreeArgsMethodOverload;
  *
  * Note that UBO declarations are not yet a requirement for your user to be KYC verified and are optional at this stage
  */
-export class UboDeclarations {
+export class UboDeclarations extends base.Service {
     /**
      * @deprecated Use the 'getById' method, which doesn't require passing the userId.
      *
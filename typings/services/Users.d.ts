@@ -13,7 +13,7 @@ import NoArgMethodOverload = base.NoArgMethodOverload;
 import TwoArgsMethodOverload = base.TwoArgsMethodOverload;
 import ThreeArgsMethodOverload = base.ThreeArgsMethodOverload;
 
-export class Users {
+export class Users extends base.Service {
     /**
      * Create a new user
      * @param user
@@ -207,19 +207,40 @@ export class Users {
         >;
 
     /**
-     * Create page for KYC document
+     * Create page for KYC document from a file (PDF, JPEG, PNG or GIF), checked against the limits of the API before the upload
      * @param userId
      * @param kycDocumentId
-     * @param filePath
+     * @param file  File path, content or stream
      * @param options
      */
     createKycPageFromFile: ThreeArgsMethodOverload<
         string,
         string,
-        string,
+        base.UploadFile,
         kycDocument.KycDocumentData
         >;
 
+    /**
+     * Create the pages of a KYC document from files, one page per image or PDF page, in order
+     * @param userId
+     * @param kycDocumentId
+     * @param files
+     * @param options   Request options, plus splitPdf
+     */
+    createKycPagesFromFiles(
+        userId: string,
+        kycDocumentId: string,
+        files: base.UploadFile[],
+        options?: base.UploadPagesOptions
+    ): Promise<kycDocument.KycDocumentData[]>;
+    createKycPagesFromFiles(
+        userId: string,
+        kycDocumentId: string,
+        files: base.UploadFile[],
+        callback: (data: kycDocument.KycDocumentData[]) => void,
+        options?: base.UploadPagesOptions
+    ): Promise<kycDocument.KycDocumentData[]>;
+
     /**
      * Get users's EMoney
      * @param userId
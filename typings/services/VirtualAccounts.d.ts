@@ -4,7 +4,7 @@ import MethodOverload = base.MethodOverload;
 import TwoArgsMethodOverload = base.TwoArgsMethodOverload;
 import NoArgMethodOverload = base.NoArgMethodOverload;
 
-export class VirtualAccounts {
+export class VirtualAccounts extends base.Service {
     /**
      * Create new virtual account
      * @param walletId
@@ -4,7 +4,7 @@ import { transaction } from "../models/transaction";
 import { base } from "../base";
 import MethodOverload = base.MethodOverload;
 
-export class Wallets {
+export class Wallets extends base.Service {
     /**
      * Create new wallet
      * @param wallet
@@ -0,0 +1,90 @@
+import { base } from "./base";
+
+export namespace threeDSecure {
+    type TransactionType = "PAYIN" | "PREAUTHORIZATION" | "DEPOSIT" | "CARD_VALIDATION";
+
+    type OutcomeStatus = "SUCCEEDED" | "FAILED" | "PENDING";
+
+    interface ThreeDSecureOptions extends base.WaitForOptions {
+        /**
+         * Read the IP address from the X-Forwarded-For header, only behind a proxy setting it
+         * @default false
+         */
+        trustProxy?: boolean;
+    }
+
+    /**
+     * Incoming HTTP request of the buyer: node, Express, Koa's ctx.request...
+     */
+    interface IncomingRequest {
+        headers: Record<string, string | string[] | undefined>;
+
+        ip?: string;
+
+        socket?: { remoteAddress?: string };
+
+        connection?: { remoteAddress?: string };
+    }
+
+    /**
+     * Fields collected in the browser, in PascalCase or camelCase (ex: ColorDepth or colorDepth)
+     */
+    type ClientFields = Partial<Record<keyof base.BrowserInfoData, string | number | boolean>> & Record<string, any>;
+
+    interface Outcome<T = any> {
+        type: TransactionType | null;
+
+        transaction: T;
+
+        /**
+         * PENDING when the transaction is still processing at the end of the timeout
+         */
+        status: OutcomeStatus;
+
+        succeeded: boolean;
+
+        resultCode: string | null;
+
+        resultMessage: string | null;
+    }
+
+    class ThreeDSecure {
+        constructor(api: any, options?: ThreeDSecureOptions);
+
+        options: ThreeDSecureOptions;
+
+        /**
+         * Builds the BrowserInfo of a transaction from the request of the buyer and the fields collected in the browser
+         */
+        browserInfo(req: IncomingRequest, fields?: ClientFields): base.BrowserInfoData;
+
+        /**
+         * IP address of the buyer
+         */
+        ipAddress(req: IncomingRequest): string | null;
+
+        /**
+         * BrowserInfo and IpAddress to merge in the transaction
+         */
+        fromRequest(req: IncomingRequest, fields?: ClientFields): { BrowserInfo: base.BrowserInfoData; IpAddress: string | null };
+
+        /**
+         * SecureModeRedirectURL of a transaction waiting for the 3-D Secure authentication, null otherwise
+         */
+        redirectUrl(transaction: any): string | null;
+
+        isRedirectRequired(transaction: any): boolean;
+
+        /**
+         * Re-fetches the transaction when the buyer is back on the SecureModeReturnURL, until its final status
+         * @param query Query parameters of the return URL (transactionId, preAuthorizationId, depositId, or cardId and
+         * cardValidationId), or the Id of the transaction
+         * @param type Found from the query parameters when not set
+         */
+        complete<T = any>(query: Record<string, any> | string, type?: TransactionType): Promise<Outcome<T>>;
+
+        outcome<T = any>(transaction: T, type?: TransactionType): Outcome<T>;
+
+        static TRANSACTION_TYPES: Record<TransactionType, { service?: string; parameter: string }>;
+    }
+}
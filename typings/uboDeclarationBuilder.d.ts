@@ -0,0 +1,102 @@
+import { ValueOf } from "./types";
+import { enums } from "./enums";
+import { uboDeclaration } from "./models/uboDeclaration";
+
+export namespace uboDeclarationBuilder {
+    type DeclarationRefusedReasonType = ValueOf<enums.IUboDeclarationRefusedReasonType>;
+
+    type UboRefusedReasonType = ValueOf<enums.IUboRefusedReasonType>;
+
+    /**
+     * A UBO to declare, with the Id of the declared one to update it
+     */
+    type Ubo = uboDeclaration.CreateUbo & { Id?: string };
+
+    interface UboDeclarationBuilderOptions {
+        /**
+         * Declaration to edit, instead of the last one of the user
+         */
+        declarationId?: string | null;
+    }
+
+    interface Plan {
+        create: uboDeclaration.CreateUbo[];
+
+        /**
+         * Id and changed fields of the declared UBOs
+         */
+        update: uboDeclaration.UpdateUbo[];
+
+        /**
+         * Ids of the declared UBOs no longer listed
+         */
+        deactivate: string[];
+    }
+
+    interface SaveResult {
+        /**
+         * Declaration fetched again after the changes
+         */
+        declaration: uboDeclaration.UboDeclarationData;
+
+        created: uboDeclaration.UboData[];
+
+        updated: uboDeclaration.UboData[];
+
+        deactivated: uboDeclaration.UboData[];
+    }
+
+    interface Explanation {
+        reasonType: DeclarationRefusedReasonType | UboRefusedReasonType;
+
+        message: string | null;
+
+        /**
+         * What the platform has to do about the refusal, see DECLARATION_REFUSED_REASONS and UBO_REFUSED_REASONS
+         */
+        hint: string | null;
+
+        /**
+         * Null for the reasons of the declaration
+         */
+        uboId: string | null;
+    }
+
+    class UboDeclarationBuilder {
+        constructor(api: any, userId: string, options?: UboDeclarationBuilderOptions);
+
+        static MAX_UBOS: number;
+
+        static DECLARATION_REFUSED_REASONS: { [key in DeclarationRefusedReasonType]: string };
+
+        static UBO_REFUSED_REASONS: { [key in UboRefusedReasonType]: string };
+
+        /**
+         * Actionable messages of a refused or incomplete declaration
+         */
+        static explain(declaration: uboDeclaration.UboDeclarationData): Explanation[];
+
+        userId: string;
+
+        options: UboDeclarationBuilderOptions;
+
+        add(ubo: Ubo): this;
+
+        /**
+         * Field => error message, ex: "Ubos[1].Birthplace", empty when valid
+         */
+        validate(): { [field: string]: string };
+
+        diff(declaration: uboDeclaration.UboDeclarationData): Plan;
+
+        /**
+         * Validates the UBOs, then sends only the needed calls to the current declaration
+         */
+        save(): Promise<SaveResult>;
+
+        /**
+         * Saves the declaration, then asks for its validation
+         */
+        submit(): Promise<uboDeclaration.UboDeclarationData>;
+    }
+}
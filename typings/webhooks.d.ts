@@ -0,0 +1,106 @@
+import { event } from "./models/event";
+
+export namespace webhooks {
+    interface Notification {
+        EventType?: string;
+
+        RessourceId?: string;
+
+        ResourceId?: string;
+
+        Date?: string | number;
+    }
+
+    interface WebhookEvent<T = any> {
+        EventType: event.EventType;
+
+        ResourceId: string;
+
+        Date: number | null;
+
+        /**
+         * The re-fetched resource, when the notification has been verified
+         */
+        resource: T | null;
+
+        /**
+         * Whether the resource has been re-fetched before invoking the handlers
+         */
+        verified: boolean;
+
+        /**
+         * Whether at least one handler matched the event type
+         */
+        handled?: boolean;
+    }
+
+    /**
+     * Event given to the handlers once its resource has been re-fetched
+     */
+    interface VerifiedWebhookEvent<T = any> extends WebhookEvent<T> {
+        resource: T;
+
+        verified: true;
+    }
+
+    /**
+     * Event given to the handlers without verification (verify option false)
+     */
+    interface UnverifiedWebhookEvent extends WebhookEvent<never> {
+        resource: null;
+
+        verified: false;
+    }
+
+    /**
+     * Event given to the handlers: narrowing on verified gives the resource
+     */
+    type HandledWebhookEvent<T = any> = VerifiedWebhookEvent<T> | UnverifiedWebhookEvent;
+
+    interface WebhookHandlerOptions {
+        /**
+         * Re-fetch the resource before invoking the handlers
+         * @default true
+         */
+        verify?: boolean;
+
+        /**
+         * Fetchers per EventType, overriding the default ones
+         */
+        fetchers?: Record<string, (api: any, resourceId: string) => Promise<any>>;
+    }
+
+    class WebhookHandler {
+        constructor(api: any, options?: WebhookHandlerOptions);
+
+        /**
+         * Registers a handler for one or several event types ('*' matches all of them)
+         */
+        on<T = any>(eventType: event.EventType | event.EventType[] | "*", handler: (event: HandledWebhookEvent<T>) => any): this;
+
+        /**
+         * Parses a notification, verifies it and invokes the matching handlers
+         */
+        handle(notification: Notification): Promise<WebhookEvent>;
+
+        /**
+         * Reads a notification
+         */
+        parse(notification: Notification): WebhookEvent;
+
+        /**
+         * Plain node http request listener
+         */
+        listener(): (req: any, res: any) => void;
+
+        /**
+         * Express/Connect middleware
+         */
+        express(): (req: any, res: any, next: (err?: any) => void) => void;
+
+        /**
+         * Koa middleware
+         */
+        koa(): (ctx: any) => Promise<void>;
+    }
+}